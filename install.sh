@@ -19,17 +19,30 @@ if [ -z "$DOMAIN_NAME" ]; then
     echo "✓ Using server IP address for access."
 fi
 
+HTPASSWD_FILE="/etc/nginx/arista-manager.htpasswd"
+if [ -f "$HTPASSWD_FILE" ]; then
+    echo "✓ Keeping the existing web login in $HTPASSWD_FILE."
+else
+    read -p "Choose a username for the web login: " WEB_USER
+    read -s -p "Choose a password for '$WEB_USER': " WEB_PASSWORD
+    echo ""
+    if [ -z "$WEB_USER" ] || [ -z "$WEB_PASSWORD" ]; then
+        echo "❌ A web login username and password are required."
+        exit 1
+    fi
+fi
+
 echo ""
 echo "✅ Starting installation for '$DOMAIN_NAME'..."
 echo ""
 
-echo "⚙️ [1/6] Updating system and installing dependencies (Nginx, cURL)..."
+echo "⚙️ [1/7] Updating system and installing dependencies (Nginx, cURL, OpenSSL)..."
 apt-get update && apt-get upgrade -y
-apt-get install -y nginx curl
+apt-get install -y nginx curl openssl
 echo "✓ Dependencies installed."
 echo ""
 
-echo "🔥 [2/6] Configuring firewall to allow web traffic..."
+echo "🔥 [2/7] Configuring firewall to allow web traffic..."
 ufw allow 'Nginx Full' > /dev/null
 if ! ufw status | grep -q 'Status: active'; then
     ufw --force enable > /dev/null
@@ -37,7 +50,7 @@ fi
 echo "✓ Firewall configured."
 echo ""
 
-echo "📦 [3/6] Installing Node.js v20..."
+echo "📦 [3/7] Installing Node.js v20..."
 SUDO_USER_NAME=${SUDO_USER:-$(who -u | awk '{print $1}' | head -1)}
 USER_HOME=$(getent passwd $SUDO_USER_NAME | cut -d: -f6)
 
@@ -58,7 +71,7 @@ ln -sf $NPM_PATH /usr/local/bin/npm
 echo "✓ Node.js v20 installed successfully."
 echo ""
 
-echo "🚚 [4/6] Deploying and building the application..."
+echo "🚚 [4/7] Deploying and building the application..."
 APP_DIR="/var/www/arista-manager"
 mkdir -p $APP_DIR
 chown -R $SUDO_USER_NAME:$SUDO_USER_NAME $APP_DIR
@@ -72,15 +85,31 @@ sudo -u $SUDO_USER_NAME bash -c "cd $APP_DIR && npm install && npm run build"
 echo "✓ Application deployed and built."
 echo ""
 
-echo "🌐 [5/6] Configuring Nginx to serve the application..."
+echo "🌐 [5/7] Configuring Nginx to serve the application..."
 NGINX_CONFIG_FILE="/etc/nginx/sites-available/arista-manager"
+API_PORT=3001
+
+if [ ! -f "$HTPASSWD_FILE" ]; then
+    printf '%s:%s\n' "$WEB_USER" "$(openssl passwd -apr1 "$WEB_PASSWORD")" > $HTPASSWD_FILE
+    chown root:www-data $HTPASSWD_FILE
+    chmod 640 $HTPASSWD_FILE
+fi
+
+# Shared token nginx adds to API requests; the API server refuses requests without it
+API_ENV_FILE="/etc/arista-manager-api.env"
+touch $API_ENV_FILE
+chmod 600 $API_ENV_FILE
+if ! grep -q '^API_TOKEN=' $API_ENV_FILE; then
+    echo "API_TOKEN=$(openssl rand -hex 32)" >> $API_ENV_FILE
+fi
+API_TOKEN=$(grep '^API_TOKEN=' $API_ENV_FILE | cut -d= -f2-)
 
 NGINX_SERVER_NAME=$DOMAIN_NAME
 if [[ "$DOMAIN_NAME" == "$SERVER_IP" ]]; then
     NGINX_SERVER_NAME="_";
 fi
 
-tee $NGINX_CONFIG_FILE > /dev/null &lt;&lt;EOF
+tee $NGINX_CONFIG_FILE > /dev/null <<EOF
 server {
     listen 80 default_server;
     listen [::]:80 default_server;
@@ -90,11 +119,24 @@ server {
     root $APP_DIR/dist;
     index index.html;
 
+    auth_basic "Arista EOS Manager";
+    auth_basic_user_file $HTPASSWD_FILE;
+
     location / {
         try_files \$uri \$uri/ /index.html;
     }
+
+    location /api/ {
+        proxy_pass http://127.0.0.1:$API_PORT;
+        proxy_set_header Host \$host;
+        proxy_set_header X-Forwarded-For \$proxy_add_x_forwarded_for;
+        proxy_set_header X-Api-Token $API_TOKEN;
+        proxy_set_header X-Remote-User \$remote_user;
+        proxy_read_timeout 120s;
+    }
 }
 EOF
+chmod 600 $NGINX_CONFIG_FILE
 
 ln -sf $NGINX_CONFIG_FILE /etc/nginx/sites-enabled/
 if [ -f /etc/nginx/sites-enabled/default ]; then
@@ -103,7 +145,38 @@ fi
 echo "✓ Nginx configured."
 echo ""
 
-echo "🚀 [6/6] Finalizing setup..."
+echo "🔌 [6/7] Installing the API server service..."
+API_SERVICE_FILE="/etc/systemd/system/arista-manager-api.service"
+
+tee $API_SERVICE_FILE > /dev/null <<EOF
+[Unit]
+Description=Arista EOS Manager API server
+After=network.target
+
+[Service]
+Type=simple
+User=$SUDO_USER_NAME
+WorkingDirectory=$APP_DIR
+Environment=HOST=127.0.0.1
+Environment=PORT=$API_PORT
+Environment=DATA_DIR=/var/lib/arista-manager
+EnvironmentFile=$API_ENV_FILE
+StateDirectory=arista-manager
+StateDirectoryMode=0700
+ExecStart=/usr/local/bin/node $APP_DIR/server/index.js
+Restart=on-failure
+
+[Install]
+WantedBy=multi-user.target
+EOF
+
+systemctl daemon-reload
+systemctl enable arista-manager-api > /dev/null
+systemctl restart arista-manager-api
+echo "✓ API server service is enabled and running on port $API_PORT."
+echo ""
+
+echo "🚀 [7/7] Finalizing setup..."
 nginx -t
 systemctl enable nginx > /dev/null
 systemctl restart nginx
@@ -113,7 +186,7 @@ echo ""
 echo "🎉 Deployment Complete! 🎉"
 echo ""
 echo "The Arista EOS Manager is now accessible at: http://$DOMAIN_NAME"
-echo "The Nginx service is configured to start automatically on system boot."
+echo "The Nginx and API server services are configured to start automatically on system boot."
 echo ""
 echo "Security Recommendation:"
 echo "If you used a domain name, secure your site with an SSL certificate using Certbot:"
@@ -20,6 +20,19 @@ if [ -z "$DOMAIN_NAME" ]; then
     echo "✓ Using server IP address for access."
 fi
 
+HTPASSWD_FILE="/etc/nginx/arista-manager.htpasswd"
+if [ -f "$HTPASSWD_FILE" ]; then
+    echo "✓ Keeping the existing web login in $HTPASSWD_FILE."
+else
+    read -p "Choose a username for the web login: " WEB_USER
+    read -s -p "Choose a password for '$WEB_USER': " WEB_PASSWORD
+    echo ""
+    if [ -z "$WEB_USER" ] || [ -z "$WEB_PASSWORD" ]; then
+        echo "❌ A web login username and password are required."
+        exit 1
+    fi
+fi
+
 echo ""
 echo "✅ Starting installation for '$DOMAIN_NAME'..."
 echo ""
@@ -27,7 +40,7 @@ echo ""
 # Step 1: System updates and dependencies
 echo "⚙️ [1/5] Installing system dependencies..."
 apt update
-apt install -y nginx curl
+apt install -y nginx curl openssl
 
 # Install Node.js 20.x from NodeSource repository
 echo "Installing Node.js 20.x..."
@@ -71,6 +84,22 @@ echo ""
 # Step 4: Configure Nginx
 echo "🌐 [4/5] Configuring Nginx..."
 NGINX_CONFIG_FILE="/etc/nginx/sites-available/arista-manager"
+API_PORT=3001
+
+if [ ! -f "$HTPASSWD_FILE" ]; then
+    printf '%s:%s\n' "$WEB_USER" "$(openssl passwd -apr1 "$WEB_PASSWORD")" > $HTPASSWD_FILE
+    chown root:www-data $HTPASSWD_FILE
+    chmod 640 $HTPASSWD_FILE
+fi
+
+# Shared token nginx adds to API requests; the API server refuses requests without it
+API_ENV_FILE="/etc/arista-manager-api.env"
+touch $API_ENV_FILE
+chmod 600 $API_ENV_FILE
+if ! grep -q '^API_TOKEN=' $API_ENV_FILE; then
+    echo "API_TOKEN=$(openssl rand -hex 32)" >> $API_ENV_FILE
+fi
+API_TOKEN=$(grep '^API_TOKEN=' $API_ENV_FILE | cut -d= -f2-)
 
 NGINX_SERVER_NAME=$DOMAIN_NAME
 if [[ "$DOMAIN_NAME" =~ ^[0-9]+\.[0-9]+\.[0-9]+\.[0-9]+$ ]]; then
@@ -89,11 +118,24 @@ server {
     root $APP_DIR/dist;
     index index.html;
 
+    auth_basic "Arista EOS Manager";
+    auth_basic_user_file $HTPASSWD_FILE;
+
     location / {
         try_files \$uri \$uri/ /index.html;
     }
+
+    location /api/ {
+        proxy_pass http://127.0.0.1:$API_PORT;
+        proxy_set_header Host \$host;
+        proxy_set_header X-Forwarded-For \$proxy_add_x_forwarded_for;
+        proxy_set_header X-Api-Token $API_TOKEN;
+        proxy_set_header X-Remote-User \$remote_user;
+        proxy_read_timeout 120s;
+    }
 }
 EOF
+chmod 600 $NGINX_CONFIG_FILE
 
 # Enable site configuration
 ln -sf $NGINX_CONFIG_FILE /etc/nginx/sites-enabled/
@@ -109,6 +151,31 @@ echo ""
 
 # Step 5: Start services
 echo "🚀 [5/5] Starting services..."
+cat > /etc/systemd/system/arista-manager-api.service << EOF
+[Unit]
+Description=Arista EOS Manager API server
+After=network.target
+
+[Service]
+Type=simple
+User=$SUDO_USER_NAME
+WorkingDirectory=$APP_DIR
+Environment=HOST=127.0.0.1
+Environment=PORT=$API_PORT
+Environment=DATA_DIR=/var/lib/arista-manager
+EnvironmentFile=$API_ENV_FILE
+StateDirectory=arista-manager
+StateDirectoryMode=0700
+ExecStart=$(command -v node) $APP_DIR/server/index.js
+Restart=on-failure
+
+[Install]
+WantedBy=multi-user.target
+EOF
+
+systemctl daemon-reload
+systemctl enable arista-manager-api
+systemctl restart arista-manager-api
 systemctl enable nginx
 systemctl restart nginx
 echo "✓ Services started."
@@ -0,0 +1,365 @@
+/**
+ * Alert Monitor
+ * Polls every inventory switch in the background and evaluates the alert rules against it,
+ * so alerts are raised whether or not a browser has the dashboard open
+ *
+ * Interfaces and BGP peers raise an alert when they leave the up state between two polls, so
+ * ports that were never connected stay quiet. An alert raised earlier stays open until they
+ * come back up. While a switch is unreachable only the reachability rule is evaluated and other
+ * open alerts are left as they are. Nothing is polled while the vault is locked, since the
+ * switches' credentials cannot be read.
+ */
+
+import { createEapiClient, EapiAuthError } from './eapiClient.js';
+import { listEntries } from './inventory.js';
+import { getProfileSecret, isVaultUnlocked } from './credentialVault.js';
+import { getAlertRules, listOpenAlerts, recordAlertChanges } from './alerts.js';
+import { notifyAlertChanges } from './notifications.js';
+
+// Seconds between two polls of the same switch
+const POLL_INTERVAL_MS = (parseInt(process.env.ALERT_POLL_SECONDS) || 60) * 1000;
+
+// Switches polled at the same time
+const CONCURRENCY = 5;
+
+// Consecutive failed polls before a switch counts as unreachable
+const FAILURES_BEFORE_UNREACHABLE = 2;
+
+// Commands of every poll; their outputs are read by position
+const POLL_COMMANDS = [
+  'show interfaces status',
+  'show system environment temperature',
+  'show processes top once'
+];
+
+/**
+ * What the monitor remembers about each switch between polls, keyed by inventory entry ID
+ * `{ clientKey, client, failures, links, bgpPeers, cpuStreak }`
+ */
+const switchStates = new Map();
+
+/**
+ * Build a firing condition
+ * @param {string} ruleId - ID of the rule that fired
+ * @param {string} subject - What the condition is about, such as an interface name
+ * @param {string} message - Description of the condition
+ * @returns {Object} - Condition `{ key, ruleId, subject, message }`
+ */
+const condition = (ruleId, subject, message) => ({ key: `${ruleId}:${subject}`, ruleId, subject, message });
+
+/**
+ * End the EOS session of a switch's client and forget the client
+ * Logging out happens in the background; a switch that cannot be reached drops the session itself.
+ * @param {Object} state - Remembered state of the switch
+ */
+const closeClient = (state) => {
+  if (state.client) {
+    state.client.logout().catch(() => null);
+  }
+  state.client = null;
+  state.clientKey = null;
+};
+
+/**
+ * Get the eAPI client of a switch, creating one when its address or credentials changed
+ * @param {Object} entry - Inventory entry
+ * @param {Object} state - Remembered state of the switch
+ * @returns {Promise<Object>} - Promise resolving to the client
+ */
+const getClient = async (entry, state) => {
+  const clientKey = `${entry.protocol}://${entry.ipAddress}|${entry.credentialRef}`;
+
+  if (state.client && state.clientKey === clientKey) {
+    return state.client;
+  }
+
+  closeClient(state);
+
+  const credential = await getProfileSecret(entry.credentialRef);
+  if (!credential) {
+    throw new Error(`No credential profile found with ID: ${entry.credentialRef}`);
+  }
+
+  state.client = createEapiClient({ ipAddress: entry.ipAddress, protocol: entry.protocol, ...credential });
+  state.clientKey = clientKey;
+  return state.client;
+};
+
+/**
+ * Run commands and fail on an eAPI error
+ * @param {Object} client - eAPI client
+ * @param {Array} commands - Show commands
+ * @returns {Promise<Array>} - Promise resolving to the command outputs
+ */
+const runCommands = async (client, commands) => {
+  const response = await client.runCmds(commands);
+
+  if (response.error) {
+    throw new Error(`API Error: ${response.error.message}`);
+  }
+
+  return response.result;
+};
+
+/**
+ * Read the metrics the rules look at from the poll outputs
+ * @param {Array} outputs - Outputs of POLL_COMMANDS
+ * @returns {Object} - `{ interfaces, cpuUsage, temperatureSensors }`
+ */
+const parsePoll = ([interfaces, temperature, processes]) => {
+  const cpuUsage = (processes?.processes || []).reduce((total, process) => total + (process.cpuPct || 0), 0);
+
+  // EOS lists sensors in `tempSensors`, older releases in a `sensors` map
+  const temperatureSensors = [
+    ...(temperature?.tempSensors || []).map(sensor => ({
+      name: sensor.name,
+      temperature: sensor.currentTemperature,
+      threshold: sensor.overheatThreshold || null
+    })),
+    ...Object.entries(temperature?.sensors || {}).map(([name, sensor]) => ({
+      name,
+      temperature: sensor.temperature,
+      threshold: sensor.overheatThreshold || null
+    }))
+  ].filter(sensor => sensor.temperature && !isNaN(sensor.temperature));
+
+  return {
+    interfaces: interfaces?.interfaceStatuses || {},
+    cpuUsage: Math.min(Math.round(cpuUsage), 100),
+    temperatureSensors
+  };
+};
+
+/**
+ * Read the state of every BGP peer
+ * @param {Object} client - eAPI client
+ * @returns {Promise<Array>} - Promise resolving to `{ subject, ip, vrf, description, state }` per peer
+ */
+const fetchBgpPeers = async (client) => {
+  let summary;
+
+  try {
+    [summary] = await runCommands(client, ['show ip bgp summary vrf all']);
+  } catch (error) {
+    // A switch without BGP has no peers to watch
+    if (/not enabled|BGP inactive/.test(error.message)) {
+      return [];
+    }
+    throw error;
+  }
+
+  return Object.entries(summary?.vrfs || {}).flatMap(([vrf, { peers }]) => {
+    return Object.entries(peers || {}).map(([ip, peer]) => ({
+      subject: `${ip} (${vrf})`,
+      ip,
+      vrf,
+      description: peer.description || '',
+      state: peer.peerState || 'Unknown'
+    }));
+  });
+};
+
+/**
+ * Find interfaces that went down
+ * @param {Object} interfaces - Link status per interface
+ * @param {Object} previousLinks - Link status per interface at the last poll
+ * @param {Set} openKeys - Keys of the switch's open alerts
+ * @returns {Array} - Firing conditions
+ */
+const evaluateInterfaces = (interfaces, previousLinks, openKeys) => {
+  return Object.entries(interfaces)
+    .filter(([name, status]) => {
+      // Administratively disabled ports are down on purpose
+      const isDown = status.linkStatus !== 'connected' && status.linkStatus !== 'disabled';
+      const wasUp = previousLinks?.[name] === 'connected';
+      return isDown && (wasUp || openKeys.has(`interface-down:${name}`));
+    })
+    .map(([name, status]) => condition('interface-down', name, `${name} is ${status.linkStatus || 'down'}`));
+};
+
+/**
+ * Find BGP peers that left the Established state
+ * @param {Array} peers - Peers returned by fetchBgpPeers
+ * @param {Object} previousPeers - State per peer at the last poll
+ * @param {Set} openKeys - Keys of the switch's open alerts
+ * @returns {Array} - Firing conditions
+ */
+const evaluateBgpPeers = (peers, previousPeers, openKeys) => {
+  return peers
+    .filter(peer => {
+      const wasEstablished = previousPeers?.[peer.subject] === 'Established';
+      return peer.state !== 'Established' && (wasEstablished || openKeys.has(`bgp-peer-down:${peer.subject}`));
+    })
+    .map(peer => condition(
+      'bgp-peer-down',
+      peer.subject,
+      `BGP peer ${peer.ip}${peer.description ? ` (${peer.description})` : ''} in VRF ${peer.vrf} is ${peer.state}`
+    ));
+};
+
+/**
+ * Find temperature sensors above their overheat threshold, or the rule's threshold for
+ * sensors that report none
+ * @param {Array} sensors - Temperature sensors
+ * @param {Object} rule - Temperature rule with a fallback `threshold`
+ * @returns {Array} - Firing conditions
+ */
+const evaluateTemperature = (sensors, rule) => {
+  return sensors
+    .filter(sensor => sensor.temperature >= (sensor.threshold || rule.threshold))
+    .map(sensor => condition(
+      'temperature-high',
+      sensor.name,
+      `${sensor.name} at ${sensor.temperature}°C (threshold ${sensor.threshold || rule.threshold}°C)`
+    ));
+};
+
+/**
+ * Poll one switch, evaluate every enabled rule, record what changed and notify the channels
+ * @param {Object} entry - Inventory entry
+ * @param {Array} rules - Alert rules
+ */
+const checkSwitch = async (entry, rules) => {
+  const getEnabledRule = (ruleId) => rules.find(rule => rule.id === ruleId && rule.enabled);
+  const state = switchStates.get(entry.id) || { failures: 0, cpuStreak: 0 };
+  switchStates.set(entry.id, state);
+
+  const openAlerts = await listOpenAlerts([entry.id]);
+  const openKeys = new Set(openAlerts.map(alert => alert.key));
+
+  // Rules whose open alerts may be resolved by this poll
+  const evaluated = new Set(['switch-unreachable']);
+  const firing = [];
+
+  try {
+    const client = await getClient(entry, state);
+    const metrics = parsePoll(await runCommands(client, POLL_COMMANDS));
+    state.failures = 0;
+
+    ['interface-down', 'cpu-high', 'temperature-high'].forEach(ruleId => evaluated.add(ruleId));
+
+    if (getEnabledRule('interface-down')) {
+      firing.push(...evaluateInterfaces(metrics.interfaces, state.links, openKeys));
+    }
+    state.links = Object.fromEntries(
+      Object.entries(metrics.interfaces).map(([name, status]) => [name, status.linkStatus])
+    );
+
+    const cpuRule = getEnabledRule('cpu-high');
+    state.cpuStreak = cpuRule && metrics.cpuUsage > cpuRule.threshold ? state.cpuStreak + 1 : 0;
+    if (cpuRule && state.cpuStreak >= cpuRule.samples) {
+      firing.push(condition(
+        'cpu-high',
+        'CPU',
+        `CPU usage at ${metrics.cpuUsage}% for ${state.cpuStreak} polls (threshold ${cpuRule.threshold}%)`
+      ));
+    }
+
+    const temperatureRule = getEnabledRule('temperature-high');
+    if (temperatureRule) {
+      firing.push(...evaluateTemperature(metrics.temperatureSensors, temperatureRule));
+    }
+
+    if (getEnabledRule('bgp-peer-down')) {
+      try {
+        const peers = await fetchBgpPeers(client);
+        firing.push(...evaluateBgpPeers(peers, state.bgpPeers, openKeys));
+        state.bgpPeers = Object.fromEntries(peers.map(peer => [peer.subject, peer.state]));
+        evaluated.add('bgp-peer-down');
+      } catch (error) {
+        // Without BGP data the peers' open alerts stay as they are
+        console.error(`Error reading BGP peers of ${entry.ipAddress} for alerts:`, error.message);
+      }
+    } else {
+      evaluated.add('bgp-peer-down');
+    }
+  } catch (error) {
+    // Credentials may have changed, so the next poll starts with a fresh client
+    closeClient(state);
+    state.cpuStreak = 0;
+    state.failures += 1;
+
+    if (state.failures < FAILURES_BEFORE_UNREACHABLE) {
+      return;
+    }
+
+    if (getEnabledRule('switch-unreachable')) {
+      const reason = error instanceof EapiAuthError ? 'rejecting the credentials' : `unreachable: ${error.message}`;
+      firing.push(condition('switch-unreachable', 'Switch', `Switch is ${reason}`));
+    }
+  }
+
+  const firingKeys = new Set(firing.map(({ key }) => key));
+  const raise = firing.filter(({ key }) => !openKeys.has(key));
+  const resolve = openAlerts
+    .filter(alert => evaluated.has(alert.ruleId) && !firingKeys.has(alert.key))
+    .map(alert => alert.key);
+
+  if (raise.length === 0 && resolve.length === 0) return;
+
+  const changes = await recordAlertChanges(entry.id, { switchName: entry.name || entry.ipAddress, raise, resolve });
+
+  // Notifications go out in the background so a slow channel never delays the next switch
+  notifyAlertChanges(changes);
+};
+
+/**
+ * Check every inventory switch, a few at a time
+ * @returns {Promise} - Promise that resolves once every switch was checked
+ */
+const checkAllSwitches = async () => {
+  if (!isVaultUnlocked()) {
+    // Clients hold credentials, so they are dropped together with the vault key
+    switchStates.forEach(closeClient);
+    switchStates.clear();
+    return;
+  }
+
+  const [entries, rules] = await Promise.all([listEntries(), getAlertRules()]);
+
+  // Forget switches removed from the inventory
+  const entryIds = new Set(entries.map(entry => entry.id));
+  [...switchStates.entries()].filter(([id]) => !entryIds.has(id)).forEach(([id, state]) => {
+    closeClient(state);
+    switchStates.delete(id);
+  });
+
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(CONCURRENCY, entries.length) }, async () => {
+    while (next < entries.length) {
+      const entry = entries[next++];
+
+      try {
+        await checkSwitch(entry, rules);
+      } catch (error) {
+        console.error(`Error checking alerts of ${entry.ipAddress}:`, error);
+      }
+    }
+  });
+
+  await Promise.all(lanes);
+};
+
+/**
+ * Start polling switches for alerts in the background
+ * @returns {Function} - Function that stops the monitor
+ */
+export const startAlertMonitor = () => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    // A slow switch must not cause overlapping runs
+    if (running) return;
+
+    running = true;
+    try {
+      await checkAllSwitches();
+    } catch (error) {
+      console.error('Error checking alerts:', error);
+    } finally {
+      running = false;
+    }
+  }, POLL_INTERVAL_MS);
+
+  return () => clearInterval(timer);
+};
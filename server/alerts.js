@@ -0,0 +1,193 @@
+/**
+ * Alerts
+ * Stores alert rules and the alert history of each inventory switch
+ *
+ * The alert monitor evaluates the rules every time it polls a switch and records which
+ * conditions started or stopped firing. An alert is active while its condition holds, can be
+ * acknowledged by an operator, and is resolved once the condition clears.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { DATA_DIR, readJsonFile, updateJsonFile } from './dataStore.js';
+import { HttpError } from './http.js';
+import { isValidEntryId } from './inventory.js';
+
+// Resolved alerts kept per switch; open alerts are always kept
+const HISTORY_LIMIT = parseInt(process.env.ALERT_HISTORY_LIMIT || '200');
+
+const RULES_FILE = 'alert-rules.json';
+
+export const SEVERITIES = ['info', 'warning', 'critical'];
+
+/**
+ * Rules evaluated for every switch, one per kind of condition
+ * `threshold` and `samples` only apply to the rules that define them.
+ */
+export const DEFAULT_RULES = [
+  { id: 'switch-unreachable', name: 'Switch unreachable', enabled: true, severity: 'critical' },
+  { id: 'interface-down', name: 'Interface went down', enabled: true, severity: 'warning' },
+  { id: 'bgp-peer-down', name: 'BGP peer left Established', enabled: true, severity: 'critical' },
+  { id: 'cpu-high', name: 'High CPU usage', enabled: true, severity: 'warning', threshold: 85, samples: 3 },
+  { id: 'temperature-high', name: 'Temperature above threshold', enabled: true, severity: 'critical', threshold: 70 }
+];
+
+/**
+ * Get the data file holding the alerts of a switch
+ * The ID becomes part of a path, so anything but an inventory ID is refused.
+ * @param {string} entryId - ID of the inventory entry
+ * @returns {string} - File name relative to the data directory
+ */
+const getAlertsFile = (entryId) => {
+  if (!isValidEntryId(entryId)) {
+    throw new HttpError(400, `Invalid inventory entry ID: ${entryId}`);
+  }
+  return `alerts/${entryId}.json`;
+};
+
+/**
+ * Check whether an alert still needs attention
+ * @param {Object} alert - Stored alert
+ * @returns {boolean} - True if the alert is active or acknowledged
+ */
+const isOpen = (alert) => alert.state !== 'resolved';
+
+/**
+ * Get the alert rules, with defaults for settings never changed
+ * @returns {Promise<Array>} - Promise resolving to the rules in their default order
+ */
+export const getAlertRules = async () => {
+  const { rules } = await readJsonFile(RULES_FILE, { rules: [] });
+  return DEFAULT_RULES.map(rule => ({ ...rule, ...rules.find(stored => stored.id === rule.id) }));
+};
+
+/**
+ * Store changed settings of alert rules
+ * @param {Array} changes - `{ id, enabled, severity, threshold, samples }` per rule, already validated
+ * @returns {Promise<Array>} - Promise resolving to all rules after the change
+ */
+export const setAlertRules = (changes) => {
+  return updateJsonFile(RULES_FILE, { rules: [] }, (stored) => {
+    stored.rules = DEFAULT_RULES.map(rule => ({
+      ...rule,
+      ...stored.rules.find(current => current.id === rule.id),
+      ...changes.find(change => change.id === rule.id)
+    }));
+    return stored.rules;
+  });
+};
+
+/**
+ * Get the alert history of a switch, newest first
+ * @param {string} entryId - ID of the inventory entry
+ * @returns {Promise<Array>} - Promise resolving to the alerts
+ */
+export const listAlerts = async (entryId) => {
+  const { alerts } = await readJsonFile(getAlertsFile(entryId), { alerts: [] });
+  return [...alerts].reverse();
+};
+
+/**
+ * Get the active and acknowledged alerts of several switches, newest first
+ * @param {Array} entryIds - IDs of the inventory entries
+ * @returns {Promise<Array>} - Promise resolving to the open alerts
+ */
+export const listOpenAlerts = async (entryIds) => {
+  const histories = await Promise.all(entryIds.map(listAlerts));
+  return histories
+    .flat()
+    .filter(isOpen)
+    .sort((a, b) => b.raisedAt.localeCompare(a.raisedAt));
+};
+
+/**
+ * Record conditions of a switch that started or stopped firing
+ * A condition that already has an open alert is not raised again, and resolving a key
+ * without an open alert does nothing.
+ * @param {string} entryId - ID of the inventory entry
+ * @param {Object} update - Changes to record
+ * @param {string} update.switchName - Name of the switch at the time of the poll
+ * @param {Array} update.raise - `{ key, ruleId, subject, message }` of each firing condition
+ * @param {Array} update.resolve - Keys of conditions that cleared
+ * @returns {Promise<Object>} - Promise resolving to `{ raised, resolved }` alerts that changed
+ */
+export const recordAlertChanges = async (entryId, { switchName, raise, resolve }) => {
+  const rules = await getAlertRules();
+
+  return updateJsonFile(getAlertsFile(entryId), { alerts: [] }, (history) => {
+    const now = new Date().toISOString();
+    const raised = [];
+    const resolved = [];
+
+    resolve.forEach(key => {
+      history.alerts
+        .filter(alert => alert.key === key && isOpen(alert))
+        .forEach(alert => {
+          alert.state = 'resolved';
+          alert.resolvedAt = now;
+          resolved.push(alert);
+        });
+    });
+
+    raise.forEach(({ key, ruleId, subject, message }) => {
+      if (history.alerts.some(alert => alert.key === key && isOpen(alert))) return;
+
+      const alert = {
+        id: randomUUID(),
+        key,
+        ruleId,
+        switchId: entryId,
+        switchName,
+        subject,
+        message,
+        severity: rules.find(rule => rule.id === ruleId)?.severity || 'warning',
+        state: 'active',
+        raisedAt: now,
+        acknowledgedAt: null,
+        acknowledgedBy: null,
+        resolvedAt: null
+      };
+
+      history.alerts.push(alert);
+      raised.push(alert);
+    });
+
+    // Trim the oldest resolved alerts beyond the history limit
+    const resolvedAlerts = history.alerts.filter(alert => !isOpen(alert));
+    const dropped = new Set(resolvedAlerts.slice(0, Math.max(0, resolvedAlerts.length - HISTORY_LIMIT)));
+    history.alerts = history.alerts.filter(alert => !dropped.has(alert));
+
+    return { raised, resolved };
+  });
+};
+
+/**
+ * Mark an active alert as seen by an operator
+ * @param {string} entryId - ID of the inventory entry
+ * @param {string} alertId - ID of the alert
+ * @param {string} acknowledgedBy - User acknowledging the alert
+ * @returns {Promise<Object|null>} - Promise resolving to the alert, or null if not found
+ */
+export const acknowledgeAlert = (entryId, alertId, acknowledgedBy) => {
+  return updateJsonFile(getAlertsFile(entryId), { alerts: [] }, (history) => {
+    const alert = history.alerts.find(candidate => candidate.id === alertId);
+
+    if (alert?.state === 'active') {
+      alert.state = 'acknowledged';
+      alert.acknowledgedAt = new Date().toISOString();
+      alert.acknowledgedBy = acknowledgedBy;
+    }
+
+    return alert || null;
+  });
+};
+
+/**
+ * Delete the alert history of a switch
+ * @param {string} entryId - ID of the inventory entry
+ * @returns {Promise} - Promise that resolves once the file is gone
+ */
+export const removeAlerts = async (entryId) => {
+  await fs.rm(path.join(DATA_DIR, getAlertsFile(entryId)), { force: true });
+};
@@ -0,0 +1,224 @@
+/**
+ * Running-config Backups
+ * Captures `show running-config` from inventory switches and keeps a versioned history per switch
+ */
+
+import { randomUUID } from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { DATA_DIR, readJsonFile, updateJsonFile } from './dataStore.js';
+import { createEapiClient } from './eapiClient.js';
+import { getEntry, listEntries, isValidEntryId } from './inventory.js';
+import { getProfileSecret, isVaultUnlocked } from './credentialVault.js';
+
+// Number of versions kept per switch; the oldest are dropped first
+const RETENTION = parseInt(process.env.BACKUP_RETENTION || '100');
+
+// How often the scheduler looks for switches that are due a backup
+const SCHEDULER_TICK_MS = 60 * 1000;
+
+/**
+ * Get the data file holding the backups of a switch
+ * The ID becomes part of a path, so anything but an inventory ID is refused.
+ * @param {string} entryId - ID of the inventory entry
+ * @returns {string} - File name relative to the data directory
+ */
+const getBackupFile = (entryId) => {
+  if (!isValidEntryId(entryId)) {
+    throw new Error(`Invalid inventory entry ID: ${entryId}`);
+  }
+  return `backups/${entryId}.json`;
+};
+
+// History of a switch that has never been backed up
+const emptyHistory = () => ({ schedule: { intervalMinutes: 0 }, versions: [] });
+
+/**
+ * Drop lines EOS rewrites on every `show running-config`, so unchanged configs compare equal
+ * @param {string} config - Running-config text
+ * @returns {string} - Config without the volatile header lines
+ */
+const stripVolatileLines = (config) => {
+  return config
+    .split('\n')
+    .filter(line => !/^! (Time|Startup-config last modified at):/.test(line))
+    .join('\n');
+};
+
+/**
+ * Describe a stored version without its config text
+ * @param {Object} version - Stored version
+ * @returns {Object} - Version metadata
+ */
+const toSummary = ({ config, ...summary }) => summary;
+
+/**
+ * List the backups of a switch, newest first
+ * @param {string} entryId - ID of the inventory entry
+ * @returns {Promise<Object>} - Promise resolving to `{ schedule, versions }` without config text
+ */
+export const listBackups = async (entryId) => {
+  const history = await readJsonFile(getBackupFile(entryId), emptyHistory());
+  return {
+    schedule: history.schedule,
+    versions: [...history.versions].reverse().map(toSummary)
+  };
+};
+
+/**
+ * Get one stored version including its config text
+ * @param {string} entryId - ID of the inventory entry
+ * @param {string} versionId - ID of the version
+ * @returns {Promise<Object|null>} - Promise resolving to the version or null if not found
+ */
+export const getBackup = async (entryId, versionId) => {
+  const history = await readJsonFile(getBackupFile(entryId), emptyHistory());
+  return history.versions.find(version => version.id === versionId) || null;
+};
+
+/**
+ * Read the running-config of an inventory switch over a short-lived eAPI connection
+ * @param {Object} entry - Inventory entry
+ * @returns {Promise<string>} - Promise resolving to the running-config text
+ */
+const fetchRunningConfig = async (entry) => {
+  const credential = await getProfileSecret(entry.credentialRef);
+
+  if (!credential) {
+    throw new Error(`No credential profile found with ID: ${entry.credentialRef}`);
+  }
+
+  const client = createEapiClient({ ipAddress: entry.ipAddress, protocol: entry.protocol, ...credential });
+
+  try {
+    const response = await client.runCmds(['show running-config'], { format: 'text' });
+
+    if (response.error) {
+      throw new Error(`API Error: ${response.error.message}`);
+    }
+
+    return response.result[0].output;
+  } finally {
+    await client.logout().catch(() => {});
+  }
+};
+
+/**
+ * Snapshot the running-config of a switch and store it as a new version
+ * @param {string} entryId - ID of the inventory entry
+ * @param {Object} details - Backup details
+ * @param {string} details.takenBy - User who triggered the backup
+ * @param {string} [details.trigger='manual'] - What triggered the backup (manual or scheduled)
+ * @returns {Promise<Object|null>} - Promise resolving to the stored version's metadata, or null if a
+ *   scheduled backup found the config unchanged
+ */
+export const takeBackup = async (entryId, { takenBy, trigger = 'manual' }) => {
+  const entry = await getEntry(entryId);
+
+  if (!entry) {
+    throw new Error(`No inventory entry found with ID: ${entryId}`);
+  }
+
+  const config = await fetchRunningConfig(entry);
+
+  return updateJsonFile(getBackupFile(entryId), emptyHistory(), (history) => {
+    const now = new Date().toISOString();
+    history.schedule = { ...history.schedule, lastRunAt: now, lastError: null };
+
+    const latest = history.versions[history.versions.length - 1];
+
+    // Scheduled runs only record a version when something changed
+    if (trigger === 'scheduled' && latest && stripVolatileLines(latest.config) === stripVolatileLines(config)) {
+      return null;
+    }
+
+    const version = {
+      id: randomUUID(),
+      takenAt: now,
+      takenBy,
+      trigger,
+      lineCount: config.split('\n').length,
+      config
+    };
+
+    history.versions = [...history.versions, version].slice(-RETENTION);
+    return toSummary(version);
+  });
+};
+
+/**
+ * Set how often a switch is backed up automatically
+ * @param {string} entryId - ID of the inventory entry
+ * @param {number} intervalMinutes - Minutes between scheduled backups, 0 to disable
+ * @returns {Promise<Object>} - Promise resolving to the updated schedule
+ */
+export const setBackupSchedule = (entryId, intervalMinutes) => {
+  return updateJsonFile(getBackupFile(entryId), emptyHistory(), (history) => {
+    history.schedule = { ...history.schedule, intervalMinutes };
+    return history.schedule;
+  });
+};
+
+/**
+ * Delete the whole backup history of a switch
+ * @param {string} entryId - ID of the inventory entry
+ * @returns {Promise} - Promise that resolves once removed
+ */
+export const removeBackups = async (entryId) => {
+  await fs.rm(path.join(DATA_DIR, getBackupFile(entryId)), { force: true });
+};
+
+/**
+ * Back up every switch whose schedule is due
+ * Switches are skipped while the vault is locked, since their credentials cannot be read.
+ * @returns {Promise} - Promise that resolves once every due backup settled
+ */
+const runScheduledBackups = async () => {
+  if (!isVaultUnlocked()) {
+    return;
+  }
+
+  for (const entry of await listEntries()) {
+    const { schedule } = await listBackups(entry.id);
+
+    if (!schedule.intervalMinutes) continue;
+
+    const lastRun = schedule.lastRunAt ? Date.parse(schedule.lastRunAt) : 0;
+    if (Date.now() - lastRun < schedule.intervalMinutes * 60 * 1000) continue;
+
+    try {
+      await takeBackup(entry.id, { takenBy: 'scheduler', trigger: 'scheduled' });
+    } catch (error) {
+      console.error(`Scheduled backup of ${entry.ipAddress} failed:`, error.message);
+
+      // Wait a full interval before retrying an unreachable switch
+      await updateJsonFile(getBackupFile(entry.id), emptyHistory(), (history) => {
+        history.schedule = { ...history.schedule, lastRunAt: new Date().toISOString(), lastError: error.message };
+      });
+    }
+  }
+};
+
+/**
+ * Start checking for due scheduled backups in the background
+ * @returns {Function} - Function that stops the scheduler
+ */
+export const startBackupScheduler = () => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    // A slow switch must not cause overlapping runs
+    if (running) return;
+
+    running = true;
+    try {
+      await runScheduledBackups();
+    } catch (error) {
+      console.error('Error running scheduled backups:', error);
+    } finally {
+      running = false;
+    }
+  }, SCHEDULER_TICK_MS);
+
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,277 @@
+/**
+ * Credential Vault
+ * Stores named credential profiles encrypted at rest with a key derived from a master passphrase
+ *
+ * Profile secrets are encrypted with AES-256-GCM. The key is derived with scrypt and only
+ * held in memory while the vault is unlocked; it is never written to disk.
+ */
+
+import crypto from 'node:crypto';
+import { promisify } from 'node:util';
+import { readJsonFile, updateJsonFile } from './dataStore.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const VAULT_FILE = 'vault.json';
+const FILE_OPTIONS = { mode: 0o600 };
+const KDF_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+
+// Known plaintext encrypted when the vault is created, used to verify the passphrase on unlock
+const CHECK_VALUE = 'arista-eos-manager-vault';
+
+// Derived key, present only while the vault is unlocked
+let vaultKey = null;
+
+/**
+ * Derive the vault key from a passphrase
+ * @param {string} passphrase - Master passphrase
+ * @param {Object} kdf - Stored KDF parameters (salt, N, r, p)
+ * @returns {Promise<Buffer>} - Promise resolving to the derived key
+ */
+const deriveKey = (passphrase, { salt, N, r, p }) => {
+  return scrypt(passphrase, Buffer.from(salt, 'base64'), KEY_LENGTH, { N, r, p });
+};
+
+/**
+ * Encrypt a value with the vault key
+ * @param {Buffer} key - Vault key
+ * @param {*} value - JSON-serializable value
+ * @returns {Object} - Encrypted payload `{ iv, tag, ciphertext }`
+ */
+const encrypt = (key, value) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  };
+};
+
+/**
+ * Decrypt a payload produced by encrypt
+ * @param {Buffer} key - Vault key
+ * @param {Object} payload - Encrypted payload `{ iv, tag, ciphertext }`
+ * @returns {*} - Decrypted value
+ */
+const decrypt = (key, { iv, tag, ciphertext }) => {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  const plaintext = Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]);
+
+  return JSON.parse(plaintext.toString('utf8'));
+};
+
+/**
+ * Get the vault key, failing if the vault is locked
+ * @returns {Buffer} - Vault key
+ */
+const requireKey = () => {
+  if (!vaultKey) {
+    throw new Error('Credential vault is locked');
+  }
+  return vaultKey;
+};
+
+/**
+ * Convert a stored profile to its public form, without the password
+ * @param {Buffer} key - Vault key
+ * @param {Object} profile - Stored profile
+ * @returns {Object} - Profile `{ id, name, username, createdAt, updatedAt }`
+ */
+const toPublicProfile = (key, { secret, ...profile }) => ({
+  ...profile,
+  username: decrypt(key, secret).username
+});
+
+/**
+ * Check whether the vault is unlocked
+ * @returns {boolean} - True if unlocked
+ */
+export const isVaultUnlocked = () => vaultKey !== null;
+
+/**
+ * Get the vault status
+ * @returns {Promise<Object>} - Promise resolving to `{ initialized, unlocked }`
+ */
+export const getVaultStatus = async () => {
+  const vault = await readJsonFile(VAULT_FILE, {});
+  return { initialized: Boolean(vault.kdf), unlocked: isVaultUnlocked() };
+};
+
+/**
+ * Create the vault with a master passphrase and leave it unlocked
+ * @param {string} passphrase - Master passphrase
+ * @returns {Promise<Object>} - Promise resolving to the vault status
+ */
+export const createVault = async (passphrase) => {
+  if (!passphrase) {
+    throw new Error('A passphrase is required');
+  }
+
+  vaultKey = await updateJsonFile(VAULT_FILE, {}, async (vault) => {
+    if (vault.kdf) {
+      throw new Error('Credential vault already exists');
+    }
+
+    const kdf = { algorithm: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...KDF_PARAMS };
+    const key = await deriveKey(passphrase, kdf);
+
+    Object.assign(vault, { version: 1, kdf, check: encrypt(key, CHECK_VALUE), profiles: [] });
+    return key;
+  }, FILE_OPTIONS);
+
+  return getVaultStatus();
+};
+
+/**
+ * Unlock an existing vault
+ * @param {string} passphrase - Master passphrase
+ * @returns {Promise<Object>} - Promise resolving to the vault status
+ */
+export const unlockVault = async (passphrase) => {
+  if (!passphrase) {
+    throw new Error('A passphrase is required');
+  }
+
+  const vault = await readJsonFile(VAULT_FILE, {});
+  if (!vault.kdf) {
+    throw new Error('Credential vault has not been created');
+  }
+
+  const key = await deriveKey(passphrase, vault.kdf);
+
+  try {
+    if (decrypt(key, vault.check) === CHECK_VALUE) {
+      vaultKey = key;
+      return getVaultStatus();
+    }
+  } catch (error) {
+    // Authentication tag mismatch, fall through
+  }
+
+  throw new Error('Incorrect vault passphrase');
+};
+
+/**
+ * Lock the vault, discarding the key held in memory
+ */
+export const lockVault = () => {
+  vaultKey = null;
+};
+
+/**
+ * List credential profiles
+ * @returns {Promise<Array>} - Promise resolving to profiles without their passwords
+ */
+export const listProfiles = async () => {
+  const key = requireKey();
+  const vault = await readJsonFile(VAULT_FILE, {});
+  return (vault.profiles || []).map(profile => toPublicProfile(key, profile));
+};
+
+/**
+ * Get the username and password of a credential profile
+ * @param {string} profileId - ID of the profile
+ * @returns {Promise<Object|null>} - Promise resolving to `{ username, password }` or null if not found
+ */
+export const getProfileSecret = async (profileId) => {
+  const key = requireKey();
+  const vault = await readJsonFile(VAULT_FILE, {});
+  const profile = (vault.profiles || []).find(item => item.id === profileId);
+  return profile ? decrypt(key, profile.secret) : null;
+};
+
+/**
+ * Create a credential profile
+ * @param {Object} profile - Profile details
+ * @param {string} profile.name - Unique profile name (e.g. "lab-admin")
+ * @param {string} profile.username - Username for authentication
+ * @param {string} profile.password - Password for authentication
+ * @returns {Promise<Object>} - Promise resolving to the created profile without its password
+ */
+export const createProfile = ({ name, username, password }) => {
+  const key = requireKey();
+
+  return updateJsonFile(VAULT_FILE, {}, (vault) => {
+    if (vault.profiles.some(profile => profile.name === name)) {
+      throw new Error(`A credential profile named ${name} already exists`);
+    }
+
+    const now = new Date().toISOString();
+    const profile = {
+      id: crypto.randomUUID(),
+      name,
+      secret: encrypt(key, { username, password }),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    vault.profiles.push(profile);
+    return toPublicProfile(key, profile);
+  }, FILE_OPTIONS);
+};
+
+/**
+ * Update a credential profile
+ * Username and password are kept unless new values are given.
+ * @param {string} profileId - ID of the profile
+ * @param {Object} changes - Fields to change (name, username, password)
+ * @returns {Promise<Object|null>} - Promise resolving to the updated profile, or null if not found
+ */
+export const updateProfile = (profileId, { name, username, password }) => {
+  const key = requireKey();
+
+  return updateJsonFile(VAULT_FILE, {}, (vault) => {
+    const profile = vault.profiles.find(item => item.id === profileId);
+
+    if (!profile) {
+      return null;
+    }
+
+    if (name !== undefined && name !== profile.name) {
+      if (vault.profiles.some(item => item.name === name)) {
+        throw new Error(`A credential profile named ${name} already exists`);
+      }
+      profile.name = name;
+    }
+
+    if (username || password) {
+      const current = decrypt(key, profile.secret);
+      profile.secret = encrypt(key, {
+        username: username || current.username,
+        password: password || current.password
+      });
+    }
+
+    profile.updatedAt = new Date().toISOString();
+    return toPublicProfile(key, profile);
+  }, FILE_OPTIONS);
+};
+
+/**
+ * Remove a credential profile
+ * @param {string} profileId - ID of the profile
+ * @returns {Promise<boolean>} - Promise resolving to true if removed, false if not found
+ */
+export const removeProfile = (profileId) => {
+  requireKey();
+
+  return updateJsonFile(VAULT_FILE, {}, (vault) => {
+    const index = vault.profiles.findIndex(profile => profile.id === profileId);
+
+    if (index === -1) {
+      return false;
+    }
+
+    vault.profiles.splice(index, 1);
+    return true;
+  }, FILE_OPTIONS);
+};
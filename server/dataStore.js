@@ -0,0 +1,76 @@
+/**
+ * Data Store
+ * Reads and writes the JSON files the API server keeps in its data directory
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const serverDir = path.dirname(fileURLToPath(import.meta.url));
+
+export const DATA_DIR = process.env.DATA_DIR || path.join(serverDir, 'data');
+
+/**
+ * Read a JSON file from the data directory
+ * @param {string} name - File name relative to the data directory
+ * @param {*} fallback - Value returned when the file does not exist yet
+ * @returns {Promise<*>} - Promise resolving to the parsed file contents
+ */
+export const readJsonFile = async (name, fallback) => {
+  try {
+    const contents = await fs.readFile(path.join(DATA_DIR, name), 'utf8');
+    return JSON.parse(contents);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Write a JSON file to the data directory
+ *
+ * The file is written to a temporary path and renamed into place so a crash
+ * never leaves a half-written file behind.
+ *
+ * @param {string} name - File name relative to the data directory
+ * @param {*} value - Value to serialize
+ * @param {Object} [options] - Write options
+ * @param {number} [options.mode=0o644] - File permissions
+ * @returns {Promise} - Promise that resolves once the file is written
+ */
+export const writeJsonFile = async (name, value, { mode = 0o644 } = {}) => {
+  const filePath = path.join(DATA_DIR, name);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true, mode: 0o700 });
+  await fs.writeFile(tempPath, `${JSON.stringify(value, null, 2)}\n`, { mode });
+  await fs.rename(tempPath, filePath);
+};
+
+// Pending updates per file, so concurrent read-modify-write cycles never interleave
+const pendingUpdates = new Map();
+
+/**
+ * Apply a read-modify-write update to a JSON file in the data directory
+ * @param {string} name - File name relative to the data directory
+ * @param {*} fallback - Initial value when the file does not exist yet
+ * @param {Function} updater - Called with the current value; mutates it and may return a result
+ * @param {Object} [options] - Write options passed to writeJsonFile
+ * @returns {Promise<*>} - Promise resolving to the updater's return value
+ */
+export const updateJsonFile = (name, fallback, updater, options) => {
+  const previous = pendingUpdates.get(name) || Promise.resolve();
+
+  const next = previous.catch(() => {}).then(async () => {
+    const value = await readJsonFile(name, fallback);
+    const result = await updater(value);
+    await writeJsonFile(name, value, options);
+    return result;
+  });
+
+  pendingUpdates.set(name, next);
+  return next;
+};
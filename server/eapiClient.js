@@ -0,0 +1,245 @@
+/**
+ * eAPI Client
+ * Sends JSON-RPC requests from the server to the command-api endpoint of Arista switches
+ */
+
+import http from 'node:http';
+import https from 'node:https';
+
+// Switches commonly run eAPI with a self-signed certificate, so TLS verification is opt-in
+const verifyTls = process.env.EAPI_VERIFY_TLS === '1';
+
+// Milliseconds without a response before a switch is considered unreachable
+const requestTimeoutMs = parseInt(process.env.EAPI_TIMEOUT_MS) || 20000;
+
+/**
+ * Error raised when a switch rejects the configured username or password
+ */
+export class EapiAuthError extends Error {
+  constructor(message = 'Authentication failed: invalid username or password') {
+    super(message);
+    this.name = 'EapiAuthError';
+  }
+}
+
+/**
+ * Build the base URL of a switch's eAPI endpoint
+ * @param {Object} target - Switch target
+ * @param {string} target.ipAddress - IP address or hostname of the switch
+ * @param {string} [target.protocol='http'] - Protocol to use (http or https)
+ * @returns {string} - Base URL of the switch
+ */
+export const getSwitchBaseUrl = ({ ipAddress, protocol = 'http' }) => {
+  return `${protocol}://${ipAddress}`;
+};
+
+/**
+ * Send an HTTP request to a switch
+ * @param {string} url - Full request URL
+ * @param {Object} options - Request options
+ * @param {string} [options.method='POST'] - HTTP method
+ * @param {Object} [options.headers] - Request headers
+ * @param {string} [options.body] - Request body
+ * @param {number} [options.timeoutMs] - Milliseconds of inactivity before the request fails
+ * @returns {Promise<Object>} - Promise resolving to `{ status, headers, body }`
+ */
+export const sendRequest = (url, { method = 'POST', headers = {}, body, timeoutMs = requestTimeoutMs } = {}) => {
+  const parsedUrl = new URL(url);
+  const transport = parsedUrl.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(parsedUrl, {
+      method,
+      headers: {
+        ...headers,
+        ...(body ? { 'Content-Length': Buffer.byteLength(body) } : {})
+      },
+      rejectUnauthorized: verifyTls
+    }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks).toString('utf8')
+        });
+      });
+      res.on('error', reject);
+    });
+
+    req.on('error', reject);
+    req.setTimeout(timeoutMs, () => {
+      req.destroy(new Error(`${parsedUrl.host} did not respond within ${timeoutMs / 1000}s`));
+    });
+
+    if (body) {
+      req.write(body);
+    }
+    req.end();
+  });
+};
+
+/**
+ * Extract the EOS `Session` cookie from a response
+ * @param {Object} headers - Response headers
+ * @returns {string|null} - Cookie pair (`Session=...`) or null if not present
+ */
+const extractSessionCookie = (headers) => {
+  const setCookie = headers['set-cookie'] || [];
+
+  for (const cookie of setCookie) {
+    const pair = cookie.split(';')[0].trim();
+    if (pair.startsWith('Session=')) {
+      return pair;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Create an eAPI client for a switch
+ *
+ * The client logs in once through `/login` and reuses the returned `Session` cookie.
+ * Switches that do not offer session login are accessed with HTTP Basic authentication.
+ *
+ * @param {Object} target - Switch target
+ * @param {string} target.ipAddress - IP address of the switch
+ * @param {string} target.username - Username for authentication
+ * @param {string} target.password - Password for authentication
+ * @param {string} [target.protocol='http'] - Protocol to use (http or https)
+ * @returns {Object} - Client with login, runCmds and logout methods
+ */
+export const createEapiClient = ({ ipAddress, username, password, protocol = 'http' }) => {
+  const baseUrl = getSwitchBaseUrl({ ipAddress, protocol });
+  const basicAuth = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+
+  // Either 'session' (cookie obtained from /login) or 'basic'
+  let authMode = null;
+  let sessionCookie = null;
+
+  const getAuthHeaders = () => {
+    return authMode === 'session' ? { Cookie: sessionCookie } : { Authorization: basicAuth };
+  };
+
+  /**
+   * Authenticate with the switch, preferring an EOS session cookie
+   * @returns {Promise<string>} - Promise resolving to the authentication mode in use
+   */
+  const login = async () => {
+    const response = await sendRequest(`${baseUrl}/login`, {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+
+    if (response.status === 401 || response.status === 403) {
+      throw new EapiAuthError();
+    }
+
+    const cookie = response.status >= 200 && response.status < 300
+      ? extractSessionCookie(response.headers)
+      : null;
+
+    if (cookie) {
+      authMode = 'session';
+      sessionCookie = cookie;
+    } else {
+      // Session login is unavailable on this switch, fall back to Basic auth
+      authMode = 'basic';
+      sessionCookie = null;
+    }
+
+    return authMode;
+  };
+
+  /**
+   * Send a runCmds request with the current credentials
+   * @param {Array} cmds - Array of EOS commands to execute
+   * @param {string} format - Output format
+   * @param {boolean} includeErrorDetail - Ask for detailed error information
+   * @returns {Promise<Object>} - Promise resolving to the raw HTTP response
+   */
+  const postCommands = (cmds, format, includeErrorDetail) => {
+    return sendRequest(`${baseUrl}/command-api`, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...getAuthHeaders()
+      },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        method: 'runCmds',
+        params: {
+          version: 1,
+          cmds,
+          format,
+          ...(includeErrorDetail ? { includeErrorDetail: true } : {})
+        },
+        id: 'EOS-API-CMD'
+      })
+    });
+  };
+
+  /**
+   * Run commands on the switch via the eAPI runCmds method
+   * @param {Array} cmds - EOS commands, each a string or `{ cmd, revision, input }`
+   * @param {Object} [options] - Request options
+   * @param {string} [options.format='json'] - Output format (json or text)
+   * @param {boolean} [options.includeErrorDetail=false] - Ask for detailed error information
+   * @returns {Promise<Object>} - Promise resolving to the JSON-RPC response envelope
+   */
+  const runCmds = async (cmds, { format = 'json', includeErrorDetail = false } = {}) => {
+    if (!authMode) {
+      await login();
+    }
+
+    let response = await postCommands(cmds, format, includeErrorDetail);
+
+    // The session cookie expired or the switch restarted, so log in again once
+    if (response.status === 401 && authMode === 'session') {
+      await login();
+      response = await postCommands(cmds, format, includeErrorDetail);
+    }
+
+    if (response.status === 401) {
+      throw new EapiAuthError();
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`Switch responded with HTTP status ${response.status}`);
+    }
+
+    try {
+      return JSON.parse(response.body);
+    } catch (error) {
+      throw new Error('Switch returned an invalid JSON-RPC response');
+    }
+  };
+
+  /**
+   * End the EOS session, if one was opened
+   * @returns {Promise} - Promise that resolves once logged out
+   */
+  const logout = async () => {
+    if (authMode !== 'session') {
+      authMode = null;
+      return;
+    }
+
+    try {
+      await sendRequest(`${baseUrl}/logout`, {
+        headers: { Cookie: sessionCookie }
+      });
+    } finally {
+      authMode = null;
+      sessionCookie = null;
+    }
+  };
+
+  return {
+    login,
+    runCmds,
+    logout,
+    getAuthMode: () => authMode
+  };
+};
@@ -0,0 +1,112 @@
+/**
+ * HTTP Helpers
+ * Small utilities shared by the API server routes for JSON request and response handling
+ */
+
+import crypto from 'node:crypto';
+
+/**
+ * Error carrying an HTTP status code, thrown by route handlers
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code to respond with
+   * @param {string} message - Error message sent to the client
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {number} [limit=1048576] - Maximum body size in bytes
+ * @returns {Promise<Object>} - Promise resolving to the parsed body (empty object if no body)
+ */
+export const readJsonBody = (req, limit = 1024 * 1024) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (chunks.length === 0) {
+        resolve({});
+        return;
+      }
+
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(new HttpError(400, 'Request body is not valid JSON'));
+      }
+    });
+
+    req.on('error', reject);
+  });
+};
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Server response
+ * @param {number} status - HTTP status code
+ * @param {Object} payload - Value to serialize as the response body
+ */
+export const sendJson = (res, status, payload) => {
+  const body = JSON.stringify(payload);
+
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body),
+    'Cache-Control': 'no-store'
+  });
+  res.end(body);
+};
+
+/**
+ * Send an error response in the API's standard `{ error: { message } }` shape
+ * @param {http.ServerResponse} res - Server response
+ * @param {Error} error - Error to report
+ */
+export const sendError = (res, error) => {
+  const status = error instanceof HttpError ? error.status : 500;
+  sendJson(res, status, { error: { message: error.message || 'Internal server error' } });
+};
+
+/**
+ * Check that a request came through the authenticating reverse proxy
+ * Nginx authenticates users and adds the shared `X-Api-Token`; requests without it are refused.
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {string} token - Token the proxy sends
+ */
+export const authenticateRequest = (req, token) => {
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  const presented = req.headers['x-api-token'];
+
+  if (!presented || !crypto.timingSafeEqual(digest(presented), digest(token))) {
+    throw new HttpError(401, 'Authentication required');
+  }
+};
+
+/**
+ * Work out who triggered a request
+ * Only the user authenticated by the reverse proxy counts; Nginx overwrites any `X-Remote-User`
+ * the browser sends.
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {string} - User name to record
+ */
+export const getRequestUser = (req) => {
+  return req.headers['x-remote-user'] || 'anonymous';
+};
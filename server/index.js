@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+/**
+ * Arista EOS Manager API Server
+ * Holds switch sessions and relays eAPI requests so the browser never talks to switches directly
+ */
+
+import http from 'node:http';
+import { HttpError, authenticateRequest, sendError } from './http.js';
+import switchRoutes from './routes/switches.js';
+import inventoryRoutes from './routes/inventory.js';
+import vaultRoutes from './routes/vault.js';
+import backupRoutes from './routes/backups.js';
+import metricsRoutes from './routes/metrics.js';
+import alertRoutes from './routes/alerts.js';
+import notificationRoutes from './routes/notifications.js';
+import { unlockVault } from './credentialVault.js';
+import { startBackupScheduler } from './backups.js';
+import { startAlertMonitor } from './alertMonitor.js';
+
+const PORT = parseInt(process.env.PORT || '3001');
+const HOST = process.env.HOST || '127.0.0.1';
+const API_TOKEN = process.env.API_TOKEN || '';
+
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+
+const routes = [
+  ...switchRoutes,
+  ...inventoryRoutes,
+  ...vaultRoutes,
+  ...backupRoutes,
+  ...metricsRoutes,
+  ...alertRoutes,
+  ...notificationRoutes
+];
+
+/**
+ * Dispatch a request to the matching route handler
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {http.ServerResponse} res - Server response
+ */
+const handleRequest = async (req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  try {
+    if (API_TOKEN) {
+      authenticateRequest(req, API_TOKEN);
+    }
+
+    let pathMatched = false;
+
+    for (const route of routes) {
+      const match = pathname.match(route.path);
+      if (!match) continue;
+
+      pathMatched = true;
+      if (route.method !== req.method) continue;
+
+      await route.handler(req, res, match.slice(1).map(decodeURIComponent));
+      return;
+    }
+
+    throw pathMatched
+      ? new HttpError(405, `Method ${req.method} not allowed`)
+      : new HttpError(404, `Not found: ${pathname}`);
+  } catch (error) {
+    if (!(error instanceof HttpError)) {
+      console.error(`Error handling ${req.method} ${pathname}:`, error);
+    }
+    sendError(res, error);
+  }
+};
+
+// Without a token every caller is trusted, which is only acceptable on a loopback address
+if (!API_TOKEN) {
+  if (!LOOPBACK_HOSTS.includes(HOST)) {
+    console.error(`Refusing to listen on ${HOST} without API_TOKEN; requests would not be authenticated`);
+    process.exit(1);
+  }
+  console.warn('API_TOKEN is not set; requests are not authenticated');
+}
+
+const server = http.createServer(handleRequest);
+
+// Unattended installs can unlock the vault at startup instead of waiting for the browser
+if (process.env.VAULT_PASSPHRASE) {
+  try {
+    await unlockVault(process.env.VAULT_PASSPHRASE);
+    console.log('Credential vault unlocked from VAULT_PASSPHRASE');
+  } catch (error) {
+    console.error('Failed to unlock credential vault from VAULT_PASSPHRASE:', error.message);
+  }
+}
+
+startBackupScheduler();
+startAlertMonitor();
+
+server.listen(PORT, HOST, () => {
+  console.log(`Arista EOS Manager API listening on http://${HOST}:${PORT}`);
+});
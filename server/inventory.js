@@ -0,0 +1,130 @@
+/**
+ * Switch Inventory
+ * Persists the switches managed by the application so they survive restarts and page reloads
+ */
+
+import { randomUUID } from 'node:crypto';
+import { readJsonFile, updateJsonFile } from './dataStore.js';
+
+const INVENTORY_FILE = 'inventory.json';
+
+// Entry IDs are UUIDs; they also name per-switch data files, so nothing else is accepted
+const ENTRY_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Normalize a list of tags into unique, trimmed, non-empty strings
+ * @param {Array} tags - Tags supplied by the client
+ * @returns {Array} - Normalized tags
+ */
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) {
+    return [];
+  }
+
+  return [...new Set(tags.map(tag => String(tag).trim()).filter(Boolean))];
+};
+
+/**
+ * Check that a value has the form of an inventory entry ID
+ * @param {string} entryId - Value to check
+ * @returns {boolean} - True if it can be an entry ID
+ */
+export const isValidEntryId = (entryId) => ENTRY_ID_PATTERN.test(String(entryId || ''));
+
+/**
+ * List all inventory entries
+ * @returns {Promise<Array>} - Promise resolving to the inventory entries
+ */
+export const listEntries = async () => {
+  const inventory = await readJsonFile(INVENTORY_FILE, { switches: [] });
+  return inventory.switches;
+};
+
+/**
+ * Get an inventory entry by ID
+ * @param {string} entryId - ID of the entry
+ * @returns {Promise<Object|null>} - Promise resolving to the entry or null if not found
+ */
+export const getEntry = async (entryId) => {
+  const entries = await listEntries();
+  return entries.find(entry => entry.id === entryId) || null;
+};
+
+/**
+ * Add a switch to the inventory
+ * @param {Object} fields - Entry fields
+ * @param {string} fields.ipAddress - Address of the switch's eAPI endpoint
+ * @param {string} [fields.protocol='http'] - Protocol to use (http or https)
+ * @param {string} [fields.name] - Display name
+ * @param {Array} [fields.tags] - Tags used for grouping
+ * @param {string} fields.credentialRef - ID of the credential profile used to log in
+ * @returns {Promise<Object>} - Promise resolving to the created entry
+ */
+export const addEntry = ({ ipAddress, protocol = 'http', name, tags, credentialRef }) => {
+  return updateJsonFile(INVENTORY_FILE, { switches: [] }, (inventory) => {
+    if (inventory.switches.some(entry => entry.ipAddress === ipAddress)) {
+      throw new Error(`A switch at ${ipAddress} is already in the inventory`);
+    }
+
+    const now = new Date().toISOString();
+    const entry = {
+      id: randomUUID(),
+      ipAddress,
+      protocol,
+      name: name || ipAddress,
+      tags: normalizeTags(tags),
+      credentialRef,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    inventory.switches.push(entry);
+    return entry;
+  });
+};
+
+/**
+ * Update an inventory entry
+ * @param {string} entryId - ID of the entry
+ * @param {Object} changes - Fields to change (ipAddress, protocol, name, tags, credentialRef)
+ * @returns {Promise<Object|null>} - Promise resolving to the updated entry or null if not found
+ */
+export const updateEntry = (entryId, changes) => {
+  return updateJsonFile(INVENTORY_FILE, { switches: [] }, (inventory) => {
+    const entry = inventory.switches.find(item => item.id === entryId);
+
+    if (!entry) {
+      return null;
+    }
+
+    ['ipAddress', 'protocol', 'name', 'credentialRef'].forEach(field => {
+      if (changes[field] !== undefined) {
+        entry[field] = changes[field];
+      }
+    });
+
+    if (changes.tags !== undefined) {
+      entry.tags = normalizeTags(changes.tags);
+    }
+
+    entry.updatedAt = new Date().toISOString();
+    return { ...entry };
+  });
+};
+
+/**
+ * Remove an inventory entry
+ * @param {string} entryId - ID of the entry
+ * @returns {Promise<Object|null>} - Promise resolving to the removed entry or null if not found
+ */
+export const removeEntry = (entryId) => {
+  return updateJsonFile(INVENTORY_FILE, { switches: [] }, (inventory) => {
+    const index = inventory.switches.findIndex(entry => entry.id === entryId);
+
+    if (index === -1) {
+      return null;
+    }
+
+    return inventory.switches.splice(index, 1)[0];
+  });
+};
@@ -0,0 +1,265 @@
+/**
+ * Metrics History
+ * Keeps the samples browsers record for each inventory switch, so charts survive a page reload
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { DATA_DIR } from './dataStore.js';
+import { isValidEntryId } from './inventory.js';
+
+// Hours of samples kept per switch; day files entirely older than this are deleted when new samples arrive
+const RETENTION_HOURS = parseInt(process.env.METRICS_RETENTION_HOURS || '24');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far ahead of the server's clock a browser's sample may be
+const MAX_CLOCK_SKEW_MS = 60 * 60 * 1000;
+
+// Numeric fields a sample may carry besides its timestamp and interface rates
+const SAMPLE_FIELDS = ['cpuUsage', 'memoryUsage', 'temperature'];
+
+// Optional numeric fields of the rates of one interface; inBps and outBps are required
+const RATE_FIELDS = [
+  'inPps',
+  'outPps',
+  'inErrorsPerSec',
+  'outErrorsPerSec',
+  'inDiscardsPerSec',
+  'outDiscardsPerSec',
+  'inPercent',
+  'outPercent'
+];
+
+/**
+ * Get the data directory holding the samples of a switch, one NDJSON file per UTC day
+ * The ID becomes part of a path, so anything but an inventory ID is refused.
+ * @param {string} entryId - ID of the inventory entry
+ * @returns {string} - Directory name relative to the data directory
+ */
+const getMetricsDir = (entryId) => {
+  if (!isValidEntryId(entryId)) {
+    throw new Error(`Invalid inventory entry ID: ${entryId}`);
+  }
+  return `metrics/${entryId}`;
+};
+
+// Day file a sample belongs to, e.g. `2024-05-01.ndjson`
+const getDayFile = (timestamp) => `${new Date(timestamp).toISOString().slice(0, 10)}.ndjson`;
+
+// Time after which every sample of a day file is older than the given one
+const getDayEnd = (dayFile) => Date.parse(dayFile.slice(0, 10)) + DAY_MS;
+
+// Samples older than this are dropped
+const getCutoff = () => Date.now() - RETENTION_HOURS * 60 * 60 * 1000;
+
+/**
+ * Keep only the known fields of a sample sent by a browser
+ * @param {Object} sample - Sample as received
+ * @returns {Object|null} - Clean sample, or null if its timestamp is missing, older than the
+ *   retention or too far ahead of the server's clock
+ */
+const sanitizeSample = (sample) => {
+  // Bounding the timestamp also keeps it within the range a Date can hold, for the day file name
+  const timestamp = sample?.timestamp;
+  if (!Number.isFinite(timestamp) || timestamp <= getCutoff() || timestamp > Date.now() + MAX_CLOCK_SKEW_MS) {
+    return null;
+  }
+
+  const clean = { timestamp: sample.timestamp };
+
+  SAMPLE_FIELDS.forEach(field => {
+    if (Number.isFinite(sample[field])) {
+      clean[field] = sample[field];
+    }
+  });
+
+  clean.interfaces = {};
+  Object.entries(sample.interfaces || {}).forEach(([name, rates]) => {
+    if (!Number.isFinite(rates?.inBps) || !Number.isFinite(rates?.outBps)) return;
+
+    clean.interfaces[name] = { inBps: rates.inBps, outBps: rates.outBps };
+    RATE_FIELDS.forEach(field => {
+      if (Number.isFinite(rates[field])) {
+        clean.interfaces[name][field] = rates[field];
+      }
+    });
+  });
+
+  return clean;
+};
+
+/**
+ * List the day files of a switch, oldest first
+ * @param {string} entryId - ID of the inventory entry
+ * @returns {Promise<Array>} - Promise resolving to the file names
+ */
+const listDayFiles = async (entryId) => {
+  try {
+    const files = await fs.readdir(path.join(DATA_DIR, getMetricsDir(entryId)));
+    return files.filter(file => /^\d{4}-\d{2}-\d{2}\.ndjson$/.test(file)).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+};
+
+/**
+ * Read the samples of a day file
+ * A line cut short by a crash is skipped.
+ * @param {string} entryId - ID of the inventory entry
+ * @param {string} dayFile - Name of the day file
+ * @returns {Promise<Array>} - Promise resolving to the samples in the order they were written
+ */
+const readDayFile = async (entryId, dayFile) => {
+  const contents = await fs.readFile(path.join(DATA_DIR, getMetricsDir(entryId), dayFile), 'utf8').catch(error => {
+    if (error.code === 'ENOENT') return '';
+    throw error;
+  });
+
+  return contents.split('\n').filter(Boolean).map(line => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      return null;
+    }
+  }).filter(sample => Number.isFinite(sample?.timestamp));
+};
+
+/**
+ * Append samples to the day files they belong to
+ * @param {string} entryId - ID of the inventory entry
+ * @param {Array} samples - Clean samples
+ * @returns {Promise} - Promise that resolves once every sample is written
+ */
+const writeSamples = async (entryId, samples) => {
+  const byDay = new Map();
+  samples.forEach(sample => {
+    const dayFile = getDayFile(sample.timestamp);
+    byDay.set(dayFile, `${byDay.get(dayFile) || ''}${JSON.stringify(sample)}\n`);
+  });
+
+  const dir = path.join(DATA_DIR, getMetricsDir(entryId));
+  await fs.mkdir(dir, { recursive: true, mode: 0o700 });
+
+  for (const [dayFile, lines] of byDay) {
+    await fs.appendFile(path.join(dir, dayFile), lines);
+  }
+};
+
+// Timestamps stored per switch, loaded on first use so appends never reread the day files
+const knownTimestamps = new Map();
+
+// Pending appends per switch, so the timestamps checked and the files written never interleave
+const pendingAppends = new Map();
+
+/**
+ * Get the stored timestamps of a switch
+ * @param {string} entryId - ID of the inventory entry
+ * @returns {Promise<Set>} - Promise resolving to the timestamps
+ */
+const loadKnownTimestamps = async (entryId) => {
+  if (knownTimestamps.has(entryId)) {
+    return knownTimestamps.get(entryId);
+  }
+
+  const known = new Set();
+  for (const dayFile of await listDayFiles(entryId)) {
+    (await readDayFile(entryId, dayFile)).forEach(sample => known.add(sample.timestamp));
+  }
+
+  knownTimestamps.set(entryId, known);
+  return known;
+};
+
+/**
+ * Run a task after the pending appends of a switch
+ * @param {string} entryId - ID of the inventory entry
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} - Promise resolving to the task's result
+ */
+const queueAppend = (entryId, task) => {
+  const previous = pendingAppends.get(entryId) || Promise.resolve();
+  const next = previous.catch(() => {}).then(task);
+
+  pendingAppends.set(entryId, next);
+  return next;
+};
+
+/**
+ * Get the stored samples of a switch, oldest first
+ * @param {string} entryId - ID of the inventory entry
+ * @param {number} [since=0] - Only return samples taken after this time (milliseconds)
+ * @returns {Promise<Array>} - Promise resolving to the samples
+ */
+export const getMetrics = async (entryId, since = 0) => {
+  const after = Math.max(since, getCutoff());
+  await queueAppend(entryId, () => loadKnownTimestamps(entryId));
+
+  const seen = new Set();
+  const samples = [];
+
+  for (const dayFile of await listDayFiles(entryId)) {
+    if (getDayEnd(dayFile) <= after) continue;
+
+    (await readDayFile(entryId, dayFile)).forEach(sample => {
+      if (sample.timestamp <= after || seen.has(sample.timestamp)) return;
+      seen.add(sample.timestamp);
+      samples.push(sample);
+    });
+  }
+
+  return samples.sort((a, b) => a.timestamp - b.timestamp);
+};
+
+/**
+ * Store new samples of a switch
+ * Samples are appended to the file of their UTC day, and day files older than the retention are
+ * deleted whole. Samples with a timestamp already stored are ignored, so a browser can resend safely.
+ * @param {string} entryId - ID of the inventory entry
+ * @param {Array} samples - Samples `{ timestamp, cpuUsage, memoryUsage, temperature, interfaces }`
+ * @returns {Promise<number>} - Promise resolving to the number of samples added
+ */
+export const appendMetrics = (entryId, samples) => {
+  const incoming = samples.map(sanitizeSample).filter(Boolean);
+
+  return queueAppend(entryId, async () => {
+    const known = await loadKnownTimestamps(entryId);
+    const cutoff = getCutoff();
+
+    const added = [];
+    incoming.forEach(sample => {
+      if (known.has(sample.timestamp) || sample.timestamp <= cutoff) return;
+      known.add(sample.timestamp);
+      added.push(sample);
+    });
+
+    if (added.length > 0) {
+      await writeSamples(entryId, added);
+    }
+
+    for (const dayFile of await listDayFiles(entryId)) {
+      if (getDayEnd(dayFile) > cutoff) break;
+      await fs.rm(path.join(DATA_DIR, getMetricsDir(entryId), dayFile), { force: true });
+    }
+    known.forEach(timestamp => {
+      if (timestamp <= cutoff) known.delete(timestamp);
+    });
+
+    return added.length;
+  });
+};
+
+/**
+ * Delete every stored sample of a switch
+ * @param {string} entryId - ID of the inventory entry
+ * @returns {Promise} - Promise that resolves once the files are gone
+ */
+export const removeMetrics = (entryId) => {
+  return queueAppend(entryId, async () => {
+    await fs.rm(path.join(DATA_DIR, getMetricsDir(entryId)), { recursive: true, force: true });
+    knownTimestamps.delete(entryId);
+  });
+};
@@ -0,0 +1,590 @@
+/**
+ * Mock eAPI Fixtures
+ * Canned command outputs returned by the mock eAPI server
+ */
+
+/**
+ * Build traffic counters that grow at a rate swinging ±30% around a base rate
+ * @param {number} inRate - Base receive rate in bytes per second
+ * @param {number} outRate - Base transmit rate in bytes per second
+ * @returns {Object} - Counters as in `show interfaces counters`
+ */
+const trafficCounters = (inRate, outRate) => {
+  const seconds = Date.now() / 1000;
+  const countBytes = (bytesPerSecond) => Math.floor(bytesPerSecond * (seconds + 18 * (1 - Math.cos(seconds / 60))));
+  return {
+    inOctets: countBytes(inRate),
+    inUcastPkts: countBytes(inRate / 800),
+    inMulticastPkts: 0,
+    inBroadcastPkts: 0,
+    inDiscards: 0,
+    outOctets: countBytes(outRate),
+    outUcastPkts: countBytes(outRate / 800),
+    outMulticastPkts: 0,
+    outBroadcastPkts: 0,
+    outDiscards: 0,
+    lastUpdateTimestamp: seconds
+  };
+};
+
+/**
+ * Build the JSON output for a show command
+ * @param {string} command - Command being executed
+ * @param {Object} state - Mutable state of the mock switch
+ * @returns {Object|undefined} - Command output, or undefined if the command is unknown
+ */
+export const getJsonOutput = (command, state) => {
+  switch (command) {
+    case 'show version':
+      return {
+        modelName: 'DCS-7050SX3-48YC8',
+        version: '4.30.1F',
+        serialNumber: state.serialNumber,
+        systemMacAddress: '00:1c:73:00:00:01',
+        uptime: 356521.42,
+        memTotal: 8098984,
+        memFree: 5123412
+      };
+
+    case 'show hostname':
+      return { hostname: state.hostname, fqdn: `${state.hostname}.lab` };
+
+    case 'show interfaces status':
+      return {
+        interfaceStatuses: {
+          Ethernet1: {
+            linkStatus: 'connected',
+            interfaceType: '10GBASE-SR',
+            bandwidth: 10000000000,
+            vlanInformation: { interfaceMode: 'access', vlanId: 10 }
+          },
+          Ethernet2: {
+            linkStatus: 'notconnect',
+            interfaceType: '10GBASE-SR',
+            bandwidth: 10000000000,
+            vlanInformation: { interfaceMode: 'trunk' }
+          },
+          Management1: {
+            linkStatus: 'connected',
+            interfaceType: '10/100/1000',
+            bandwidth: 1000000000
+          }
+        }
+      };
+
+    case 'show ip interface brief':
+      return {
+        interfaces: {
+          Management1: {
+            interfaceAddress: { ipAddr: { address: state.managementIp, maskLen: 24 } }
+          },
+          Loopback0: {
+            interfaceAddress: { ipAddr: { address: '10.255.0.11', maskLen: 32 } }
+          },
+          Loopback1: {
+            interfaceAddress: { ipAddr: { address: '10.255.1.11', maskLen: 32 } }
+          }
+        }
+      };
+
+    case 'show system environment temperature':
+      return {
+        sensors: {
+          TempSensor1: { temperature: 38.5, overheatThreshold: 75 },
+          TempSensor2: { temperature: 42.0, overheatThreshold: 80 }
+        }
+      };
+
+    case 'show system environment cooling':
+      return { fanTraySlots: [], systemStatus: 'coolingOk' };
+
+    case 'show processes top once':
+      return {
+        processes: [
+          // Varies over a few minutes so CPU charts have something to show
+          { cmd: 'Sysdb', cpuPct: 2.5 + 2 * Math.sin(Date.now() / 60000) },
+          { cmd: 'Bgp', cpuPct: 1.2 }
+        ],
+        memTotal: 8098984,
+        memFree: 5123412
+      };
+
+    case 'show interfaces':
+      return {
+        interfaces: {
+          Ethernet1: {
+            physicalAddress: '00:1c:73:00:00:11',
+            mtu: 9214,
+            bandwidth: 10000000000,
+            interfaceCounters: trafficCounters(12500000, 4000000)
+          },
+          Ethernet2: {
+            physicalAddress: '00:1c:73:00:00:12',
+            mtu: 9214,
+            bandwidth: 10000000000,
+            interfaceCounters: trafficCounters(0, 0)
+          },
+          Management1: {
+            physicalAddress: '00:1c:73:00:00:01',
+            mtu: 1500,
+            bandwidth: 1000000000,
+            interfaceCounters: trafficCounters(20000, 35000)
+          }
+        }
+      };
+
+    case 'show interfaces description':
+      return {
+        interfaceDescriptions: {
+          Ethernet1: { description: 'uplink-spine1', lineProtocolStatus: 'up', interfaceStatus: 'up' },
+          Ethernet2: { description: '', lineProtocolStatus: 'down', interfaceStatus: 'down' },
+          Management1: { description: 'oob', lineProtocolStatus: 'up', interfaceStatus: 'up' }
+        }
+      };
+
+    case 'show interfaces counters':
+      // Counters grow at a rate that swings ±30% around each interface's base rate (bytes/s)
+      return {
+        interfaces: {
+          Ethernet1: trafficCounters(12500000, 4000000),
+          Ethernet2: trafficCounters(0, 0),
+          Management1: trafficCounters(20000, 35000)
+        }
+      };
+
+    case 'show interfaces counters errors': {
+      // Ethernet1 picks up an FCS error roughly every ten seconds
+      const fcsErrors = Math.floor(Date.now() / 10000) % 100000;
+      const errors = (inErrors) => ({
+        fcsErrors: inErrors,
+        alignmentErrors: 0,
+        symbolErrors: 0,
+        inErrors,
+        frameTooLongs: 0,
+        frameTooShorts: 0,
+        outErrors: 0
+      });
+      return {
+        interfaceErrorCounters: {
+          Ethernet1: errors(fcsErrors),
+          Ethernet2: errors(0),
+          Management1: errors(0)
+        }
+      };
+    }
+
+    case 'show ip bgp summary vrf all': {
+      // upDownTime is the epoch time of the last state change
+      const now = Date.now() / 1000;
+      return {
+        vrfs: {
+          default: {
+            routerId: '10.255.0.11',
+            asn: '65101',
+            peers: {
+              '10.0.1.0': {
+                description: 'spine1',
+                peerState: 'Established',
+                asn: '65001',
+                prefixReceived: 12,
+                prefixAccepted: 12,
+                upDownTime: now - 93784,
+                underMaintenance: false
+              },
+              '10.0.1.2': {
+                description: 'spine2',
+                peerState: 'Active',
+                asn: '65001',
+                prefixReceived: 0,
+                prefixAccepted: 0,
+                upDownTime: now - 312,
+                underMaintenance: false
+              }
+            }
+          },
+          TENANT_A: {
+            routerId: '10.255.0.11',
+            asn: '65101',
+            peers: {
+              '172.16.0.1': {
+                peerState: 'Established',
+                asn: '65200',
+                prefixReceived: 3,
+                prefixAccepted: 3,
+                upDownTime: now - 4021,
+                underMaintenance: false
+              }
+            }
+          }
+        }
+      };
+    }
+
+    case 'show running-config section router bgp':
+      return {
+        cmds: {
+          'router bgp 65101': {
+            cmds: {
+              'router-id 10.255.0.11': null,
+              'neighbor 10.0.1.0 remote-as 65001': null,
+              'neighbor 10.0.1.2 remote-as 65001': null,
+              'neighbor 10.255.0.1 remote-as 65001': null,
+              'neighbor 10.255.0.1 update-source Loopback0': null,
+              'neighbor 10.255.0.1 ebgp-multihop 3': null,
+              'neighbor 10.255.0.1 send-community extended': null,
+              'vlan 10': {
+                cmds: {
+                  'rd 10.255.0.11:10010': null,
+                  'route-target both 10010:10010': null,
+                  'redistribute learned': null
+                }
+              },
+              'vlan 20': {
+                cmds: {
+                  'rd 10.255.0.11:10020': null,
+                  'route-target import 10020:10020': null,
+                  'route-target export 10020:10020': null,
+                  'route-target export 65101:20': null,
+                  'redistribute learned': null
+                }
+              },
+              'address-family evpn': {
+                cmds: {
+                  'neighbor 10.255.0.1 activate': null
+                }
+              },
+              'address-family ipv4': {
+                cmds: {
+                  'no neighbor 10.255.0.1 activate': null
+                }
+              }
+            }
+          }
+        }
+      };
+
+    case 'show bgp evpn summary': {
+      const now = Date.now() / 1000;
+      return {
+        vrfs: {
+          default: {
+            routerId: '10.255.0.11',
+            asn: '65101',
+            peers: {
+              '10.255.0.1': {
+                description: 'spine1-evpn',
+                peerState: 'Established',
+                asn: '65001',
+                prefixReceived: 9,
+                prefixAccepted: 9,
+                upDownTime: now - 86011,
+                underMaintenance: false
+              }
+            }
+          }
+        }
+      };
+    }
+
+    case 'show bgp evpn': {
+      // One path per route, learned from the spine; local routes have no AS path
+      const route = (rd, nlriType, key, nextHop, asPath, targets) => ({
+        routeKeyDetail: { rd, nlriType, ...key },
+        totalPaths: 1,
+        evpnRoutePaths: [{
+          nextHop,
+          asPath,
+          routeType: { active: true, valid: true },
+          routeDetail: {
+            extCommunities: [...targets.map(target => `Route-Target-AS:${target}`), 'TunnelEncap:tunnelTypeVxlan']
+          }
+        }]
+      });
+
+      return {
+        vrf: 'default',
+        routerId: '10.255.0.11',
+        asn: 65101,
+        evpnRoutes: {
+          'RD: 10.255.0.11:10010 mac-ip 0050.7966.6801': route('10.255.0.11:10010', 'mac-ip', { mac: '00:50:79:66:68:01' }, '', '', ['10010:10010']),
+          'RD: 10.255.0.12:10010 mac-ip 0050.7966.6802 10.10.10.12': route('10.255.0.12:10010', 'mac-ip', { mac: '00:50:79:66:68:02', ip: '10.10.10.12' }, '10.255.1.12', '65001 65102', ['10010:10010']),
+          'RD: 10.255.0.13:10020 mac-ip 0050.7966.6803': route('10.255.0.13:10020', 'mac-ip', { mac: '00:50:79:66:68:03' }, '10.255.1.13', '65001 65103', ['10020:10020']),
+          'RD: 10.255.0.11:10010 imet 10.255.1.11': route('10.255.0.11:10010', 'imet', { ipGenAddr: '10.255.1.11' }, '', '', ['10010:10010']),
+          'RD: 10.255.0.12:10010 imet 10.255.1.12': route('10.255.0.12:10010', 'imet', { ipGenAddr: '10.255.1.12' }, '10.255.1.12', '65001 65102', ['10010:10010']),
+          'RD: 10.255.0.14:10020 imet 10.255.1.14': route('10.255.0.14:10020', 'imet', { ipGenAddr: '10.255.1.14' }, '10.255.1.14', '65001 65104', ['10020:10020']),
+          'RD: 10.255.0.12:50001 ip-prefix 10.50.1.0/24': route('10.255.0.12:50001', 'ip-prefix', { ipGenPrefix: '10.50.1.0/24' }, '10.255.1.12', '65001 65102', ['50001:50001'])
+        }
+      };
+    }
+
+    case 'show interfaces vxlan 1':
+      return {
+        interfaces: {
+          Vxlan1: {
+            name: 'Vxlan1',
+            lineProtocolStatus: 'up',
+            interfaceStatus: 'up',
+            srcIpIntf: 'Loopback1',
+            srcIpAddr: '10.255.1.11',
+            udpPort: 4789,
+            replicationMode: 'headendNonVcs',
+            vlanToVniMap: {
+              10: { vni: 10010, source: '' },
+              20: { vni: 10020, source: '' }
+            },
+            vrfToVniMap: { TENANT_A: 50001 },
+            vlanToVtepList: {
+              10: { remoteVtepAddr: ['10.255.1.12', '10.255.1.13'] },
+              20: { remoteVtepAddr: ['10.255.1.12', '10.255.1.14'] }
+            }
+          }
+        }
+      };
+
+    case 'show running-config interfaces Vxlan1':
+      return {
+        cmds: {
+          'interface Vxlan1': {
+            cmds: {
+              'vxlan source-interface Loopback1': null,
+              'vxlan udp-port 4789': null,
+              'vxlan vlan 10 vni 10010': null,
+              'vxlan vlan 20 vni 10020': null,
+              'vxlan vrf TENANT_A vni 50001': null,
+              'vxlan flood vtep 10.255.1.12': null,
+              'vxlan vlan 10 flood vtep 10.255.1.13': null,
+              'vxlan vlan 20 flood vtep 10.255.1.14': null
+            }
+          }
+        }
+      };
+
+    case 'show vxlan vni':
+      return {
+        vxlanIntfs: {
+          Vxlan1: {
+            vniBindings: {
+              10010: { vlan: 10, dynamicVlan: false, source: 'static', interfaces: { Ethernet1: { dot1q: 0 } } },
+              10020: { vlan: 20, dynamicVlan: false, source: 'static', interfaces: {} }
+            },
+            vniBindingsToVrf: {
+              50001: { vrfName: 'TENANT_A', vlan: 4094, source: 'static' }
+            }
+          }
+        }
+      };
+
+    case 'show vxlan vtep':
+      return {
+        interfaces: {
+          Vxlan1: {
+            vteps: [
+              { vtep: '10.255.1.12', learnedVia: 'control plane', tunnelType: ['flood', 'unicast'] },
+              { vtep: '10.255.1.13', learnedVia: 'control plane', tunnelType: ['flood'] },
+              { vtep: '10.255.1.14', learnedVia: 'control plane', tunnelType: ['flood'] }
+            ]
+          }
+        }
+      };
+
+    case 'show ip access-lists': {
+      const now = Date.now() / 1000;
+      const hits = Math.floor(now / 10) % 100000;
+      return {
+        aclList: [
+          {
+            name: 'MGMT-ACCESS',
+            standard: false,
+            readonly: false,
+            countersEnabled: true,
+            sequence: [
+              { sequenceNumber: 10, text: 'remark Management hosts', counterData: { packetCount: 0, lastChangedTime: 0 } },
+              { sequenceNumber: 20, text: 'permit tcp 10.0.0.0/24 any eq ssh', counterData: { packetCount: hits, lastChangedTime: now - 5 } },
+              { sequenceNumber: 30, text: 'permit tcp 10.0.0.0/24 any eq https', counterData: { packetCount: Math.floor(hits / 3), lastChangedTime: now - 42 } },
+              { sequenceNumber: 40, text: 'deny ip any any log', counterData: { packetCount: 17, lastChangedTime: now - 3600 } }
+            ]
+          },
+          {
+            name: 'SERVER-IN',
+            standard: false,
+            readonly: false,
+            countersEnabled: false,
+            sequence: [
+              { sequenceNumber: 10, text: 'permit udp any host 10.20.0.53 eq domain' },
+              { sequenceNumber: 20, text: 'permit icmp any any echo-reply' },
+              { sequenceNumber: 30, text: 'deny ip 192.168.0.0 0.0.255.255 any' }
+            ]
+          },
+          {
+            name: 'SNMP-HOSTS',
+            standard: true,
+            readonly: false,
+            countersEnabled: false,
+            sequence: [
+              { sequenceNumber: 10, text: 'permit host 10.0.0.20' },
+              { sequenceNumber: 20, text: 'permit 10.0.1.0/24' }
+            ]
+          }
+        ]
+      };
+    }
+
+    case 'show ipv6 access-lists':
+      return {
+        aclList: [
+          {
+            name: 'MGMT-ACCESS-V6',
+            standard: false,
+            readonly: false,
+            countersEnabled: false,
+            sequence: [
+              { sequenceNumber: 10, text: 'permit tcp 2001:db8:0:1::/64 any eq ssh' },
+              { sequenceNumber: 20, text: 'deny ipv6 any any' }
+            ]
+          }
+        ]
+      };
+
+    case 'show mac access-lists':
+      return {
+        aclList: [
+          {
+            name: 'BLOCK-LLDP',
+            standard: false,
+            readonly: false,
+            countersEnabled: false,
+            sequence: [
+              { sequenceNumber: 10, text: 'deny any host 0180.c200.000e lldp' },
+              { sequenceNumber: 20, text: 'permit any any' }
+            ]
+          }
+        ]
+      };
+
+    case 'show running-config section access-group':
+      return {
+        cmds: {
+          'interface Ethernet3': {
+            cmds: { 'ip access-group SERVER-IN in': null }
+          },
+          'interface Ethernet4': {
+            cmds: { 'mac access-group BLOCK-LLDP in': null }
+          },
+          'system control-plane': {
+            cmds: { 'ip access-group MGMT-ACCESS in': null }
+          },
+          'management ssh': {
+            cmds: {
+              'ipv6 access-group MGMT-ACCESS-V6 in': null,
+              'vrf MGMT': {
+                cmds: { 'ip access-group MGMT-ACCESS in': null }
+              }
+            }
+          }
+        }
+      };
+
+    case 'show running-config section aaa|radius-server|tacacs-server':
+      return {
+        cmds: {
+          'radius-server key 7 070C285F4D06': null,
+          'radius-server host 10.0.0.21 vrf MGMT key 7 0822455D0A16': null,
+          'radius-server host 10.0.0.22 vrf MGMT timeout 10 retransmit 5': null,
+          'tacacs-server host 10.0.0.31 single-connection vrf MGMT key 7 1511021F0725': null,
+          'tacacs-server host 10.0.0.32 vrf MGMT port 4949 key 7 045802150C2E': null,
+          'aaa group server radius RADIUS-MGMT': {
+            cmds: {
+              'server 10.0.0.21 vrf MGMT': null,
+              'server 10.0.0.22 vrf MGMT': null
+            }
+          },
+          'aaa group server tacacs+ TACACS-MGMT': {
+            cmds: {
+              'server 10.0.0.31 vrf MGMT': null,
+              'server 10.0.0.32 vrf MGMT port 4949': null
+            }
+          },
+          'aaa authentication login default group TACACS-MGMT local': null,
+          'aaa authorization exec default group TACACS-MGMT local': null,
+          'aaa authorization commands all default group TACACS-MGMT none': null,
+          'aaa accounting commands all default start-stop group TACACS-MGMT logging': null
+        }
+      };
+
+    case 'show radius':
+      return {
+        radiusServers: [
+          {
+            serverInfo: { hostname: '10.0.0.21', authport: 1812, acctport: 1813, vrf: 'MGMT' },
+            requestsSent: 214,
+            responsesValid: 214,
+            timeouts: 0,
+            connectionErrors: 0,
+            dnsErrors: 0
+          },
+          {
+            serverInfo: { hostname: '10.0.0.22', authport: 1812, acctport: 1813, vrf: 'MGMT' },
+            requestsSent: 38,
+            responsesValid: 0,
+            timeouts: 38,
+            connectionErrors: 0,
+            dnsErrors: 0
+          }
+        ]
+      };
+
+    case 'show tacacs':
+      return {
+        tacacsServers: [
+          {
+            serverInfo: { hostname: '10.0.0.31', authport: 49, vrf: 'MGMT' },
+            messagesSent: 1520,
+            messagesReceived: 1518,
+            connectionOpens: 12,
+            connectionFailures: 0,
+            connectionTimeouts: 2,
+            receiveTimeouts: 0
+          },
+          {
+            serverInfo: { hostname: '10.0.0.32', authport: 4949, vrf: 'MGMT' },
+            messagesSent: 0,
+            messagesReceived: 0,
+            connectionOpens: 0,
+            connectionFailures: 0,
+            connectionTimeouts: 0,
+            receiveTimeouts: 0
+          }
+        ]
+      };
+
+    case 'show running-config section username|role':
+      return {
+        cmds: {
+          'username admin privilege 15 role network-admin secret sha512 $6$Zx3kV8qLmR2tY9pW$M1u0a9Gq0b3sU8yB4nJ6hC2eX7rK5vT1wQ9zL3mP8dF0gH4jS6aN2cV7xB5yR1tE9uI3oP6lK8jH2gF4dS0aQ.': null,
+          'username admin ssh-key ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAIHk2Jq1mN8pX4rT7vB0cW3yZ6aD9fG2hK5lQ8sU1eR4o admin@jumphost': null,
+          'username noc privilege 1 role NOC-RO secret sha512 $6$Qw7eR4tY1uI8oP2a$N3b5c7d9E1f3G5h7J9k1L3m5N7p9Q1r3S5t7U9v1W3x5Y7z9A1b3C5d7E9f1G3h5J7k9L1m3N5p7Q9r1S3t5U7v9W.': null,
+          'username automation privilege 15 role network-admin nopassword': null,
+          'username automation ssh-key ssh-rsa AAAAB3NzaC1yc2EAAAADAQABAAABAQC7vKp2mQ9xR4tL8wN1bY6cZ3eA0fH5jS2dG7kU9oI4lP1nM8rT6vB3yX0qW5eC2aD9sF4hJ7gK1 ansible@ci': null,
+          'role NOC-RO': {
+            cmds: {
+              '10 permit mode exec command show.*': null,
+              '20 permit mode exec command ping|traceroute': null,
+              '30 deny mode config-all command .*': null
+            }
+          }
+        }
+      };
+
+    case 'show users accounts':
+      return {
+        users: {
+          admin: { username: 'admin', role: 'network-admin', privLevel: 15 },
+          noc: { username: 'noc', role: 'NOC-RO', privLevel: 1 },
+          automation: { username: 'automation', role: 'network-admin', privLevel: 15 }
+        }
+      };
+
+    default:
+      return undefined;
+  }
+};
@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+
+/**
+ * Mock eAPI Server
+ * Minimal stand-in for a switch's command-api endpoint, used to exercise the API server locally
+ *
+ * Usage: MOCK_PORT=8080 MOCK_USERNAME=admin MOCK_PASSWORD=admin node server/mock/mockEapiServer.js
+ * Set MOCK_SESSION_LOGIN=0 to emulate a switch without `/login`, which only accepts Basic auth.
+ */
+
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { getJsonOutput } from './fixtures.js';
+
+const PORT = parseInt(process.env.MOCK_PORT || '8080');
+const USERNAME = process.env.MOCK_USERNAME || 'admin';
+const PASSWORD = process.env.MOCK_PASSWORD || 'admin';
+const SESSION_LOGIN = process.env.MOCK_SESSION_LOGIN !== '0';
+
+// Session cookies handed out by /login
+const activeSessions = new Set();
+
+const state = {
+  hostname: process.env.MOCK_HOSTNAME || 'mock-leaf1',
+  serialNumber: process.env.MOCK_SERIAL || 'MOCK0000001',
+  managementIp: '127.0.0.1',
+  // Configuration lines applied so far, in the order they were entered
+  runningConfig: [],
+  // Pending configuration sessions: name -> staged configuration lines
+  configSessions: new Map(),
+  // Sessions started with `rollback clean-config`, which replace running-config on commit
+  replaceSessions: new Set(),
+  // Sessions committed with `commit timer` awaiting confirmation: name -> { snapshot, timeout }
+  pendingConfirms: new Map()
+};
+
+/**
+ * Build the running-config that results from committing a session
+ * @param {string} name - Session name
+ * @returns {Array} - Configuration lines, without the hostname
+ */
+const buildSessionConfig = (name) => {
+  const lines = state.configSessions.get(name);
+  const base = state.replaceSessions.has(name) ? [] : state.runningConfig;
+  return [...base, ...lines.filter(line => !line.startsWith('hostname '))];
+};
+
+/**
+ * Forget a configuration session
+ * @param {string} name - Session name
+ */
+const deleteSession = (name) => {
+  state.configSessions.delete(name);
+  state.replaceSessions.delete(name);
+};
+
+/**
+ * Commit or abort a configuration session
+ * A `commit timer` applies the session but rolls it back unless it is committed again in time.
+ * @param {string} name - Session name
+ * @param {string} action - `commit` or `abort`
+ * @param {number} [timerSeconds] - Confirmation timer for `commit timer`
+ */
+const endSession = (name, action, timerSeconds) => {
+  const pending = state.pendingConfirms.get(name);
+
+  if (pending) {
+    clearTimeout(pending.timeout);
+    state.pendingConfirms.delete(name);
+    if (action === 'abort') {
+      state.runningConfig = pending.snapshot;
+    }
+    deleteSession(name);
+    return;
+  }
+
+  if (action === 'abort') {
+    deleteSession(name);
+    return;
+  }
+
+  const snapshot = [...state.runningConfig];
+  const hostnameLine = state.configSessions.get(name).findLast(line => line.startsWith('hostname '));
+  if (hostnameLine) {
+    state.hostname = hostnameLine.slice('hostname '.length);
+  }
+  state.runningConfig = buildSessionConfig(name);
+
+  if (timerSeconds === undefined) {
+    deleteSession(name);
+    return;
+  }
+
+  // Keep the session so a later `commit` can confirm it
+  const timeout = setTimeout(() => {
+    state.runningConfig = snapshot;
+    state.pendingConfirms.delete(name);
+    deleteSession(name);
+    console.log(`Commit timer for session ${name} expired, configuration rolled back`);
+  }, timerSeconds * 1000);
+
+  state.pendingConfirms.set(name, { snapshot, timeout });
+};
+
+/**
+ * Render the pending lines of a configuration session as a unified diff
+ * @param {string} name - Session name
+ * @returns {string} - Diff against running-config
+ */
+const renderSessionDiff = (name) => {
+  const lines = state.configSessions.get(name) || [];
+
+  let body;
+  if (state.replaceSessions.has(name)) {
+    const replacement = buildSessionConfig(name);
+    body = [
+      ...state.runningConfig.filter(line => !replacement.includes(line)).map(line => `-${line}`),
+      ...replacement.filter(line => !state.runningConfig.includes(line)).map(line => `+${line}`)
+    ];
+  } else {
+    body = lines.map(line => (line.startsWith('no ') ? `-${line.slice(3)}` : `+${line}`));
+  }
+
+  if (body.length === 0) {
+    return '';
+  }
+
+  return [
+    '--- system:/running-config',
+    `+++ session:/${name}-session-config`,
+    `@@ -${state.runningConfig.length},0 +${state.runningConfig.length + 1},${body.length} @@`,
+    ...body,
+    ''
+  ].join('\n');
+};
+
+/**
+ * Build a JSON-RPC error response
+ * @param {string} id - Request ID
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ * @param {Array} [data] - Per-command results
+ * @returns {Object} - JSON-RPC error envelope
+ */
+const rpcError = (id, code, message, data) => ({
+  jsonrpc: '2.0',
+  id,
+  error: { code, message, ...(data ? { data } : {}) }
+});
+
+/**
+ * Execute a runCmds request against the mock state
+ * @param {Object} request - Parsed JSON-RPC request
+ * @returns {Object} - JSON-RPC response envelope
+ */
+const runCmds = (request) => {
+  const { id, params = {} } = request;
+  const format = params.format || 'json';
+  const results = [];
+
+  // Configuration mode of this request: null (exec), { session: null } (configure) or { session: name }
+  let mode = null;
+
+  const fail = (code, error, command) => {
+    results.push({ errors: [error] });
+    return rpcError(id, code, `CLI command ${results.length} of ${params.cmds.length} '${command}' failed: ${error}`, results);
+  };
+
+  for (const cmd of params.cmds || []) {
+    const command = typeof cmd === 'string' ? cmd : cmd.cmd;
+    const normalized = command.trim().replace(/\s+/g, ' ');
+    const empty = format === 'text' ? { output: '' } : {};
+
+    const sessionMatch = normalized.match(/^configure session (\S+)$/);
+    if (sessionMatch) {
+      mode = { session: sessionMatch[1] };
+      if (!state.configSessions.has(mode.session)) {
+        state.configSessions.set(mode.session, []);
+      }
+      results.push(empty);
+      continue;
+    }
+
+    if (normalized === 'configure' || normalized === 'configure terminal') {
+      mode = { session: null };
+      results.push(empty);
+      continue;
+    }
+
+    if (normalized === 'end') {
+      mode = null;
+      results.push(empty);
+      continue;
+    }
+
+    const diffMatch = normalized.match(/^show session-config(?: named (\S+))? diffs$/);
+    if (diffMatch) {
+      const name = diffMatch[1] || mode?.session;
+
+      if (!name || !state.configSessions.has(name)) {
+        return fail(1002, 'Session not found', command);
+      }
+
+      if (format !== 'text') {
+        return fail(1003, 'unconverted command', command);
+      }
+
+      results.push({ output: renderSessionDiff(name) });
+      continue;
+    }
+
+    if (normalized === 'copy running-config startup-config' || normalized === 'write memory') {
+      state.startupConfig = [...state.runningConfig];
+      results.push(format === 'text' ? { output: 'Copy completed successfully.\n' } : { messages: ['Copy completed successfully.'] });
+      continue;
+    }
+
+    if (normalized === 'show running-config' && format === 'text') {
+      results.push({ output: [`hostname ${state.hostname}`, ...state.runningConfig, 'end', ''].join('\n') });
+      continue;
+    }
+
+    if (!normalized.startsWith('show')) {
+      const timerMatch = normalized.match(/^commit timer (\d{1,2}):(\d{2}):(\d{2})$/);
+
+      if (mode?.session && (timerMatch || normalized === 'commit' || normalized === 'abort')) {
+        const timerSeconds = timerMatch
+          ? (parseInt(timerMatch[1]) * 60 + parseInt(timerMatch[2])) * 60 + parseInt(timerMatch[3])
+          : undefined;
+        endSession(mode.session, normalized === 'abort' ? 'abort' : 'commit', timerSeconds);
+        mode = null;
+      } else if (mode?.session && normalized === 'rollback clean-config') {
+        state.configSessions.set(mode.session, []);
+        state.replaceSessions.add(mode.session);
+      } else if (mode?.session) {
+        state.configSessions.get(mode.session).push(normalized);
+      } else if (mode) {
+        state.runningConfig.push(normalized);
+      }
+
+      // Configuration and mode commands succeed with an empty result
+      results.push(empty);
+      continue;
+    }
+
+    const output = getJsonOutput(normalized, state);
+
+    if (output === undefined) {
+      return fail(1002, `Invalid input (at token 1: '${normalized.split(' ')[1] || ''}')`, command);
+    }
+
+    results.push(format === 'text' ? { output: `${JSON.stringify(output, null, 2)}\n` } : output);
+  }
+
+  return { jsonrpc: '2.0', id, result: results };
+};
+
+/**
+ * Check whether a request carries a valid session cookie or Basic credentials
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {boolean} - True if the request is authenticated
+ */
+const isAuthenticated = (req) => {
+  const cookie = (req.headers.cookie || '').match(/(?:^|;\s*)Session=([^;]+)/);
+  if (cookie && activeSessions.has(cookie[1])) {
+    return true;
+  }
+
+  const basic = (req.headers.authorization || '').match(/^Basic (.+)$/);
+  if (basic) {
+    const [username, password] = Buffer.from(basic[1], 'base64').toString('utf8').split(':');
+    return username === USERNAME && password === PASSWORD;
+  }
+
+  return false;
+};
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    const send = (status, payload) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+
+    let request;
+    try {
+      request = chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {};
+    } catch (error) {
+      send(400, rpcError(null, -32700, 'Parse error'));
+      return;
+    }
+
+    if (SESSION_LOGIN && req.method === 'POST' && req.url === '/login') {
+      if (request.username !== USERNAME || request.password !== PASSWORD) {
+        send(401, { error: 'Unauthorized' });
+        return;
+      }
+
+      const sessionId = randomUUID();
+      activeSessions.add(sessionId);
+      res.setHeader('Set-Cookie', `Session=${sessionId}; Path=/; HttpOnly`);
+      send(200, {});
+      return;
+    }
+
+    if (SESSION_LOGIN && req.method === 'POST' && req.url === '/logout') {
+      const cookie = (req.headers.cookie || '').match(/(?:^|;\s*)Session=([^;]+)/);
+      if (cookie) {
+        activeSessions.delete(cookie[1]);
+      }
+      send(200, {});
+      return;
+    }
+
+    if (req.method !== 'POST' || req.url !== '/command-api') {
+      send(404, { error: 'Not found' });
+      return;
+    }
+
+    if (!isAuthenticated(req)) {
+      send(401, { error: 'Unauthorized' });
+      return;
+    }
+
+    if (request.method !== 'runCmds') {
+      send(200, rpcError(request.id, -32601, `Method not found: ${request.method}`));
+      return;
+    }
+
+    send(200, runCmds(request));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock eAPI server (${state.hostname}) listening on http://127.0.0.1:${PORT}/command-api`);
+});
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Mock SMTP Server
+ * Minimal stand-in for a mail relay that accepts every message and prints it, used to test
+ * email notification channels locally
+ *
+ * Usage: MOCK_SMTP_PORT=2525 node server/mock/mockSmtpServer.js
+ * Set MOCK_SMTP_USERNAME and MOCK_SMTP_PASSWORD to require AUTH PLAIN with those credentials.
+ * STARTTLS is not offered, so configure the channel with security `none`.
+ */
+
+import net from 'node:net';
+
+const PORT = parseInt(process.env.MOCK_SMTP_PORT || '2525');
+const USERNAME = process.env.MOCK_SMTP_USERNAME || '';
+const PASSWORD = process.env.MOCK_SMTP_PASSWORD || '';
+
+/**
+ * Handle one SMTP conversation
+ * @param {net.Socket} socket - Client connection
+ */
+const handleConnection = (socket) => {
+  let buffer = '';
+  let inData = false;
+  let authenticated = !USERNAME;
+  let envelope = { from: null, to: [] };
+  let dataLines = [];
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  const handleCommand = (line) => {
+    const [verb] = line.split(' ');
+
+    switch (verb.toUpperCase()) {
+      case 'EHLO':
+        socket.write('250-mock-smtp\r\n250-AUTH PLAIN\r\n250 8BITMIME\r\n');
+        return;
+      case 'HELO':
+        return reply('250 mock-smtp');
+      case 'AUTH': {
+        const [, mechanism, encoded = ''] = line.split(' ');
+        const [, username, password] = Buffer.from(encoded, 'base64').toString('utf8').split('\0');
+
+        if (mechanism?.toUpperCase() !== 'PLAIN' || (USERNAME && (username !== USERNAME || password !== PASSWORD))) {
+          return reply('535 5.7.8 Authentication credentials invalid');
+        }
+        authenticated = true;
+        return reply('235 2.7.0 Authentication successful');
+      }
+      case 'MAIL':
+        if (!authenticated) return reply('530 5.7.0 Authentication required');
+        envelope = { from: line.slice(line.indexOf(':') + 1).trim(), to: [] };
+        return reply('250 2.1.0 OK');
+      case 'RCPT':
+        if (!envelope.from) return reply('503 5.5.1 MAIL first');
+        envelope.to.push(line.slice(line.indexOf(':') + 1).trim());
+        return reply('250 2.1.5 OK');
+      case 'DATA':
+        if (envelope.to.length === 0) return reply('503 5.5.1 RCPT first');
+        inData = true;
+        dataLines = [];
+        return reply('354 End data with <CR><LF>.<CR><LF>');
+      case 'RSET':
+        envelope = { from: null, to: [] };
+        return reply('250 2.0.0 OK');
+      case 'NOOP':
+        return reply('250 2.0.0 OK');
+      case 'QUIT':
+        reply('221 2.0.0 Bye');
+        return socket.end();
+      default:
+        return reply('502 5.5.2 Command not implemented');
+    }
+  };
+
+  const handleDataLine = (line) => {
+    if (line !== '.') {
+      // Undo dot-stuffing
+      dataLines.push(line.startsWith('..') ? line.slice(1) : line);
+      return;
+    }
+
+    inData = false;
+    console.log(`--- Message from ${envelope.from} to ${envelope.to.join(', ')} ---`);
+    console.log(dataLines.join('\n'));
+    console.log('--- End of message ---');
+    envelope = { from: null, to: [] };
+    reply('250 2.0.0 Message accepted');
+  };
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+
+    let end;
+    while ((end = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+
+      if (inData) {
+        handleDataLine(line);
+      } else {
+        handleCommand(line);
+      }
+    }
+  });
+
+  socket.on('error', (error) => console.error('Mock SMTP connection error:', error.message));
+  reply('220 mock-smtp ESMTP ready');
+};
+
+net.createServer(handleConnection).listen(PORT, () => {
+  console.log(`Mock SMTP server listening on port ${PORT}${USERNAME ? ` (AUTH PLAIN as ${USERNAME})` : ''}`);
+});
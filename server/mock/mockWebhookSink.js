@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Webhook Sink
+ * Accepts any HTTP request and prints its body, used to test webhook and Slack notification
+ * channels locally
+ *
+ * Usage: MOCK_WEBHOOK_PORT=9090 node server/mock/mockWebhookSink.js
+ * Point a channel at http://127.0.0.1:9090/any/path. Set MOCK_WEBHOOK_STATUS to answer with
+ * another status code, for example 500 to see delivery errors.
+ */
+
+import http from 'node:http';
+
+const PORT = parseInt(process.env.MOCK_WEBHOOK_PORT || '9090');
+const STATUS = parseInt(process.env.MOCK_WEBHOOK_STATUS || '200');
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    let printable = body;
+
+    try {
+      printable = JSON.stringify(JSON.parse(body), null, 2);
+    } catch (error) {
+      // Not JSON, print as received
+    }
+
+    console.log(`--- ${req.method} ${req.url} (${req.headers['content-type'] || 'no content type'}) ---`);
+    console.log(printable);
+
+    res.writeHead(STATUS, { 'Content-Type': 'text/plain' });
+    res.end(STATUS < 300 ? 'ok' : 'mock failure');
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock webhook sink listening on port ${PORT}, answering ${STATUS}`);
+});
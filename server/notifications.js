@@ -0,0 +1,468 @@
+/**
+ * Notifications
+ * Delivers alert changes to notification channels: generic JSON webhooks, Slack-compatible
+ * incoming webhooks and SMTP email
+ *
+ * The alert monitor hands over every alert it raises or resolves, so channels hear about
+ * them while no browser is open.
+ *
+ * Each channel picks the rules it hears about, renders its own message template and is rate
+ * limited on its own; messages over the limit are dropped and counted in the next one sent.
+ * Channel types live in CHANNEL_TYPES, so a new kind of channel only needs a validate and a
+ * send function there.
+ */
+
+import http from 'node:http';
+import https from 'node:https';
+import { randomUUID } from 'node:crypto';
+import { readJsonFile, updateJsonFile } from './dataStore.js';
+import { getAlertRules } from './alerts.js';
+import { getProfileSecret } from './credentialVault.js';
+import { sendMail } from './smtpClient.js';
+
+const CHANNELS_FILE = 'notification-channels.json';
+
+// Webhook URLs and headers can carry tokens, so the file is private to the service user
+const FILE_OPTIONS = { mode: 0o600 };
+
+// Milliseconds to wait for a webhook to answer
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+export const DEFAULT_TEMPLATE = {
+  title: '[{{severity}}] {{switchName}} {{subject}}: {{event}}',
+  body: '{{message}}\nAlert {{event}} at {{time}}.'
+};
+
+export const DEFAULT_RATE_LIMIT = { maxMessages: 10, windowMinutes: 15 };
+
+// Placeholders a template may use
+export const TEMPLATE_FIELDS = [
+  'event', 'switchName', 'subject', 'message', 'severity', 'state', 'rule', 'raisedAt', 'time', 'acknowledgedBy'
+];
+
+// Times of recent messages and the count of dropped ones, keyed by channel ID
+const deliveries = new Map();
+
+/**
+ * Check that a value is an http or https URL
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if the value is a usable URL
+ */
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check that a value looks like an email address
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if the value has a local part, an @ and a domain
+ */
+const isEmailAddress = (value) => typeof value === 'string' && /^[^\s@<>]+@[^\s@<>]+$/.test(value);
+
+/**
+ * POST a JSON payload to a URL, verifying TLS certificates
+ * @param {string} url - Target URL
+ * @param {Object} payload - Value to send as JSON
+ * @param {Object} [headers] - Extra request headers
+ * @returns {Promise} - Promise that resolves on a 2xx response
+ */
+const postJson = (url, payload, headers = {}) => {
+  const parsedUrl = new URL(url);
+  const transport = parsedUrl.protocol === 'https:' ? https : http;
+  const body = JSON.stringify(payload);
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(parsedUrl, {
+      method: 'POST',
+      headers: {
+        ...headers,
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body)
+      }
+    }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve();
+        } else {
+          const text = Buffer.concat(chunks).toString('utf8').slice(0, 200);
+          reject(new Error(`${parsedUrl.host} answered ${res.statusCode}${text ? `: ${text}` : ''}`));
+        }
+      });
+      res.on('error', reject);
+    });
+
+    req.on('error', reject);
+    req.setTimeout(WEBHOOK_TIMEOUT_MS, () => {
+      req.destroy(new Error(`${parsedUrl.host} did not respond within ${WEBHOOK_TIMEOUT_MS / 1000}s`));
+    });
+    req.end(body);
+  });
+};
+
+/**
+ * Supported channel types
+ * `validate` returns the clean type settings or throws with a message for the user;
+ * `send` delivers one rendered message.
+ */
+export const CHANNEL_TYPES = {
+  webhook: {
+    validate: ({ url, headers = {} } = {}) => {
+      if (!isHttpUrl(url)) {
+        throw new Error('Webhook URL must be an http or https URL');
+      }
+      if (typeof headers !== 'object' || Array.isArray(headers) || !Object.values(headers).every(value => typeof value === 'string')) {
+        throw new Error('Webhook headers must map header names to text values');
+      }
+      return { url, headers };
+    },
+    send: ({ url, headers }, message) => postJson(url, {
+      event: message.event,
+      title: message.title,
+      text: message.body,
+      alert: message.alert
+    }, headers)
+  },
+
+  slack: {
+    validate: ({ url } = {}) => {
+      if (!isHttpUrl(url)) {
+        throw new Error('Slack webhook URL must be an http or https URL');
+      }
+      return { url };
+    },
+    send: ({ url }, message) => postJson(url, { text: `*${message.title}*\n${message.body}` })
+  },
+
+  email: {
+    validate: ({ host, port, security = 'none', from, to, credentialRef = null } = {}) => {
+      const recipients = Array.isArray(to) ? to : String(to || '').split(',').map(address => address.trim()).filter(Boolean);
+
+      if (typeof host !== 'string' || !host.trim()) {
+        throw new Error('SMTP host is required');
+      }
+      if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        throw new Error('SMTP port must be between 1 and 65535');
+      }
+      if (!['none', 'starttls', 'tls'].includes(security)) {
+        throw new Error('SMTP security must be none, starttls or tls');
+      }
+      if (!isEmailAddress(from)) {
+        throw new Error('Sender must be an email address');
+      }
+      if (recipients.length === 0 || !recipients.every(isEmailAddress)) {
+        throw new Error('Recipients must be one or more email addresses');
+      }
+      if (credentialRef !== null && typeof credentialRef !== 'string') {
+        throw new Error('credentialRef must be the ID of a credential profile');
+      }
+      return { host: host.trim(), port, security, from, to: recipients, credentialRef };
+    },
+    send: async ({ host, port, security, from, to, credentialRef }, message) => {
+      const secret = credentialRef ? await getProfileSecret(credentialRef) : null;
+
+      if (credentialRef && !secret) {
+        throw new Error('The credential profile of this channel no longer exists');
+      }
+
+      await sendMail({
+        host,
+        port,
+        security,
+        username: secret?.username,
+        password: secret?.password,
+        from,
+        to,
+        subject: message.title,
+        text: message.body
+      });
+    }
+  }
+};
+
+/**
+ * Validate the settings of a channel sent by the browser
+ * @param {Object} input - Channel settings
+ * @param {Object} [current] - Stored channel being updated, whose settings fill the gaps
+ * @returns {Object} - Clean settings without ID or timestamps
+ */
+export const validateChannel = (input, current = {}) => {
+  const merged = { ...current, ...input };
+  const type = CHANNEL_TYPES[merged.type];
+
+  if (!type) {
+    throw new Error(`type must be one of: ${Object.keys(CHANNEL_TYPES).join(', ')}`);
+  }
+  if (typeof merged.name !== 'string' || !merged.name.trim()) {
+    throw new Error('name is required');
+  }
+  if (!Array.isArray(merged.ruleIds || []) || !(merged.ruleIds || []).every(id => typeof id === 'string')) {
+    throw new Error('ruleIds must be a list of rule IDs');
+  }
+
+  const rateLimit = { ...DEFAULT_RATE_LIMIT, ...merged.rateLimit };
+  if (!Number.isInteger(rateLimit.maxMessages) || rateLimit.maxMessages < 1 || rateLimit.maxMessages > 1000) {
+    throw new Error('rateLimit.maxMessages must be an integer between 1 and 1000');
+  }
+  if (!Number.isInteger(rateLimit.windowMinutes) || rateLimit.windowMinutes < 1 || rateLimit.windowMinutes > 1440) {
+    throw new Error('rateLimit.windowMinutes must be an integer between 1 and 1440');
+  }
+
+  const template = { title: '', body: '', ...merged.template };
+  if (typeof template.title !== 'string' || typeof template.body !== 'string') {
+    throw new Error('template title and body must be text');
+  }
+
+  return {
+    name: merged.name.trim(),
+    type: merged.type,
+    enabled: merged.enabled !== false,
+    ruleIds: merged.ruleIds || [],
+    notifyResolved: merged.notifyResolved !== false,
+    rateLimit,
+    template: { title: template.title, body: template.body },
+    // Type settings are not merged, so switching type never keeps stale fields
+    config: type.validate(input.config || (input.type && input.type !== current.type ? {} : current.config))
+  };
+};
+
+/**
+ * Fill a message template
+ * Unknown placeholders are left out.
+ * @param {string} template - Template with `{{field}}` placeholders
+ * @param {Object} values - Values by placeholder name
+ * @returns {string} - Rendered text
+ */
+export const renderTemplate = (template, values) => {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, field) => {
+    const value = values[field];
+    return value === undefined || value === null ? '' : String(value);
+  });
+};
+
+/**
+ * Render the message a channel sends for an alert change
+ * @param {Object} channel - Channel with its template
+ * @param {Object} alert - Alert that changed
+ * @param {string} event - `raised`, `resolved` or `test`
+ * @param {Array} rules - Alert rules, for the rule name
+ * @returns {Object} - Message `{ event, title, body, alert }`
+ */
+const buildMessage = (channel, alert, event, rules) => {
+  const values = {
+    ...alert,
+    event,
+    rule: rules.find(rule => rule.id === alert.ruleId)?.name || alert.ruleId,
+    time: new Date(event === 'resolved' ? alert.resolvedAt : alert.raisedAt).toLocaleString()
+  };
+
+  return {
+    event,
+    alert,
+    title: renderTemplate(channel.template.title || DEFAULT_TEMPLATE.title, values),
+    body: renderTemplate(channel.template.body || DEFAULT_TEMPLATE.body, values)
+  };
+};
+
+/**
+ * Get the delivery record of a channel
+ * @param {string} channelId - ID of the channel
+ * @returns {Object} - Record `{ sentAt, suppressed, lastSentAt, lastError }`
+ */
+const getDelivery = (channelId) => {
+  if (!deliveries.has(channelId)) {
+    deliveries.set(channelId, { sentAt: [], suppressed: 0, lastSentAt: null, lastError: null });
+  }
+  return deliveries.get(channelId);
+};
+
+/**
+ * Send a message through a channel, recording the outcome
+ * @param {Object} channel - Stored channel
+ * @param {Object} message - Rendered message
+ * @returns {Promise} - Promise that resolves once delivered
+ */
+const deliver = async (channel, message) => {
+  const delivery = getDelivery(channel.id);
+
+  try {
+    await CHANNEL_TYPES[channel.type].send(channel.config, message);
+    delivery.lastSentAt = new Date().toISOString();
+    delivery.lastError = null;
+  } catch (error) {
+    delivery.lastError = error.message;
+    throw error;
+  }
+};
+
+/**
+ * Send a message unless the channel is over its rate limit
+ * @param {Object} channel - Stored channel
+ * @param {Object} message - Rendered message
+ * @returns {Promise} - Promise that resolves once delivered or dropped
+ */
+const deliverLimited = async (channel, message) => {
+  const delivery = getDelivery(channel.id);
+  const now = Date.now();
+  const windowStart = now - channel.rateLimit.windowMinutes * 60 * 1000;
+
+  delivery.sentAt = delivery.sentAt.filter(time => time > windowStart);
+
+  if (delivery.sentAt.length >= channel.rateLimit.maxMessages) {
+    delivery.suppressed++;
+    return;
+  }
+
+  delivery.sentAt.push(now);
+
+  const suppressed = delivery.suppressed;
+  delivery.suppressed = 0;
+
+  await deliver(channel, suppressed > 0
+    ? { ...message, body: `${message.body}\n\n${suppressed} earlier notification(s) were dropped by the rate limit.` }
+    : message);
+};
+
+/**
+ * Get the notification channels with their delivery status
+ * @returns {Promise<Array>} - Promise resolving to the channels
+ */
+export const listChannels = async () => {
+  const { channels } = await readJsonFile(CHANNELS_FILE, { channels: [] });
+
+  return channels.map(channel => {
+    const { suppressed, lastSentAt, lastError } = getDelivery(channel.id);
+    return { ...channel, status: { suppressed, lastSentAt, lastError } };
+  });
+};
+
+/**
+ * Add a notification channel
+ * @param {Object} settings - Settings returned by validateChannel
+ * @returns {Promise<Object>} - Promise resolving to the stored channel
+ */
+export const addChannel = (settings) => {
+  return updateJsonFile(CHANNELS_FILE, { channels: [] }, (store) => {
+    const now = new Date().toISOString();
+    const channel = { id: randomUUID(), ...settings, createdAt: now, updatedAt: now };
+
+    store.channels.push(channel);
+    return channel;
+  }, FILE_OPTIONS);
+};
+
+/**
+ * Get one stored notification channel
+ * @param {string} channelId - ID of the channel
+ * @returns {Promise<Object|null>} - Promise resolving to the channel, or null if not found
+ */
+export const getChannel = async (channelId) => {
+  const { channels } = await readJsonFile(CHANNELS_FILE, { channels: [] });
+  return channels.find(channel => channel.id === channelId) || null;
+};
+
+/**
+ * Replace the settings of a notification channel
+ * @param {string} channelId - ID of the channel
+ * @param {Object} settings - Settings returned by validateChannel
+ * @returns {Promise<Object|null>} - Promise resolving to the updated channel, or null if not found
+ */
+export const updateChannel = (channelId, settings) => {
+  return updateJsonFile(CHANNELS_FILE, { channels: [] }, (store) => {
+    const channel = store.channels.find(candidate => candidate.id === channelId);
+
+    if (!channel) {
+      return null;
+    }
+
+    Object.assign(channel, settings, { updatedAt: new Date().toISOString() });
+    return channel;
+  }, FILE_OPTIONS);
+};
+
+/**
+ * Remove a notification channel
+ * @param {string} channelId - ID of the channel
+ * @returns {Promise<boolean>} - Promise resolving to true if removed, false if not found
+ */
+export const removeChannel = (channelId) => {
+  deliveries.delete(channelId);
+
+  return updateJsonFile(CHANNELS_FILE, { channels: [] }, (store) => {
+    const index = store.channels.findIndex(channel => channel.id === channelId);
+
+    if (index === -1) {
+      return false;
+    }
+
+    store.channels.splice(index, 1);
+    return true;
+  }, FILE_OPTIONS);
+};
+
+/**
+ * Send a sample alert through a channel, bypassing its rate limit
+ * @param {Object} channel - Stored channel
+ * @returns {Promise} - Promise that resolves once delivered
+ */
+export const sendTestNotification = async (channel) => {
+  const now = new Date().toISOString();
+  const sample = {
+    id: 'test',
+    key: 'test',
+    ruleId: 'interface-down',
+    switchId: 'test',
+    switchName: 'test-switch',
+    subject: 'Ethernet1',
+    message: 'This is a test notification from Arista EOS Manager.',
+    severity: 'info',
+    state: 'active',
+    raisedAt: now,
+    acknowledgedAt: null,
+    acknowledgedBy: null,
+    resolvedAt: null
+  };
+
+  await deliver(channel, buildMessage(channel, sample, 'test', await getAlertRules()));
+};
+
+/**
+ * Send raised and resolved alerts to every channel routed to their rule
+ * Failures are logged and never reach the caller, so recording alerts cannot fail on them.
+ * @param {Object} changes - Alerts that changed
+ * @param {Array} changes.raised - Newly raised alerts
+ * @param {Array} changes.resolved - Newly resolved alerts
+ * @returns {Promise} - Promise that resolves once every message was attempted
+ */
+export const notifyAlertChanges = async ({ raised, resolved }) => {
+  try {
+    const events = [
+      ...raised.map(alert => ({ alert, event: 'raised' })),
+      ...resolved.map(alert => ({ alert, event: 'resolved' }))
+    ];
+
+    if (events.length === 0) return;
+
+    const [{ channels }, rules] = await Promise.all([
+      readJsonFile(CHANNELS_FILE, { channels: [] }),
+      getAlertRules()
+    ]);
+
+    const sends = channels
+      .filter(channel => channel.enabled)
+      .flatMap(channel => events
+        .filter(({ alert, event }) => channel.ruleIds.length === 0 || channel.ruleIds.includes(alert.ruleId))
+        .filter(({ event }) => event === 'raised' || channel.notifyResolved)
+        .map(({ alert, event }) => deliverLimited(channel, buildMessage(channel, alert, event, rules))
+          .catch(error => console.error(`Error sending notification through ${channel.name}:`, error.message))));
+
+    await Promise.all(sends);
+  } catch (error) {
+    console.error('Error sending alert notifications:', error);
+  }
+};
@@ -0,0 +1,136 @@
+/**
+ * Alert Routes
+ * Serves alert rules and the alerts the alert monitor raised for inventory switches
+ */
+
+import { HttpError, readJsonBody, sendJson, getRequestUser } from '../http.js';
+import { getEntry, listEntries } from '../inventory.js';
+import {
+  DEFAULT_RULES,
+  SEVERITIES,
+  getAlertRules,
+  setAlertRules,
+  listAlerts,
+  listOpenAlerts,
+  acknowledgeAlert
+} from '../alerts.js';
+
+/**
+ * Ensure an inventory entry exists
+ * @param {string} entryId - ID of the inventory entry
+ * @returns {Promise<Object>} - Promise resolving to the entry
+ */
+const requireEntry = async (entryId) => {
+  const entry = await getEntry(entryId);
+
+  if (!entry) {
+    throw new HttpError(404, `No inventory entry found with ID: ${entryId}`);
+  }
+
+  return entry;
+};
+
+/**
+ * Validate the changed settings of one alert rule
+ * @param {Object} change - Settings sent by the browser
+ * @param {number} index - Position of the rule in the request
+ * @returns {Object} - Settings to store
+ */
+const validateRuleChange = (change, index) => {
+  const rule = DEFAULT_RULES.find(candidate => candidate.id === change?.id);
+
+  if (!rule) {
+    throw new HttpError(400, `Rule ${index + 1} has an unknown ID`);
+  }
+
+  const clean = { id: rule.id };
+
+  if (change.enabled !== undefined) {
+    if (typeof change.enabled !== 'boolean') {
+      throw new HttpError(400, `enabled of rule ${rule.id} must be true or false`);
+    }
+    clean.enabled = change.enabled;
+  }
+
+  if (change.severity !== undefined) {
+    if (!SEVERITIES.includes(change.severity)) {
+      throw new HttpError(400, `severity of rule ${rule.id} must be one of: ${SEVERITIES.join(', ')}`);
+    }
+    clean.severity = change.severity;
+  }
+
+  if (change.threshold !== undefined) {
+    if (rule.threshold === undefined || !Number.isFinite(change.threshold) || change.threshold <= 0 || change.threshold > 200) {
+      throw new HttpError(400, `threshold of rule ${rule.id} must be a number between 0 and 200`);
+    }
+    clean.threshold = change.threshold;
+  }
+
+  if (change.samples !== undefined) {
+    if (rule.samples === undefined || !Number.isInteger(change.samples) || change.samples < 1 || change.samples > 60) {
+      throw new HttpError(400, `samples of rule ${rule.id} must be an integer between 1 and 60`);
+    }
+    clean.samples = change.samples;
+  }
+
+  return clean;
+};
+
+/**
+ * GET /api/alerts - list the active and acknowledged alerts of every inventory switch
+ */
+const handleListOpen = async (req, res) => {
+  const entries = await listEntries();
+  sendJson(res, 200, { alerts: await listOpenAlerts(entries.map(entry => entry.id)) });
+};
+
+/**
+ * GET /api/alerts/rules - get the alert rules
+ */
+const handleGetRules = async (req, res) => {
+  sendJson(res, 200, { rules: await getAlertRules() });
+};
+
+/**
+ * PUT /api/alerts/rules - change the settings of alert rules
+ */
+const handleSetRules = async (req, res) => {
+  const { rules } = await readJsonBody(req);
+
+  if (!Array.isArray(rules)) {
+    throw new HttpError(400, 'rules must be an array');
+  }
+
+  sendJson(res, 200, { rules: await setAlertRules(rules.map(validateRuleChange)) });
+};
+
+/**
+ * GET /api/alerts/:id - get the alert history of a switch
+ */
+const handleHistory = async (req, res, [entryId]) => {
+  await requireEntry(entryId);
+  sendJson(res, 200, { alerts: await listAlerts(entryId) });
+};
+
+/**
+ * POST /api/alerts/:id/:alertId/acknowledge - mark an active alert as seen
+ */
+const handleAcknowledge = async (req, res, [entryId, alertId]) => {
+  await requireEntry(entryId);
+
+  const alert = await acknowledgeAlert(entryId, alertId, getRequestUser(req));
+
+  if (!alert) {
+    throw new HttpError(404, `No alert found with ID: ${alertId}`);
+  }
+
+  sendJson(res, 200, { alert });
+};
+
+export default [
+  { method: 'GET', path: /^\/api\/alerts$/, handler: handleListOpen },
+  { method: 'GET', path: /^\/api\/alerts\/rules$/, handler: handleGetRules },
+  { method: 'PUT', path: /^\/api\/alerts\/rules$/, handler: handleSetRules },
+  { method: 'GET', path: /^\/api\/alerts\/([^/]+)$/, handler: handleHistory },
+  { method: 'POST', path: /^\/api\/alerts\/([^/]+)\/([^/]+)\/acknowledge$/, handler: handleAcknowledge }
+];
@@ -0,0 +1,82 @@
+/**
+ * Backup Routes
+ * Takes running-config backups of inventory switches and serves their version history
+ */
+
+import { HttpError, readJsonBody, sendJson, getRequestUser } from '../http.js';
+import { getEntry } from '../inventory.js';
+import { listBackups, getBackup, takeBackup, setBackupSchedule } from '../backups.js';
+import { requireUnlockedVault } from './vault.js';
+
+// Longest schedule interval accepted, one week
+const MAX_INTERVAL_MINUTES = 7 * 24 * 60;
+
+/**
+ * Ensure an inventory entry exists
+ * @param {string} entryId - ID of the inventory entry
+ */
+const assertEntryExists = async (entryId) => {
+  if (!(await getEntry(entryId))) {
+    throw new HttpError(404, `No inventory entry found with ID: ${entryId}`);
+  }
+};
+
+/**
+ * GET /api/backups/:id - list the stored versions and backup schedule of a switch
+ */
+const handleList = async (req, res, [entryId]) => {
+  await assertEntryExists(entryId);
+  sendJson(res, 200, await listBackups(entryId));
+};
+
+/**
+ * POST /api/backups/:id - snapshot the running-config of a switch now
+ */
+const handleTake = async (req, res, [entryId]) => {
+  await assertEntryExists(entryId);
+  requireUnlockedVault();
+
+  try {
+    const version = await takeBackup(entryId, { takenBy: getRequestUser(req) });
+    sendJson(res, 201, { version });
+  } catch (error) {
+    throw new HttpError(502, error.message || 'Failed to read running-config');
+  }
+};
+
+/**
+ * GET /api/backups/:id/versions/:versionId - get one stored version including its config
+ */
+const handleGet = async (req, res, [entryId, versionId]) => {
+  await assertEntryExists(entryId);
+
+  const version = await getBackup(entryId, versionId);
+
+  if (!version) {
+    throw new HttpError(404, `No backup found with ID: ${versionId}`);
+  }
+
+  sendJson(res, 200, { version });
+};
+
+/**
+ * PUT /api/backups/:id/schedule - set the automatic backup interval of a switch
+ */
+const handleSchedule = async (req, res, [entryId]) => {
+  await assertEntryExists(entryId);
+
+  const { intervalMinutes } = await readJsonBody(req);
+
+  if (!Number.isInteger(intervalMinutes) || intervalMinutes < 0 || intervalMinutes > MAX_INTERVAL_MINUTES) {
+    throw new HttpError(400, `intervalMinutes must be an integer between 0 and ${MAX_INTERVAL_MINUTES}`);
+  }
+
+  sendJson(res, 200, { schedule: await setBackupSchedule(entryId, intervalMinutes) });
+};
+
+export default [
+  { method: 'GET', path: /^\/api\/backups\/([^/]+)$/, handler: handleList },
+  { method: 'POST', path: /^\/api\/backups\/([^/]+)$/, handler: handleTake },
+  { method: 'GET', path: /^\/api\/backups\/([^/]+)\/versions\/([^/]+)$/, handler: handleGet },
+  { method: 'PUT', path: /^\/api\/backups\/([^/]+)\/schedule$/, handler: handleSchedule }
+];
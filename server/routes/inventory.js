@@ -0,0 +1,104 @@
+/**
+ * Inventory Routes
+ * Lists and edits the persistent switch inventory
+ */
+
+import { HttpError, readJsonBody, sendJson } from '../http.js';
+import { listEntries, addEntry, updateEntry, removeEntry, getEntry } from '../inventory.js';
+import { getProfileSecret } from '../credentialVault.js';
+import { removeBackups } from '../backups.js';
+import { removeMetrics } from '../metrics.js';
+import { removeAlerts } from '../alerts.js';
+import { requireUnlockedVault } from './vault.js';
+
+const VALID_PROTOCOLS = ['http', 'https'];
+
+/**
+ * Ensure a credential profile exists in the vault
+ * @param {string} credentialRef - ID of the credential profile
+ */
+const assertProfileExists = async (credentialRef) => {
+  requireUnlockedVault();
+
+  if (!(await getProfileSecret(credentialRef))) {
+    throw new HttpError(400, `No credential profile found with ID: ${credentialRef}`);
+  }
+};
+
+/**
+ * GET /api/inventory - list all switches in the inventory
+ */
+const handleList = async (req, res) => {
+  sendJson(res, 200, { switches: await listEntries() });
+};
+
+/**
+ * POST /api/inventory - add a switch to the inventory, referring to a credential profile
+ */
+const handleAdd = async (req, res) => {
+  const { ipAddress, protocol = 'http', name, tags, credentialRef } = await readJsonBody(req);
+
+  if (!ipAddress || !credentialRef) {
+    throw new HttpError(400, 'ipAddress and credentialRef are required');
+  }
+
+  if (!VALID_PROTOCOLS.includes(protocol)) {
+    throw new HttpError(400, `Invalid protocol: ${protocol}`);
+  }
+
+  await assertProfileExists(credentialRef);
+
+  try {
+    const entry = await addEntry({ ipAddress, protocol, name, tags, credentialRef });
+    sendJson(res, 201, { switch: entry });
+  } catch (error) {
+    throw new HttpError(409, error.message);
+  }
+};
+
+/**
+ * PUT /api/inventory/:id - update a switch's details or credential profile
+ */
+const handleUpdate = async (req, res, [entryId]) => {
+  const { ipAddress, protocol, name, tags, credentialRef } = await readJsonBody(req);
+
+  if (protocol !== undefined && !VALID_PROTOCOLS.includes(protocol)) {
+    throw new HttpError(400, `Invalid protocol: ${protocol}`);
+  }
+
+  const existing = await getEntry(entryId);
+
+  if (!existing) {
+    throw new HttpError(404, `No inventory entry found with ID: ${entryId}`);
+  }
+
+  if (credentialRef !== undefined) {
+    await assertProfileExists(credentialRef);
+  }
+
+  const entry = await updateEntry(entryId, { ipAddress, protocol, name, tags, credentialRef });
+  sendJson(res, 200, { switch: entry });
+};
+
+/**
+ * DELETE /api/inventory/:id - remove a switch and its backups from the inventory (its credential profile is kept)
+ */
+const handleRemove = async (req, res, [entryId]) => {
+  const entry = await removeEntry(entryId);
+
+  if (!entry) {
+    throw new HttpError(404, `No inventory entry found with ID: ${entryId}`);
+  }
+
+  await removeBackups(entryId);
+  await removeMetrics(entryId);
+  await removeAlerts(entryId);
+  sendJson(res, 200, { success: true });
+};
+
+export default [
+  { method: 'GET', path: /^\/api\/inventory$/, handler: handleList },
+  { method: 'POST', path: /^\/api\/inventory$/, handler: handleAdd },
+  { method: 'PUT', path: /^\/api\/inventory\/([^/]+)$/, handler: handleUpdate },
+  { method: 'DELETE', path: /^\/api\/inventory\/([^/]+)$/, handler: handleRemove }
+];
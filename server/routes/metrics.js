@@ -0,0 +1,56 @@
+/**
+ * Metrics Routes
+ * Stores and serves the metric samples recorded for inventory switches
+ */
+
+import { HttpError, readJsonBody, sendJson } from '../http.js';
+import { getEntry } from '../inventory.js';
+import { getMetrics, appendMetrics } from '../metrics.js';
+
+// Samples accepted in one request
+const MAX_SAMPLES_PER_REQUEST = 500;
+
+/**
+ * Ensure an inventory entry exists
+ * @param {string} entryId - ID of the inventory entry
+ */
+const assertEntryExists = async (entryId) => {
+  if (!(await getEntry(entryId))) {
+    throw new HttpError(404, `No inventory entry found with ID: ${entryId}`);
+  }
+};
+
+/**
+ * GET /api/metrics/:id?since=<ms> - get the stored samples of a switch
+ */
+const handleGet = async (req, res, [entryId]) => {
+  await assertEntryExists(entryId);
+
+  const since = parseInt(new URL(req.url, 'http://localhost').searchParams.get('since') || '0');
+
+  if (!Number.isFinite(since) || since < 0) {
+    throw new HttpError(400, 'since must be a timestamp in milliseconds');
+  }
+
+  sendJson(res, 200, { samples: await getMetrics(entryId, since) });
+};
+
+/**
+ * POST /api/metrics/:id - store new samples of a switch
+ */
+const handleAppend = async (req, res, [entryId]) => {
+  await assertEntryExists(entryId);
+
+  const { samples } = await readJsonBody(req);
+
+  if (!Array.isArray(samples) || samples.length === 0 || samples.length > MAX_SAMPLES_PER_REQUEST) {
+    throw new HttpError(400, `samples must be an array of 1 to ${MAX_SAMPLES_PER_REQUEST} samples`);
+  }
+
+  sendJson(res, 201, { added: await appendMetrics(entryId, samples) });
+};
+
+export default [
+  { method: 'GET', path: /^\/api\/metrics\/([^/]+)$/, handler: handleGet },
+  { method: 'POST', path: /^\/api\/metrics\/([^/]+)$/, handler: handleAppend }
+];
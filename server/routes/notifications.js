@@ -0,0 +1,126 @@
+/**
+ * Notification Routes
+ * Manages the channels that alert notifications are sent through
+ */
+
+import { HttpError, readJsonBody, sendJson } from '../http.js';
+import { getProfileSecret } from '../credentialVault.js';
+import { DEFAULT_RULES } from '../alerts.js';
+import {
+  validateChannel,
+  listChannels,
+  getChannel,
+  addChannel,
+  updateChannel,
+  removeChannel,
+  sendTestNotification
+} from '../notifications.js';
+import { requireUnlockedVault } from './vault.js';
+
+/**
+ * Validate channel settings and check the rules and credential profile they refer to
+ * @param {Object} input - Settings sent by the browser
+ * @param {Object} [current] - Stored channel being updated
+ * @returns {Promise<Object>} - Promise resolving to the clean settings
+ */
+const validateSettings = async (input, current) => {
+  let settings;
+
+  try {
+    settings = validateChannel(input, current);
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+
+  const unknownRule = settings.ruleIds.find(ruleId => !DEFAULT_RULES.some(rule => rule.id === ruleId));
+  if (unknownRule) {
+    throw new HttpError(400, `Unknown alert rule: ${unknownRule}`);
+  }
+
+  const { credentialRef } = settings.config;
+  if (credentialRef && credentialRef !== current?.config?.credentialRef) {
+    requireUnlockedVault();
+
+    if (!(await getProfileSecret(credentialRef))) {
+      throw new HttpError(400, `No credential profile found with ID: ${credentialRef}`);
+    }
+  }
+
+  return settings;
+};
+
+/**
+ * Get a stored channel or fail with 404
+ * @param {string} channelId - ID of the channel
+ * @returns {Promise<Object>} - Promise resolving to the channel
+ */
+const requireChannel = async (channelId) => {
+  const channel = await getChannel(channelId);
+
+  if (!channel) {
+    throw new HttpError(404, `No notification channel found with ID: ${channelId}`);
+  }
+
+  return channel;
+};
+
+/**
+ * GET /api/notifications/channels - list notification channels with their delivery status
+ */
+const handleList = async (req, res) => {
+  sendJson(res, 200, { channels: await listChannels() });
+};
+
+/**
+ * POST /api/notifications/channels - add a notification channel
+ */
+const handleAdd = async (req, res) => {
+  const settings = await validateSettings(await readJsonBody(req));
+  sendJson(res, 201, { channel: await addChannel(settings) });
+};
+
+/**
+ * PUT /api/notifications/channels/:id - change a notification channel
+ */
+const handleUpdate = async (req, res, [channelId]) => {
+  const current = await requireChannel(channelId);
+  const settings = await validateSettings(await readJsonBody(req), current);
+  sendJson(res, 200, { channel: await updateChannel(channelId, settings) });
+};
+
+/**
+ * DELETE /api/notifications/channels/:id - remove a notification channel
+ */
+const handleRemove = async (req, res, [channelId]) => {
+  if (!(await removeChannel(channelId))) {
+    throw new HttpError(404, `No notification channel found with ID: ${channelId}`);
+  }
+
+  sendJson(res, 200, { success: true });
+};
+
+/**
+ * POST /api/notifications/channels/:id/test - send a sample alert through a channel
+ */
+const handleTest = async (req, res, [channelId]) => {
+  const channel = await requireChannel(channelId);
+
+  if (channel.config.credentialRef) {
+    requireUnlockedVault();
+  }
+
+  try {
+    await sendTestNotification(channel);
+    sendJson(res, 200, { success: true });
+  } catch (error) {
+    throw new HttpError(502, error.message || 'Failed to send the test notification');
+  }
+};
+
+export default [
+  { method: 'GET', path: /^\/api\/notifications\/channels$/, handler: handleList },
+  { method: 'POST', path: /^\/api\/notifications\/channels$/, handler: handleAdd },
+  { method: 'PUT', path: /^\/api\/notifications\/channels\/([^/]+)$/, handler: handleUpdate },
+  { method: 'DELETE', path: /^\/api\/notifications\/channels\/([^/]+)$/, handler: handleRemove },
+  { method: 'POST', path: /^\/api\/notifications\/channels\/([^/]+)\/test$/, handler: handleTest }
+];
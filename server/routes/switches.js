@@ -0,0 +1,164 @@
+/**
+ * Switch Routes
+ * Opens and closes switch sessions and proxies eAPI commands to them
+ */
+
+import { HttpError, readJsonBody, sendJson } from '../http.js';
+import { openSession, getSession, closeSession } from '../sessions.js';
+import { getEntry } from '../inventory.js';
+import { getProfileSecret } from '../credentialVault.js';
+import { requireUnlockedVault } from './vault.js';
+import { EapiAuthError } from '../eapiClient.js';
+import { hashSecret, MAX_SECRET_LENGTH } from '../secretHash.js';
+
+const VALID_PROTOCOLS = ['http', 'https'];
+const VALID_FORMATS = ['json', 'text'];
+
+/**
+ * Check that a command is a string or a `{ cmd, revision, input }` object
+ * @param {string|Object} command - Command from a run request
+ * @returns {boolean} - True if eAPI accepts the command form
+ */
+const isValidCommand = (command) => {
+  if (typeof command === 'string') {
+    return command.trim() !== '';
+  }
+
+  return !!command
+    && typeof command.cmd === 'string'
+    && command.cmd.trim() !== ''
+    && (command.revision === undefined || (Number.isInteger(command.revision) && command.revision > 0))
+    && (command.input === undefined || typeof command.input === 'string');
+};
+
+/**
+ * Look up the username and password of a credential profile
+ * @param {string} credentialRef - ID of the credential profile
+ * @returns {Promise<Object>} - Promise resolving to `{ username, password }`
+ */
+const resolveCredential = async (credentialRef) => {
+  requireUnlockedVault();
+
+  const credential = await getProfileSecret(credentialRef);
+
+  if (!credential) {
+    throw new HttpError(409, `No credential profile found with ID: ${credentialRef}`);
+  }
+
+  return credential;
+};
+
+/**
+ * Resolve the connection target from a connect request body
+ * @param {Object} body - Request body, either `{ inventoryId }` or `{ ipAddress, protocol, credentialRef }`
+ * @returns {Promise<Object>} - Promise resolving to the switch target
+ */
+const resolveTarget = async ({ inventoryId, ipAddress, protocol = 'http', credentialRef }) => {
+  if (inventoryId) {
+    const entry = await getEntry(inventoryId);
+
+    if (!entry) {
+      throw new HttpError(404, `No inventory entry found with ID: ${inventoryId}`);
+    }
+
+    const credential = await resolveCredential(entry.credentialRef);
+    return { ipAddress: entry.ipAddress, protocol: entry.protocol, ...credential };
+  }
+
+  if (!ipAddress || !credentialRef) {
+    throw new HttpError(400, 'ipAddress and credentialRef are required');
+  }
+
+  if (!VALID_PROTOCOLS.includes(protocol)) {
+    throw new HttpError(400, `Invalid protocol: ${protocol}`);
+  }
+
+  const credential = await resolveCredential(credentialRef);
+  return { ipAddress, protocol, ...credential };
+};
+
+/**
+ * POST /api/switches - open a session to a switch, given either a credential profile or an inventory entry
+ */
+const handleConnect = async (req, res) => {
+  const target = await resolveTarget(await readJsonBody(req));
+
+  try {
+    const session = await openSession(target);
+    sendJson(res, 201, { id: session.id });
+  } catch (error) {
+    // Tell the browser the switch was reached but refused the credentials
+    if (error instanceof EapiAuthError) {
+      throw new HttpError(401, error.message);
+    }
+    throw new HttpError(502, error.message || `Could not connect to ${target.ipAddress}`);
+  }
+};
+
+/**
+ * POST /api/switches/:id/run - run commands on the switch behind a session
+ */
+const handleRun = async (req, res, [sessionId]) => {
+  const session = getSession(sessionId);
+
+  if (!session) {
+    throw new HttpError(404, `No session found with ID: ${sessionId}`);
+  }
+
+  const { cmds, format = 'json', includeErrorDetail = false } = await readJsonBody(req);
+
+  if (!Array.isArray(cmds) || cmds.length === 0) {
+    throw new HttpError(400, 'cmds must be a non-empty array');
+  }
+
+  const invalidIndex = cmds.findIndex(command => !isValidCommand(command));
+  if (invalidIndex !== -1) {
+    throw new HttpError(400, `Invalid command at index ${invalidIndex}: expected a string or { cmd, revision, input }`);
+  }
+
+  if (!VALID_FORMATS.includes(format)) {
+    throw new HttpError(400, `Invalid format: ${format}`);
+  }
+
+  try {
+    // The JSON-RPC envelope is passed through untouched so the browser sees eAPI errors as-is
+    const response = await session.client.runCmds(cmds, { format, includeErrorDetail: includeErrorDetail === true });
+    sendJson(res, 200, response);
+  } catch (error) {
+    if (error instanceof EapiAuthError) {
+      throw new HttpError(401, error.message);
+    }
+    throw new HttpError(502, error.message || 'Failed to reach switch');
+  }
+};
+
+/**
+ * DELETE /api/switches/:id - close a session and log out of the switch
+ */
+const handleDisconnect = async (req, res, [sessionId]) => {
+  if (!(await closeSession(sessionId))) {
+    throw new HttpError(404, `No session found with ID: ${sessionId}`);
+  }
+
+  sendJson(res, 200, { success: true });
+};
+
+/**
+ * POST /api/switches/secret-hash - hash an account password for `username ... secret sha512`
+ */
+const handleHashSecret = async (req, res) => {
+  const { secret } = await readJsonBody(req, 4096);
+
+  if (typeof secret !== 'string' || secret.length === 0 || secret.length > MAX_SECRET_LENGTH) {
+    throw new HttpError(400, `secret must be a string of 1-${MAX_SECRET_LENGTH} characters`);
+  }
+
+  sendJson(res, 200, { hash: hashSecret(secret) });
+};
+
+export default [
+  { method: 'POST', path: /^\/api\/switches$/, handler: handleConnect },
+  { method: 'POST', path: /^\/api\/switches\/secret-hash$/, handler: handleHashSecret },
+  { method: 'POST', path: /^\/api\/switches\/([^/]+)\/run$/, handler: handleRun },
+  { method: 'DELETE', path: /^\/api\/switches\/([^/]+)$/, handler: handleDisconnect }
+];
@@ -0,0 +1,157 @@
+/**
+ * Vault Routes
+ * Unlocks the credential vault and manages the named credential profiles it holds
+ */
+
+import { HttpError, readJsonBody, sendJson } from '../http.js';
+import {
+  isVaultUnlocked,
+  getVaultStatus,
+  createVault,
+  unlockVault,
+  lockVault,
+  listProfiles,
+  createProfile,
+  updateProfile,
+  removeProfile
+} from '../credentialVault.js';
+import { listEntries } from '../inventory.js';
+
+/**
+ * Fail with 423 Locked unless the vault is unlocked
+ */
+export const requireUnlockedVault = () => {
+  if (!isVaultUnlocked()) {
+    throw new HttpError(423, 'Credential vault is locked');
+  }
+};
+
+/**
+ * GET /api/vault - report whether the vault exists and is unlocked
+ */
+const handleStatus = async (req, res) => {
+  sendJson(res, 200, await getVaultStatus());
+};
+
+/**
+ * POST /api/vault - create the vault with its master passphrase
+ */
+const handleCreate = async (req, res) => {
+  const { passphrase } = await readJsonBody(req);
+
+  if (!passphrase) {
+    throw new HttpError(400, 'passphrase is required');
+  }
+
+  try {
+    sendJson(res, 201, await createVault(passphrase));
+  } catch (error) {
+    throw new HttpError(409, error.message);
+  }
+};
+
+/**
+ * POST /api/vault/unlock - unlock the vault
+ */
+const handleUnlock = async (req, res) => {
+  const { passphrase } = await readJsonBody(req);
+
+  if (!passphrase) {
+    throw new HttpError(400, 'passphrase is required');
+  }
+
+  if (!(await getVaultStatus()).initialized) {
+    throw new HttpError(409, 'Credential vault has not been created');
+  }
+
+  try {
+    sendJson(res, 200, await unlockVault(passphrase));
+  } catch (error) {
+    throw new HttpError(401, error.message);
+  }
+};
+
+/**
+ * POST /api/vault/lock - lock the vault
+ */
+const handleLock = async (req, res) => {
+  lockVault();
+  sendJson(res, 200, await getVaultStatus());
+};
+
+/**
+ * GET /api/credentials - list credential profiles (passwords are never returned)
+ */
+const handleListProfiles = async (req, res) => {
+  requireUnlockedVault();
+  sendJson(res, 200, { profiles: await listProfiles() });
+};
+
+/**
+ * POST /api/credentials - create a credential profile
+ */
+const handleCreateProfile = async (req, res) => {
+  requireUnlockedVault();
+  const { name, username, password } = await readJsonBody(req);
+
+  if (!name || !username || !password) {
+    throw new HttpError(400, 'name, username and password are required');
+  }
+
+  try {
+    sendJson(res, 201, { profile: await createProfile({ name, username, password }) });
+  } catch (error) {
+    throw new HttpError(409, error.message);
+  }
+};
+
+/**
+ * PUT /api/credentials/:id - rename a profile or change its username/password
+ */
+const handleUpdateProfile = async (req, res, [profileId]) => {
+  requireUnlockedVault();
+  const { name, username, password } = await readJsonBody(req);
+
+  let profile;
+  try {
+    profile = await updateProfile(profileId, { name, username, password });
+  } catch (error) {
+    throw new HttpError(409, error.message);
+  }
+
+  if (!profile) {
+    throw new HttpError(404, `No credential profile found with ID: ${profileId}`);
+  }
+
+  sendJson(res, 200, { profile });
+};
+
+/**
+ * DELETE /api/credentials/:id - remove a profile no switch refers to
+ */
+const handleRemoveProfile = async (req, res, [profileId]) => {
+  requireUnlockedVault();
+
+  const users = (await listEntries()).filter(entry => entry.credentialRef === profileId);
+
+  if (users.length > 0) {
+    throw new HttpError(409, `Profile is used by ${users.map(entry => entry.name).join(', ')}`);
+  }
+
+  if (!(await removeProfile(profileId))) {
+    throw new HttpError(404, `No credential profile found with ID: ${profileId}`);
+  }
+
+  sendJson(res, 200, { success: true });
+};
+
+export default [
+  { method: 'GET', path: /^\/api\/vault$/, handler: handleStatus },
+  { method: 'POST', path: /^\/api\/vault$/, handler: handleCreate },
+  { method: 'POST', path: /^\/api\/vault\/unlock$/, handler: handleUnlock },
+  { method: 'POST', path: /^\/api\/vault\/lock$/, handler: handleLock },
+  { method: 'GET', path: /^\/api\/credentials$/, handler: handleListProfiles },
+  { method: 'POST', path: /^\/api\/credentials$/, handler: handleCreateProfile },
+  { method: 'PUT', path: /^\/api\/credentials\/([^/]+)$/, handler: handleUpdateProfile },
+  { method: 'DELETE', path: /^\/api\/credentials\/([^/]+)$/, handler: handleRemoveProfile }
+];
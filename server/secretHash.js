@@ -0,0 +1,116 @@
+/**
+ * Secret Hashing
+ * Hashes switch account passwords with SHA-512 crypt (`$6$`), the format EOS stores for
+ * `username ... secret sha512`, so cleartext passwords are never sent to a switch
+ */
+
+import crypto from 'node:crypto';
+
+// Alphabet of the crypt(3) base64 encoding
+const CRYPT_ALPHABET = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+// Rounds used by crypt(3) when the hash carries no `rounds=` parameter
+const ROUNDS = 5000;
+
+const SALT_LENGTH = 16;
+
+// Work grows with the square of the length, so very long input is refused
+export const MAX_SECRET_LENGTH = 128;
+
+/**
+ * Digest buffers with SHA-512
+ * @param {...Buffer} parts - Buffers hashed in order
+ * @returns {Buffer} - 64-byte digest
+ */
+const sha512 = (...parts) => {
+  const hash = crypto.createHash('sha512');
+  parts.forEach(part => hash.update(part));
+  return hash.digest();
+};
+
+/**
+ * Repeat a digest until it covers a length, as crypt(3) does for the password and salt sequences
+ * @param {Buffer} digest - 64-byte digest
+ * @param {number} length - Bytes wanted
+ * @returns {Buffer} - Bytes of the digest repeated and cut to length
+ */
+const stretch = (digest, length) => {
+  const output = Buffer.alloc(length);
+  for (let offset = 0; offset < length; offset += digest.length) {
+    digest.copy(output, offset, 0, Math.min(digest.length, length - offset));
+  }
+  return output;
+};
+
+/**
+ * Encode the final digest in the byte order SHA-512 crypt uses
+ * @param {Buffer} digest - 64-byte digest
+ * @returns {string} - 86 characters of crypt base64
+ */
+const encodeDigest = (digest) => {
+  const encode = (value, characters) => {
+    let output = '';
+    for (let i = 0; i < characters; i++) {
+      output += CRYPT_ALPHABET[value & 0x3f];
+      value >>= 6;
+    }
+    return output;
+  };
+
+  let output = '';
+  for (let i = 0; i < 21; i++) {
+    // Each group takes bytes i, i + 21 and i + 42, rotated by one position per group
+    const group = [i, i + 21, i + 42];
+    const [a, b, c] = [...group.slice(i % 3), ...group.slice(0, i % 3)];
+    output += encode((digest[a] << 16) | (digest[b] << 8) | digest[c], 4);
+  }
+  return output + encode(digest[63], 2);
+};
+
+/**
+ * Hash a secret with SHA-512 crypt
+ * @param {string} secret - Cleartext password
+ * @param {string} [salt] - Salt of up to 16 crypt base64 characters; random when omitted
+ * @returns {string} - Hash in the form `$6$<salt>$<digest>`
+ */
+export const hashSecret = (secret, salt = randomSalt()) => {
+  if (typeof secret !== 'string' || secret.length === 0 || secret.length > MAX_SECRET_LENGTH) {
+    throw new Error(`Secret must be between 1-${MAX_SECRET_LENGTH} characters`);
+  }
+
+  const password = Buffer.from(secret, 'utf8');
+  const saltBytes = Buffer.from(salt.slice(0, SALT_LENGTH), 'utf8');
+
+  const alternate = sha512(password, saltBytes, password);
+
+  const initial = crypto.createHash('sha512');
+  initial.update(password);
+  initial.update(saltBytes);
+  initial.update(stretch(alternate, password.length));
+  for (let length = password.length; length > 0; length >>= 1) {
+    initial.update(length & 1 ? alternate : password);
+  }
+  let digest = initial.digest();
+
+  const passwordSequence = stretch(sha512(...Array(password.length).fill(password)), password.length);
+  const saltSequence = stretch(sha512(...Array(16 + digest[0]).fill(saltBytes)), saltBytes.length);
+
+  for (let round = 0; round < ROUNDS; round++) {
+    const hash = crypto.createHash('sha512');
+    hash.update(round & 1 ? passwordSequence : digest);
+    if (round % 3) hash.update(saltSequence);
+    if (round % 7) hash.update(passwordSequence);
+    hash.update(round & 1 ? digest : passwordSequence);
+    digest = hash.digest();
+  }
+
+  return `$6$${saltBytes.toString('utf8')}$${encodeDigest(digest)}`;
+};
+
+/**
+ * Generate a random salt
+ * @returns {string} - 16 crypt base64 characters
+ */
+const randomSalt = () => {
+  return Array.from(crypto.randomBytes(SALT_LENGTH), byte => CRYPT_ALPHABET[byte & 0x3f]).join('');
+};
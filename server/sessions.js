@@ -0,0 +1,75 @@
+/**
+ * Switch Session Registry
+ * Holds the authenticated eAPI clients for sessions opened by the browser
+ */
+
+import { randomUUID } from 'node:crypto';
+import { createEapiClient } from './eapiClient.js';
+
+// Sessions live in memory for the lifetime of the server process
+const sessions = new Map();
+
+/**
+ * Open a session to a switch after verifying it answers eAPI requests
+ * @param {Object} target - Switch target
+ * @param {string} target.ipAddress - IP address of the switch
+ * @param {string} target.username - Username for authentication
+ * @param {string} target.password - Password for authentication
+ * @param {string} [target.protocol='http'] - Protocol to use (http or https)
+ * @returns {Promise<Object>} - Promise resolving to the created session
+ */
+export const openSession = async ({ ipAddress, username, password, protocol = 'http' }) => {
+  const client = createEapiClient({ ipAddress, username, password, protocol });
+
+  await client.login();
+
+  // Test the connection with a simple command
+  const response = await client.runCmds(['show version']);
+
+  if (response.error) {
+    await client.logout().catch(() => {});
+    throw new Error(`API Error: ${response.error.message}`);
+  }
+
+  const session = {
+    id: randomUUID(),
+    client,
+    target: { ipAddress, username, protocol },
+    createdAt: new Date().toISOString()
+  };
+
+  sessions.set(session.id, session);
+  return session;
+};
+
+/**
+ * Get a session by ID
+ * @param {string} sessionId - ID of the session
+ * @returns {Object|null} - Session or null if not found
+ */
+export const getSession = (sessionId) => {
+  return sessions.get(sessionId) || null;
+};
+
+/**
+ * Close a session and log out of the switch
+ * @param {string} sessionId - ID of the session
+ * @returns {Promise<boolean>} - True if closed, false if not found
+ */
+export const closeSession = async (sessionId) => {
+  const session = sessions.get(sessionId);
+
+  if (!session) {
+    return false;
+  }
+
+  sessions.delete(sessionId);
+
+  try {
+    await session.client.logout();
+  } catch (error) {
+    console.error(`Error logging out of ${session.target.ipAddress}:`, error);
+  }
+
+  return true;
+};
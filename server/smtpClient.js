@@ -0,0 +1,253 @@
+/**
+ * SMTP Client
+ * Sends plain-text email through an SMTP relay, with optional STARTTLS or implicit TLS and
+ * AUTH PLAIN
+ */
+
+import net from 'node:net';
+import tls from 'node:tls';
+import os from 'node:os';
+import { randomUUID } from 'node:crypto';
+
+// Relays are expected to present a valid certificate unless this is turned off
+const verifyTls = process.env.SMTP_VERIFY_TLS !== '0';
+
+// Milliseconds without a reply before the relay is considered unreachable
+const replyTimeoutMs = parseInt(process.env.SMTP_TIMEOUT_MS) || 20000;
+
+/**
+ * Error raised when the relay answers with an unexpected reply code
+ */
+export class SmtpError extends Error {
+  /**
+   * @param {string} command - Command that was rejected, without secrets
+   * @param {Object} reply - Reply `{ code, lines }`
+   */
+  constructor(command, reply) {
+    super(`SMTP ${command} failed: ${reply.code} ${reply.lines.join(' ')}`);
+    this.name = 'SmtpError';
+    this.code = reply.code;
+  }
+}
+
+/**
+ * Read complete replies from a socket that can be swapped for its TLS upgrade
+ * @param {net.Socket} initialSocket - Connected socket
+ * @param {string} host - Relay host, used in timeout errors
+ * @returns {Object} - Reader with `next()`, `write(line)`, `detach()`, `attach(socket)` and `close()`
+ */
+const createReplyReader = (initialSocket, host) => {
+  let socket = null;
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  const settle = () => {
+    while (waiting.length > 0 && (replies.length > 0 || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length > 0) {
+        resolve(replies.shift());
+      } else {
+        reject(failure);
+      }
+    }
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+
+    let end;
+    while ((end = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      lines.push(line.slice(4));
+
+      // `250-...` continues a reply, `250 ...` ends it
+      if (line[3] !== '-') {
+        replies.push({ code: parseInt(line.slice(0, 3)), lines });
+        lines = [];
+      }
+    }
+
+    settle();
+  };
+
+  const onError = (error) => {
+    failure = error;
+    settle();
+  };
+
+  const onClose = () => onError(failure || new Error(`SMTP connection to ${host} closed unexpectedly`));
+
+  const detach = () => {
+    socket.off('data', onData);
+    socket.off('error', onError);
+    socket.off('close', onClose);
+    socket.setTimeout(0);
+    return socket;
+  };
+
+  const attach = (nextSocket) => {
+    socket = nextSocket;
+    socket.on('data', onData);
+    socket.on('error', onError);
+    socket.on('close', onClose);
+    socket.setTimeout(replyTimeoutMs, () => {
+      socket.destroy(new Error(`${host} did not respond within ${replyTimeoutMs / 1000}s`));
+    });
+  };
+
+  attach(initialSocket);
+
+  return {
+    next: () => new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject });
+      settle();
+    }),
+    write: (line) => socket.write(`${line}\r\n`),
+    detach,
+    attach,
+    close: () => socket.destroy()
+  };
+};
+
+/**
+ * Send a command and check the reply code
+ * @param {Object} reader - Reply reader
+ * @param {string|null} line - Command line, or null to only read the next reply
+ * @param {Array} expected - Accepted reply codes
+ * @param {string} [label] - Command name used in errors, defaults to the first word of the line
+ * @returns {Promise<Object>} - Promise resolving to the reply
+ */
+const command = async (reader, line, expected, label) => {
+  if (line !== null) {
+    reader.write(line);
+  }
+
+  const reply = await reader.next();
+
+  if (!expected.includes(reply.code)) {
+    throw new SmtpError(label || (line || 'greeting').split(' ')[0], reply);
+  }
+
+  return reply;
+};
+
+/**
+ * Open a connection to the relay
+ * @param {string} host - Relay host
+ * @param {number} port - Relay port
+ * @param {boolean} implicitTls - Whether to speak TLS from the start
+ * @returns {Promise<net.Socket>} - Promise resolving to the connected socket
+ */
+const connect = (host, port, implicitTls) => {
+  return new Promise((resolve, reject) => {
+    const socket = implicitTls
+      ? tls.connect({ host, port, servername: host, rejectUnauthorized: verifyTls }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+
+    socket.once('error', reject);
+  });
+};
+
+/**
+ * Upgrade a plain connection with STARTTLS
+ * @param {net.Socket} socket - Plain socket
+ * @param {string} host - Relay host, checked against its certificate
+ * @returns {Promise<tls.TLSSocket>} - Promise resolving to the secured socket
+ */
+const startTls = (socket, host) => {
+  return new Promise((resolve, reject) => {
+    const secure = tls.connect({ socket, servername: host, rejectUnauthorized: verifyTls }, () => resolve(secure));
+    secure.once('error', reject);
+  });
+};
+
+/**
+ * Encode a header value that contains non-ASCII characters
+ * @param {string} value - Header value
+ * @returns {string} - Value safe to put in a header
+ */
+const encodeHeader = (value) => {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+};
+
+/**
+ * Build the message text sent after DATA, with dot-stuffing applied
+ * @param {Object} message - Message fields
+ * @returns {string} - Message ending with the terminating dot line
+ */
+const buildMessage = ({ from, to, subject, text }) => {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject.replace(/[\r\n]+/g, ' '))}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${randomUUID()}@${os.hostname()}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit'
+  ];
+
+  const body = text
+    .replace(/\r?\n/g, '\r\n')
+    .split('\r\n')
+    .map(line => (line.startsWith('.') ? `.${line}` : line))
+    .join('\r\n');
+
+  return `${headers.join('\r\n')}\r\n\r\n${body}\r\n.`;
+};
+
+/**
+ * Send an email
+ * @param {Object} options - Relay and message
+ * @param {string} options.host - Relay host
+ * @param {number} options.port - Relay port
+ * @param {string} [options.security='none'] - `none`, `starttls` or `tls`
+ * @param {string} [options.username] - Username for AUTH PLAIN
+ * @param {string} [options.password] - Password for AUTH PLAIN
+ * @param {string} options.from - Sender address
+ * @param {Array} options.to - Recipient addresses
+ * @param {string} options.subject - Subject line
+ * @param {string} options.text - Plain-text body
+ * @returns {Promise} - Promise that resolves once the relay accepted the message
+ */
+export const sendMail = async ({ host, port, security = 'none', username, password, from, to, subject, text }) => {
+  const socket = await connect(host, port, security === 'tls');
+  const reader = createReplyReader(socket, host);
+  const hostname = os.hostname();
+
+  try {
+    await command(reader, null, [220]);
+    const hello = await command(reader, `EHLO ${hostname}`, [250]);
+
+    if (security === 'starttls') {
+      if (!hello.lines.some(line => line.toUpperCase().startsWith('STARTTLS'))) {
+        throw new Error(`${host} does not offer STARTTLS`);
+      }
+
+      await command(reader, 'STARTTLS', [220]);
+      // The TLS layer takes over the raw socket, so replies are read from it from now on
+      reader.attach(await startTls(reader.detach(), host));
+      await command(reader, `EHLO ${hostname}`, [250]);
+    }
+
+    if (username) {
+      const credentials = Buffer.from(`\0${username}\0${password || ''}`, 'utf8').toString('base64');
+      await command(reader, `AUTH PLAIN ${credentials}`, [235], 'AUTH');
+    }
+
+    await command(reader, `MAIL FROM:<${from}>`, [250], 'MAIL FROM');
+    for (const recipient of to) {
+      await command(reader, `RCPT TO:<${recipient}>`, [250, 251], 'RCPT TO');
+    }
+
+    await command(reader, 'DATA', [354]);
+    await command(reader, buildMessage({ from, to, subject, text }), [250], 'message');
+    await command(reader, 'QUIT', [221]).catch(() => {});
+  } finally {
+    reader.close();
+  }
+};
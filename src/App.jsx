@@ -5,10 +5,17 @@ import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter } from '@/components/ui/dialog';
 import SwitchCard from '@/components/SwitchCard';
 import ConfigurationPanel from '@/components/ConfigurationPanel';
 import NetworkTopology from '@/components/NetworkTopology';
 import AddSwitchModal from '@/components/AddSwitchModal';
+import VaultUnlockModal from '@/components/VaultUnlockModal';
+import CredentialProfilesModal from '@/components/CredentialProfilesModal';
+import FleetRunnerModal from '@/components/FleetRunnerModal';
+import MonitorModal from '@/components/MonitorModal';
+import TopTalkers from '@/components/TopTalkers';
+import AlertsPanel from '@/components/AlertsPanel';
 import { 
   Router, 
   Plus, 
@@ -22,10 +29,23 @@ import {
   Globe,
   Shield,
   BarChart3,
-  AlertTriangle
+  AlertTriangle,
+  KeyRound,
+  Layers
 } from 'lucide-react';
 import { useToast } from '@/components/ui/use-toast';
-import { getAllSwitchData, refreshAllConnections, createConnection } from '@/services/connectionManager';
+import {
+  refreshAllConnections,
+  loadInventory,
+  reconnectInventory,
+  subscribeToSwitches,
+  removeSwitch
+} from '@/services/connectionManager';
+import { getVaultStatus } from '@/services/vaultService';
+import { isReachable } from '@/services/switchHealth';
+import { startPolling, stopPolling } from '@/services/pollingScheduler';
+import { startMetricsRecording, stopMetricsRecording } from '@/services/metricsStore';
+import { startAlertSync, stopAlertSync } from '@/services/alertService';
 
 function App() {
   const { toast } = useToast();
@@ -34,57 +54,61 @@ function App() {
   const [searchTerm, setSearchTerm] = useState('');
   const [isLoading, setIsLoading] = useState(true);
   const [isAddModalOpen, setIsAddModalOpen] = useState(false);
+  const [switchToRemove, setSwitchToRemove] = useState(null);
+  const [vaultStatus, setVaultStatus] = useState({ initialized: true, unlocked: false });
+  const [isUnlockModalOpen, setIsUnlockModalOpen] = useState(false);
+  const [isProfilesModalOpen, setIsProfilesModalOpen] = useState(false);
+  // Switches picked on the dashboard as targets for fleet commands
+  const [selectedSwitchIds, setSelectedSwitchIds] = useState([]);
+  const [isFleetRunnerOpen, setIsFleetRunnerOpen] = useState(false);
+  const [monitoredSwitch, setMonitoredSwitch] = useState(null);
 
-  // Function to load switch data from the API
+  // Keep the dashboard in sync with the connection manager
+  useEffect(() => subscribeToSwitches(setSwitches), []);
+
+  // Keep a history of every switch's metrics for the monitoring view
+  useEffect(() => {
+    startMetricsRecording();
+    return stopMetricsRecording;
+  }, []);
+
+  // Keep the open alerts raised by the API server up to date on the dashboard
+  useEffect(() => {
+    startAlertSync();
+    return stopAlertSync;
+  }, []);
+
+  // Poll switches in the background while their credentials are available
+  useEffect(() => {
+    if (!vaultStatus.unlocked) return undefined;
+
+    startPolling();
+    return stopPolling;
+  }, [vaultStatus.unlocked]);
+
+  // Forget selected switches that were removed from the inventory
+  useEffect(() => {
+    setSelectedSwitchIds(prev => prev.filter(id => switches.some(sw => sw.id === id)));
+  }, [switches]);
+
+  // Function to load switch data from the inventory
   const loadSwitchData = useCallback(async () => {
     setIsLoading(true);
     
     try {
-      // Try to load any existing switch connections
-      const existingSwitches = getAllSwitchData();
+      // Load the persisted switch inventory and find out whether its credentials can be used
+      const [inventorySwitches, status] = await Promise.all([loadInventory(), getVaultStatus()]);
+      setSwitches(inventorySwitches);
+      setVaultStatus(status);
       
-      if (existingSwitches.length > 0) {
-        setSwitches(existingSwitches);
-        setIsLoading(false);
+      if (status.unlocked) {
+        // Reconnect in the background; cards update through the subscription
+        reconnectInventory();
       } else {
-        // If there are no existing connections, automatically connect to the test switch
-        toast({
-          title: 'Connecting to Test Switch...',
-          description: 'Attempting to connect to 192.168.88.153...',
-        });
-        
-        try {
-          const result = await createConnection('192.168.88.153', 'admin', 'Xm101ona', 'http');
-          
-          if (result.success) {
-            setSwitches([result.switchData]);
-            toast({
-              title: 'Connection Successful! ✅',
-              description: `Connected to ${result.switchData.hostname} (192.168.88.153)`,
-            });
-          } else {
-            toast({
-              variant: 'destructive',
-              title: 'Connection Failed',
-              description: result.error || 'Could not connect to test switch. Please add a switch manually.',
-            });
-            setSwitches([]);
-          }
-        } catch (error) {
-          console.error('Error connecting to test switch:', error);
-          toast({
-            variant: 'destructive',
-            title: 'Connection Error',
-            description: error.message || 'An unexpected error occurred while connecting to the test switch.',
-          });
-          setSwitches([]);
-        }
-        
-        setIsLoading(false);
+        setIsUnlockModalOpen(true);
       }
     } catch (error) {
       console.error('Error loading switch data:', error);
-      setIsLoading(false);
       setSwitches([]);
       
       toast({
@@ -92,6 +116,8 @@ function App() {
         title: 'Data Loading Error',
         description: 'Failed to load switch data. Please try refreshing.',
       });
+    } finally {
+      setIsLoading(false);
     }
   }, [toast]);
 
@@ -121,9 +147,11 @@ function App() {
       const updatedSwitches = await refreshAllConnections();
       setSwitches(updatedSwitches);
       
+      const unreachableCount = updatedSwitches.filter(sw => sw.status === 'unreachable' || sw.status === 'auth-failed').length;
       toast({
         title: "Network Refresh Complete! ✅",
-        description: `Updated data for ${updatedSwitches.length} ${updatedSwitches.length === 1 ? 'switch' : 'switches'}.`,
+        description: `Updated data for ${updatedSwitches.length} ${updatedSwitches.length === 1 ? 'switch' : 'switches'}`
+          + (unreachableCount > 0 ? `; ${unreachableCount} could not be reached.` : '.'),
       });
     } catch (error) {
       console.error('Error refreshing switch data:', error);
@@ -144,26 +172,87 @@ function App() {
     });
   };
 
+  const handleVaultUnlocked = (status) => {
+    setVaultStatus(status);
+    setIsUnlockModalOpen(false);
+    reconnectInventory();
+  };
+
+  const handleVaultLocked = (status) => {
+    setVaultStatus(status);
+    setIsProfilesModalOpen(false);
+  };
+
+  const handleOpenCredentials = () => {
+    if (vaultStatus.unlocked) {
+      setIsProfilesModalOpen(true);
+    } else {
+      setIsUnlockModalOpen(true);
+    }
+  };
+
+  // Adding a switch needs the vault unlocked to pick or store credentials
+  const handleOpenAddSwitch = () => {
+    if (vaultStatus.unlocked) {
+      setIsAddModalOpen(true);
+    } else {
+      setIsUnlockModalOpen(true);
+    }
+  };
+
+  const handleToggleSelect = (switchId) => {
+    setSelectedSwitchIds(prev => (prev.includes(switchId)
+      ? prev.filter(id => id !== switchId)
+      : [...prev, switchId]));
+  };
+
   const handleAddSwitch = (newSwitchData) => {
-    // The new switch data comes directly from the API now
-    setSwitches(prevSwitches => [...prevSwitches, newSwitchData]);
+    // The switch list itself updates through the connection manager subscription
     toast({
       title: 'Switch Added Successfully! ✅',
       description: `${newSwitchData.hostname} (${newSwitchData.ipAddress}) is now being monitored.`,
     });
   };
 
+  const handleRemoveSwitch = async () => {
+    if (!switchToRemove) return;
+    
+    const switchData = switchToRemove;
+    setSwitchToRemove(null);
+    
+    try {
+      await removeSwitch(switchData.id);
+      toast({
+        title: 'Switch Removed',
+        description: `${switchData.name || switchData.hostname} has been removed from the inventory.`,
+      });
+    } catch (error) {
+      console.error('Error removing switch:', error);
+      toast({
+        variant: 'destructive',
+        title: 'Remove Failed',
+        description: error.message || 'Failed to remove the switch from the inventory.',
+      });
+    }
+  };
+
   const filteredSwitches = switches.filter(sw => 
     sw.hostname.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    (sw.name || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
     sw.ipAddress.includes(searchTerm) ||
-    sw.model.toLowerCase().includes(searchTerm.toLowerCase())
+    sw.model.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    (sw.tags || []).some(tag => tag.toLowerCase().includes(searchTerm.toLowerCase()))
   );
 
+  // Averages only cover switches that answer; the others have no current metrics
+  const reachableSwitches = switches.filter(sw => isReachable(sw.status));
   const stats = {
     totalSwitches: switches.length,
     onlineSwitches: switches.filter(sw => sw.status === 'online').length,
-    avgCpuUsage: switches.length > 0 ? Math.round(switches.reduce((acc, sw) => acc + sw.cpuUsage, 0) / switches.length) : 0,
-    avgMemoryUsage: switches.length > 0 ? Math.round(switches.reduce((acc, sw) => acc + sw.memoryUsage, 0) / switches.length) : 0
+    degradedSwitches: switches.filter(sw => sw.status === 'degraded').length,
+    unreachableSwitches: switches.filter(sw => sw.status === 'unreachable' || sw.status === 'auth-failed').length,
+    avgCpuUsage: reachableSwitches.length > 0 ? Math.round(reachableSwitches.reduce((acc, sw) => acc + sw.cpuUsage, 0) / reachableSwitches.length) : 0,
+    avgMemoryUsage: reachableSwitches.length > 0 ? Math.round(reachableSwitches.reduce((acc, sw) => acc + sw.memoryUsage, 0) / reachableSwitches.length) : 0
   };
 
   return (
@@ -185,10 +274,23 @@ function App() {
               </div>
             </div>
             <div className="flex items-center space-x-3">
-              <Button onClick={() => setIsAddModalOpen(true)} className="bg-green-600 hover:bg-green-700">
+              <Button onClick={handleOpenAddSwitch} className="bg-green-600 hover:bg-green-700">
                 <Plus className="h-4 w-4 mr-2" />
                 Add Switch
               </Button>
+              <Button onClick={handleOpenCredentials} variant="outline" className="border-yellow-500/30 text-yellow-400">
+                <KeyRound className="h-4 w-4 mr-2" />
+                {vaultStatus.unlocked ? 'Credentials' : 'Unlock Vault'}
+              </Button>
+              <Button
+                onClick={() => setIsFleetRunnerOpen(true)}
+                variant="outline"
+                className="border-purple-500/30 text-purple-400"
+                disabled={switches.length === 0}
+              >
+                <Layers className="h-4 w-4 mr-2" />
+                Run on Fleet{selectedSwitchIds.length > 0 ? ` (${selectedSwitchIds.length})` : ''}
+              </Button>
               <Button onClick={handleRefresh} variant="outline" className="border-blue-500/30 text-blue-400">
                 <RefreshCw className={`h-4 w-4 mr-2 ${isLoading ? 'animate-spin' : ''}`} />
                 Refresh
@@ -227,6 +329,13 @@ function App() {
                     <div>
                       <p className="text-2xl font-bold text-white">{stats.onlineSwitches}</p>
                       <p className="text-sm text-gray-400">Online</p>
+                      {(stats.degradedSwitches > 0 || stats.unreachableSwitches > 0) && (
+                        <p className="text-xs">
+                          <span className="text-yellow-400">{stats.degradedSwitches} degraded</span>
+                          {' • '}
+                          <span className="text-red-400">{stats.unreachableSwitches} unreachable</span>
+                        </p>
+                      )}
                     </div>
                   </div>
                 </CardContent>
@@ -274,7 +383,7 @@ function App() {
             <div className="relative flex-1 max-w-md">
               <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
               <Input
-                placeholder="Search switches by hostname, IP, or model..."
+                placeholder="Search switches by name, IP, model, or tag..."
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
                 className="pl-10 bg-slate-800/50 border-gray-600 text-white"
@@ -316,7 +425,7 @@ function App() {
                   <AlertTriangle className="h-12 w-12 text-yellow-500 mb-4" />
                   <h3 className="text-lg font-semibold text-white mb-2">No Switches Found</h3>
                   <p className="text-gray-400 text-center mb-4">No switches are currently connected. Click the "Add Switch" button to connect to an Arista switch.</p>
-                  <Button onClick={() => setIsAddModalOpen(true)} className="bg-green-600 hover:bg-green-700">
+                  <Button onClick={handleOpenAddSwitch} className="bg-green-600 hover:bg-green-700">
                     <Plus className="h-4 w-4 mr-2" />
                     Add Switch
                   </Button>
@@ -335,6 +444,10 @@ function App() {
                         <SwitchCard
                           switchData={switchData}
                           onConfigure={handleConfigureSwitch}
+                          onRemove={setSwitchToRemove}
+                          onMonitor={setMonitoredSwitch}
+                          isSelected={selectedSwitchIds.includes(switchData.id)}
+                          onToggleSelect={handleToggleSelect}
                         />
                       </motion.div>
                     ))}
@@ -349,8 +462,11 @@ function App() {
               initial={{ opacity: 0, x: 20 }}
               animate={{ opacity: 1, x: 0 }}
               transition={{ delay: 0.3 }}
+              className="space-y-6"
             >
-              <NetworkTopology />
+              <AlertsPanel switches={switches} />
+              <NetworkTopology switches={switches} />
+              <TopTalkers switches={switches} />
             </motion.div>
           </div>
         </div>
@@ -369,6 +485,54 @@ function App() {
           onClose={() => setIsAddModalOpen(false)}
           onAddSwitch={handleAddSwitch}
         />
+
+        <VaultUnlockModal
+          isOpen={isUnlockModalOpen}
+          isInitialized={vaultStatus.initialized}
+          onClose={() => setIsUnlockModalOpen(false)}
+          onUnlocked={handleVaultUnlocked}
+        />
+
+        <CredentialProfilesModal
+          isOpen={isProfilesModalOpen}
+          onClose={() => setIsProfilesModalOpen(false)}
+          onLocked={handleVaultLocked}
+        />
+
+        <FleetRunnerModal
+          isOpen={isFleetRunnerOpen}
+          onClose={() => setIsFleetRunnerOpen(false)}
+          switches={switches}
+          initialSelection={selectedSwitchIds}
+        />
+
+        <MonitorModal
+          switchData={monitoredSwitch}
+          onClose={() => setMonitoredSwitch(null)}
+        />
+
+        {/* Remove confirmation dialog */}
+        <Dialog open={!!switchToRemove} onOpenChange={() => setSwitchToRemove(null)}>
+          <DialogContent>
+            <DialogHeader>
+              <DialogTitle>Remove Switch</DialogTitle>
+            </DialogHeader>
+            <div className="py-4">
+              <p>Are you sure you want to remove this switch from the inventory?</p>
+              <p className="font-mono mt-2 p-2 bg-slate-800 rounded-md">
+                {switchToRemove?.name || switchToRemove?.hostname} ({switchToRemove?.ipAddress})
+              </p>
+            </div>
+            <DialogFooter>
+              <Button variant="outline" onClick={() => setSwitchToRemove(null)}>
+                Cancel
+              </Button>
+              <Button variant="destructive" onClick={handleRemoveSwitch}>
+                Remove Switch
+              </Button>
+            </DialogFooter>
+          </DialogContent>
+        </Dialog>
       </div>
 
       <Toaster />
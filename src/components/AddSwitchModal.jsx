@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Dialog,
   DialogContent,
@@ -10,21 +10,51 @@ import {
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { useToast } from '@/components/ui/use-toast';
-import { Wifi, User, Key, Server, Globe } from 'lucide-react';
+import { Wifi, User, Key, Server, Globe, Tag, Type, KeyRound } from 'lucide-react';
 import { createConnection } from '@/services/connectionManager';
+import { getCredentialProfiles, createCredentialProfile } from '@/services/vaultService';
+
+// Select value for creating a new credential profile inline
+const NEW_PROFILE = 'new';
 
 const AddSwitchModal = ({ isOpen, onClose, onAddSwitch }) => {
   const { toast } = useToast();
   const [ipAddress, setIpAddress] = useState('');
+  const [profiles, setProfiles] = useState([]);
+  const [credentialRef, setCredentialRef] = useState(NEW_PROFILE);
+  const [profileName, setProfileName] = useState('');
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
+  const [displayName, setDisplayName] = useState('');
+  const [tags, setTags] = useState('');
   const [isConnecting, setIsConnecting] = useState(false);
 
   const [protocol, setProtocol] = useState('http');
 
+  // Load the credential profiles each time the modal opens
+  useEffect(() => {
+    if (!isOpen) return;
+
+    getCredentialProfiles()
+      .then((loadedProfiles) => {
+        setProfiles(loadedProfiles);
+        setCredentialRef(loadedProfiles.length > 0 ? loadedProfiles[0].id : NEW_PROFILE);
+      })
+      .catch((error) => {
+        toast({
+          variant: 'destructive',
+          title: 'Credential Profiles Unavailable',
+          description: error.message || 'Failed to load credential profiles.',
+        });
+      });
+  }, [isOpen, toast]);
+
+  const isNewProfile = credentialRef === NEW_PROFILE;
+
   const handleConnect = async () => {
-    if (!ipAddress || !username || !password) {
+    if (!ipAddress || (isNewProfile && (!profileName || !username || !password))) {
       toast({
         variant: 'destructive',
         title: 'Missing Information',
@@ -40,8 +70,21 @@ const AddSwitchModal = ({ isOpen, onClose, onAddSwitch }) => {
     });
 
     try {
+      let profileId = credentialRef;
+
+      // Store new credentials in the vault first so the switch only ever refers to the profile
+      if (isNewProfile) {
+        const profile = await createCredentialProfile({ name: profileName, username, password });
+        profileId = profile.id;
+        setProfiles(current => [...current, profile]);
+        setCredentialRef(profile.id);
+      }
+
       // Attempt to create a real connection to the switch
-      const result = await createConnection(ipAddress, username, password, protocol);
+      const result = await createConnection(ipAddress, profileId, protocol, {
+        name: displayName.trim() || undefined,
+        tags: tags.split(',').map(tag => tag.trim()).filter(Boolean)
+      });
       
       if (result.success) {
         toast({
@@ -69,8 +112,11 @@ const AddSwitchModal = ({ isOpen, onClose, onAddSwitch }) => {
     } finally {
       setIsConnecting(false);
       setIpAddress('');
+      setProfileName('');
       setUsername('');
       setPassword('');
+      setDisplayName('');
+      setTags('');
     }
   };
 
@@ -83,7 +129,7 @@ const AddSwitchModal = ({ isOpen, onClose, onAddSwitch }) => {
             <span>Add New Arista Switch</span>
           </DialogTitle>
           <DialogDescription className="text-gray-400">
-            Enter the connection details for the switch. eAPI must be enabled on port 80 (HTTP) or 443 (HTTPS).
+            Enter the connection details for the switch and pick a credential profile from the vault. eAPI must be enabled on port 80 (HTTP) or 443 (HTTPS).
           </DialogDescription>
         </DialogHeader>
         <div className="grid gap-4 py-4">
@@ -101,28 +147,90 @@ const AddSwitchModal = ({ isOpen, onClose, onAddSwitch }) => {
             />
           </div>
           <div className="grid grid-cols-4 items-center gap-4">
-            <Label htmlFor="username" className="text-right text-gray-300">
-              <User className="inline-block h-4 w-4 mr-1" />
-              Username
+            <Label htmlFor="credentialProfile" className="text-right text-gray-300">
+              <KeyRound className="inline-block h-4 w-4 mr-1" />
+              Credentials
+            </Label>
+            <Select value={credentialRef} onValueChange={setCredentialRef}>
+              <SelectTrigger id="credentialProfile" className="col-span-3 bg-slate-800 border-gray-600">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {profiles.map(profile => (
+                  <SelectItem key={profile.id} value={profile.id}>
+                    {profile.name} ({profile.username})
+                  </SelectItem>
+                ))}
+                <SelectItem value={NEW_PROFILE}>New profile...</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          {isNewProfile && (
+            <>
+              <div className="grid grid-cols-4 items-center gap-4">
+                <Label htmlFor="profileName" className="text-right text-gray-300">
+                  <Type className="inline-block h-4 w-4 mr-1" />
+                  Profile
+                </Label>
+                <Input
+                  id="profileName"
+                  value={profileName}
+                  onChange={(e) => setProfileName(e.target.value)}
+                  placeholder="e.g., lab-admin"
+                  className="col-span-3 bg-slate-800 border-gray-600"
+                />
+              </div>
+              <div className="grid grid-cols-4 items-center gap-4">
+                <Label htmlFor="username" className="text-right text-gray-300">
+                  <User className="inline-block h-4 w-4 mr-1" />
+                  Username
+                </Label>
+                <Input
+                  id="username"
+                  value={username}
+                  onChange={(e) => setUsername(e.target.value)}
+                  placeholder="e.g., admin"
+                  className="col-span-3 bg-slate-800 border-gray-600"
+                />
+              </div>
+              <div className="grid grid-cols-4 items-center gap-4">
+                <Label htmlFor="password" className="text-right text-gray-300">
+                  <Key className="inline-block h-4 w-4 mr-1" />
+                  Password
+                </Label>
+                <Input
+                  id="password"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="col-span-3 bg-slate-800 border-gray-600"
+                />
+              </div>
+            </>
+          )}
+          <div className="grid grid-cols-4 items-center gap-4">
+            <Label htmlFor="displayName" className="text-right text-gray-300">
+              <Type className="inline-block h-4 w-4 mr-1" />
+              Name
             </Label>
             <Input
-              id="username"
-              value={username}
-              onChange={(e) => setUsername(e.target.value)}
-              placeholder="e.g., admin"
+              id="displayName"
+              value={displayName}
+              onChange={(e) => setDisplayName(e.target.value)}
+              placeholder="Defaults to the switch hostname"
               className="col-span-3 bg-slate-800 border-gray-600"
             />
           </div>
           <div className="grid grid-cols-4 items-center gap-4">
-            <Label htmlFor="password" className="text-right text-gray-300">
-              <Key className="inline-block h-4 w-4 mr-1" />
-              Password
+            <Label htmlFor="tags" className="text-right text-gray-300">
+              <Tag className="inline-block h-4 w-4 mr-1" />
+              Tags
             </Label>
             <Input
-              id="password"
-              type="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
+              id="tags"
+              value={tags}
+              onChange={(e) => setTags(e.target.value)}
+              placeholder="e.g., leaf, dc1"
               className="col-span-3 bg-slate-800 border-gray-600"
             />
           </div>
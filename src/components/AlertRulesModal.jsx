@@ -0,0 +1,166 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/components/ui/use-toast';
+import { BellRing, Save, CheckSquare, Square } from 'lucide-react';
+import { getAlertRules, saveAlertRules } from '@/services/alertService';
+
+// Unit shown next to the threshold of each rule that has one
+const THRESHOLD_UNITS = {
+  'cpu-high': '%',
+  'temperature-high': '°C'
+};
+
+const AlertRulesModal = ({ isOpen, onClose }) => {
+  const { toast } = useToast();
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const loadRules = useCallback(async () => {
+    setLoading(true);
+    try {
+      setRules(await getAlertRules());
+    } catch (error) {
+      toast({
+        variant: 'destructive',
+        title: 'Error',
+        description: error.message || 'Failed to load alert rules.',
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadRules();
+    }
+  }, [isOpen, loadRules]);
+
+  const updateRule = (ruleId, changes) => {
+    setRules(current => current.map(rule => (rule.id === ruleId ? { ...rule, ...changes } : rule)));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await saveAlertRules(rules.map(({ id, enabled, severity, threshold, samples }) => ({
+        id,
+        enabled,
+        severity,
+        threshold,
+        samples
+      })));
+      toast({
+        title: 'Alert Rules Saved! ✅',
+        description: 'The API server applies the new settings from its next check of each switch.',
+      });
+      onClose();
+    } catch (error) {
+      toast({
+        variant: 'destructive',
+        title: 'Save Failed',
+        description: error.message || 'Failed to save alert rules.',
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-[620px] bg-slate-900 border-green-500/20 text-white">
+        <DialogHeader>
+          <DialogTitle className="flex items-center space-x-2">
+            <BellRing className="text-yellow-400" />
+            <span>Alert Rules</span>
+          </DialogTitle>
+          <DialogDescription className="text-gray-400">
+            The API server checks every switch against these rules every minute by default while the credential vault is unlocked, whether or not a dashboard is open. Temperature sensors that report their own overheat threshold use it instead of the one set here.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-3 py-4 max-h-[55vh] overflow-y-auto">
+          {loading ? (
+            <p className="text-gray-400 text-sm">Loading rules...</p>
+          ) : (
+            rules.map(rule => (
+              <div key={rule.id} className="p-3 rounded-lg bg-slate-800/50 border border-gray-700 space-y-2">
+                <div className="flex items-center justify-between">
+                  <button
+                    type="button"
+                    onClick={() => updateRule(rule.id, { enabled: !rule.enabled })}
+                    className="flex items-center space-x-2 text-left"
+                  >
+                    {rule.enabled
+                      ? <CheckSquare className="h-4 w-4 text-green-400" />
+                      : <Square className="h-4 w-4 text-gray-500" />}
+                    <span className={rule.enabled ? 'text-white' : 'text-gray-500'}>{rule.name}</span>
+                  </button>
+                  <Select value={rule.severity} onValueChange={(value) => updateRule(rule.id, { severity: value })}>
+                    <SelectTrigger className="w-[130px] h-8 bg-slate-800 border-gray-600">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="info">Info</SelectItem>
+                      <SelectItem value="warning">Warning</SelectItem>
+                      <SelectItem value="critical">Critical</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+                {(rule.threshold !== undefined || rule.samples !== undefined) && (
+                  <div className="flex items-center space-x-4 text-sm text-gray-400">
+                    {rule.threshold !== undefined && (
+                      <label className="flex items-center space-x-2">
+                        <span>Above</span>
+                        <Input
+                          type="number"
+                          value={rule.threshold}
+                          onChange={(e) => updateRule(rule.id, { threshold: parseFloat(e.target.value) })}
+                          className="w-20 h-8 bg-slate-800 border-gray-600 text-white"
+                        />
+                        <span>{THRESHOLD_UNITS[rule.id]}</span>
+                      </label>
+                    )}
+                    {rule.samples !== undefined && (
+                      <label className="flex items-center space-x-2">
+                        <span>for</span>
+                        <Input
+                          type="number"
+                          value={rule.samples}
+                          onChange={(e) => updateRule(rule.id, { samples: parseInt(e.target.value) })}
+                          className="w-16 h-8 bg-slate-800 border-gray-600 text-white"
+                        />
+                        <span>polls in a row</span>
+                      </label>
+                    )}
+                  </div>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button onClick={handleSave} disabled={saving || loading} className="bg-green-600 hover:bg-green-700">
+            <Save className="h-4 w-4 mr-2" />
+            Save Rules
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default AlertRulesModal;
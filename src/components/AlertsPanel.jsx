@@ -0,0 +1,172 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Bell, BellRing, Check, Settings, Send } from 'lucide-react';
+import { useToast } from '@/components/ui/use-toast';
+import AlertRulesModal from '@/components/AlertRulesModal';
+import NotificationChannelsModal from '@/components/NotificationChannelsModal';
+import {
+  getOpenAlerts,
+  subscribeToAlerts,
+  acknowledgeAlert,
+  getAlertHistory
+} from '@/services/alertService';
+import { formatLastSeen } from '@/services/switchHealth';
+
+// Value of the view selector that shows open alerts of the whole fleet
+const OPEN_VIEW = 'open';
+
+// Sort order of severities, most urgent first
+const SEVERITY_ORDER = { critical: 0, warning: 1, info: 2 };
+
+/**
+ * Get the badge style of an alert
+ * @param {Object} alert - Alert to show
+ * @returns {string} - Badge class names
+ */
+const getAlertStyle = (alert) => {
+  if (alert.state === 'resolved') return 'bg-gray-500/20 text-gray-400 border-gray-500/30';
+  if (alert.severity === 'critical') return 'bg-red-500/20 text-red-400 border-red-500/30';
+  if (alert.severity === 'warning') return 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30';
+  return 'bg-blue-500/20 text-blue-400 border-blue-500/30';
+};
+
+const AlertsPanel = ({ switches }) => {
+  const { toast } = useToast();
+  const [openAlerts, setOpenAlerts] = useState(getOpenAlerts);
+  const [view, setView] = useState(OPEN_VIEW);
+  const [history, setHistory] = useState([]);
+  const [isRulesOpen, setIsRulesOpen] = useState(false);
+  const [isChannelsOpen, setIsChannelsOpen] = useState(false);
+
+  useEffect(() => subscribeToAlerts(setOpenAlerts), []);
+
+  // Reload the history of the selected switch, and again whenever its open alerts change
+  useEffect(() => {
+    if (view === OPEN_VIEW) return undefined;
+
+    let isCurrent = true;
+    getAlertHistory(view)
+      .then(alerts => isCurrent && setHistory(alerts))
+      .catch(error => {
+        toast({
+          variant: 'destructive',
+          title: 'History Unavailable',
+          description: error.message || 'Failed to load the alert history.',
+        });
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [view, openAlerts]);
+
+  // Go back to open alerts if the switch whose history is shown was removed
+  useEffect(() => {
+    if (view !== OPEN_VIEW && !switches.some(sw => sw.id === view)) {
+      setView(OPEN_VIEW);
+    }
+  }, [switches, view]);
+
+  const handleAcknowledge = async (alert) => {
+    try {
+      await acknowledgeAlert(alert);
+    } catch (error) {
+      toast({
+        variant: 'destructive',
+        title: 'Acknowledge Failed',
+        description: error.message || 'Failed to acknowledge the alert.',
+      });
+    }
+  };
+
+  const switchIds = new Set(switches.map(sw => sw.id));
+  const alerts = view === OPEN_VIEW
+    ? openAlerts
+      .filter(alert => switchIds.has(alert.switchId))
+      .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || b.raisedAt.localeCompare(a.raisedAt))
+    : history;
+  const activeCount = openAlerts.filter(alert => alert.state === 'active' && switchIds.has(alert.switchId)).length;
+
+  return (
+    <Card className="border-gray-700 bg-slate-800/30">
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="text-white flex items-center space-x-2">
+            {activeCount > 0 ? <BellRing className="h-5 w-5 text-red-400" /> : <Bell className="h-5 w-5 text-gray-400" />}
+            <span>Alerts</span>
+            {activeCount > 0 && <Badge variant="destructive">{activeCount}</Badge>}
+          </CardTitle>
+          <div className="flex items-center">
+            <Button size="sm" variant="ghost" onClick={() => setIsChannelsOpen(true)} title="Notification Channels">
+              <Send className="h-4 w-4" />
+            </Button>
+            <Button size="sm" variant="ghost" onClick={() => setIsRulesOpen(true)} title="Alert Rules">
+              <Settings className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <Select value={view} onValueChange={setView}>
+          <SelectTrigger className="bg-slate-800 border-gray-600">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={OPEN_VIEW}>Open alerts</SelectItem>
+            {switches.map(sw => (
+              <SelectItem key={sw.id} value={sw.id}>History of {sw.name || sw.hostname}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+
+        {alerts.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            {view === OPEN_VIEW ? 'No open alerts.' : 'No alerts recorded for this switch.'}
+          </p>
+        ) : (
+          <div className="space-y-2 max-h-96 overflow-y-auto scrollbar-thin">
+            {alerts.map(alert => (
+              <div key={alert.id} className="p-2 rounded-md bg-slate-900/50 border border-gray-700 text-xs space-y-1">
+                <div className="flex items-center justify-between">
+                  <span className="text-white font-medium truncate">
+                    {view === OPEN_VIEW && `${alert.switchName} · `}{alert.subject}
+                  </span>
+                  <Badge className={getAlertStyle(alert)}>
+                    {alert.state === 'active' ? alert.severity : alert.state}
+                  </Badge>
+                </div>
+                <p className="text-gray-300">{alert.message}</p>
+                <div className="flex items-center justify-between text-gray-500">
+                  <span>
+                    Raised {formatLastSeen(Date.parse(alert.raisedAt))}
+                    {alert.acknowledgedBy && ` · acknowledged by ${alert.acknowledgedBy}`}
+                    {alert.resolvedAt && ` · resolved ${formatLastSeen(Date.parse(alert.resolvedAt))}`}
+                  </span>
+                  {alert.state === 'active' && (
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => handleAcknowledge(alert)}
+                      className="h-6 px-2 border-green-500/30 text-green-400"
+                    >
+                      <Check className="h-3 w-3 mr-1" />
+                      Acknowledge
+                    </Button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+
+      <AlertRulesModal isOpen={isRulesOpen} onClose={() => setIsRulesOpen(false)} />
+      <NotificationChannelsModal isOpen={isChannelsOpen} onClose={() => setIsChannelsOpen(false)} />
+    </Card>
+  );
+};
+
+export default AlertsPanel;
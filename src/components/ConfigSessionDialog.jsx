@@ -0,0 +1,256 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { useToast } from '@/components/ui/use-toast';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { GitCompare, Check, X, Timer, RotateCcw } from 'lucide-react';
+import {
+  commitConfigSession,
+  commitConfigSessionWithTimer,
+  confirmConfigSession,
+  abortConfigSession
+} from '@/services/configSession';
+import { describeError } from '@/services/eapiErrors';
+
+// Rollback timers offered for "Apply with confirm", in seconds
+const CONFIRM_TIMERS = [
+  { value: '60', label: '1 minute' },
+  { value: '120', label: '2 minutes' },
+  { value: '300', label: '5 minutes' },
+  { value: '600', label: '10 minutes' }
+];
+
+// Render a countdown as m:ss
+const formatRemaining = (milliseconds) => {
+  const totalSeconds = Math.max(0, Math.ceil(milliseconds / 1000));
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+// Colour unified diff lines by their prefix
+const getDiffLineClass = (line) => {
+  if (line.startsWith('+++') || line.startsWith('---')) return 'text-gray-500';
+  if (line.startsWith('@@')) return 'text-blue-400';
+  if (line.startsWith('+')) return 'text-green-400 bg-green-500/10';
+  if (line.startsWith('-')) return 'text-red-400 bg-red-500/10';
+  return 'text-gray-300';
+};
+
+export const DiffView = ({ diff, emptyMessage = 'No changes against running-config.' }) => {
+  if (!diff || !diff.trim()) {
+    return <p className="text-sm text-gray-400 p-3">{emptyMessage}</p>;
+  }
+
+  return (
+    <pre className="text-xs font-mono bg-slate-950 rounded-md p-3 overflow-auto max-h-[50vh] scrollbar-thin">
+      {diff.split('\n').map((line, index) => (
+        <div key={index} className={`px-1 whitespace-pre ${getDiffLineClass(line)}`}>
+          {line || ' '}
+        </div>
+      ))}
+    </pre>
+  );
+};
+
+// Resolves the session with 'committed', 'aborted' or 'rolled-back'; onTimerStarted hears when a
+// timer commit starts waiting for confirmation
+const ConfigSessionDialog = ({ session, onResolved, onTimerStarted }) => {
+  const { toast } = useToast();
+  const [isBusy, setIsBusy] = useState(false);
+  const [confirmTimer, setConfirmTimer] = useState('120');
+  // Local time the switch rolls back a timer commit; null while the session is still under review
+  const [confirmBy, setConfirmBy] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    setConfirmBy(null);
+  }, [session?.sessionName]);
+
+  useEffect(() => {
+    if (!confirmBy) return undefined;
+
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [confirmBy]);
+
+  const remaining = confirmBy ? confirmBy - now : 0;
+
+  useEffect(() => {
+    // A confirm or rollback still running decides the outcome itself; if a confirm fails, this
+    // runs again once it has finished
+    if (confirmBy && remaining <= 0 && !isBusy) {
+      // The switch reverts the session on its own once the timer runs out
+      setConfirmBy(null);
+      onResolved('rolled-back');
+    }
+  }, [confirmBy, remaining, isBusy, onResolved]);
+
+  const handleCommit = async () => {
+    setIsBusy(true);
+    try {
+      await commitConfigSession(session.switchId, session.sessionName);
+      onResolved('committed');
+    } catch (error) {
+      toast({
+        variant: 'destructive',
+        title: 'Commit Failed',
+        description: describeError(error, 'Failed to commit the configuration session.'),
+      });
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleCommitWithConfirm = async () => {
+    setIsBusy(true);
+    try {
+      const result = await commitConfigSessionWithTimer(
+        session.switchId,
+        session.sessionName,
+        parseInt(confirmTimer)
+      );
+      setNow(Date.now());
+      setConfirmBy(result.confirmBy);
+      onTimerStarted?.(result.confirmBy);
+    } catch (error) {
+      toast({
+        variant: 'destructive',
+        title: 'Commit Failed',
+        description: describeError(error, 'Failed to commit the configuration session.'),
+      });
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleConfirm = async () => {
+    setIsBusy(true);
+    try {
+      await confirmConfigSession(session.switchId, session.sessionName);
+      setConfirmBy(null);
+      onResolved('committed');
+    } catch (error) {
+      toast({
+        variant: 'destructive',
+        title: 'Confirm Failed',
+        description: `${error.message || 'Could not reach the switch.'} The change will roll back when the timer expires unless a confirm gets through.`,
+      });
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleAbort = async () => {
+    const wasConfirming = !!confirmBy;
+    setIsBusy(true);
+    try {
+      await abortConfigSession(session.switchId, session.sessionName);
+    } catch (error) {
+      toast({
+        variant: 'destructive',
+        title: wasConfirming ? 'Rollback Failed' : 'Abort Failed',
+        description: describeError(error, 'Failed to abort the configuration session.'),
+      });
+    } finally {
+      setIsBusy(false);
+      setConfirmBy(null);
+      onResolved(wasConfirming ? 'rolled-back' : 'aborted');
+    }
+  };
+
+  // While waiting for confirmation the dialog can only be left through Confirm or Roll Back
+  const handleOpenChange = (open) => {
+    if (!open && !isBusy && !confirmBy) {
+      handleAbort();
+    }
+  };
+
+  return (
+    <Dialog open={!!session} onOpenChange={handleOpenChange}>
+      <DialogContent className="sm:max-w-[720px] bg-slate-900 border-green-500/20 text-white">
+        <DialogHeader>
+          <DialogTitle className="flex items-center space-x-2">
+            {confirmBy ? <Timer className="text-yellow-400" /> : <GitCompare className="text-green-400" />}
+            <span>{confirmBy ? 'Confirm Configuration Changes' : 'Review Configuration Changes'}</span>
+          </DialogTitle>
+          <DialogDescription className="text-gray-400">
+            {confirmBy ? (
+              <>
+                These changes are live on the switch. Confirm once you have checked that the switch is still
+                reachable; otherwise they roll back automatically when the timer expires.
+              </>
+            ) : (
+              <>
+                These changes are staged in configuration session <span className="font-mono">{session?.sessionName}</span>.
+                Nothing has been applied to running-config yet.
+              </>
+            )}
+          </DialogDescription>
+        </DialogHeader>
+        {confirmBy && (
+          <div className="flex items-center justify-between p-3 rounded-lg bg-yellow-500/10 border border-yellow-500/30">
+            <span className="text-sm text-yellow-300">Automatic rollback in</span>
+            <span className="text-2xl font-mono font-bold text-yellow-400">{formatRemaining(remaining)}</span>
+          </div>
+        )}
+        <DiffView diff={session?.diff} />
+        <DialogFooter>
+          {confirmBy ? (
+            <>
+              <Button variant="outline" onClick={handleAbort} disabled={isBusy} className="border-red-500/30 text-red-400">
+                <RotateCcw className="h-4 w-4 mr-2" />
+                Roll Back Now
+              </Button>
+              <Button onClick={handleConfirm} disabled={isBusy} className="bg-green-600 hover:bg-green-700">
+                <Check className="h-4 w-4 mr-2" />
+                {isBusy ? 'Working...' : 'Confirm'}
+              </Button>
+            </>
+          ) : (
+            <>
+              <Button variant="outline" onClick={handleAbort} disabled={isBusy}>
+                <X className="h-4 w-4 mr-2" />
+                Abort
+              </Button>
+              <div className="flex items-center space-x-2">
+                <Label htmlFor="confirmTimer" className="text-gray-400 whitespace-nowrap">Roll back after</Label>
+                <Select value={confirmTimer} onValueChange={setConfirmTimer}>
+                  <SelectTrigger id="confirmTimer" className="w-[130px] bg-slate-800 border-gray-600">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {CONFIRM_TIMERS.map(timer => (
+                      <SelectItem key={timer.value} value={timer.value}>{timer.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <Button
+                variant="outline"
+                onClick={handleCommitWithConfirm}
+                disabled={isBusy}
+                className="border-yellow-500/30 text-yellow-400"
+              >
+                <Timer className="h-4 w-4 mr-2" />
+                Apply with Confirm
+              </Button>
+              <Button onClick={handleCommit} disabled={isBusy} className="bg-green-600 hover:bg-green-700">
+                <Check className="h-4 w-4 mr-2" />
+                {isBusy ? 'Working...' : 'Commit'}
+              </Button>
+            </>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ConfigSessionDialog;
@@ -1,7 +1,9 @@
-import React, { useState } from 'react';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
 import { motion } from 'framer-motion';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter } from '@/components/ui/dialog';
 import { 
   X, 
   Save, 
@@ -12,40 +14,164 @@ import {
   Settings,
   Terminal,
   Globe,
-  Layers
+  Layers,
+  ListChecks,
+  CheckCircle,
+  XCircle,
+  Archive
 } from 'lucide-react';
 import { useToast } from '@/components/ui/use-toast';
 import InterfacesTab from './config-tabs/InterfacesTab';
 import CliTab from './config-tabs/CliTab';
-import { getConnection } from '@/services/connectionManager';
+import { getConnection, cancelPendingCommands } from '@/services/connectionManager';
 import RoutingTab from '@/components/config-tabs/RoutingTab';
 import VxlanTab from '@/components/config-tabs/VxlanTab';
 import SecurityTab from '@/components/config-tabs/SecurityTab';
 import VlansTab from '@/components/config-tabs/VlansTab';
+import BackupsTab from '@/components/config-tabs/BackupsTab';
+import ConfigSessionDialog from '@/components/ConfigSessionDialog';
+import PendingChangesDialog from '@/components/PendingChangesDialog';
+import { getPendingChanges, subscribeToChangeQueue, stagePendingChanges, markChangesApplied } from '@/services/changeQueue';
+import { saveRunningConfig, abortConfigSession } from '@/services/configSession';
+import { describeError } from '@/services/eapiErrors';
 
 const ConfigurationPanel = ({ switchData, onClose }) => {
   const { toast } = useToast();
   const [activeTab, setActiveTab] = useState('interfaces');
+  const [pendingSession, setPendingSession] = useState(null);
+  // Session under review, read when the panel unmounts; `confirmBy` is set once a timer commit runs
+  const pendingSessionRef = useRef(null);
+  const [pendingChanges, setPendingChanges] = useState(() => getPendingChanges(switchData.id));
+  const [isPendingListOpen, setIsPendingListOpen] = useState(false);
+  const [isApplying, setIsApplying] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveReport, setSaveReport] = useState(null);
+  // Bumped after a commit so the active tab reloads what is now on the switch
+  const [tabRefreshKey, setTabRefreshKey] = useState(0);
 
-  const handleSaveConfig = () => {
-    toast({
-      title: "Configuration Saved! ✅",
-      description: `Configuration for ${switchData.hostname} has been saved successfully.`,
+  useEffect(() => {
+    setPendingChanges(getPendingChanges(switchData.id));
+    return subscribeToChangeQueue(switchData.id, setPendingChanges);
+  }, [switchData.id]);
+
+  // Stop the tabs' requests to this switch once the panel is closed
+  useEffect(() => {
+    return () => cancelPendingCommands(switchData.id);
+  }, [switchData.id]);
+
+  // Don't leave a session under review pending on the switch once the panel is closed. A timer
+  // commit is left alone: the switch rolls it back by itself unless it is confirmed.
+  useEffect(() => {
+    return () => {
+      const session = pendingSessionRef.current;
+      if (!session) return;
+
+      pendingSessionRef.current = null;
+      if (!session.confirmBy) {
+        abortConfigSession(session.switchId, session.sessionName).catch(() => null);
+      }
+      session.resolve('aborted');
+    };
+  }, []);
+
+  // Show a staged configuration session for review; resolves to 'committed', 'aborted' or 'rolled-back'
+  const reviewConfigSession = useCallback((stagedSession) => {
+    return new Promise(resolve => {
+      const session = { ...stagedSession, resolve };
+      pendingSessionRef.current = session;
+      setPendingSession(session);
     });
+  }, []);
+
+  // The dialog reports one outcome per session; anything reported after that is ignored
+  const handleSessionResolved = (outcome) => {
+    const session = pendingSessionRef.current;
+    if (!session) return;
+
+    pendingSessionRef.current = null;
+    session.resolve(outcome);
+    setPendingSession(null);
   };
 
-  const handleApplyConfig = () => {
-    toast({
-      title: "🚧 Feature Coming Soon!",
-      description: "Configuration deployment isn't implemented yet—but don't worry! You can request it in your next prompt! 🚀",
-    });
+  const handleTimerStarted = (confirmBy) => {
+    if (pendingSessionRef.current) {
+      pendingSessionRef.current.confirmBy = confirmBy;
+    }
   };
 
-  const handleFeatureClick = (feature) => {
-    toast({
-      title: "🚧 Feature Coming Soon!",
-      description: `${feature} configuration isn't implemented yet—but don't worry! You can request it in your next prompt! 🚀`,
-    });
+  const handleSaveConfig = async () => {
+    setIsSaving(true);
+    try {
+      const output = await saveRunningConfig(switchData.id);
+      setSaveReport({
+        success: true,
+        output,
+        savedAt: new Date().toLocaleString(),
+        unappliedCount: pendingChanges.length
+      });
+    } catch (error) {
+      setSaveReport({
+        success: false,
+        output: error.message || 'Failed to copy running-config to startup-config.',
+        savedAt: new Date().toLocaleString(),
+        unappliedCount: pendingChanges.length
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleApplyConfig = async () => {
+    if (pendingChanges.length === 0) {
+      toast({
+        title: 'Nothing to Apply',
+        description: `There are no pending changes for ${switchData.hostname}.`,
+      });
+      return;
+    }
+
+    setIsPendingListOpen(false);
+    setIsApplying(true);
+
+    try {
+      const stagedSession = await stagePendingChanges(switchData.id);
+      const outcome = await reviewConfigSession(stagedSession);
+
+      if (outcome === 'rolled-back') {
+        setTabRefreshKey(key => key + 1);
+        toast({
+          variant: 'destructive',
+          title: 'Configuration Rolled Back',
+          description: `${switchData.hostname} reverted the changes before they were confirmed; they are still pending.`,
+        });
+        return;
+      }
+
+      if (outcome !== 'committed') {
+        toast({
+          title: 'Apply Cancelled',
+          description: 'The configuration session was aborted; your changes are still pending.',
+        });
+        return;
+      }
+
+      markChangesApplied(switchData.id, stagedSession.changeIds);
+      setTabRefreshKey(key => key + 1);
+
+      toast({
+        title: 'Configuration Applied! ✅',
+        description: `${stagedSession.changeIds.length} ${stagedSession.changeIds.length === 1 ? 'change was' : 'changes were'} committed to running-config on ${switchData.hostname}.`,
+      });
+    } catch (error) {
+      console.error('Error applying pending changes:', error);
+      toast({
+        variant: 'destructive',
+        title: 'Apply Failed',
+        description: describeError(error, 'Failed to stage the pending changes. Nothing was applied.'),
+      });
+    } finally {
+      setIsApplying(false);
+    }
   };
 
   return (
@@ -72,13 +198,29 @@ const ConfigurationPanel = ({ switchData, onClose }) => {
             </div>
           </div>
           <div className="flex items-center space-x-2">
-            <Button onClick={handleSaveConfig} className="bg-green-600 hover:bg-green-700">
+            <Button
+              onClick={() => setIsPendingListOpen(true)}
+              variant="outline"
+              className="border-yellow-500/30 text-yellow-400"
+            >
+              <ListChecks className="h-4 w-4 mr-2" />
+              Pending
+              <Badge variant="outline" className="ml-2 border-yellow-500/30 text-yellow-400">
+                {pendingChanges.length}
+              </Badge>
+            </Button>
+            <Button onClick={handleSaveConfig} disabled={isSaving} className="bg-green-600 hover:bg-green-700">
               <Save className="h-4 w-4 mr-2" />
-              Save
+              {isSaving ? 'Saving...' : 'Save'}
             </Button>
-            <Button onClick={handleApplyConfig} variant="outline" className="border-blue-500/30 text-blue-400">
+            <Button
+              onClick={handleApplyConfig}
+              disabled={isApplying || pendingChanges.length === 0}
+              variant="outline"
+              className="border-blue-500/30 text-blue-400"
+            >
               <Upload className="h-4 w-4 mr-2" />
-              Apply
+              {isApplying ? 'Applying...' : 'Apply'}
             </Button>
             <Button onClick={onClose} variant="ghost" size="icon">
               <X className="h-4 w-4" />
@@ -88,7 +230,7 @@ const ConfigurationPanel = ({ switchData, onClose }) => {
 
         <div className="p-6 overflow-y-auto max-h-[calc(90vh-100px)] scrollbar-thin">
           <Tabs value={activeTab} onValueChange={setActiveTab} className="w-full">
-            <TabsList className="grid w-full grid-cols-6 bg-slate-800/50">
+            <TabsList className="grid w-full grid-cols-7 bg-slate-800/50">
               <TabsTrigger value="interfaces" className="flex items-center space-x-2">
                 <Network className="h-4 w-4" />
                 <span>Interfaces</span>
@@ -109,6 +251,10 @@ const ConfigurationPanel = ({ switchData, onClose }) => {
                 <Shield className="h-4 w-4" />
                 <span>Security</span>
               </TabsTrigger>
+              <TabsTrigger value="backups" className="flex items-center space-x-2">
+                <Archive className="h-4 w-4" />
+                <span>Backups</span>
+              </TabsTrigger>
               <TabsTrigger value="cli" className="flex items-center space-x-2">
                 <Terminal className="h-4 w-4" />
                 <span>CLI</span>
@@ -117,23 +263,27 @@ const ConfigurationPanel = ({ switchData, onClose }) => {
 
             <div className="mt-6">
               <TabsContent value="interfaces">
-                {activeTab === 'interfaces' && <InterfacesTab switchData={switchData} />}
+                {activeTab === 'interfaces' && <InterfacesTab key={tabRefreshKey} switchData={switchData} />}
               </TabsContent>
 
               <TabsContent value="vlans">
-                {activeTab === 'vlans' && <VlansTab switchData={switchData} />}
+                {activeTab === 'vlans' && <VlansTab key={tabRefreshKey} switchData={switchData} />}
               </TabsContent>
 
               <TabsContent value="routing">
-                {activeTab === 'routing' && <RoutingTab switchData={switchData} />}
+                {activeTab === 'routing' && <RoutingTab key={tabRefreshKey} switchData={switchData} />}
               </TabsContent>
 
               <TabsContent value="vxlan">
-                <VxlanTab handleFeatureClick={handleFeatureClick} />
+                {activeTab === 'vxlan' && <VxlanTab key={tabRefreshKey} switchData={switchData} />}
               </TabsContent>
 
               <TabsContent value="security">
-                <SecurityTab handleFeatureClick={handleFeatureClick} />
+                {activeTab === 'security' && <SecurityTab key={tabRefreshKey} switchData={switchData} />}
+              </TabsContent>
+
+              <TabsContent value="backups">
+                {activeTab === 'backups' && <BackupsTab switchData={switchData} reviewConfigSession={reviewConfigSession} />}
               </TabsContent>
 
               <TabsContent value="cli">
@@ -143,6 +293,53 @@ const ConfigurationPanel = ({ switchData, onClose }) => {
           </Tabs>
         </div>
       </motion.div>
+
+      <ConfigSessionDialog
+        session={pendingSession}
+        onResolved={handleSessionResolved}
+        onTimerStarted={handleTimerStarted}
+      />
+
+      <PendingChangesDialog
+        isOpen={isPendingListOpen}
+        onClose={() => setIsPendingListOpen(false)}
+        switchData={switchData}
+        changes={pendingChanges}
+        onApply={handleApplyConfig}
+      />
+
+      {/* Result of copying running-config to startup-config */}
+      <Dialog open={!!saveReport} onOpenChange={() => setSaveReport(null)}>
+        <DialogContent className="sm:max-w-[520px] bg-slate-900 border-green-500/20 text-white">
+          <DialogHeader>
+            <DialogTitle className="flex items-center space-x-2">
+              {saveReport?.success
+                ? <CheckCircle className="text-green-400" />
+                : <XCircle className="text-red-400" />}
+              <span>{saveReport?.success ? 'Configuration Saved' : 'Save Failed'}</span>
+            </DialogTitle>
+          </DialogHeader>
+          <div className="space-y-3 py-2">
+            <p className="text-sm text-gray-400">
+              copy running-config startup-config on {switchData.hostname} • {saveReport?.savedAt}
+            </p>
+            <pre className="text-xs font-mono text-gray-300 bg-slate-950 rounded-md p-3 whitespace-pre-wrap">
+              {saveReport?.output}
+            </pre>
+            {saveReport?.unappliedCount > 0 && (
+              <p className="text-sm text-yellow-400">
+                {saveReport.unappliedCount} pending {saveReport.unappliedCount === 1 ? 'change has' : 'changes have'} not
+                been applied yet and {saveReport.unappliedCount === 1 ? 'was' : 'were'} not saved.
+              </p>
+            )}
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setSaveReport(null)}>
+              Close
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
     </motion.div>
   );
 };
@@ -0,0 +1,174 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { useToast } from '@/components/ui/use-toast';
+import { KeyRound, Lock, Trash2, Save, User } from 'lucide-react';
+import {
+  getCredentialProfiles,
+  updateCredentialProfile,
+  removeCredentialProfile,
+  lockVault
+} from '@/services/vaultService';
+
+const CredentialProfilesModal = ({ isOpen, onClose, onLocked }) => {
+  const { toast } = useToast();
+  const [profiles, setProfiles] = useState([]);
+  const [newPasswords, setNewPasswords] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const loadProfiles = useCallback(async () => {
+    setLoading(true);
+    try {
+      setProfiles(await getCredentialProfiles());
+    } catch (error) {
+      toast({
+        variant: 'destructive',
+        title: 'Error',
+        description: error.message || 'Failed to load credential profiles.',
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [toast]);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadProfiles();
+    }
+  }, [isOpen, loadProfiles]);
+
+  const handleChangePassword = async (profile) => {
+    const password = newPasswords[profile.id];
+    if (!password) return;
+
+    try {
+      await updateCredentialProfile(profile.id, { password });
+      setNewPasswords(current => ({ ...current, [profile.id]: '' }));
+      toast({
+        title: 'Profile Updated! ✅',
+        description: `Password for ${profile.name} has been changed. Switches using it pick it up on their next connection.`,
+      });
+    } catch (error) {
+      toast({
+        variant: 'destructive',
+        title: 'Update Failed',
+        description: error.message || `Failed to update ${profile.name}.`,
+      });
+    }
+  };
+
+  const handleRemove = async (profile) => {
+    try {
+      await removeCredentialProfile(profile.id);
+      setProfiles(current => current.filter(item => item.id !== profile.id));
+      toast({
+        title: 'Profile Removed',
+        description: `${profile.name} has been removed from the vault.`,
+      });
+    } catch (error) {
+      toast({
+        variant: 'destructive',
+        title: 'Remove Failed',
+        description: error.message || `Failed to remove ${profile.name}.`,
+      });
+    }
+  };
+
+  const handleLock = async () => {
+    try {
+      const status = await lockVault();
+      toast({
+        title: 'Vault Locked 🔒',
+        description: 'Existing switch sessions stay open; new connections need the passphrase.',
+      });
+      onLocked(status);
+    } catch (error) {
+      toast({
+        variant: 'destructive',
+        title: 'Lock Failed',
+        description: error.message || 'Failed to lock the credential vault.',
+      });
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-[560px] bg-slate-900 border-green-500/20 text-white">
+        <DialogHeader>
+          <DialogTitle className="flex items-center space-x-2">
+            <KeyRound className="text-green-400" />
+            <span>Credential Profiles</span>
+          </DialogTitle>
+          <DialogDescription className="text-gray-400">
+            Profiles are encrypted in the vault. Passwords can be replaced but are never shown. New profiles are created from the Add Switch dialog.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-3 py-4 max-h-[50vh] overflow-y-auto">
+          {loading ? (
+            <p className="text-gray-400 text-sm">Loading profiles...</p>
+          ) : profiles.length === 0 ? (
+            <p className="text-gray-400 text-sm">No credential profiles stored yet.</p>
+          ) : (
+            profiles.map(profile => (
+              <div key={profile.id} className="p-3 rounded-lg bg-slate-800/50 border border-gray-700">
+                <div className="flex items-center justify-between mb-2">
+                  <div>
+                    <p className="font-medium text-white">{profile.name}</p>
+                    <p className="text-xs text-gray-400 flex items-center">
+                      <User className="h-3 w-3 mr-1" />
+                      {profile.username}
+                    </p>
+                  </div>
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => handleRemove(profile)}
+                    className="border-red-500/30 text-red-400"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <Input
+                    type="password"
+                    placeholder="New password"
+                    value={newPasswords[profile.id] || ''}
+                    onChange={(e) => setNewPasswords(current => ({ ...current, [profile.id]: e.target.value }))}
+                    className="bg-slate-800 border-gray-600 text-white"
+                  />
+                  <Button
+                    size="sm"
+                    onClick={() => handleChangePassword(profile)}
+                    disabled={!newPasswords[profile.id]}
+                    className="bg-green-600 hover:bg-green-700"
+                  >
+                    <Save className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+        <DialogFooter>
+          <Button variant="outline" onClick={handleLock} className="border-yellow-500/30 text-yellow-400">
+            <Lock className="h-4 w-4 mr-2" />
+            Lock Vault
+          </Button>
+          <Button variant="outline" onClick={onClose}>
+            Close
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default CredentialProfilesModal;
@@ -0,0 +1,234 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Layers, Play, Eye, CheckSquare, Square, Tag, CheckCircle, XCircle, Loader2 } from 'lucide-react';
+import { useToast } from '@/components/ui/use-toast';
+import { runOnSwitches, DEFAULT_CONCURRENCY } from '@/services/fleetRunner';
+import { describeError } from '@/services/eapiErrors';
+
+const FleetRunnerModal = ({ isOpen, onClose, switches, initialSelection = [] }) => {
+  const { toast } = useToast();
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [mode, setMode] = useState('show');
+  const [commandText, setCommandText] = useState('');
+  const [concurrency, setConcurrency] = useState(String(DEFAULT_CONCURRENCY));
+  const [isRunning, setIsRunning] = useState(false);
+  // Results of the last run, in the order the switches were targeted
+  const [results, setResults] = useState([]);
+
+  // Start from the switches selected on the dashboard each time the runner opens
+  useEffect(() => {
+    if (isOpen) {
+      setSelectedIds(initialSelection);
+    }
+  }, [isOpen]);
+
+  const tags = [...new Set(switches.flatMap(sw => sw.tags || []))].sort();
+  const commands = commandText.split('\n').map(line => line.trim()).filter(Boolean);
+
+  const toggleSwitch = (switchId) => {
+    setSelectedIds(prev => (prev.includes(switchId)
+      ? prev.filter(id => id !== switchId)
+      : [...prev, switchId]));
+  };
+
+  const selectTag = (tag) => {
+    const tagged = switches.filter(sw => (sw.tags || []).includes(tag)).map(sw => sw.id);
+    setSelectedIds(prev => [...new Set([...prev, ...tagged])]);
+  };
+
+  const handleRun = async (dryRun = false) => {
+    const targets = switches.filter(sw => selectedIds.includes(sw.id));
+
+    setIsRunning(true);
+    setResults(targets.map(sw => ({ switchId: sw.id, hostname: sw.hostname, status: 'running' })));
+
+    try {
+      const finished = await runOnSwitches(targets.map(sw => sw.id), commands, {
+        mode,
+        dryRun,
+        concurrency: parseInt(concurrency) || DEFAULT_CONCURRENCY,
+        onResult: (result) => {
+          setResults(prev => prev.map(entry => (entry.switchId === result.switchId ? result : entry)));
+        }
+      });
+
+      const failed = finished.filter(result => result.status === 'error').length;
+      toast({
+        variant: failed > 0 ? 'destructive' : 'default',
+        title: failed > 0 ? 'Fleet Run Finished with Errors' : 'Fleet Run Complete! ✅',
+        description: `${finished.length - failed} of ${finished.length} switches succeeded${dryRun ? ' (preview only, nothing committed)' : ''}.`,
+      });
+    } catch (error) {
+      setResults([]);
+      toast({
+        variant: 'destructive',
+        title: 'Fleet Run Failed',
+        description: describeError(error, 'Failed to start the fleet run.'),
+      });
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const canRun = !isRunning && selectedIds.length > 0 && commands.length > 0;
+  const succeeded = results.filter(result => result.status === 'success').length;
+  const failed = results.filter(result => result.status === 'error').length;
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && !isRunning && onClose()}>
+      <DialogContent className="sm:max-w-[1100px] max-h-[90vh] overflow-y-auto scrollbar-thin bg-slate-900 border-green-500/20 text-white">
+        <DialogHeader>
+          <DialogTitle className="flex items-center space-x-2">
+            <Layers className="text-green-400" />
+            <span>Run on Multiple Switches</span>
+          </DialogTitle>
+          <DialogDescription className="text-gray-400">
+            Run the same show commands or configuration on every selected switch in parallel.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="space-y-3">
+            <div className="flex items-center justify-between">
+              <Label className="text-gray-300">Targets ({selectedIds.length})</Label>
+              <div className="space-x-1">
+                <Button size="sm" variant="ghost" onClick={() => setSelectedIds(switches.map(sw => sw.id))}>All</Button>
+                <Button size="sm" variant="ghost" onClick={() => setSelectedIds([])}>None</Button>
+              </div>
+            </div>
+            {tags.length > 0 && (
+              <div className="flex flex-wrap gap-1">
+                {tags.map(tag => (
+                  <Badge
+                    key={tag}
+                    variant="outline"
+                    onClick={() => selectTag(tag)}
+                    className="cursor-pointer border-gray-600 text-gray-300 hover:border-green-500/50"
+                  >
+                    <Tag className="h-3 w-3 mr-1" />
+                    {tag}
+                  </Badge>
+                ))}
+              </div>
+            )}
+            <div className="space-y-1 max-h-[40vh] overflow-y-auto scrollbar-thin">
+              {switches.map(sw => (
+                <button
+                  key={sw.id}
+                  type="button"
+                  onClick={() => toggleSwitch(sw.id)}
+                  className="w-full flex items-center space-x-2 p-2 rounded-md text-left hover:bg-slate-800"
+                >
+                  {selectedIds.includes(sw.id)
+                    ? <CheckSquare className="h-4 w-4 text-green-400" />
+                    : <Square className="h-4 w-4 text-gray-500" />}
+                  <span className="text-sm text-white">{sw.name || sw.hostname}</span>
+                  <span className="text-xs text-gray-500 font-mono">{sw.ipAddress}</span>
+                  {sw.status !== 'online' && (
+                    <span className="text-xs text-red-400">{sw.status}</span>
+                  )}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="md:col-span-2 space-y-3">
+            <div className="flex items-center space-x-3">
+              <Select value={mode} onValueChange={setMode}>
+                <SelectTrigger className="w-[200px] bg-slate-800 border-gray-600">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="show">Show commands</SelectItem>
+                  <SelectItem value="config">Configuration</SelectItem>
+                </SelectContent>
+              </Select>
+              <Label htmlFor="fleetConcurrency" className="text-gray-400 whitespace-nowrap">At a time</Label>
+              <Input
+                id="fleetConcurrency"
+                type="number"
+                min="1"
+                max="50"
+                value={concurrency}
+                onChange={(e) => setConcurrency(e.target.value)}
+                className="w-[80px] bg-slate-800 border-gray-600 text-white"
+              />
+            </div>
+            <Textarea
+              value={commandText}
+              onChange={(e) => setCommandText(e.target.value)}
+              placeholder={mode === 'show'
+                ? 'show version\nshow ip bgp summary'
+                : 'interface Ethernet1\ndescription uplink'}
+              className="h-32 font-mono text-sm bg-slate-950 border-gray-600 text-white"
+            />
+            {mode === 'config' && (
+              <p className="text-xs text-yellow-400">
+                Configuration is committed on each switch in its own configuration session, bypassing the
+                pending changes queue. Use Preview to see every switch's diff without committing.
+              </p>
+            )}
+            <div className="flex justify-end space-x-2">
+              {mode === 'config' && (
+                <Button variant="outline" onClick={() => handleRun(true)} disabled={!canRun} className="border-blue-500/30 text-blue-400">
+                  <Eye className="h-4 w-4 mr-2" />
+                  Preview
+                </Button>
+              )}
+              <Button onClick={() => handleRun(false)} disabled={!canRun} className="bg-green-600 hover:bg-green-700">
+                <Play className="h-4 w-4 mr-2" />
+                {isRunning ? 'Running...' : mode === 'config' ? 'Commit on All' : 'Run'}
+              </Button>
+            </div>
+          </div>
+        </div>
+
+        {results.length > 0 && (
+          <div className="space-y-3 pt-2 border-t border-gray-700">
+            <p className="text-sm text-gray-400">
+              <span className="text-green-400">{succeeded} succeeded</span>
+              {' • '}
+              <span className="text-red-400">{failed} failed</span>
+              {' • '}
+              {results.length - succeeded - failed} running
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-3">
+              {results.map(result => (
+                <div key={result.switchId} className="rounded-lg bg-slate-800/50 border border-gray-700 flex flex-col">
+                  <div className="flex items-center justify-between p-2 border-b border-gray-700">
+                    <div className="flex items-center space-x-2">
+                      {result.status === 'running' && <Loader2 className="h-4 w-4 text-blue-400 animate-spin" />}
+                      {result.status === 'success' && <CheckCircle className="h-4 w-4 text-green-400" />}
+                      {result.status === 'error' && <XCircle className="h-4 w-4 text-red-400" />}
+                      <span className="font-medium text-white">{result.hostname}</span>
+                    </div>
+                    {result.durationMs !== undefined && (
+                      <span className="text-xs text-gray-500">{(result.durationMs / 1000).toFixed(1)}s</span>
+                    )}
+                  </div>
+                  <pre className={`text-xs font-mono p-2 overflow-auto max-h-64 scrollbar-thin whitespace-pre ${result.status === 'error' ? 'text-red-300' : 'text-gray-300'}`}>
+                    {result.status === 'error' ? result.error : result.output}
+                  </pre>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default FleetRunnerModal;
@@ -0,0 +1,122 @@
+import React from 'react';
+import { formatSampleTime } from '@/lib/units';
+
+// Drawing area of the SVG; it is scaled to the width of its container
+const WIDTH = 600;
+const PADDING_TOP = 8;
+
+/**
+ * Turn points into an SVG polyline path within the drawing area
+ * @param {Array} points - `{ timestamp, value }` pairs, oldest first
+ * @param {number} from - Timestamp at the left edge
+ * @param {number} to - Timestamp at the right edge
+ * @param {number} max - Value at the top edge
+ * @param {number} height - Height of the drawing area
+ * @returns {string} - Value of the polyline `points` attribute
+ */
+const toPolyline = (points, from, to, max, height) => {
+  const span = Math.max(1, to - from);
+  return points
+    .map(({ timestamp, value }) => {
+      const x = ((timestamp - from) / span) * WIDTH;
+      const y = PADDING_TOP + (1 - Math.min(value, max) / max) * (height - PADDING_TOP);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(' ');
+};
+
+/**
+ * Line chart of one or more series over time
+ * @param {Object} props
+ * @param {Array} props.series - `{ label, color, points: [{ timestamp, value }] }` per line
+ * @param {number} props.from - Start of the time range (milliseconds)
+ * @param {number} props.to - End of the time range (milliseconds)
+ * @param {number} [props.maxValue] - Fixed top of the scale, otherwise the largest value
+ * @param {Function} [props.formatValue] - Formats values for the scale and legend
+ * @param {number} [props.height=120] - Height in pixels
+ */
+const MetricChart = ({ series, from, to, maxValue, formatValue = String, height = 120 }) => {
+  const largest = Math.max(0, ...series.flatMap(line => line.points.map(point => point.value)));
+  const max = maxValue || largest || 1;
+  const hasData = series.some(line => line.points.length > 1);
+
+  return (
+    <div className="space-y-1">
+      <div className="relative">
+        <svg viewBox={`0 0 ${WIDTH} ${height}`} preserveAspectRatio="none" className="w-full" style={{ height }}>
+          {[0.25, 0.5, 0.75].map(fraction => (
+            <line
+              key={fraction}
+              x1="0"
+              x2={WIDTH}
+              y1={PADDING_TOP + fraction * (height - PADDING_TOP)}
+              y2={PADDING_TOP + fraction * (height - PADDING_TOP)}
+              stroke="#334155"
+              strokeDasharray="4 4"
+              vectorEffect="non-scaling-stroke"
+            />
+          ))}
+          {series.map(line => (
+            <polyline
+              key={line.label}
+              points={toPolyline(line.points, from, to, max, height)}
+              fill="none"
+              stroke={line.color}
+              strokeWidth="2"
+              vectorEffect="non-scaling-stroke"
+            />
+          ))}
+        </svg>
+        <span className="absolute top-0 left-1 text-[10px] text-gray-500">{formatValue(max)}</span>
+        {!hasData && (
+          <div className="absolute inset-0 flex items-center justify-center text-xs text-gray-500">
+            Waiting for more samples...
+          </div>
+        )}
+      </div>
+      <div className="flex justify-between text-[10px] text-gray-500">
+        <span>{formatSampleTime(from)}</span>
+        <div className="flex space-x-3">
+          {series.map(line => {
+            const latest = line.points[line.points.length - 1];
+            return (
+              <span key={line.label} className="flex items-center">
+                <span className="inline-block h-2 w-2 rounded-full mr-1" style={{ backgroundColor: line.color }} />
+                {line.label}{latest ? `: ${formatValue(latest.value)}` : ''}
+              </span>
+            );
+          })}
+        </div>
+        <span>{formatSampleTime(to)}</span>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Small line without scale or legend, for tables
+ * @param {Object} props
+ * @param {Array} props.points - `{ timestamp, value }` pairs, oldest first
+ * @param {string} props.color - Line color
+ * @param {number} [props.maxValue] - Fixed top of the scale, otherwise the largest value
+ */
+export const Sparkline = ({ points, color, maxValue }) => {
+  const height = 24;
+  const max = maxValue || Math.max(1, ...points.map(point => point.value));
+  const from = points[0]?.timestamp || 0;
+  const to = points[points.length - 1]?.timestamp || 1;
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${height}`} preserveAspectRatio="none" className="w-full" style={{ height }}>
+      <polyline
+        points={toPolyline(points, from, to, max, height)}
+        fill="none"
+        stroke={color}
+        strokeWidth="1.5"
+        vectorEffect="non-scaling-stroke"
+      />
+    </svg>
+  );
+};
+
+export default MetricChart;
@@ -0,0 +1,234 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Activity, Zap, HardDrive, Thermometer, Network, Database } from 'lucide-react';
+import { useToast } from '@/components/ui/use-toast';
+import MetricChart, { Sparkline } from '@/components/MetricChart';
+import {
+  getHistory,
+  getSamples,
+  subscribeToMetrics,
+  isPersistenceEnabled,
+  setPersistenceEnabled,
+  MEMORY_WINDOW_MS
+} from '@/services/metricsStore';
+import { formatBitRate } from '@/lib/units';
+
+// Time ranges offered; ranges beyond the in-memory window need persistence
+const RANGES = [
+  { value: String(15 * 60 * 1000), label: 'Last 15 minutes' },
+  { value: String(60 * 60 * 1000), label: 'Last hour' },
+  { value: String(6 * 60 * 60 * 1000), label: 'Last 6 hours' },
+  { value: String(24 * 60 * 60 * 1000), label: 'Last 24 hours' },
+];
+
+/**
+ * Pick one value of every sample as chart points
+ * @param {Array} samples - Metric samples
+ * @param {Function} pick - Returns the value of a sample, or undefined to skip it
+ * @returns {Array} - `{ timestamp, value }` points
+ */
+const toPoints = (samples, pick) => {
+  return samples
+    .map(sample => ({ timestamp: sample.timestamp, value: pick(sample) }))
+    .filter(point => Number.isFinite(point.value));
+};
+
+const MonitorModal = ({ switchData, onClose }) => {
+  const { toast } = useToast();
+  const [range, setRange] = useState(RANGES[1].value);
+  const [samples, setSamples] = useState([]);
+  const [persist, setPersist] = useState(isPersistenceEnabled);
+  const [selectedInterface, setSelectedInterface] = useState(null);
+  // Time range end, moved forward with every new sample
+  const [now, setNow] = useState(Date.now());
+
+  const rangeMs = parseInt(range);
+
+  useEffect(() => {
+    setSelectedInterface(null);
+  }, [switchData?.id]);
+
+  useEffect(() => {
+    if (!switchData) return undefined;
+
+    let isCurrent = true;
+    getHistory(switchData.id, rangeMs)
+      .then(history => {
+        if (isCurrent) {
+          setSamples(history);
+          setNow(Date.now());
+        }
+      })
+      .catch(error => {
+        if (isCurrent) {
+          setSamples(getSamples(switchData.id));
+        }
+        toast({
+          variant: 'destructive',
+          title: 'History Unavailable',
+          description: error.message || 'Failed to load stored metrics. Showing recent samples only.',
+        });
+      });
+
+    const unsubscribe = subscribeToMetrics(switchData.id, (recent) => {
+      const latest = recent[recent.length - 1];
+      setSamples(prev => [
+        ...prev.filter(sample => sample.timestamp > Date.now() - rangeMs && sample.timestamp !== latest.timestamp),
+        latest
+      ]);
+      setNow(Date.now());
+    });
+
+    return () => {
+      isCurrent = false;
+      unsubscribe();
+    };
+  }, [switchData?.id, rangeMs, persist]);
+
+  const handleTogglePersist = () => {
+    setPersistenceEnabled(!persist);
+    setPersist(!persist);
+    toast({
+      title: persist ? 'Server History Off' : 'Server History On ✅',
+      description: persist
+        ? 'Samples are only kept in this browser tab.'
+        : 'New samples are stored on the API server and survive a page reload.',
+    });
+  };
+
+  if (!switchData) return null;
+
+  const from = now - rangeMs;
+  const latest = samples[samples.length - 1];
+  const interfaceNames = Object.keys(latest?.interfaces || {})
+    .sort((a, b) => {
+      const rate = name => latest.interfaces[name].inBps + latest.interfaces[name].outBps;
+      return rate(b) - rate(a) || a.localeCompare(b, undefined, { numeric: true });
+    });
+
+  const interfaceSeries = (name) => [
+    { label: 'In', color: '#22c55e', points: toPoints(samples, sample => sample.interfaces?.[name]?.inBps) },
+    { label: 'Out', color: '#3b82f6', points: toPoints(samples, sample => sample.interfaces?.[name]?.outBps) },
+  ];
+
+  return (
+    <Dialog open={!!switchData} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-[900px] max-h-[90vh] overflow-y-auto scrollbar-thin bg-slate-900 border-green-500/20 text-white">
+        <DialogHeader>
+          <DialogTitle className="flex items-center space-x-2">
+            <Activity className="text-blue-400" />
+            <span>Monitoring {switchData.name || switchData.hostname}</span>
+          </DialogTitle>
+          <DialogDescription className="text-gray-400">
+            Sampled every time the switch is polled. Interface rates come from traffic counter changes between polls.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex items-center justify-between">
+          <Select value={range} onValueChange={setRange}>
+            <SelectTrigger className="w-[200px] bg-slate-800 border-gray-600">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {RANGES.map(option => (
+                <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={handleTogglePersist}
+            className={persist ? 'border-green-500/30 text-green-400' : 'border-gray-600 text-gray-400'}
+          >
+            <Database className="h-4 w-4 mr-2" />
+            {persist ? 'Storing History on Server' : 'Store History on Server'}
+          </Button>
+        </div>
+        {!persist && rangeMs > MEMORY_WINDOW_MS && (
+          <p className="text-xs text-yellow-400">
+            Only the last hour is kept in this browser tab. Store history on the server to look further back.
+          </p>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="p-3 rounded-lg bg-slate-800/50 space-y-2">
+            <p className="text-sm text-gray-300 flex items-center"><Zap className="h-4 w-4 text-yellow-400 mr-1" />CPU</p>
+            <MetricChart
+              series={[{ label: 'CPU', color: '#facc15', points: toPoints(samples, sample => sample.cpuUsage) }]}
+              from={from}
+              to={now}
+              maxValue={100}
+              formatValue={value => `${Math.round(value)}%`}
+            />
+          </div>
+          <div className="p-3 rounded-lg bg-slate-800/50 space-y-2">
+            <p className="text-sm text-gray-300 flex items-center"><HardDrive className="h-4 w-4 text-blue-400 mr-1" />Memory</p>
+            <MetricChart
+              series={[{ label: 'Memory', color: '#60a5fa', points: toPoints(samples, sample => sample.memoryUsage) }]}
+              from={from}
+              to={now}
+              maxValue={100}
+              formatValue={value => `${Math.round(value)}%`}
+            />
+          </div>
+          <div className="p-3 rounded-lg bg-slate-800/50 space-y-2">
+            <p className="text-sm text-gray-300 flex items-center"><Thermometer className="h-4 w-4 text-red-400 mr-1" />Temperature</p>
+            <MetricChart
+              series={[{ label: 'Temp', color: '#f87171', points: toPoints(samples, sample => sample.temperature) }]}
+              from={from}
+              to={now}
+              formatValue={value => `${Math.round(value)}°C`}
+            />
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <p className="text-sm text-gray-300 flex items-center"><Network className="h-4 w-4 text-green-400 mr-1" />Interface Traffic</p>
+          {selectedInterface && (
+            <div className="p-3 rounded-lg bg-slate-800/50 space-y-2">
+              <div className="flex items-center justify-between">
+                <span className="font-mono text-sm">{selectedInterface}</span>
+                <Button size="sm" variant="ghost" onClick={() => setSelectedInterface(null)}>Close</Button>
+              </div>
+              <MetricChart series={interfaceSeries(selectedInterface)} from={from} to={now} formatValue={formatBitRate} height={160} />
+            </div>
+          )}
+          {interfaceNames.length === 0 ? (
+            <p className="text-sm text-gray-500">Interface rates appear after the switch has been polled twice.</p>
+          ) : (
+            <div className="divide-y divide-gray-700 rounded-lg border border-gray-700">
+              {interfaceNames.map(name => {
+                const [inSeries, outSeries] = interfaceSeries(name);
+                return (
+                  <button
+                    key={name}
+                    type="button"
+                    onClick={() => setSelectedInterface(name)}
+                    className={`w-full grid grid-cols-12 items-center gap-2 px-3 py-2 text-left hover:bg-slate-800 ${selectedInterface === name ? 'bg-slate-800' : ''}`}
+                  >
+                    <span className="col-span-2 font-mono text-sm">{name}</span>
+                    <span className="col-span-2 text-xs text-green-400">▼ {formatBitRate(latest.interfaces[name].inBps)}</span>
+                    <span className="col-span-2 text-xs text-blue-400">▲ {formatBitRate(latest.interfaces[name].outBps)}</span>
+                    <div className="col-span-3"><Sparkline points={inSeries.points} color="#22c55e" /></div>
+                    <div className="col-span-3"><Sparkline points={outSeries.points} color="#3b82f6" /></div>
+                  </button>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default MonitorModal;
@@ -1,6 +1,8 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { motion } from 'framer-motion';
 import { buildNetworkTopology } from '@/services/topologyService';
+import { isReachable } from '@/services/switchHealth';
+import { subscribeToPolls } from '@/services/pollingScheduler';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
@@ -18,12 +20,18 @@ import {
 } from 'lucide-react';
 import { useToast } from '@/components/ui/use-toast';
 
-const NetworkTopology = () => {
+// Shortest time between two topology rebuilds triggered by background polls
+const POLL_REFRESH_GAP_MS = 60000;
+
+const NetworkTopology = ({ switches = [] }) => {
   const { toast } = useToast();
   const [selectedDevice, setSelectedDevice] = useState(null);
   const [topology, setTopology] = useState({ nodes: [], links: [] });
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  // Pending rebuild after background polls, and when the topology was last built
+  const pollRefreshTimer = useRef(null);
+  const lastFetchedAt = useRef(0);
 
   const getDeviceIcon = (type) => {
     switch (type) {
@@ -36,8 +44,8 @@ const NetworkTopology = () => {
   };
 
   const getDeviceColor = (type, status) => {
-    if (status === 'warning') return 'text-yellow-400';
-    if (status === 'offline') return 'text-red-400';
+    if (status === 'warning' || status === 'degraded') return 'text-yellow-400';
+    if (status === 'offline' || status === 'unreachable' || status === 'auth-failed') return 'text-red-400';
     
     switch (type) {
       case 'switch': return 'text-green-400';
@@ -48,28 +56,23 @@ const NetworkTopology = () => {
     }
   };
 
-  // Fetch network topology data when switches change
-  useEffect(() => {
-    fetchTopology();
-  }, []);
+  // Only switches that answer can be asked for their neighbors
+  const onlineSwitches = switches.filter(sw => isReachable(sw.status));
+  const onlineSwitchKey = onlineSwitches.map(sw => sw.id).join(',');
+
+  // Fetch topology data; a quiet fetch (from background polls) shows no spinner or error toast
+  const fetchTopology = useCallback(async (isAutoDiscover = false, quiet = false) => {
+    lastFetchedAt.current = Date.now();
 
-  // Fetch topology data
-  const fetchTopology = useCallback(async (isAutoDiscover = false) => {
     try {
-      setIsLoading(true);
-      setError(null);
-      
-      // Get all switches from localStorage
-      const storedSwitches = localStorage.getItem('switches');
-      let switches = [];
-      
-      if (storedSwitches) {
-        switches = JSON.parse(storedSwitches);
+      if (!quiet) {
+        setIsLoading(true);
+        setError(null);
       }
       
       // If we have switches, build the topology
-      if (switches.length > 0) {
-        const data = await buildNetworkTopology(switches);
+      if (onlineSwitches.length > 0) {
+        const data = await buildNetworkTopology(onlineSwitches);
         setTopology(data);
         
         if (isAutoDiscover) {
@@ -80,10 +83,13 @@ const NetworkTopology = () => {
         }
       } else {
         setTopology({ nodes: [], links: [] });
-        setError('No switches configured. Add a switch connection to view topology.');
+        setError(switches.length > 0
+          ? 'No switches are connected yet. Topology will appear once a switch is online.'
+          : 'No switches configured. Add a switch connection to view topology.');
       }
     } catch (err) {
       console.error('Error fetching network topology:', err);
+      if (quiet) return;
       setError(err.message || 'Failed to fetch network topology');
       toast({
         variant: 'destructive',
@@ -93,7 +99,31 @@ const NetworkTopology = () => {
     } finally {
       setIsLoading(false);
     }
-  }, [toast]);
+  }, [toast, onlineSwitchKey, switches.length]);
+
+  // Fetch network topology data when the set of connected switches changes
+  useEffect(() => {
+    fetchTopology();
+  }, [fetchTopology]);
+
+  // Rebuild quietly after background polls, at most once per POLL_REFRESH_GAP_MS
+  useEffect(() => {
+    const unsubscribe = subscribeToPolls(() => {
+      if (pollRefreshTimer.current) return;
+
+      const delay = Math.max(0, lastFetchedAt.current + POLL_REFRESH_GAP_MS - Date.now());
+      pollRefreshTimer.current = setTimeout(() => {
+        pollRefreshTimer.current = null;
+        fetchTopology(false, true);
+      }, delay);
+    });
+
+    return () => {
+      unsubscribe();
+      clearTimeout(pollRefreshTimer.current);
+      pollRefreshTimer.current = null;
+    };
+  }, [fetchTopology]);
 
   const handleDeviceClick = (device) => {
     setSelectedDevice(device);
@@ -217,7 +247,7 @@ const NetworkTopology = () => {
                       </div>
                       <div className="flex justify-center mt-1">
                         <Badge 
-                          variant={device.status === 'online' ? 'default' : device.status === 'warning' ? 'secondary' : 'destructive'}
+                          variant={device.status === 'online' ? 'default' : device.status === 'warning' || device.status === 'degraded' ? 'secondary' : 'destructive'}
                           className="text-xs"
                         >
                           {device.status}
@@ -0,0 +1,563 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useToast } from '@/components/ui/use-toast';
+import { Send, Plus, Pencil, Trash2, Save, CheckSquare, Square, ArrowLeft } from 'lucide-react';
+import {
+  TEMPLATE_FIELDS,
+  getNotificationChannels,
+  createNotificationChannel,
+  updateNotificationChannel,
+  removeNotificationChannel,
+  testNotificationChannel
+} from '@/services/notificationService';
+import { getAlertRules } from '@/services/alertService';
+import { getCredentialProfiles } from '@/services/vaultService';
+import { formatLastSeen } from '@/services/switchHealth';
+
+// Select value meaning the SMTP server is used without logging in
+const NO_CREDENTIAL = 'none';
+
+const TYPE_LABELS = {
+  webhook: 'Webhook',
+  slack: 'Slack',
+  email: 'Email'
+};
+
+const EMPTY_FORM = {
+  name: '',
+  type: 'webhook',
+  enabled: true,
+  ruleIds: [],
+  notifyResolved: true,
+  maxMessages: '10',
+  windowMinutes: '15',
+  title: '',
+  body: '',
+  url: '',
+  headers: '',
+  host: '',
+  port: '25',
+  security: 'none',
+  from: '',
+  to: '',
+  credentialRef: NO_CREDENTIAL
+};
+
+/**
+ * Turn a stored channel into form fields
+ * @param {Object} channel - Stored channel
+ * @returns {Object} - Form fields
+ */
+const toForm = (channel) => ({
+  ...EMPTY_FORM,
+  name: channel.name,
+  type: channel.type,
+  enabled: channel.enabled,
+  ruleIds: channel.ruleIds,
+  notifyResolved: channel.notifyResolved,
+  maxMessages: String(channel.rateLimit.maxMessages),
+  windowMinutes: String(channel.rateLimit.windowMinutes),
+  title: channel.template.title,
+  body: channel.template.body,
+  url: channel.config.url || '',
+  headers: Object.entries(channel.config.headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n'),
+  host: channel.config.host || '',
+  port: String(channel.config.port || EMPTY_FORM.port),
+  security: channel.config.security || 'none',
+  from: channel.config.from || '',
+  to: (channel.config.to || []).join(', '),
+  credentialRef: channel.config.credentialRef || NO_CREDENTIAL
+});
+
+/**
+ * Turn form fields into channel settings for the API server
+ * @param {Object} form - Form fields
+ * @returns {Object} - Channel settings
+ */
+const fromForm = (form) => {
+  const configs = {
+    webhook: () => ({
+      url: form.url.trim(),
+      headers: Object.fromEntries(form.headers
+        .split('\n')
+        .map(line => line.split(':'))
+        .filter(([name, ...value]) => name.trim() && value.length > 0)
+        .map(([name, ...value]) => [name.trim(), value.join(':').trim()]))
+    }),
+    slack: () => ({ url: form.url.trim() }),
+    email: () => ({
+      host: form.host.trim(),
+      port: parseInt(form.port),
+      security: form.security,
+      from: form.from.trim(),
+      to: form.to,
+      credentialRef: form.credentialRef === NO_CREDENTIAL ? null : form.credentialRef
+    })
+  };
+
+  return {
+    name: form.name,
+    type: form.type,
+    enabled: form.enabled,
+    ruleIds: form.ruleIds,
+    notifyResolved: form.notifyResolved,
+    rateLimit: { maxMessages: parseInt(form.maxMessages), windowMinutes: parseInt(form.windowMinutes) },
+    template: { title: form.title, body: form.body },
+    config: configs[form.type]()
+  };
+};
+
+/**
+ * Checkbox row drawn with icons, as the UI kit has no checkbox
+ */
+const CheckRow = ({ checked, onToggle, children }) => (
+  <button type="button" onClick={onToggle} className="flex items-center space-x-2 text-left text-sm">
+    {checked ? <CheckSquare className="h-4 w-4 text-green-400" /> : <Square className="h-4 w-4 text-gray-500" />}
+    <span className={checked ? 'text-white' : 'text-gray-400'}>{children}</span>
+  </button>
+);
+
+const NotificationChannelsModal = ({ isOpen, onClose }) => {
+  const { toast } = useToast();
+  const [channels, setChannels] = useState([]);
+  const [rules, setRules] = useState([]);
+  const [profiles, setProfiles] = useState([]);
+  const [loading, setLoading] = useState(false);
+  // ID of the channel being edited, 'new' for an added one, null while the list is shown
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [testingId, setTestingId] = useState(null);
+
+  const loadChannels = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [loadedChannels, loadedRules] = await Promise.all([getNotificationChannels(), getAlertRules()]);
+      setChannels(loadedChannels);
+      setRules(loadedRules);
+    } catch (error) {
+      toast({
+        variant: 'destructive',
+        title: 'Error',
+        description: error.message || 'Failed to load notification channels.',
+      });
+    } finally {
+      setLoading(false);
+    }
+
+    // Profiles are only needed for email logins and cannot be listed while the vault is locked
+    getCredentialProfiles().then(setProfiles).catch(() => setProfiles([]));
+  }, [toast]);
+
+  useEffect(() => {
+    if (isOpen) {
+      setEditingId(null);
+      loadChannels();
+    }
+  }, [isOpen, loadChannels]);
+
+  const updateForm = (changes) => setForm(current => ({ ...current, ...changes }));
+
+  const toggleRule = (ruleId) => {
+    updateForm({
+      ruleIds: form.ruleIds.includes(ruleId)
+        ? form.ruleIds.filter(id => id !== ruleId)
+        : [...form.ruleIds, ruleId]
+    });
+  };
+
+  const startEdit = (channel) => {
+    setForm(channel ? toForm(channel) : EMPTY_FORM);
+    setEditingId(channel ? channel.id : 'new');
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const settings = fromForm(form);
+
+      if (editingId === 'new') {
+        await createNotificationChannel(settings);
+      } else {
+        await updateNotificationChannel(editingId, settings);
+      }
+      toast({
+        title: 'Channel Saved! ✅',
+        description: `${settings.name} receives alert notifications from now on.`,
+      });
+      setEditingId(null);
+      await loadChannels();
+    } catch (error) {
+      toast({
+        variant: 'destructive',
+        title: 'Save Failed',
+        description: error.message || 'Failed to save the notification channel.',
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleEnabled = async (channel) => {
+    try {
+      const updated = await updateNotificationChannel(channel.id, { enabled: !channel.enabled });
+      setChannels(current => current.map(item => (item.id === channel.id ? { ...item, ...updated } : item)));
+    } catch (error) {
+      toast({
+        variant: 'destructive',
+        title: 'Update Failed',
+        description: error.message || `Failed to update ${channel.name}.`,
+      });
+    }
+  };
+
+  const handleRemove = async (channel) => {
+    try {
+      await removeNotificationChannel(channel.id);
+      setChannels(current => current.filter(item => item.id !== channel.id));
+      toast({
+        title: 'Channel Removed',
+        description: `${channel.name} no longer receives alert notifications.`,
+      });
+    } catch (error) {
+      toast({
+        variant: 'destructive',
+        title: 'Remove Failed',
+        description: error.message || `Failed to remove ${channel.name}.`,
+      });
+    }
+  };
+
+  const handleTest = async (channel) => {
+    setTestingId(channel.id);
+    try {
+      await testNotificationChannel(channel.id);
+      toast({
+        title: 'Test Sent! ✅',
+        description: `${channel.name} accepted the test notification.`,
+      });
+    } catch (error) {
+      toast({
+        variant: 'destructive',
+        title: 'Test Failed',
+        description: error.message || `Failed to reach ${channel.name}.`,
+      });
+    } finally {
+      setTestingId(null);
+    }
+  };
+
+  const renderList = () => {
+    if (loading) {
+      return <p className="text-gray-400 text-sm">Loading channels...</p>;
+    }
+    if (channels.length === 0) {
+      return <p className="text-gray-400 text-sm">No notification channels yet. Alerts are only shown in the dashboard.</p>;
+    }
+
+    return channels.map(channel => (
+      <div key={channel.id} className="p-3 rounded-lg bg-slate-800/50 border border-gray-700">
+        <div className="flex items-center justify-between">
+          <div className="min-w-0">
+            <div className="flex items-center space-x-2">
+              <CheckRow checked={channel.enabled} onToggle={() => handleToggleEnabled(channel)}>
+                {channel.name}
+              </CheckRow>
+              <Badge variant="outline" className="border-gray-600 text-gray-300">{TYPE_LABELS[channel.type]}</Badge>
+            </div>
+            <p className="text-xs text-gray-400 mt-1">
+              {channel.ruleIds.length === 0 ? 'All rules' : `${channel.ruleIds.length} rule(s)`}
+              {' · '}
+              at most {channel.rateLimit.maxMessages} per {channel.rateLimit.windowMinutes} min
+              {channel.status.lastSentAt && ` · last sent ${formatLastSeen(Date.parse(channel.status.lastSentAt))}`}
+              {channel.status.suppressed > 0 && ` · ${channel.status.suppressed} held back`}
+            </p>
+            {channel.status.lastError && (
+              <p className="text-xs text-red-400 mt-1 truncate" title={channel.status.lastError}>
+                {channel.status.lastError}
+              </p>
+            )}
+          </div>
+          <div className="flex items-center space-x-1 shrink-0">
+            <Button
+              size="sm"
+              variant="ghost"
+              onClick={() => handleTest(channel)}
+              disabled={testingId === channel.id}
+              title="Send Test"
+            >
+              <Send className="h-4 w-4" />
+            </Button>
+            <Button size="sm" variant="ghost" onClick={() => startEdit(channel)} title="Edit">
+              <Pencil className="h-4 w-4" />
+            </Button>
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={() => handleRemove(channel)}
+              className="border-red-500/30 text-red-400"
+            >
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+      </div>
+    ));
+  };
+
+  const renderTypeFields = () => {
+    if (form.type !== 'email') {
+      return (
+        <>
+          <div className="space-y-1">
+            <Label htmlFor="channel-url">{form.type === 'slack' ? 'Incoming webhook URL' : 'URL'}</Label>
+            <Input
+              id="channel-url"
+              value={form.url}
+              onChange={(e) => updateForm({ url: e.target.value })}
+              placeholder={form.type === 'slack' ? 'https://hooks.slack.com/services/...' : 'https://example.com/alerts'}
+              className="bg-slate-800 border-gray-600 text-white"
+            />
+          </div>
+          {form.type === 'webhook' && (
+            <div className="space-y-1">
+              <Label htmlFor="channel-headers">Extra headers, one "Name: value" per line</Label>
+              <Textarea
+                id="channel-headers"
+                value={form.headers}
+                onChange={(e) => updateForm({ headers: e.target.value })}
+                placeholder="Authorization: Bearer ..."
+                className="bg-slate-800 border-gray-600 text-white min-h-[60px] font-mono text-xs"
+              />
+            </div>
+          )}
+        </>
+      );
+    }
+
+    return (
+      <>
+        <div className="grid grid-cols-3 gap-2">
+          <div className="space-y-1 col-span-2">
+            <Label htmlFor="channel-host">SMTP server</Label>
+            <Input
+              id="channel-host"
+              value={form.host}
+              onChange={(e) => updateForm({ host: e.target.value })}
+              placeholder="smtp.example.com"
+              className="bg-slate-800 border-gray-600 text-white"
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="channel-port">Port</Label>
+            <Input
+              id="channel-port"
+              type="number"
+              value={form.port}
+              onChange={(e) => updateForm({ port: e.target.value })}
+              className="bg-slate-800 border-gray-600 text-white"
+            />
+          </div>
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          <div className="space-y-1">
+            <Label>Security</Label>
+            <Select value={form.security} onValueChange={(value) => updateForm({ security: value })}>
+              <SelectTrigger className="bg-slate-800 border-gray-600">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="none">None</SelectItem>
+                <SelectItem value="starttls">STARTTLS</SelectItem>
+                <SelectItem value="tls">TLS</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-1">
+            <Label>Login</Label>
+            <Select value={form.credentialRef} onValueChange={(value) => updateForm({ credentialRef: value })}>
+              <SelectTrigger className="bg-slate-800 border-gray-600">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={NO_CREDENTIAL}>No login</SelectItem>
+                {profiles.map(profile => (
+                  <SelectItem key={profile.id} value={profile.id}>{profile.name}</SelectItem>
+                ))}
+                {form.credentialRef !== NO_CREDENTIAL && !profiles.some(profile => profile.id === form.credentialRef) && (
+                  <SelectItem value={form.credentialRef}>Stored profile</SelectItem>
+                )}
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="channel-from">From</Label>
+          <Input
+            id="channel-from"
+            value={form.from}
+            onChange={(e) => updateForm({ from: e.target.value })}
+            placeholder="network-alerts@example.com"
+            className="bg-slate-800 border-gray-600 text-white"
+          />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="channel-to">To, separated by commas</Label>
+          <Input
+            id="channel-to"
+            value={form.to}
+            onChange={(e) => updateForm({ to: e.target.value })}
+            placeholder="noc@example.com, oncall@example.com"
+            className="bg-slate-800 border-gray-600 text-white"
+          />
+        </div>
+      </>
+    );
+  };
+
+  const renderForm = () => (
+    <div className="space-y-3">
+      <div className="grid grid-cols-3 gap-2">
+        <div className="space-y-1 col-span-2">
+          <Label htmlFor="channel-name">Name</Label>
+          <Input
+            id="channel-name"
+            value={form.name}
+            onChange={(e) => updateForm({ name: e.target.value })}
+            placeholder="NOC on-call"
+            className="bg-slate-800 border-gray-600 text-white"
+          />
+        </div>
+        <div className="space-y-1">
+          <Label>Type</Label>
+          <Select value={form.type} onValueChange={(value) => updateForm({ type: value })}>
+            <SelectTrigger className="bg-slate-800 border-gray-600">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(TYPE_LABELS).map(([type, label]) => (
+                <SelectItem key={type} value={type}>{label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      {renderTypeFields()}
+
+      <div className="space-y-2">
+        <Label>Rules (none selected means every rule)</Label>
+        <div className="grid grid-cols-2 gap-2">
+          {rules.map(rule => (
+            <CheckRow key={rule.id} checked={form.ruleIds.includes(rule.id)} onToggle={() => toggleRule(rule.id)}>
+              {rule.name}
+            </CheckRow>
+          ))}
+        </div>
+        <CheckRow checked={form.notifyResolved} onToggle={() => updateForm({ notifyResolved: !form.notifyResolved })}>
+          Also notify when alerts resolve
+        </CheckRow>
+      </div>
+
+      <div className="flex items-center space-x-2 text-sm text-gray-400">
+        <span>At most</span>
+        <Input
+          type="number"
+          value={form.maxMessages}
+          onChange={(e) => updateForm({ maxMessages: e.target.value })}
+          className="w-20 h-8 bg-slate-800 border-gray-600 text-white"
+        />
+        <span>messages per</span>
+        <Input
+          type="number"
+          value={form.windowMinutes}
+          onChange={(e) => updateForm({ windowMinutes: e.target.value })}
+          className="w-20 h-8 bg-slate-800 border-gray-600 text-white"
+        />
+        <span>minutes</span>
+      </div>
+
+      <div className="space-y-1">
+        <Label htmlFor="channel-title">{form.type === 'email' ? 'Subject' : 'Title'} template</Label>
+        <Input
+          id="channel-title"
+          value={form.title}
+          onChange={(e) => updateForm({ title: e.target.value })}
+          placeholder="[{{severity}}] {{switchName}} {{subject}}: {{event}}"
+          className="bg-slate-800 border-gray-600 text-white"
+        />
+      </div>
+      <div className="space-y-1">
+        <Label htmlFor="channel-body">Message template</Label>
+        <Textarea
+          id="channel-body"
+          value={form.body}
+          onChange={(e) => updateForm({ body: e.target.value })}
+          placeholder={'{{message}}\nAlert {{event}} at {{time}}.'}
+          className="bg-slate-800 border-gray-600 text-white min-h-[70px]"
+        />
+        <p className="text-xs text-gray-500">
+          Leave empty for the default. Placeholders: {TEMPLATE_FIELDS.map(field => `{{${field}}}`).join(' ')}
+        </p>
+      </div>
+    </div>
+  );
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-[640px] bg-slate-900 border-green-500/20 text-white">
+        <DialogHeader>
+          <DialogTitle className="flex items-center space-x-2">
+            <Send className="text-blue-400" />
+            <span>{editingId === null ? 'Notification Channels' : editingId === 'new' ? 'Add Channel' : 'Edit Channel'}</span>
+          </DialogTitle>
+          <DialogDescription className="text-gray-400">
+            The API server sends raised and resolved alerts to every enabled channel that listens to their rule, whether or not a dashboard is open. Messages over a channel's limit are held back and counted in the next one.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-3 py-4 max-h-[60vh] overflow-y-auto">
+          {editingId === null ? renderList() : renderForm()}
+        </div>
+        <DialogFooter>
+          {editingId === null ? (
+            <>
+              <Button variant="outline" onClick={() => startEdit(null)}>
+                <Plus className="h-4 w-4 mr-2" />
+                Add Channel
+              </Button>
+              <Button variant="outline" onClick={onClose}>
+                Close
+              </Button>
+            </>
+          ) : (
+            <>
+              <Button variant="outline" onClick={() => setEditingId(null)}>
+                <ArrowLeft className="h-4 w-4 mr-2" />
+                Back
+              </Button>
+              <Button onClick={handleSave} disabled={saving} className="bg-green-600 hover:bg-green-700">
+                <Save className="h-4 w-4 mr-2" />
+                Save Channel
+              </Button>
+            </>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default NotificationChannelsModal;
@@ -0,0 +1,74 @@
+import React from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { ListChecks, Trash2, Upload } from 'lucide-react';
+import { removePendingChange, clearPendingChanges, maskSecrets } from '@/services/changeQueue';
+
+const PendingChangesDialog = ({ isOpen, onClose, switchData, changes, onApply }) => {
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-[640px] bg-slate-900 border-green-500/20 text-white">
+        <DialogHeader>
+          <DialogTitle className="flex items-center space-x-2">
+            <ListChecks className="text-green-400" />
+            <span>Pending Changes</span>
+          </DialogTitle>
+          <DialogDescription className="text-gray-400">
+            Changes queued for {switchData.hostname}. Apply pushes them together in one configuration session.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-3 py-2 max-h-[50vh] overflow-y-auto scrollbar-thin">
+          {changes.length === 0 ? (
+            <p className="text-sm text-gray-400">No pending changes.</p>
+          ) : (
+            changes.map(change => (
+              <div key={change.id} className="p-3 rounded-lg bg-slate-800/50 border border-gray-700">
+                <div className="flex items-center justify-between mb-2">
+                  <div>
+                    <p className="font-medium text-white">{change.description}</p>
+                    <p className="text-xs text-gray-400">Queued at {new Date(change.createdAt).toLocaleTimeString()}</p>
+                  </div>
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => removePendingChange(switchData.id, change.id)}
+                    className="border-red-500/30 text-red-400"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+                <pre className="text-xs font-mono text-gray-300 bg-slate-950 rounded-md p-2 overflow-x-auto">
+                  {change.commands.map(maskSecrets).join('\n')}
+                </pre>
+              </div>
+            ))
+          )}
+        </div>
+        <DialogFooter>
+          <Button
+            variant="outline"
+            onClick={() => clearPendingChanges(switchData.id)}
+            disabled={changes.length === 0}
+            className="border-red-500/30 text-red-400"
+          >
+            <Trash2 className="h-4 w-4 mr-2" />
+            Discard All
+          </Button>
+          <Button onClick={onApply} disabled={changes.length === 0} className="bg-blue-600 hover:bg-blue-700">
+            <Upload className="h-4 w-4 mr-2" />
+            Apply
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default PendingChangesDialog;
@@ -1,8 +1,9 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { motion } from 'framer-motion';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { 
   Router, 
   Wifi, 
@@ -11,12 +12,37 @@ import {
   Network,
   Zap,
   HardDrive,
-  Thermometer
+  Thermometer,
+  Trash2,
+  CheckSquare,
+  Square,
+  AlertTriangle,
+  Clock
 } from 'lucide-react';
 import { useToast } from '@/components/ui/use-toast';
+import { isReachable, formatLastSeen } from '@/services/switchHealth';
+import { getPollInterval, setPollInterval, POLL_INTERVAL_OPTIONS } from '@/services/pollingScheduler';
 
-const SwitchCard = ({ switchData, onConfigure }) => {
+/**
+ * Label of a poll interval choice
+ * @param {number} seconds - Seconds between polls, 0 for off
+ * @returns {string} - Short label such as `30s` or `5m`
+ */
+const formatPollInterval = (seconds) => {
+  if (seconds === 0) return 'Off';
+  return seconds < 60 ? `${seconds}s` : `${seconds / 60}m`;
+};
+
+const SwitchCard = ({ switchData, onConfigure, onRemove, onMonitor, isSelected = false, onToggleSelect }) => {
   const { toast } = useToast();
+  const isOnline = isReachable(switchData.status);
+  const [pollInterval, setPollIntervalState] = useState(() => getPollInterval(switchData.id));
+
+  const handlePollIntervalChange = (value) => {
+    const seconds = parseInt(value);
+    setPollInterval(switchData.id, seconds);
+    setPollIntervalState(seconds);
+  };
 
   const handleQuickAction = (action) => {
     toast({
@@ -25,6 +51,13 @@ const SwitchCard = ({ switchData, onConfigure }) => {
     });
   };
 
+  const getStatusStyle = (status) => {
+    if (status === 'online') return 'bg-green-500/20 text-green-400 border-green-500/30';
+    if (status === 'connecting') return 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30';
+    if (status === 'degraded') return 'bg-orange-500/20 text-orange-400 border-orange-500/30';
+    return '';
+  };
+
   return (
     <motion.div
       initial={{ opacity: 0, y: 20 }}
@@ -33,28 +66,63 @@ const SwitchCard = ({ switchData, onConfigure }) => {
       whileHover={{ scale: 1.02 }}
       className="h-full"
     >
-      <Card className="switch-card h-full border-green-500/20 hover:border-green-500/40 transition-all duration-300">
+      <Card className={`switch-card h-full transition-all duration-300 ${isSelected ? 'border-green-400/70' : 'border-green-500/20 hover:border-green-500/40'}`}>
         <CardHeader className="pb-3">
           <div className="flex items-center justify-between">
             <div className="flex items-center space-x-3">
+              {onToggleSelect && (
+                <button
+                  type="button"
+                  onClick={() => onToggleSelect(switchData.id)}
+                  title={isSelected ? 'Deselect' : 'Select for fleet commands'}
+                >
+                  {isSelected
+                    ? <CheckSquare className="h-5 w-5 text-green-400" />
+                    : <Square className="h-5 w-5 text-gray-500 hover:text-gray-300" />}
+                </button>
+              )}
               <div className="p-2 rounded-lg bg-green-500/20">
                 <Router className="h-6 w-6 text-green-400" />
               </div>
               <div>
-                <CardTitle className="text-lg text-white">{switchData.hostname}</CardTitle>
-                <p className="text-sm text-gray-400">{switchData.model}</p>
+                <CardTitle className="text-lg text-white">{switchData.name || switchData.hostname}</CardTitle>
+                <p className="text-sm text-gray-400">
+                  {switchData.name && switchData.name !== switchData.hostname ? `${switchData.hostname} • ` : ''}
+                  {switchData.model}
+                </p>
               </div>
             </div>
             <Badge 
-              variant={switchData.status === 'online' ? 'default' : 'destructive'}
-              className={`${switchData.status === 'online' ? 'bg-green-500/20 text-green-400 border-green-500/30' : ''} status-indicator`}
+              variant={switchData.status === 'unreachable' || switchData.status === 'auth-failed' ? 'destructive' : 'default'}
+              className={`${getStatusStyle(switchData.status)} status-indicator`}
+              title={switchData.healthReasons?.join('\n') || undefined}
             >
-              {switchData.status}
+              {switchData.status === 'auth-failed' ? 'auth failed' : switchData.status}
             </Badge>
           </div>
         </CardHeader>
         
         <CardContent className="space-y-4">
+          {switchData.status !== 'online' && switchData.status !== 'connecting' && (
+            <div className={`flex items-start space-x-2 p-2 rounded-md text-xs ${isOnline ? 'bg-orange-500/10 text-orange-300' : 'bg-red-500/10 text-red-300'}`}>
+              <AlertTriangle className="h-4 w-4 flex-shrink-0" />
+              <div>
+                {switchData.healthReasons?.map(reason => <p key={reason}>{reason}</p>)}
+                <p className="text-gray-400">Last seen {formatLastSeen(switchData.lastSeen)}</p>
+              </div>
+            </div>
+          )}
+
+          {switchData.tags?.length > 0 && (
+            <div className="flex flex-wrap gap-1">
+              {switchData.tags.map(tag => (
+                <Badge key={tag} variant="outline" className="text-xs border-gray-600 text-gray-300">
+                  {tag}
+                </Badge>
+              ))}
+            </div>
+          )}
+
           <div className="grid grid-cols-2 gap-4">
             <div className="space-y-2">
               <div className="flex items-center space-x-2 text-sm">
@@ -98,25 +166,47 @@ const SwitchCard = ({ switchData, onConfigure }) => {
             <div className="w-full bg-slate-700 rounded-full h-2">
               <div 
                 className="bg-gradient-to-r from-green-500 to-blue-500 h-2 rounded-full transition-all duration-300"
-                style={{ width: `${(switchData.activeInterfaces / switchData.totalInterfaces) * 100}%` }}
+                style={{ width: `${switchData.totalInterfaces ? (switchData.activeInterfaces / switchData.totalInterfaces) * 100 : 0}%` }}
               />
             </div>
           </div>
 
+          <div className="flex items-center justify-between text-xs text-gray-400">
+            <span className="flex items-center">
+              <Clock className="h-3 w-3 mr-1" />
+              Updated {formatLastSeen(switchData.lastSeen)}
+            </span>
+            <div className="flex items-center space-x-1">
+              <span>Poll</span>
+              <Select value={String(pollInterval)} onValueChange={handlePollIntervalChange}>
+                <SelectTrigger className="h-6 w-[70px] px-2 text-xs bg-slate-800 border-gray-600">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {POLL_INTERVAL_OPTIONS.map(seconds => (
+                    <SelectItem key={seconds} value={String(seconds)}>{formatPollInterval(seconds)}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
           <div className="flex space-x-2 pt-2">
             <Button 
               onClick={() => onConfigure(switchData)}
               className="flex-1 bg-green-600 hover:bg-green-700 text-white"
               size="sm"
+              disabled={!isOnline}
             >
               <Settings className="h-4 w-4 mr-2" />
               Configure
             </Button>
             <Button 
-              onClick={() => handleQuickAction('monitor')}
+              onClick={() => onMonitor(switchData)}
               variant="outline" 
               size="sm"
               className="border-blue-500/30 text-blue-400 hover:bg-blue-500/10"
+              title="Monitor"
             >
               <Activity className="h-4 w-4" />
             </Button>
@@ -128,6 +218,15 @@ const SwitchCard = ({ switchData, onConfigure }) => {
             >
               <Wifi className="h-4 w-4" />
             </Button>
+            <Button 
+              onClick={() => onRemove(switchData)}
+              variant="outline" 
+              size="sm"
+              className="border-red-500/30 text-red-400 hover:bg-red-500/10"
+              title="Remove from inventory"
+            >
+              <Trash2 className="h-4 w-4" />
+            </Button>
           </div>
         </CardContent>
       </Card>
@@ -0,0 +1,63 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { TrendingUp } from 'lucide-react';
+import { getTopTalkers, subscribeToAllMetrics } from '@/services/metricsStore';
+import { formatBitRate } from '@/lib/units';
+
+// Number of interfaces listed
+const TOP_TALKER_COUNT = 8;
+
+const TopTalkers = ({ switches }) => {
+  const [talkers, setTalkers] = useState(() => getTopTalkers(TOP_TALKER_COUNT));
+
+  // Re-rank after every new sample and when switches are added or removed
+  useEffect(() => {
+    setTalkers(getTopTalkers(TOP_TALKER_COUNT));
+    return subscribeToAllMetrics(() => setTalkers(getTopTalkers(TOP_TALKER_COUNT)));
+  }, [switches.length]);
+
+  const switchNames = new Map(switches.map(sw => [sw.id, sw.name || sw.hostname]));
+  const visibleTalkers = talkers.filter(talker => switchNames.has(talker.switchId));
+
+  return (
+    <Card className="border-gray-700 bg-slate-800/30">
+      <CardHeader>
+        <CardTitle className="text-white flex items-center space-x-2">
+          <TrendingUp className="h-5 w-5 text-green-400" />
+          <span>Top Talkers</span>
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        {visibleTalkers.length === 0 ? (
+          <p className="text-sm text-gray-500">Interface rates appear after switches have been polled twice.</p>
+        ) : (
+          <div className="space-y-2">
+            {visibleTalkers.map(talker => {
+              const busiest = Math.max(talker.inPercent ?? -1, talker.outPercent ?? -1);
+              return (
+                <div key={`${talker.switchId}-${talker.name}`} className="p-2 rounded-md bg-slate-900/50 border border-gray-700 text-xs">
+                  <div className="flex items-center justify-between">
+                    <span className="text-white truncate">
+                      {switchNames.get(talker.switchId)} <span className="font-mono text-gray-400">{talker.name}</span>
+                    </span>
+                    {busiest >= 0 && (
+                      <span className={busiest >= 80 ? 'text-red-400' : busiest >= 50 ? 'text-yellow-400' : 'text-gray-400'}>
+                        {busiest}%
+                      </span>
+                    )}
+                  </div>
+                  <div className="flex justify-between mt-1">
+                    <span className="text-green-400">▼ {formatBitRate(talker.inBps)}</span>
+                    <span className="text-blue-400">▲ {formatBitRate(talker.outBps)}</span>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TopTalkers;
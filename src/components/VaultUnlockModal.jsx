@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { useToast } from '@/components/ui/use-toast';
+import { Lock, Key } from 'lucide-react';
+import { createVault, unlockVault } from '@/services/vaultService';
+
+const VaultUnlockModal = ({ isOpen, isInitialized, onClose, onUnlocked }) => {
+  const { toast } = useToast();
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [isUnlocking, setIsUnlocking] = useState(false);
+
+  const handleUnlock = async () => {
+    if (!passphrase) {
+      toast({
+        variant: 'destructive',
+        title: 'Missing Passphrase',
+        description: 'Please enter the vault passphrase.',
+      });
+      return;
+    }
+
+    if (!isInitialized && passphrase !== confirmation) {
+      toast({
+        variant: 'destructive',
+        title: 'Passphrases Do Not Match',
+        description: 'Please enter the same passphrase twice.',
+      });
+      return;
+    }
+
+    setIsUnlocking(true);
+
+    try {
+      const status = isInitialized ? await unlockVault(passphrase) : await createVault(passphrase);
+      toast({
+        title: isInitialized ? 'Vault Unlocked! 🔓' : 'Vault Created! 🔐',
+        description: 'Credential profiles are available until the API server restarts or the vault is locked.',
+      });
+      onUnlocked(status);
+    } catch (error) {
+      toast({
+        variant: 'destructive',
+        title: isInitialized ? 'Unlock Failed' : 'Create Failed',
+        description: error.message || `Failed to ${isInitialized ? 'unlock' : 'create'} the credential vault.`,
+      });
+    } finally {
+      setIsUnlocking(false);
+      setPassphrase('');
+      setConfirmation('');
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-[425px] bg-slate-900 border-green-500/20 text-white">
+        <DialogHeader>
+          <DialogTitle className="flex items-center space-x-2">
+            <Lock className="text-green-400" />
+            <span>{isInitialized ? 'Unlock Credential Vault' : 'Create Credential Vault'}</span>
+          </DialogTitle>
+          <DialogDescription className="text-gray-400">
+            {isInitialized
+              ? 'Enter the master passphrase to decrypt the stored switch credentials.'
+              : 'Choose a master passphrase. Switch credentials are encrypted with it and cannot be recovered without it.'}
+          </DialogDescription>
+        </DialogHeader>
+        <div className="grid gap-4 py-4">
+          <div className="grid grid-cols-4 items-center gap-4">
+            <Label htmlFor="passphrase" className="text-right text-gray-300">
+              <Key className="inline-block h-4 w-4 mr-1" />
+              Passphrase
+            </Label>
+            <Input
+              id="passphrase"
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && isInitialized && handleUnlock()}
+              className="col-span-3 bg-slate-800 border-gray-600"
+            />
+          </div>
+          {!isInitialized && (
+            <div className="grid grid-cols-4 items-center gap-4">
+              <Label htmlFor="confirmation" className="text-right text-gray-300">
+                <Key className="inline-block h-4 w-4 mr-1" />
+                Confirm
+              </Label>
+              <Input
+                id="confirmation"
+                type="password"
+                value={confirmation}
+                onChange={(e) => setConfirmation(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleUnlock()}
+                className="col-span-3 bg-slate-800 border-gray-600"
+              />
+            </div>
+          )}
+        </div>
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button onClick={handleUnlock} disabled={isUnlocking} className="bg-green-600 hover:bg-green-700">
+            {isUnlocking ? 'Unlocking...' : isInitialized ? 'Unlock' : 'Create Vault'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default VaultUnlockModal;
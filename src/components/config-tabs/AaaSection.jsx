@@ -0,0 +1,537 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Plus, Trash2, Pencil, ArrowUp, X, CheckSquare, Square, AlertTriangle } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter
+} from '@/components/ui/dialog';
+import {
+  AAA_PROTOCOLS,
+  AAA_METHOD_LISTS,
+  setAaaServer,
+  removeAaaServer,
+  setServerGroup,
+  removeServerGroup,
+  setMethodList
+} from '@/services/aaaConfig';
+
+// Placeholder shown instead of a configured shared secret
+const MASKED_SECRET = '••••••••';
+
+// Badge colours and labels of the reachability statuses
+const STATUS_STYLES = {
+  reachable: { label: 'Reachable', className: 'bg-green-500/20 text-green-400 border-green-500/30' },
+  degraded: { label: 'Failures', className: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30' },
+  unreachable: { label: 'Unreachable', className: 'bg-red-500/20 text-red-400 border-red-500/30' },
+  unknown: { label: 'Not used yet', className: 'bg-gray-500/20 text-gray-400 border-gray-500/30' }
+};
+
+const EMPTY_SERVER = {
+  protocol: 'radius',
+  host: '',
+  vrf: '',
+  authPort: '',
+  acctPort: '',
+  port: '',
+  timeout: '',
+  retransmit: '',
+  singleConnection: false,
+  key: ''
+};
+
+const AaaSection = ({ switchId, aaaConfig, onChange }) => {
+  const [serverDialog, setServerDialog] = useState(null);
+  const [serverSettings, setServerSettings] = useState(EMPTY_SERVER);
+  const [groupDialog, setGroupDialog] = useState(null);
+  const [groupSettings, setGroupSettings] = useState({ protocol: 'radius', name: '', members: [] });
+  const [methodDialog, setMethodDialog] = useState(null);
+  const [methods, setMethods] = useState([]);
+
+  const { servers, groups, methodLists, globalKeys } = aaaConfig;
+
+  // Edit an existing server (`existing`) or add a new one (`{ existing: null }`)
+  const openServerDialog = (existing) => {
+    setServerSettings(existing
+      ? {
+          ...EMPTY_SERVER,
+          protocol: existing.protocol,
+          host: existing.host,
+          vrf: existing.vrf === 'default' ? '' : existing.vrf,
+          authPort: existing.authPort ? String(existing.authPort) : '',
+          acctPort: existing.acctPort ? String(existing.acctPort) : '',
+          port: existing.port ? String(existing.port) : '',
+          timeout: existing.timeout ? String(existing.timeout) : '',
+          retransmit: existing.retransmit ? String(existing.retransmit) : '',
+          singleConnection: existing.singleConnection
+        }
+      : EMPTY_SERVER);
+    setServerDialog({ existing });
+  };
+
+  const handleSaveServer = async (e) => {
+    e.preventDefault();
+
+    const queued = await onChange(
+      () => setAaaServer(switchId, serverSettings, serverDialog.existing),
+      `${serverDialog.existing ? 'Updating' : 'Adding'} ${AAA_PROTOCOLS[serverSettings.protocol].label} server ${serverSettings.host}`
+    );
+    if (queued) {
+      setServerDialog(null);
+    }
+  };
+
+  const openGroupDialog = (existing) => {
+    setGroupSettings(existing
+      ? { protocol: existing.protocol, name: existing.name, members: existing.servers.map(member => `${member.host}|${member.vrf}`) }
+      : { protocol: 'radius', name: '', members: [] });
+    setGroupDialog({ existing });
+  };
+
+  const toggleGroupMember = (key) => {
+    setGroupSettings(prev => ({
+      ...prev,
+      members: prev.members.includes(key) ? prev.members.filter(member => member !== key) : [...prev.members, key]
+    }));
+  };
+
+  const handleSaveGroup = async (e) => {
+    e.preventDefault();
+
+    const members = groupSettings.members.map(key => {
+      const [host, vrf] = key.split('|');
+      return { host, vrf };
+    });
+    const queued = await onChange(
+      () => setServerGroup(switchId, groupSettings.protocol, groupSettings.name.trim(), members),
+      `Setting ${AAA_PROTOCOLS[groupSettings.protocol].label} server group ${groupSettings.name.trim()}`
+    );
+    if (queued) {
+      setGroupDialog(null);
+    }
+  };
+
+  const openMethodDialog = (listKey) => {
+    setMethods(methodLists[listKey]);
+    setMethodDialog(listKey);
+  };
+
+  const handleSaveMethods = async (e) => {
+    e.preventDefault();
+
+    const queued = await onChange(
+      () => setMethodList(switchId, methodDialog, methods),
+      `Setting ${AAA_METHOD_LISTS[methodDialog].label.toLowerCase()}`
+    );
+    if (queued) {
+      setMethodDialog(null);
+    }
+  };
+
+  // Methods that can still be added to the list being edited
+  const availableMethods = methodDialog
+    ? [
+        ...Object.values(AAA_PROTOCOLS).map(protocol => `group ${protocol.group}`),
+        ...groups.map(group => `group ${group.name}`),
+        ...AAA_METHOD_LISTS[methodDialog].methods
+      ].filter(method => !methods.includes(method))
+    : [];
+
+  // Logins fail when every server is down unless local accounts are a fallback
+  const lockoutRisk = methodDialog === 'authentication-login' && methods.length > 0 && !methods.includes('local');
+
+  const describeKey = (server) => {
+    if (server.hasKey) return MASKED_SECRET;
+    return globalKeys[server.protocol] ? 'global key' : 'no key';
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="space-y-3">
+        <div className="flex justify-between items-center">
+          <h4 className="text-lg font-semibold text-white">Authentication Servers</h4>
+          <Button variant="outline" size="sm" onClick={() => openServerDialog(null)}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add Server
+          </Button>
+        </div>
+        {servers.length === 0 && (
+          <p className="text-sm text-gray-400">No RADIUS or TACACS+ servers are configured.</p>
+        )}
+        {servers.map(server => (
+          <div
+            key={`${server.protocol}|${server.host}|${server.vrf}`}
+            className="p-3 rounded-lg bg-slate-700/50 border border-gray-600 flex justify-between items-center"
+          >
+            <div className="space-y-1">
+              <div className="flex items-center flex-wrap gap-2">
+                <Badge variant="outline" className="border-gray-500 text-gray-300">{AAA_PROTOCOLS[server.protocol].label}</Badge>
+                <span className="text-white font-mono">{server.host}</span>
+                <Badge className={STATUS_STYLES[server.status].className}>{STATUS_STYLES[server.status].label}</Badge>
+              </div>
+              <div className="text-xs text-gray-400 font-mono space-x-3">
+                <span>VRF {server.vrf}</span>
+                <span>
+                  {server.protocol === 'radius' ? `ports ${server.authPort}/${server.acctPort}` : `port ${server.port}`}
+                </span>
+                <span>key {describeKey(server)}</span>
+                {server.counters && (
+                  <span>{server.counters.received}/{server.counters.sent} answered, {server.counters.failures} failed</span>
+                )}
+              </div>
+            </div>
+            <div className="flex items-center space-x-1">
+              <Button variant="ghost" size="sm" onClick={() => openServerDialog(server)}>
+                <Pencil className="h-4 w-4" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="sm"
+                className="text-red-400 hover:text-red-300 hover:bg-red-900/20"
+                onClick={() => onChange(
+                  () => removeAaaServer(switchId, server),
+                  `Removing ${AAA_PROTOCOLS[server.protocol].label} server ${server.host}`
+                )}
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="space-y-3">
+        <div className="flex justify-between items-center">
+          <h4 className="text-lg font-semibold text-white">Server Groups</h4>
+          <Button variant="outline" size="sm" onClick={() => openGroupDialog(null)} disabled={servers.length === 0}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add Group
+          </Button>
+        </div>
+        {groups.length === 0 && (
+          <p className="text-sm text-gray-400">
+            No server groups. Method lists can still use all servers of a protocol through group radius or group tacacs+.
+          </p>
+        )}
+        {groups.map(group => (
+          <div
+            key={`${group.protocol}|${group.name}`}
+            className="p-3 rounded-lg bg-slate-700/50 border border-gray-600 flex justify-between items-center"
+          >
+            <div className="space-y-1">
+              <div className="flex items-center gap-2">
+                <Badge variant="outline" className="border-gray-500 text-gray-300">{AAA_PROTOCOLS[group.protocol].label}</Badge>
+                <span className="text-white">{group.name}</span>
+              </div>
+              <div className="text-xs text-gray-400 font-mono">
+                {group.servers.map(member => member.host).join(', ') || 'no servers'}
+              </div>
+            </div>
+            <div className="flex items-center space-x-1">
+              <Button variant="ghost" size="sm" onClick={() => openGroupDialog(group)}>
+                <Pencil className="h-4 w-4" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="sm"
+                className="text-red-400 hover:text-red-300 hover:bg-red-900/20"
+                onClick={() => onChange(() => removeServerGroup(switchId, group), `Removing server group ${group.name}`)}
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="space-y-3">
+        <h4 className="text-lg font-semibold text-white">Method Lists</h4>
+        {Object.entries(AAA_METHOD_LISTS).map(([listKey, list]) => (
+          <div key={listKey} className="flex items-center justify-between text-sm">
+            <span className="text-gray-400">{list.label}</span>
+            <div className="flex items-center gap-2">
+              <span className="font-mono text-white">
+                {methodLists[listKey].length > 0 ? methodLists[listKey].join(' → ') : 'default'}
+              </span>
+              <Button variant="ghost" size="sm" onClick={() => openMethodDialog(listKey)}>
+                <Pencil className="h-4 w-4" />
+              </Button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <Dialog open={!!serverDialog} onOpenChange={(open) => !open && setServerDialog(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{serverDialog?.existing ? `Edit Server ${serverDialog.existing.host}` : 'Add Authentication Server'}</DialogTitle>
+          </DialogHeader>
+          <form onSubmit={handleSaveServer} className="space-y-4 mt-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label>Protocol</Label>
+                <Select
+                  value={serverSettings.protocol}
+                  onValueChange={(value) => setServerSettings(prev => ({ ...prev, protocol: value }))}
+                  disabled={!!serverDialog?.existing}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(AAA_PROTOCOLS).map(([protocol, { label }]) => (
+                      <SelectItem key={protocol} value={protocol}>{label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="aaaHost">Server Address</Label>
+                <Input
+                  id="aaaHost"
+                  placeholder="192.168.1.100"
+                  value={serverSettings.host}
+                  onChange={(e) => setServerSettings(prev => ({ ...prev, host: e.target.value }))}
+                  required
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="aaaVrf">VRF (empty for default)</Label>
+                <Input
+                  id="aaaVrf"
+                  value={serverSettings.vrf}
+                  onChange={(e) => setServerSettings(prev => ({ ...prev, vrf: e.target.value }))}
+                />
+              </div>
+              {serverSettings.protocol === 'radius' ? (
+                <div className="grid grid-cols-2 gap-2">
+                  <div className="space-y-2">
+                    <Label htmlFor="aaaAuthPort">Auth Port</Label>
+                    <Input
+                      id="aaaAuthPort"
+                      type="number"
+                      placeholder={String(AAA_PROTOCOLS.radius.ports.authPort)}
+                      value={serverSettings.authPort}
+                      onChange={(e) => setServerSettings(prev => ({ ...prev, authPort: e.target.value }))}
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="aaaAcctPort">Acct Port</Label>
+                    <Input
+                      id="aaaAcctPort"
+                      type="number"
+                      placeholder={String(AAA_PROTOCOLS.radius.ports.acctPort)}
+                      value={serverSettings.acctPort}
+                      onChange={(e) => setServerSettings(prev => ({ ...prev, acctPort: e.target.value }))}
+                    />
+                  </div>
+                </div>
+              ) : (
+                <div className="space-y-2">
+                  <Label htmlFor="aaaPort">Port</Label>
+                  <Input
+                    id="aaaPort"
+                    type="number"
+                    placeholder={String(AAA_PROTOCOLS.tacacs.ports.port)}
+                    value={serverSettings.port}
+                    onChange={(e) => setServerSettings(prev => ({ ...prev, port: e.target.value }))}
+                  />
+                </div>
+              )}
+              <div className="space-y-2">
+                <Label htmlFor="aaaTimeout">Timeout (seconds)</Label>
+                <Input
+                  id="aaaTimeout"
+                  type="number"
+                  placeholder="global"
+                  value={serverSettings.timeout}
+                  onChange={(e) => setServerSettings(prev => ({ ...prev, timeout: e.target.value }))}
+                />
+              </div>
+              {serverSettings.protocol === 'radius' ? (
+                <div className="space-y-2">
+                  <Label htmlFor="aaaRetransmit">Retransmit</Label>
+                  <Input
+                    id="aaaRetransmit"
+                    type="number"
+                    placeholder="global"
+                    value={serverSettings.retransmit}
+                    onChange={(e) => setServerSettings(prev => ({ ...prev, retransmit: e.target.value }))}
+                  />
+                </div>
+              ) : (
+                <button
+                  type="button"
+                  className="flex items-center text-sm text-gray-300 self-end pb-2"
+                  onClick={() => setServerSettings(prev => ({ ...prev, singleConnection: !prev.singleConnection }))}
+                >
+                  {serverSettings.singleConnection ? (
+                    <CheckSquare className="h-4 w-4 mr-2 text-blue-400" />
+                  ) : (
+                    <Square className="h-4 w-4 mr-2" />
+                  )}
+                  Single connection
+                </button>
+              )}
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="aaaKey">Shared Secret</Label>
+              <Input
+                id="aaaKey"
+                type="password"
+                autoComplete="new-password"
+                placeholder={serverDialog?.existing?.hasKey
+                  ? `${MASKED_SECRET} (leave empty to keep)`
+                  : globalKeys[serverSettings.protocol] ? 'Leave empty to use the global key' : 'Enter shared secret'}
+                value={serverSettings.key}
+                onChange={(e) => setServerSettings(prev => ({ ...prev, key: e.target.value }))}
+              />
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setServerDialog(null)}>
+                Cancel
+              </Button>
+              <Button type="submit">Save</Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!groupDialog} onOpenChange={(open) => !open && setGroupDialog(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{groupDialog?.existing ? `Edit Group ${groupDialog.existing.name}` : 'Add Server Group'}</DialogTitle>
+          </DialogHeader>
+          <form onSubmit={handleSaveGroup} className="space-y-4 mt-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label>Protocol</Label>
+                <Select
+                  value={groupSettings.protocol}
+                  onValueChange={(value) => setGroupSettings(prev => ({ ...prev, protocol: value, members: [] }))}
+                  disabled={!!groupDialog?.existing}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(AAA_PROTOCOLS).map(([protocol, { label }]) => (
+                      <SelectItem key={protocol} value={protocol}>{label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="aaaGroupName">Name</Label>
+                <Input
+                  id="aaaGroupName"
+                  value={groupSettings.name}
+                  onChange={(e) => setGroupSettings(prev => ({ ...prev, name: e.target.value }))}
+                  disabled={!!groupDialog?.existing}
+                  required
+                />
+              </div>
+            </div>
+            <div className="space-y-2">
+              <Label>Servers (tried in the order selected)</Label>
+              {servers.filter(server => server.protocol === groupSettings.protocol).map(server => {
+                const key = `${server.host}|${server.vrf}`;
+                const position = groupSettings.members.indexOf(key);
+                return (
+                  <button
+                    key={key}
+                    type="button"
+                    className="flex items-center w-full text-sm text-gray-300"
+                    onClick={() => toggleGroupMember(key)}
+                  >
+                    {position >= 0 ? <CheckSquare className="h-4 w-4 mr-2 text-blue-400" /> : <Square className="h-4 w-4 mr-2" />}
+                    <span className="font-mono">{server.host}</span>
+                    <span className="ml-2 text-gray-500">VRF {server.vrf}</span>
+                    {position >= 0 && <span className="ml-auto text-gray-500">#{position + 1}</span>}
+                  </button>
+                );
+              })}
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setGroupDialog(null)}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={groupSettings.members.length === 0}>Save</Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!methodDialog} onOpenChange={(open) => !open && setMethodDialog(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{methodDialog && AAA_METHOD_LISTS[methodDialog].label}</DialogTitle>
+          </DialogHeader>
+          <form onSubmit={handleSaveMethods} className="space-y-4 mt-4">
+            <div className="space-y-2">
+              <Label>Methods (tried in order; empty restores the EOS default)</Label>
+              {methods.map((method, index) => (
+                <div key={method} className="flex items-center justify-between p-2 rounded bg-slate-800 border border-gray-700">
+                  <span className="font-mono text-sm text-white">{index + 1}. {method}</span>
+                  <div className="flex items-center space-x-1">
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="sm"
+                      disabled={index === 0}
+                      onClick={() => setMethods(prev => [
+                        ...prev.slice(0, index - 1), prev[index], prev[index - 1], ...prev.slice(index + 1)
+                      ])}
+                    >
+                      <ArrowUp className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => setMethods(prev => prev.filter(candidate => candidate !== method))}
+                    >
+                      <X className="h-4 w-4" />
+                    </Button>
+                  </div>
+                </div>
+              ))}
+              {availableMethods.length > 0 && (
+                <Select value="" onValueChange={(value) => setMethods(prev => [...prev, value])}>
+                  <SelectTrigger>
+                    <SelectValue placeholder="Add method" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {availableMethods.map(method => (
+                      <SelectItem key={method} value={method}>{method}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              )}
+            </div>
+            {lockoutRisk && (
+              <div className="flex items-start p-3 rounded-lg border border-yellow-500/30 bg-yellow-500/10 text-sm text-yellow-300">
+                <AlertTriangle className="h-4 w-4 mr-2 mt-0.5 shrink-0" />
+                <span>Without local as the last method, nobody can log in while the servers are unreachable.</span>
+              </div>
+            )}
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setMethodDialog(null)}>
+                Cancel
+              </Button>
+              <Button type="submit">Save</Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default AaaSection;
@@ -0,0 +1,469 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  Plus,
+  Trash2,
+  Pencil,
+  ArrowUp,
+  ArrowDown,
+  ChevronDown,
+  ChevronRight,
+  Link2,
+  X,
+  ListOrdered,
+  Activity
+} from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter
+} from '@/components/ui/dialog';
+import {
+  ACL_FAMILIES,
+  ACL_APPLY_POINTS,
+  validateAclRule,
+  createAccessList,
+  deleteAccessList,
+  setAclEntry,
+  removeAclEntry,
+  moveAclEntry,
+  resequenceAccessList,
+  setAclCounters,
+  applyAccessList,
+  unapplyAccessList
+} from '@/services/aclConfig';
+
+const EMPTY_ENTRY = { sequence: '', rule: '', editing: false };
+
+// Example rule shown in the entry dialog of each family
+const RULE_PLACEHOLDERS = {
+  ip: 'e.g. permit tcp 10.0.0.0/24 any eq ssh',
+  ipv6: 'e.g. permit tcp 2001:db8::/64 any eq ssh',
+  mac: 'e.g. deny any host 0180.c200.000e lldp',
+  standard: 'e.g. permit 10.0.0.0/8'
+};
+
+// ACL types offered when creating a list; standard lists only match the source address
+const ACL_TYPES = [
+  { value: 'ip', family: 'ip', standard: false, label: 'IPv4' },
+  { value: 'ip-standard', family: 'ip', standard: true, label: 'IPv4 Standard' },
+  { value: 'ipv6', family: 'ipv6', standard: false, label: 'IPv6' },
+  { value: 'ipv6-standard', family: 'ipv6', standard: true, label: 'IPv6 Standard' },
+  { value: 'mac', family: 'mac', standard: false, label: 'MAC' }
+];
+
+/**
+ * Format a hit counter for display
+ * @param {number|null} hits - Packet count, null when counters are off
+ * @returns {string} - Formatted count
+ */
+const formatHits = (hits) => (hits === null ? '-' : hits.toLocaleString());
+
+const AclSection = ({ switchId, accessLists, interfaceNames, onChange }) => {
+  const [expanded, setExpanded] = useState({});
+  const [showCreateDialog, setShowCreateDialog] = useState(false);
+  const [newAcl, setNewAcl] = useState({ type: 'ip', name: '' });
+  const [entryAcl, setEntryAcl] = useState(null);
+  const [entry, setEntry] = useState(EMPTY_ENTRY);
+  const [applyAcl, setApplyAcl] = useState(null);
+  const [applySettings, setApplySettings] = useState({ target: '', direction: 'in' });
+
+  const aclKey = (acl) => `${acl.family}:${acl.name}`;
+  const ruleProblem = entryAcl && entry.rule.trim() ? validateAclRule(entryAcl.family, entry.rule, entryAcl.standard) : null;
+
+  const toggleExpanded = (acl) => {
+    setExpanded(prev => ({ ...prev, [aclKey(acl)]: !prev[aclKey(acl)] }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    const type = ACL_TYPES.find(candidate => candidate.value === newAcl.type);
+    const queued = await onChange(
+      () => createAccessList(switchId, type.family, newAcl.name.trim(), type.standard),
+      `Creating ${type.label} ACL ${newAcl.name.trim()}`
+    );
+    if (queued) {
+      setShowCreateDialog(false);
+      setNewAcl({ type: 'ip', name: '' });
+    }
+  };
+
+  const openEntryDialog = (acl, existing) => {
+    setEntryAcl(acl);
+    setEntry(existing
+      ? { sequence: String(existing.sequence), rule: existing.text, editing: true }
+      : EMPTY_ENTRY);
+  };
+
+  const handleSaveEntry = async (e) => {
+    e.preventDefault();
+
+    const queued = await onChange(
+      () => setAclEntry(switchId, entryAcl, entry.sequence.trim() || null, entry.rule),
+      entry.editing
+        ? `Replacing entry ${entry.sequence} of ACL ${entryAcl.name}`
+        : `Adding an entry to ACL ${entryAcl.name}`
+    );
+    if (queued) {
+      setEntryAcl(null);
+    }
+  };
+
+  const openApplyDialog = (acl) => {
+    setApplyAcl(acl);
+    setApplySettings({ target: '', direction: 'in' });
+  };
+
+  const handleApply = async (e) => {
+    e.preventDefault();
+
+    const point = ACL_APPLY_POINTS[applySettings.target];
+    const queued = await onChange(
+      () => applyAccessList(switchId, applyAcl, applySettings.target, applySettings.direction),
+      `Applying ACL ${applyAcl.name} to ${point ? point.label : applySettings.target}`
+    );
+    if (queued) {
+      setApplyAcl(null);
+    }
+  };
+
+  const renderEntries = (acl) => (
+    <div className="mt-3 space-y-2">
+      {acl.entries.length === 0 ? (
+        <p className="text-sm text-gray-400">This ACL has no entries; it denies all traffic wherever it is applied.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="text-gray-400 text-left">
+              <tr>
+                <th className="py-1 pr-3 font-normal w-16">Seq</th>
+                <th className="py-1 pr-3 font-normal">Rule</th>
+                <th className="py-1 pr-3 font-normal text-right">Hits</th>
+                <th className="py-1 font-normal w-36"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {acl.entries.map((aclEntry, index) => (
+                <tr key={aclEntry.sequence} className="border-t border-gray-700">
+                  <td className="py-1 pr-3 font-mono text-gray-400">{aclEntry.sequence}</td>
+                  <td className={`py-1 pr-3 font-mono ${aclEntry.text.startsWith('remark') ? 'text-gray-400 italic' : 'text-white'}`}>
+                    {aclEntry.text}
+                  </td>
+                  <td className="py-1 pr-3 font-mono text-right text-gray-300">{formatHits(aclEntry.hits)}</td>
+                  <td className="py-1">
+                    <div className="flex justify-end space-x-1">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        disabled={index === 0}
+                        onClick={() => onChange(
+                          () => moveAclEntry(switchId, acl, index, index - 1),
+                          `Moving entry ${aclEntry.sequence} of ACL ${acl.name} up`
+                        )}
+                      >
+                        <ArrowUp className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        disabled={index === acl.entries.length - 1}
+                        onClick={() => onChange(
+                          () => moveAclEntry(switchId, acl, index, index + 1),
+                          `Moving entry ${aclEntry.sequence} of ACL ${acl.name} down`
+                        )}
+                      >
+                        <ArrowDown className="h-4 w-4" />
+                      </Button>
+                      <Button variant="ghost" size="sm" onClick={() => openEntryDialog(acl, aclEntry)}>
+                        <Pencil className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="text-red-400 hover:text-red-300 hover:bg-red-900/20"
+                        onClick={() => onChange(
+                          () => removeAclEntry(switchId, acl, aclEntry.sequence),
+                          `Removing entry ${aclEntry.sequence} of ACL ${acl.name}`
+                        )}
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <div className="flex flex-wrap gap-2">
+        <Button variant="outline" size="sm" onClick={() => openEntryDialog(acl, null)}>
+          <Plus className="h-4 w-4 mr-2" />
+          Add Entry
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          disabled={acl.entries.length === 0}
+          onClick={() => onChange(() => resequenceAccessList(switchId, acl), `Resequencing ACL ${acl.name}`)}
+        >
+          <ListOrdered className="h-4 w-4 mr-2" />
+          Resequence
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => onChange(
+            () => setAclCounters(switchId, acl, !acl.countersEnabled),
+            `${acl.countersEnabled ? 'Disabling' : 'Enabling'} hit counters of ACL ${acl.name}`
+          )}
+        >
+          <Activity className="h-4 w-4 mr-2" />
+          {acl.countersEnabled ? 'Disable Counters' : 'Enable Counters'}
+        </Button>
+      </div>
+    </div>
+  );
+
+  // Apply points other than interfaces that take ACLs of the family being applied
+  const applyPoints = applyAcl
+    ? Object.entries(ACL_APPLY_POINTS).filter(([, point]) => point.families.includes(applyAcl.family))
+    : [];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-between items-center">
+        <h4 className="text-lg font-semibold text-white">Access Control Lists</h4>
+        <Button
+          variant="outline"
+          size="sm"
+          className="text-red-400 border-red-500/30"
+          onClick={() => setShowCreateDialog(true)}
+        >
+          <Plus className="h-4 w-4 mr-2" />
+          Add ACL
+        </Button>
+      </div>
+
+      {accessLists.length === 0 && (
+        <p className="text-sm text-gray-400">No access lists are configured on this switch.</p>
+      )}
+
+      <div className="space-y-3">
+        {accessLists.map(acl => (
+          <div key={aclKey(acl)} className="p-3 rounded-lg bg-slate-700/50 border border-gray-600">
+            <div className="flex items-center justify-between">
+              <button
+                type="button"
+                className="flex items-center text-left flex-wrap gap-2"
+                onClick={() => toggleExpanded(acl)}
+              >
+                {expanded[aclKey(acl)] ? (
+                  <ChevronDown className="h-4 w-4 text-gray-400" />
+                ) : (
+                  <ChevronRight className="h-4 w-4 text-gray-400" />
+                )}
+                <span className="text-white font-mono">{acl.name}</span>
+                <Badge variant="outline" className="border-gray-500 text-gray-300">
+                  {ACL_FAMILIES[acl.family].label}{acl.standard && ' Standard'}
+                </Badge>
+                <span className="text-sm text-gray-400">
+                  {acl.entries.length} {acl.entries.length === 1 ? 'entry' : 'entries'}
+                </span>
+                {acl.countersEnabled && (
+                  <Badge className="bg-blue-500/20 text-blue-400 border-blue-500/30">
+                    {formatHits(acl.entries.reduce((total, aclEntry) => total + (aclEntry.hits || 0), 0))} hits
+                  </Badge>
+                )}
+              </button>
+              <div className="flex items-center space-x-1">
+                <Button variant="ghost" size="sm" onClick={() => openApplyDialog(acl)}>
+                  <Link2 className="h-4 w-4" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="text-red-400 hover:text-red-300 hover:bg-red-900/20"
+                  disabled={acl.readonly}
+                  onClick={() => onChange(() => deleteAccessList(switchId, acl), `Deleting ACL ${acl.name}`)}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            </div>
+
+            {acl.bindings.length > 0 && (
+              <div className="flex flex-wrap gap-2 mt-2">
+                {acl.bindings.map(binding => (
+                  <Badge
+                    key={`${binding.path.join('/')}:${binding.direction}`}
+                    variant="outline"
+                    className="border-green-500/30 text-green-400"
+                  >
+                    {binding.target} ({binding.direction})
+                    <button
+                      type="button"
+                      className="ml-1 hover:text-red-400"
+                      onClick={() => onChange(
+                        () => unapplyAccessList(switchId, binding),
+                        `Removing ACL ${binding.name} from ${binding.target}`
+                      )}
+                    >
+                      <X className="h-3 w-3" />
+                    </button>
+                  </Badge>
+                ))}
+              </div>
+            )}
+
+            {expanded[aclKey(acl)] && renderEntries(acl)}
+          </div>
+        ))}
+      </div>
+
+      <Dialog open={showCreateDialog} onOpenChange={setShowCreateDialog}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Add Access Control List</DialogTitle>
+          </DialogHeader>
+          <form onSubmit={handleCreate} className="space-y-4 mt-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label>Type</Label>
+                <Select value={newAcl.type} onValueChange={(value) => setNewAcl(prev => ({ ...prev, type: value }))}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {ACL_TYPES.map(({ value, label }) => (
+                      <SelectItem key={value} value={value}>{label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="aclName">Name</Label>
+                <Input
+                  id="aclName"
+                  placeholder="e.g. MGMT-ACCESS"
+                  value={newAcl.name}
+                  onChange={(e) => setNewAcl(prev => ({ ...prev, name: e.target.value }))}
+                  required
+                />
+              </div>
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setShowCreateDialog(false)}>
+                Cancel
+              </Button>
+              <Button type="submit">Add ACL</Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!entryAcl} onOpenChange={(open) => !open && setEntryAcl(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>
+              {entry.editing ? `Edit Entry ${entry.sequence}` : 'Add Entry'} of {entryAcl?.name}
+            </DialogTitle>
+          </DialogHeader>
+          <form onSubmit={handleSaveEntry} className="space-y-4 mt-4">
+            <div className="space-y-2">
+              <Label htmlFor="aclSequence">Sequence Number (empty to add at the end)</Label>
+              <Input
+                id="aclSequence"
+                type="number"
+                min="1"
+                value={entry.sequence}
+                onChange={(e) => setEntry(prev => ({ ...prev, sequence: e.target.value }))}
+                disabled={entry.editing}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="aclRule">Rule</Label>
+              <Input
+                id="aclRule"
+                className="font-mono"
+                placeholder={entryAcl ? RULE_PLACEHOLDERS[entryAcl.standard ? 'standard' : entryAcl.family] : ''}
+                value={entry.rule}
+                onChange={(e) => setEntry(prev => ({ ...prev, rule: e.target.value }))}
+                required
+              />
+              {ruleProblem && <p className="text-sm text-red-400">{ruleProblem}</p>}
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setEntryAcl(null)}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={!entry.rule.trim() || !!ruleProblem}>Save</Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!applyAcl} onOpenChange={(open) => !open && setApplyAcl(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Apply {applyAcl?.name}</DialogTitle>
+          </DialogHeader>
+          <form onSubmit={handleApply} className="space-y-4 mt-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label>Apply To</Label>
+                <Select
+                  value={applySettings.target}
+                  onValueChange={(value) => setApplySettings(prev => ({ ...prev, target: value }))}
+                >
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select interface or service" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {applyPoints.map(([key, point]) => (
+                      <SelectItem key={key} value={key}>{point.label}</SelectItem>
+                    ))}
+                    {interfaceNames.map(name => (
+                      <SelectItem key={name} value={name}>{name}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label>Direction</Label>
+                <Select
+                  value={ACL_APPLY_POINTS[applySettings.target] ? 'in' : applySettings.direction}
+                  onValueChange={(value) => setApplySettings(prev => ({ ...prev, direction: value }))}
+                  disabled={!!ACL_APPLY_POINTS[applySettings.target]}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="in">Inbound</SelectItem>
+                    <SelectItem value="out">Outbound</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setApplyAcl(null)}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={!applySettings.target}>Apply</Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default AclSection;
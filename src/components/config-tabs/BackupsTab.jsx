@@ -0,0 +1,388 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Archive, RefreshCw, Download, Eye, HelpCircle, GitCompare, RotateCcw } from 'lucide-react';
+import { useToast } from '@/components/ui/use-toast';
+import { DiffView } from '@/components/ConfigSessionDialog';
+import { diffLines } from '@/lib/lineDiff';
+import { stageConfigReplace, abortConfigSession } from '@/services/configSession';
+import {
+  getBackups,
+  takeBackup,
+  getBackupVersion,
+  setBackupSchedule
+} from '@/services/backupService';
+import { describeError } from '@/services/eapiErrors';
+
+// Automatic backup intervals, in minutes
+const SCHEDULE_OPTIONS = [
+  { value: '0', label: 'Manual only' },
+  { value: '60', label: 'Every hour' },
+  { value: '360', label: 'Every 6 hours' },
+  { value: '1440', label: 'Daily' },
+  { value: '10080', label: 'Weekly' }
+];
+
+const formatTimestamp = (isoString) => new Date(isoString).toLocaleString();
+
+const BackupsTab = ({ switchData, reviewConfigSession }) => {
+  const { toast } = useToast();
+  const [versions, setVersions] = useState([]);
+  const [schedule, setSchedule] = useState({ intervalMinutes: 0 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [isBackingUp, setIsBackingUp] = useState(false);
+  // Versions compared in the diff view
+  const [fromId, setFromId] = useState('');
+  const [toId, setToId] = useState('');
+  const [diff, setDiff] = useState('');
+  const [isDiffLoading, setIsDiffLoading] = useState(false);
+  const [viewedVersion, setViewedVersion] = useState(null);
+  const [restoringId, setRestoringId] = useState(null);
+  // Config text of versions already fetched, keyed by version ID
+  const [configCache, setConfigCache] = useState({});
+
+  useEffect(() => {
+    loadBackups();
+  }, [switchData?.id]);
+
+  useEffect(() => {
+    if (fromId && toId) {
+      compareVersions(fromId, toId);
+    } else {
+      setDiff('');
+    }
+  }, [fromId, toId]);
+
+  // Load the version history and schedule from the API server
+  const loadBackups = async () => {
+    if (!switchData?.id) {
+      setError('No switch selected');
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const history = await getBackups(switchData.id);
+      setVersions(history.versions);
+      setSchedule(history.schedule);
+
+      // Compare the two most recent versions by default
+      setToId(history.versions[0]?.id || '');
+      setFromId(history.versions[1]?.id || '');
+    } catch (err) {
+      console.error('Failed to load backups:', err);
+      setError('Failed to load backups. Please try refreshing.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Fetch a version's config text, reusing earlier fetches
+  const loadVersion = async (versionId) => {
+    if (configCache[versionId]) {
+      return configCache[versionId];
+    }
+
+    const version = await getBackupVersion(switchData.id, versionId);
+    setConfigCache(prev => ({ ...prev, [versionId]: version }));
+    return version;
+  };
+
+  const compareVersions = async (olderId, newerId) => {
+    setIsDiffLoading(true);
+    try {
+      const [older, newer] = await Promise.all([loadVersion(olderId), loadVersion(newerId)]);
+      setDiff(diffLines(older.config, newer.config, {
+        oldLabel: formatTimestamp(older.takenAt),
+        newLabel: formatTimestamp(newer.takenAt)
+      }));
+    } catch (err) {
+      toast({
+        variant: 'destructive',
+        title: 'Compare Failed',
+        description: describeError(err, 'Failed to load the selected backups.')
+      });
+    } finally {
+      setIsDiffLoading(false);
+    }
+  };
+
+  const handleBackupNow = async () => {
+    setIsBackingUp(true);
+    try {
+      const version = await takeBackup(switchData.id);
+      toast({
+        title: 'Backup Stored! ✅',
+        description: `Saved ${version.lineCount} lines of running-config from ${switchData.hostname}.`
+      });
+      await loadBackups();
+    } catch (err) {
+      toast({
+        variant: 'destructive',
+        title: 'Backup Failed',
+        description: describeError(err, 'Failed to read running-config.')
+      });
+    } finally {
+      setIsBackingUp(false);
+    }
+  };
+
+  const handleScheduleChange = async (value) => {
+    try {
+      setSchedule(await setBackupSchedule(switchData.id, parseInt(value)));
+      toast({
+        title: 'Schedule Updated',
+        description: `Automatic backups: ${SCHEDULE_OPTIONS.find(option => option.value === value)?.label}.`
+      });
+    } catch (err) {
+      toast({
+        variant: 'destructive',
+        title: 'Schedule Failed',
+        description: describeError(err, 'Failed to update the backup schedule.')
+      });
+    }
+  };
+
+  // Replace running-config with a stored version after reviewing the resulting diff
+  const handleRestore = async (versionId) => {
+    setRestoringId(versionId);
+    try {
+      const version = await loadVersion(versionId);
+      const stagedSession = await stageConfigReplace(switchData.id, version.config);
+
+      if (!stagedSession.diff.trim()) {
+        await abortConfigSession(switchData.id, stagedSession.sessionName);
+        toast({
+          title: 'Nothing to Restore',
+          description: `Running-config on ${switchData.hostname} already matches this backup.`
+        });
+        return;
+      }
+
+      const outcome = await reviewConfigSession(stagedSession);
+      const takenAt = formatTimestamp(version.takenAt);
+
+      if (outcome === 'committed') {
+        toast({
+          title: 'Backup Restored! ✅',
+          description: `${switchData.hostname} is back to the configuration of ${takenAt}.`
+        });
+      } else if (outcome === 'rolled-back') {
+        toast({
+          variant: 'destructive',
+          title: 'Restore Rolled Back',
+          description: `${switchData.hostname} reverted the restore of ${takenAt} before it was confirmed.`
+        });
+      } else {
+        toast({
+          title: 'Restore Cancelled',
+          description: 'The configuration session was aborted; running-config is unchanged.'
+        });
+      }
+    } catch (err) {
+      console.error(`Error restoring backup ${versionId}:`, err);
+      toast({
+        variant: 'destructive',
+        title: 'Restore Failed',
+        description: describeError(err, 'Failed to stage the backup. Nothing was changed.')
+      });
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const handleViewVersion = async (versionId) => {
+    try {
+      setViewedVersion(await loadVersion(versionId));
+    } catch (err) {
+      toast({
+        variant: 'destructive',
+        title: 'Load Failed',
+        description: describeError(err, 'Failed to load the backup.')
+      });
+    }
+  };
+
+  const renderVersionSelect = (value, onChange, placeholder) => (
+    <Select value={value} onValueChange={onChange}>
+      <SelectTrigger className="w-[220px] bg-slate-800 border-gray-600 text-white">
+        <SelectValue placeholder={placeholder} />
+      </SelectTrigger>
+      <SelectContent>
+        {versions.map(version => (
+          <SelectItem key={version.id} value={version.id}>
+            {formatTimestamp(version.takenAt)}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+
+  return (
+    <div className="space-y-6">
+      <Card className="bg-slate-800/30 border-gray-700">
+        <CardHeader>
+          <div className="flex items-center justify-between">
+            <CardTitle className="text-white flex items-center space-x-2">
+              <Archive className="h-5 w-5 text-cyan-400" />
+              <span>Running-config Backups</span>
+            </CardTitle>
+            <div className="flex items-center space-x-2">
+              <Select value={String(schedule.intervalMinutes || 0)} onValueChange={handleScheduleChange}>
+                <SelectTrigger className="w-[150px] h-9 bg-slate-800 border-gray-600 text-white">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {SCHEDULE_OPTIONS.map(option => (
+                    <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button
+                onClick={loadBackups}
+                size="sm"
+                variant="outline"
+                className="border-cyan-500/30 text-cyan-400"
+                disabled={loading}
+              >
+                <RefreshCw className={`h-4 w-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+                Refresh
+              </Button>
+              <Button
+                onClick={handleBackupNow}
+                size="sm"
+                className="bg-cyan-600 hover:bg-cyan-700"
+                disabled={isBackingUp}
+              >
+                <Download className="h-4 w-4 mr-2" />
+                {isBackingUp ? 'Backing Up...' : 'Back Up Now'}
+              </Button>
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="flex flex-wrap items-center gap-4 text-sm">
+            {schedule.lastRunAt && (
+              <span className="text-gray-400">Last backup run: {formatTimestamp(schedule.lastRunAt)}</span>
+            )}
+            {schedule.lastError && (
+              <span className="text-red-400">Last scheduled backup failed: {schedule.lastError}</span>
+            )}
+          </div>
+
+          {loading ? (
+            <div className="space-y-2">
+              {[1, 2, 3].map(i => (
+                <div key={i} className="h-12 rounded-lg bg-slate-700/30 animate-pulse border border-gray-700"></div>
+              ))}
+            </div>
+          ) : error ? (
+            <div className="p-8 text-center rounded-lg border border-red-500/20 bg-red-500/10">
+              <HelpCircle className="mx-auto h-10 w-10 text-red-400 mb-3" />
+              <p className="text-red-200">{error}</p>
+              <Button onClick={loadBackups} className="mt-4">
+                <RefreshCw className="h-4 w-4 mr-2" />
+                Try Again
+              </Button>
+            </div>
+          ) : versions.length === 0 ? (
+            <div className="p-8 text-center rounded-lg border border-gray-700/30 bg-gray-800/20">
+              <p className="text-gray-400">No backups of {switchData.hostname} yet.</p>
+            </div>
+          ) : (
+            <div className="space-y-2 max-h-[30vh] overflow-y-auto scrollbar-thin">
+              {versions.map(version => (
+                <div
+                  key={version.id}
+                  className="flex items-center justify-between p-3 rounded-lg bg-slate-700/50 border border-gray-600"
+                >
+                  <div className="flex items-center space-x-3">
+                    <span className="font-medium text-white">{formatTimestamp(version.takenAt)}</span>
+                    <Badge
+                      variant="outline"
+                      className={version.trigger === 'scheduled'
+                        ? 'border-blue-500/30 text-blue-400'
+                        : 'border-cyan-500/30 text-cyan-400'}
+                    >
+                      {version.trigger}
+                    </Badge>
+                    <span className="text-sm text-gray-400">by {version.takenBy}</span>
+                    <span className="text-sm text-gray-500">{version.lineCount} lines</span>
+                  </div>
+                  <div className="flex items-center space-x-1">
+                    <Button
+                      onClick={() => handleViewVersion(version.id)}
+                      size="sm"
+                      variant="ghost"
+                      className="text-gray-300"
+                    >
+                      <Eye className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      onClick={() => handleRestore(version.id)}
+                      size="sm"
+                      variant="outline"
+                      className="border-yellow-500/30 text-yellow-400"
+                      disabled={!!restoringId}
+                    >
+                      <RotateCcw className={`h-4 w-4 mr-2 ${restoringId === version.id ? 'animate-spin' : ''}`} />
+                      Restore
+                    </Button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {versions.length > 1 && (
+        <Card className="bg-slate-800/30 border-gray-700">
+          <CardHeader>
+            <div className="flex items-center justify-between">
+              <CardTitle className="text-white flex items-center space-x-2">
+                <GitCompare className="h-5 w-5 text-cyan-400" />
+                <span>Compare Versions</span>
+              </CardTitle>
+              <div className="flex items-center space-x-2 text-sm text-gray-400">
+                {renderVersionSelect(fromId, setFromId, 'Older version')}
+                <span>→</span>
+                {renderVersionSelect(toId, setToId, 'Newer version')}
+              </div>
+            </div>
+          </CardHeader>
+          <CardContent>
+            {isDiffLoading ? (
+              <div className="h-32 rounded-lg bg-slate-700/30 animate-pulse border border-gray-700"></div>
+            ) : (
+              <DiffView diff={diff} emptyMessage="The selected versions are identical." />
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      <Dialog open={!!viewedVersion} onOpenChange={() => setViewedVersion(null)}>
+        <DialogContent className="sm:max-w-[720px] bg-slate-900 border-green-500/20 text-white">
+          <DialogHeader>
+            <DialogTitle className="flex items-center space-x-2">
+              <Archive className="text-cyan-400" />
+              <span>Backup of {viewedVersion && formatTimestamp(viewedVersion.takenAt)}</span>
+            </DialogTitle>
+          </DialogHeader>
+          <pre className="text-xs font-mono text-gray-300 bg-slate-950 rounded-md p-3 overflow-auto max-h-[60vh] scrollbar-thin">
+            {viewedVersion?.config}
+          </pre>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default BackupsTab;
@@ -2,7 +2,7 @@ import React, { useState } from 'react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
-import { AlertCircle, Plus, RefreshCw, Trash2, Info } from 'lucide-react';
+import { AlertCircle, Plus, RefreshCw, Trash2, Info, CheckSquare, Square } from 'lucide-react';
 import { useToast } from '@/components/ui/use-toast';
 import { 
   Dialog, 
@@ -13,8 +13,19 @@ import {
   DialogTrigger
 } from '@/components/ui/dialog';
 import { Badge } from '@/components/ui/badge';
+import { describeError } from '@/services/eapiErrors';
 
-const BgpSection = ({ switchData, bgpConfig, isLoading, onRefresh, onConfigureBgp, onAddNeighbor, onRemoveNeighbor }) => {
+const BgpSection = ({
+  switchData,
+  bgpConfig,
+  evpnConfig,
+  isLoading,
+  onRefresh,
+  onConfigureBgp,
+  onAddNeighbor,
+  onRemoveNeighbor,
+  onSetEvpnNeighbor
+}) => {
   const { toast } = useToast();
   const [showConfigureDialog, setShowConfigureDialog] = useState(false);
   const [showNeighborDialog, setShowNeighborDialog] = useState(false);
@@ -24,7 +35,8 @@ const BgpSection = ({ switchData, bgpConfig, isLoading, onRefresh, onConfigureBg
   });
   const [neighborSettings, setNeighborSettings] = useState({
     ip: '',
-    remoteAsn: ''
+    remoteAsn: '',
+    activateEvpn: false
   });
   const [deleteConfirmNeighbor, setDeleteConfirmNeighbor] = useState(null);
   
@@ -63,14 +75,14 @@ const BgpSection = ({ switchData, bgpConfig, isLoading, onRefresh, onConfigureBg
       setShowConfigureDialog(false);
       
       toast({
-        title: 'BGP Configured',
-        description: `BGP AS ${bgpSettings.asn} has been configured.`,
+        title: 'BGP Configuration Queued',
+        description: `BGP AS ${bgpSettings.asn} will be configured with the next Apply.`,
       });
     } catch (error) {
       toast({
         variant: 'destructive',
         title: 'BGP Configuration Failed',
-        description: error.message || 'An error occurred while configuring BGP',
+        description: describeError(error, 'An error occurred while configuring BGP'),
       });
     }
   };
@@ -90,23 +102,26 @@ const BgpSection = ({ switchData, bgpConfig, isLoading, onRefresh, onConfigureBg
     
     try {
       await onAddNeighbor(
-        parseInt(neighborSettings.ip), 
+        neighborSettings.ip.trim(),
         parseInt(neighborSettings.remoteAsn)
       );
+      if (neighborSettings.activateEvpn) {
+        await onSetEvpnNeighbor(neighborSettings.ip.trim(), true);
+      }
       
       // Reset form and close dialog
-      setNeighborSettings({ ip: '', remoteAsn: '' });
+      setNeighborSettings({ ip: '', remoteAsn: '', activateEvpn: false });
       setShowNeighborDialog(false);
       
       toast({
-        title: 'BGP Neighbor Added',
-        description: `Added neighbor ${neighborSettings.ip} with AS ${neighborSettings.remoteAsn}`,
+        title: 'BGP Neighbor Queued',
+        description: `Neighbor ${neighborSettings.ip} with AS ${neighborSettings.remoteAsn}${neighborSettings.activateEvpn ? ' and EVPN' : ''} will be added with the next Apply`,
       });
     } catch (error) {
       toast({
         variant: 'destructive',
         title: 'Failed to Add BGP Neighbor',
-        description: error.message || 'An error occurred while adding the BGP neighbor',
+        description: describeError(error, 'An error occurred while adding the BGP neighbor'),
       });
     }
   };
@@ -116,23 +131,49 @@ const BgpSection = ({ switchData, bgpConfig, isLoading, onRefresh, onConfigureBg
     if (!deleteConfirmNeighbor || !bgpConfig?.asn) return;
     
     try {
-      await onRemoveNeighbor(deleteConfirmNeighbor.ip);
+      await onRemoveNeighbor(deleteConfirmNeighbor.ip, deleteConfirmNeighbor.vrf);
       
       setDeleteConfirmNeighbor(null);
       
       toast({
-        title: 'BGP Neighbor Removed',
-        description: `Removed BGP neighbor ${deleteConfirmNeighbor.ip}`,
+        title: 'BGP Neighbor Removal Queued',
+        description: `BGP neighbor ${deleteConfirmNeighbor.ip} will be removed with the next Apply`,
       });
     } catch (error) {
       toast({
         variant: 'destructive',
         title: 'Failed to Remove BGP Neighbor',
-        description: error.message || 'An error occurred while removing the BGP neighbor',
+        description: describeError(error, 'An error occurred while removing the BGP neighbor'),
       });
     }
   };
   
+  // Handle activating or deactivating EVPN for a neighbor
+  const handleToggleEvpn = async (neighborIp, activate) => {
+    try {
+      await onSetEvpnNeighbor(neighborIp, activate);
+      
+      toast({
+        title: 'EVPN Change Queued',
+        description: `EVPN will be ${activate ? 'activated' : 'deactivated'} for ${neighborIp} with the next Apply`,
+      });
+    } catch (error) {
+      toast({
+        variant: 'destructive',
+        title: 'EVPN Change Failed',
+        description: describeError(error, 'An error occurred while changing the EVPN address family'),
+      });
+    }
+  };
+  
+  // EVPN peers by address, and neighbors activated for EVPN in the configuration
+  const evpnPeers = new Map((evpnConfig?.peers || []).map(peer => [peer.ip, peer]));
+  const evpnActivated = new Set(evpnConfig?.activatedNeighbors || []);
+  // Peers that only run EVPN, typically over loopbacks, do not show up in the IPv4 summary
+  const evpnOnlyPeers = (evpnConfig?.peers || []).filter(peer => (
+    !bgpConfig?.neighbors?.some(neighbor => neighbor.vrf === 'default' && neighbor.ip === peer.ip)
+  ));
+  
   // Helper to get neighbor state styling
   const getNeighborStateStyle = (state) => {
     switch (state?.toLowerCase()) {
@@ -299,6 +340,16 @@ const BgpSection = ({ switchData, bgpConfig, isLoading, onRefresh, onConfigureBg
                           required
                         />
                       </div>
+                      <button
+                        type="button"
+                        onClick={() => setNeighborSettings(prev => ({ ...prev, activateEvpn: !prev.activateEvpn }))}
+                        className="flex items-center space-x-2 text-left text-sm"
+                      >
+                        {neighborSettings.activateEvpn
+                          ? <CheckSquare className="h-4 w-4 text-green-400" />
+                          : <Square className="h-4 w-4 text-gray-500" />}
+                        <span>Activate the EVPN address family</span>
+                      </button>
                     </div>
                     <DialogFooter>
                       <Button type="button" variant="outline" onClick={() => setShowNeighborDialog(false)}>
@@ -323,7 +374,7 @@ const BgpSection = ({ switchData, bgpConfig, isLoading, onRefresh, onConfigureBg
             {/* Neighbors list */}
             {bgpConfig?.neighbors?.length > 0 && bgpConfig.neighbors.map(neighbor => (
               <div 
-                key={neighbor.ip}
+                key={`${neighbor.vrf}-${neighbor.ip}`}
                 className="p-3 rounded-lg bg-slate-700/50 border border-gray-600 flex justify-between items-center"
               >
                 <div className="space-y-1">
@@ -334,28 +385,98 @@ const BgpSection = ({ switchData, bgpConfig, isLoading, onRefresh, onConfigureBg
                     <Badge className={getNeighborStateStyle(neighbor.state)}>
                       {neighbor.state || 'Unknown'}
                     </Badge>
+                    {neighbor.vrf && neighbor.vrf !== 'default' && (
+                      <Badge variant="outline" className="ml-2 border-purple-500/30 text-purple-400">
+                        VRF {neighbor.vrf}
+                      </Badge>
+                    )}
+                    {evpnActivated.has(neighbor.ip) && neighbor.vrf === 'default' && (
+                      <Badge variant="outline" className="ml-2 border-cyan-500/30 text-cyan-400">
+                        EVPN {evpnPeers.get(neighbor.ip)?.state || ''}
+                      </Badge>
+                    )}
+                    {neighbor.description && (
+                      <span className="ml-2 text-sm text-gray-400">{neighbor.description}</span>
+                    )}
                   </div>
                   <div className="text-xs text-gray-400">
                     <span>AS: {neighbor.remoteAsn}</span>
                     {neighbor.uptime && neighbor.uptime !== 'never' && (
-                      <span className="ml-3">Uptime: {neighbor.uptime}</span>
+                      <span className="ml-3">{neighbor.state === 'Established' ? 'Uptime' : 'Down for'}: {neighbor.uptime}</span>
                     )}
                     {neighbor.prefixesReceived > 0 && (
-                      <span className="ml-3">Prefixes: {neighbor.prefixesReceived}</span>
+                      <span className="ml-3">
+                        Prefixes: {neighbor.prefixesReceived}
+                        {neighbor.prefixesAccepted !== undefined && neighbor.prefixesAccepted !== neighbor.prefixesReceived
+                          ? ` (${neighbor.prefixesAccepted} accepted)`
+                          : ''}
+                      </span>
                     )}
                   </div>
                 </div>
-                <Button 
-                  variant="ghost" 
-                  size="sm"
-                  className="text-red-400 hover:text-red-300 hover:bg-red-900/20"
-                  onClick={() => setDeleteConfirmNeighbor(neighbor)}
-                >
-                  <Trash2 className="h-4 w-4" />
-                </Button>
+                <div className="flex items-center space-x-1">
+                  {neighbor.vrf === 'default' && evpnConfig && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      className="text-cyan-400 hover:text-cyan-300"
+                      onClick={() => handleToggleEvpn(neighbor.ip, !evpnActivated.has(neighbor.ip))}
+                    >
+                      {evpnActivated.has(neighbor.ip) ? 'Deactivate EVPN' : 'Activate EVPN'}
+                    </Button>
+                  )}
+                  <Button 
+                    variant="ghost" 
+                    size="sm"
+                    className="text-red-400 hover:text-red-300 hover:bg-red-900/20"
+                    onClick={() => setDeleteConfirmNeighbor(neighbor)}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
               </div>
             ))}
           </div>
+          
+          {/* EVPN peers not listed with the IPv4 neighbors */}
+          {evpnOnlyPeers.length > 0 && (
+            <div className="space-y-3">
+              <h5 className="text-md font-semibold text-white">EVPN Peers</h5>
+              {evpnOnlyPeers.map(peer => (
+                <div 
+                  key={peer.ip}
+                  className="p-3 rounded-lg bg-slate-700/50 border border-gray-600 flex justify-between items-center"
+                >
+                  <div className="space-y-1">
+                    <div className="flex items-center">
+                      <span className="text-white font-mono mr-2">{peer.ip}</span>
+                      <Badge className={getNeighborStateStyle(peer.state)}>
+                        {peer.state || 'Unknown'}
+                      </Badge>
+                      {peer.description && (
+                        <span className="ml-2 text-sm text-gray-400">{peer.description}</span>
+                      )}
+                    </div>
+                    <div className="text-xs text-gray-400">
+                      <span>AS: {peer.remoteAsn}</span>
+                      {peer.uptime && peer.uptime !== 'never' && (
+                        <span className="ml-3">{peer.state === 'Established' ? 'Uptime' : 'Down for'}: {peer.uptime}</span>
+                      )}
+                      <span className="ml-3">EVPN routes: {peer.prefixesReceived}</span>
+                    </div>
+                  </div>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="text-cyan-400 hover:text-cyan-300"
+                    onClick={() => handleToggleEvpn(peer.ip, false)}
+                  >
+                    Deactivate EVPN
+                  </Button>
+                </div>
+              ))}
+            </div>
+          )}
         </div>
       )}
       
@@ -370,6 +491,7 @@ const BgpSection = ({ switchData, bgpConfig, isLoading, onRefresh, onConfigureBg
               <p>Are you sure you want to remove this BGP neighbor?</p>
               <p className="font-mono mt-2 p-2 bg-slate-800 rounded-md">
                 {deleteConfirmNeighbor.ip} (AS {deleteConfirmNeighbor.remoteAsn})
+                {deleteConfirmNeighbor.vrf && deleteConfirmNeighbor.vrf !== 'default' ? ` in VRF ${deleteConfirmNeighbor.vrf}` : ''}
               </p>
             </div>
             <DialogFooter>
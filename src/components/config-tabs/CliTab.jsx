@@ -4,7 +4,8 @@ import { Button } from '@/components/ui/button';
 import { Textarea } from '@/components/ui/textarea';
 import { Terminal, Zap, Upload, Download, RefreshCw, Copy, Check, AlertOctagon } from 'lucide-react';
 import { useToast } from '@/components/ui/use-toast';
-import { executeCli, executeShowCommand } from '@/services/cliCommands';
+import { executeCli, executeShowCommand, executeConfigCommands } from '@/services/cliCommands';
+import { EapiCommandError, describeError } from '@/services/eapiErrors';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 // ScrollArea removed to fix build error
 import { Badge } from '@/components/ui/badge';
@@ -40,12 +41,15 @@ const CliTab = ({ switchData }) => {
       if (configMode) {
         // In config mode, add commands to buffer
         if (command.trim().toLowerCase() === 'end') {
-          // Execute the config commands and exit config mode
-          const configCommands = ['configure', ...configBuffer.split('\n').filter(Boolean), 'end'];
-          result = await executeCli(switchData.id, configCommands);
+          // Queue the buffered commands with the switch's pending changes and exit config mode
+          const change = await executeConfigCommands(switchData.id, configBuffer.split('\n').filter(Boolean));
           setConfigMode(false);
           setConfigBuffer('');
           
+          result = {
+            output: `Queued ${change.commands.length} configuration command${change.commands.length === 1 ? '' : 's'}; they will be pushed with the next Apply.`
+          };
+          
           // Add the buffer to history
           const configEntry = {
             id: Date.now(),
@@ -89,20 +93,22 @@ const CliTab = ({ switchData }) => {
         
         setCommandHistory(prev => [...prev, entry]);
       } else {
-        // Execute a single command
-        result = await executeCli(switchData.id, [command.trim()]);
+        // Execute the entered commands, one per line, as a single batch
+        const commands = command.split('\n').map(line => line.trim()).filter(Boolean);
+        result = await executeCli(switchData.id, commands);
         
-        const entry = {
-          id: Date.now(),
-          timestamp: new Date().toLocaleTimeString(),
-          command: command.trim(),
-          output: result[0],
+        const timestamp = new Date().toLocaleTimeString();
+        const entries = commands.map((cmd, index) => ({
+          id: Date.now() + index,
+          timestamp,
+          command: cmd,
+          output: result[index],
           success: true,
           type: 'command'
-        };
+        }));
         
-        setCommandHistory(prev => [...prev, entry]);
-        setLastResults(result[0]);
+        setCommandHistory(prev => [...prev, ...entries]);
+        setLastResults(result[result.length - 1]);
       }
       
       // Clear command input on success
@@ -111,22 +117,47 @@ const CliTab = ({ switchData }) => {
     } catch (error) {
       console.error('Error executing command:', error);
       
-      // Add error to command history
-      const errorEntry = {
-        id: Date.now(),
-        timestamp: new Date().toLocaleTimeString(),
-        command: command.trim(),
-        output: { output: `Error: ${error.message || 'Command execution failed'}` },
-        success: false,
-        type: 'error'
-      };
+      const timestamp = new Date().toLocaleTimeString();
       
-      setCommandHistory(prev => [...prev, errorEntry]);
+      if (error instanceof EapiCommandError) {
+        // Keep the output of the commands that ran before the failing one
+        const commands = command.split('\n').map(line => line.trim()).filter(Boolean);
+        const partialEntries = error.partialResults.map((output, index) => ({
+          id: Date.now() + index,
+          timestamp,
+          command: commands[index] || '',
+          output,
+          success: true,
+          type: 'command'
+        }));
+        
+        setCommandHistory(prev => [...prev, ...partialEntries, {
+          id: Date.now() + partialEntries.length,
+          timestamp,
+          command: error.command || command.trim(),
+          output: null,
+          eapiError: error,
+          success: false,
+          type: 'error'
+        }]);
+      } else {
+        // Add error to command history
+        const errorEntry = {
+          id: Date.now(),
+          timestamp,
+          command: command.trim(),
+          output: { output: `Error: ${error.message || 'Command execution failed'}` },
+          success: false,
+          type: 'error'
+        };
+        
+        setCommandHistory(prev => [...prev, errorEntry]);
+      }
       
       toast({
         variant: 'destructive',
         title: 'Command Execution Failed',
-        description: error.message || 'An error occurred while executing the command.'
+        description: describeError(error, 'An error occurred while executing the command.')
       });
     } finally {
       setIsExecuting(false);
@@ -167,6 +198,20 @@ const CliTab = ({ switchData }) => {
   
   // Render the output based on the command type
   const renderOutput = (entry) => {
+    if (entry.eapiError) {
+      const { commandIndex, errors, rpcMessage, code } = entry.eapiError;
+      return (
+        <div className="font-mono text-sm space-y-1">
+          {(errors.length > 0 ? errors : [rpcMessage]).map((line, index) => (
+            <pre key={index} className="text-red-300 whitespace-pre-wrap">{line}</pre>
+          ))}
+          <p className="text-xs text-gray-500">
+            {commandIndex >= 0 ? `Command ${commandIndex + 1} of the batch` : 'Batch'} failed with eAPI error {code}
+          </p>
+        </div>
+      );
+    }
+    
     if (!entry.output) {
       if (entry.type === 'config-buffer') {
         return (
@@ -0,0 +1,309 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Plus, Trash2, Info, Pencil } from 'lucide-react';
+import { useToast } from '@/components/ui/use-toast';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter
+} from '@/components/ui/dialog';
+import { EVPN_ROUTE_TYPES } from '@/services/routingConfig';
+import { describeError } from '@/services/eapiErrors';
+
+const EMPTY_VLAN_SETTINGS = { vlan: '', rd: '', importTargets: '', exportTargets: '' };
+
+/**
+ * Split route targets typed by the user
+ * @param {string} text - Targets separated by spaces or commas
+ * @returns {Array} - Route targets
+ */
+const parseTargets = (text) => text.split(/[\s,]+/).filter(Boolean);
+
+// Columns of each route table after the RD: header and how to read the value
+const ROUTE_COLUMNS = {
+  'mac-ip': [
+    { header: 'MAC', value: route => route.mac },
+    { header: 'IP', value: route => route.ip || '' }
+  ],
+  imet: [
+    { header: 'Originating VTEP', value: route => route.ip }
+  ],
+  'ip-prefix': [
+    { header: 'Prefix', value: route => route.prefix }
+  ]
+};
+
+const EvpnSection = ({ evpnConfig, evpnRoutes, vlanVnis, onConfigureVlan, onRemoveVlan }) => {
+  const { toast } = useToast();
+  const [showVlanDialog, setShowVlanDialog] = useState(false);
+  const [vlanSettings, setVlanSettings] = useState(EMPTY_VLAN_SETTINGS);
+
+  if (!evpnConfig) {
+    return (
+      <div className="p-4 rounded-lg bg-slate-800/50 border border-gray-700 text-center text-gray-400">
+        <Info className="h-6 w-6 mx-auto mb-2" />
+        <p>EVPN details could not be read from this switch.</p>
+      </div>
+    );
+  }
+
+  // Open the dialog for a new VLAN, or to edit an existing block
+  const openVlanDialog = (block) => {
+    if (block) {
+      setVlanSettings({
+        vlan: String(block.vlan),
+        rd: block.rd || '',
+        importTargets: block.importTargets.join(' '),
+        exportTargets: block.exportTargets.join(' ')
+      });
+    } else {
+      setVlanSettings(EMPTY_VLAN_SETTINGS);
+    }
+    setShowVlanDialog(true);
+  };
+
+  // Suggest an RD and route target from the VNI mapped to the VLAN
+  const handleVlanChange = (value) => {
+    const mapping = vlanVnis.find(candidate => candidate.vlan === parseInt(value));
+    setVlanSettings(prev => ({
+      ...prev,
+      vlan: value,
+      rd: prev.rd || (mapping ? 'auto' : ''),
+      importTargets: prev.importTargets || (mapping ? `${mapping.vni}:${mapping.vni}` : '')
+    }));
+  };
+
+  const handleSaveVlan = async (e) => {
+    e.preventDefault();
+
+    const importTargets = parseTargets(vlanSettings.importTargets);
+    const exportTargets = vlanSettings.exportTargets.trim() ? parseTargets(vlanSettings.exportTargets) : importTargets;
+
+    try {
+      await onConfigureVlan(parseInt(vlanSettings.vlan), vlanSettings.rd.trim(), importTargets, exportTargets);
+      setShowVlanDialog(false);
+
+      toast({
+        title: 'EVPN VLAN Queued',
+        description: `EVPN settings of VLAN ${vlanSettings.vlan} will be applied with the next Apply`,
+      });
+    } catch (error) {
+      toast({
+        variant: 'destructive',
+        title: 'EVPN Configuration Failed',
+        description: describeError(error, 'An error occurred while configuring the EVPN VLAN'),
+      });
+    }
+  };
+
+  const handleRemoveVlan = async (vlan) => {
+    try {
+      await onRemoveVlan(vlan);
+
+      toast({
+        title: 'EVPN VLAN Removal Queued',
+        description: `EVPN settings of VLAN ${vlan} will be removed with the next Apply`,
+      });
+    } catch (error) {
+      toast({
+        variant: 'destructive',
+        title: 'Failed to Remove EVPN VLAN',
+        description: describeError(error, 'An error occurred while removing the EVPN VLAN'),
+      });
+    }
+  };
+
+  const renderRouteTable = (type) => {
+    const routes = evpnRoutes?.[type] || [];
+
+    if (routes.length === 0) {
+      return <p className="text-sm text-gray-400 p-2">No {EVPN_ROUTE_TYPES[type].label} routes.</p>;
+    }
+
+    return (
+      <div className="overflow-x-auto max-h-72 overflow-y-auto">
+        <table className="w-full text-sm">
+          <thead className="text-gray-400 text-left">
+            <tr>
+              <th className="py-1 pr-3 font-normal">RD</th>
+              {ROUTE_COLUMNS[type].map(column => (
+                <th key={column.header} className="py-1 pr-3 font-normal">{column.header}</th>
+              ))}
+              <th className="py-1 pr-3 font-normal">Next Hop</th>
+              <th className="py-1 pr-3 font-normal">Route Targets</th>
+              <th className="py-1 font-normal">AS Path</th>
+            </tr>
+          </thead>
+          <tbody className="font-mono text-white">
+            {routes.map(route => (
+              <tr key={route.key} className={`border-t border-gray-700 ${route.valid ? '' : 'text-gray-500'}`}>
+                <td className="py-1 pr-3">{route.rd}</td>
+                {ROUTE_COLUMNS[type].map(column => (
+                  <td key={column.header} className="py-1 pr-3">{column.value(route)}</td>
+                ))}
+                <td className="py-1 pr-3">{route.nextHop || 'local'}</td>
+                <td className="py-1 pr-3">{route.routeTargets.join(' ')}</td>
+                <td className="py-1">{route.asPath || '-'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-between items-center">
+        <div className="flex items-center">
+          <h4 className="text-lg font-semibold text-white">BGP EVPN</h4>
+          {evpnConfig.asn && (
+            <Badge className="ml-2 bg-green-500/20 text-green-400 border-green-500/30">
+              AS {evpnConfig.asn}
+            </Badge>
+          )}
+          {evpnConfig.peers.length > 0 && (
+            <span className="ml-3 text-sm text-gray-400">
+              {evpnConfig.peers.filter(peer => peer.state === 'Established').length} of {evpnConfig.peers.length} EVPN peers established
+            </span>
+          )}
+        </div>
+        <Button
+          variant="outline"
+          size="sm"
+          className="text-green-400 border-green-500/30"
+          onClick={() => openVlanDialog(null)}
+          disabled={!evpnConfig.asn}
+        >
+          <Plus className="h-4 w-4 mr-2" />
+          Add EVPN VLAN
+        </Button>
+      </div>
+
+      {!evpnConfig.asn ? (
+        <div className="p-4 rounded-lg bg-slate-800/50 border border-gray-700 text-center text-gray-400">
+          <p>BGP is not configured on this device. Configure BGP and activate EVPN on its neighbors in the Routing tab first.</p>
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {evpnConfig.vlans.length === 0 && (
+            <p className="text-sm text-gray-400">No VLANs are advertised through EVPN.</p>
+          )}
+          {evpnConfig.vlans.map(block => (
+            <div key={block.vlan} className="p-3 rounded-lg bg-slate-700/50 border border-gray-600 flex justify-between items-center">
+              <div className="space-y-1">
+                <div className="flex items-center">
+                  <span className="text-white mr-2">VLAN {block.vlan}</span>
+                  <span className="text-sm text-gray-400 font-mono">RD {block.rd || 'none'}</span>
+                  {!block.redistributeLearned && (
+                    <Badge variant="outline" className="ml-2 border-yellow-500/30 text-yellow-400">
+                      MACs not redistributed
+                    </Badge>
+                  )}
+                </div>
+                <div className="text-xs text-gray-400 font-mono">
+                  <span>Import: {block.importTargets.join(' ') || 'none'}</span>
+                  <span className="ml-3">Export: {block.exportTargets.join(' ') || 'none'}</span>
+                </div>
+              </div>
+              <div className="flex items-center space-x-1">
+                <Button variant="ghost" size="sm" onClick={() => openVlanDialog(block)}>
+                  <Pencil className="h-4 w-4" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="text-red-400 hover:text-red-300 hover:bg-red-900/20"
+                  onClick={() => handleRemoveVlan(block.vlan)}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <Tabs defaultValue="mac-ip">
+        <TabsList className="bg-slate-900/50 w-full">
+          {Object.entries(EVPN_ROUTE_TYPES).map(([type, { type: number, label }]) => (
+            <TabsTrigger key={type} value={type} className="flex-1">
+              Type {number} · {label} ({evpnRoutes?.[type]?.length || 0})
+            </TabsTrigger>
+          ))}
+        </TabsList>
+        {Object.keys(EVPN_ROUTE_TYPES).map(type => (
+          <TabsContent key={type} value={type}>
+            {renderRouteTable(type)}
+          </TabsContent>
+        ))}
+      </Tabs>
+
+      <Dialog open={showVlanDialog} onOpenChange={setShowVlanDialog}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>EVPN Settings of a VLAN</DialogTitle>
+          </DialogHeader>
+          <form onSubmit={handleSaveVlan} className="space-y-4 mt-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="evpnVlan">VLAN ID</Label>
+                <Input
+                  id="evpnVlan"
+                  type="number"
+                  min="1"
+                  max="4094"
+                  value={vlanSettings.vlan}
+                  onChange={(e) => handleVlanChange(e.target.value)}
+                  required
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="evpnRd">Route Distinguisher</Label>
+                <Input
+                  id="evpnRd"
+                  placeholder="e.g. 10.255.0.11:10010 or auto"
+                  value={vlanSettings.rd}
+                  onChange={(e) => setVlanSettings(prev => ({ ...prev, rd: e.target.value }))}
+                  required
+                />
+              </div>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="evpnImport">Import Route Targets</Label>
+              <Input
+                id="evpnImport"
+                placeholder="e.g. 10010:10010"
+                value={vlanSettings.importTargets}
+                onChange={(e) => setVlanSettings(prev => ({ ...prev, importTargets: e.target.value }))}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="evpnExport">Export Route Targets (empty to use the import targets)</Label>
+              <Input
+                id="evpnExport"
+                value={vlanSettings.exportTargets}
+                onChange={(e) => setVlanSettings(prev => ({ ...prev, exportTargets: e.target.value }))}
+              />
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setShowVlanDialog(false)}>
+                Cancel
+              </Button>
+              <Button type="submit">Save</Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default EvpnSection;
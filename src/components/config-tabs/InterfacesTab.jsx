@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
@@ -6,8 +6,33 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@
 import { Badge } from '@/components/ui/badge';
 import { Network, Plus, Save, RefreshCw, Power, PowerOff, HelpCircle } from 'lucide-react';
 import { useToast } from '@/components/ui/use-toast';
-import { getInterfaceDetails, setInterfaceDescription, setInterfaceEnabled, setInterfaceMode } from '@/services/interfaceConfig';
+import { getInterfaceDetails, updateInterface } from '@/services/interfaceConfig';
 import { getConnection } from '@/services/connectionManager';
+import { describeError } from '@/services/eapiErrors';
+import { subscribeToSwitchPolls } from '@/services/pollingScheduler';
+import { computeCounterRates, computeUtilization } from '@/services/counterRates';
+import { getSamples } from '@/services/metricsStore';
+import { formatBitRate, formatPacketRate } from '@/lib/units';
+
+/**
+ * Horizontal bar showing how busy one direction of an interface is
+ * @param {Object} props
+ * @param {string} props.label - Direction label
+ * @param {number} props.percent - Utilization percentage
+ */
+const UtilizationBar = ({ label, percent }) => {
+  const color = percent >= 80 ? 'bg-red-500' : percent >= 50 ? 'bg-yellow-500' : 'bg-green-500';
+
+  return (
+    <div className="flex items-center space-x-2">
+      <span className="w-6 text-gray-400">{label}</span>
+      <div className="flex-1 h-1.5 rounded-full bg-slate-800 overflow-hidden">
+        <div className={`h-full ${color}`} style={{ width: `${percent}%` }} />
+      </div>
+      <span className="w-12 text-right text-gray-300">{percent}%</span>
+    </div>
+  );
+};
 
 const InterfacesTab = ({ switchData }) => {
   const { toast } = useToast();
@@ -16,45 +41,75 @@ const InterfacesTab = ({ switchData }) => {
   const [editableInterfaces, setEditableInterfaces] = useState({});
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [error, setError] = useState(null);
+  // Rates per interface, computed from the counters of two consecutive loads
+  const [rates, setRates] = useState({});
+  const lastReading = useRef(null);
 
-  // Load interface details when the component mounts or switch changes
+  // Load interface details when the component mounts or switch changes; until a second load
+  // brings new counters, show the rates of the last background poll
   useEffect(() => {
+    lastReading.current = null;
+    const latestSample = switchData?.id ? getSamples(switchData.id).slice(-1)[0] : null;
+    setRates(latestSample?.interfaces || {});
     loadInterfaceData();
   }, [switchData?.id]);
 
-  // Load interface data from the switch
-  const loadInterfaceData = async () => {
+  // Reload quietly whenever the background poller has refreshed this switch
+  useEffect(() => {
+    if (!switchData?.id) return undefined;
+    return subscribeToSwitchPolls(switchData.id, () => loadInterfaceData({ quiet: true }));
+  }, [switchData?.id]);
+
+  // Load interface data from the switch; a quiet load keeps the table and unsaved edits in place
+  const loadInterfaceData = async ({ quiet = false } = {}) => {
     if (!switchData?.id) {
       setError('No switch selected');
       setLoading(false);
       return;
     }
 
-    setLoading(true);
-    setError(null);
+    if (!quiet) {
+      setLoading(true);
+      setError(null);
+    }
 
     try {
       const interfaceDetails = await getInterfaceDetails(switchData.id);
       setInterfaces(interfaceDetails);
 
-      // Initialize editable state for all interfaces
-      const editableState = {};
-      interfaceDetails.forEach(iface => {
-        editableState[iface.name] = {
-          description: iface.description,
-          mode: iface.mode,
-          enabled: iface.enabled,
-          vlan: iface.vlan || '',
-          isChanged: false
-        };
-      });
+      const reading = {
+        timestamp: Date.now(),
+        counters: Object.fromEntries(interfaceDetails.map(iface => [iface.name, iface.counters]))
+      };
+      if (lastReading.current) {
+        const elapsedSeconds = (reading.timestamp - lastReading.current.timestamp) / 1000;
+        setRates(computeCounterRates(lastReading.current.counters, reading.counters, elapsedSeconds));
+      }
+      lastReading.current = reading;
 
-      setEditableInterfaces(editableState);
+      // Initialize editable state for all interfaces, keeping rows the user is editing
+      setEditableInterfaces(prev => {
+        const editableState = {};
+        interfaceDetails.forEach(iface => {
+          editableState[iface.name] = quiet && prev[iface.name]?.isChanged ? prev[iface.name] : {
+            description: iface.description,
+            mode: iface.mode,
+            enabled: iface.enabled,
+            vlan: iface.vlan || '',
+            isChanged: false
+          };
+        });
+        return editableState;
+      });
     } catch (err) {
       console.error('Failed to load interface details:', err);
-      setError('Failed to load interface details. Please try refreshing.');
+      if (!quiet) {
+        setError('Failed to load interface details. Please try refreshing.');
+      }
     } finally {
-      setLoading(false);
+      if (!quiet) {
+        setLoading(false);
+      }
     }
   };
 
@@ -72,7 +127,7 @@ const InterfacesTab = ({ switchData }) => {
       toast({
         variant: 'destructive',
         title: 'Refresh Failed',
-        description: err.message || 'Failed to refresh interface data.'
+        description: describeError(err, 'Failed to refresh interface data.')
       });
     } finally {
       setIsRefreshing(false);
@@ -136,22 +191,26 @@ const InterfacesTab = ({ switchData }) => {
     if (!interfaceChanges.isChanged) return;
 
     try {
-      // Save description if changed
+      // Collect the settings that differ from the switch
       const originalInterface = interfaces.find(i => i.name === interfaceName);
+      const changes = {};
+
       if (interfaceChanges.description !== originalInterface.description) {
-        await setInterfaceDescription(switchData.id, interfaceName, interfaceChanges.description);
+        changes.description = interfaceChanges.description;
       }
 
-      // Save mode if changed
       if (interfaceChanges.mode !== originalInterface.mode) {
-        await setInterfaceMode(switchData.id, interfaceName, interfaceChanges.mode, interfaceChanges.vlan || null);
+        changes.mode = interfaceChanges.mode;
+        changes.vlan = interfaceChanges.vlan || null;
       }
 
-      // Save enabled state if changed
       if (interfaceChanges.enabled !== originalInterface.enabled) {
-        await setInterfaceEnabled(switchData.id, interfaceName, interfaceChanges.enabled);
+        changes.enabled = interfaceChanges.enabled;
       }
 
+      // Queue all changes as one pending change; they reach the switch when applied
+      await updateInterface(switchData.id, interfaceName, changes);
+
       // Mark as no longer changed
       setEditableInterfaces(prev => ({
         ...prev,
@@ -162,18 +221,15 @@ const InterfacesTab = ({ switchData }) => {
       }));
 
       toast({
-        title: 'Interface Updated! ✅',
-        description: `Configuration for ${interfaceName} has been saved.`
+        title: 'Change Queued',
+        description: `Changes to ${interfaceName} will be pushed with the next Apply.`
       });
-
-      // Refresh to get the latest data
-      await loadInterfaceData();
     } catch (err) {
       console.error(`Error saving ${interfaceName}:`, err);
       toast({
         variant: 'destructive',
         title: 'Save Failed',
-        description: err.message || `Failed to update ${interfaceName}.`
+        description: describeError(err, `Failed to update ${interfaceName}.`)
       });
     }
   };
@@ -238,6 +294,9 @@ const InterfacesTab = ({ switchData }) => {
                   vlan: iface.vlan || '',
                   isChanged: false
                 };
+                const ifaceRates = rates[iface.name];
+                const utilization = computeUtilization(ifaceRates, iface.speed);
+                const errorsPerSec = ifaceRates ? ifaceRates.inErrorsPerSec + ifaceRates.outErrorsPerSec : 0;
 
                 return (
                   <div 
@@ -262,6 +321,28 @@ const InterfacesTab = ({ switchData }) => {
                       </div>
                     </div>
                     
+                    {ifaceRates && (
+                      <div className="mb-3 p-2 rounded-md bg-slate-800/60 space-y-1 text-xs">
+                        <div className="flex justify-between">
+                          <span className="text-green-400">▼ {formatBitRate(ifaceRates.inBps)}</span>
+                          <span className="text-blue-400">▲ {formatBitRate(ifaceRates.outBps)}</span>
+                        </div>
+                        <div className="flex justify-between text-gray-400">
+                          <span>{formatPacketRate(ifaceRates.inPps)}</span>
+                          <span>{formatPacketRate(ifaceRates.outPps)}</span>
+                        </div>
+                        {utilization && (
+                          <>
+                            <UtilizationBar label="In" percent={utilization.inPercent} />
+                            <UtilizationBar label="Out" percent={utilization.outPercent} />
+                          </>
+                        )}
+                        {errorsPerSec > 0 && (
+                          <p className="text-red-400">{formatPacketRate(errorsPerSec, 'errors/s')}</p>
+                        )}
+                      </div>
+                    )}
+
                     <div className="space-y-3">
                       <div>
                         <label className="text-xs text-gray-400">Description</label>
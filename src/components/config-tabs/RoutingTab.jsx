@@ -12,14 +12,19 @@ import {
   getBgpConfig,
   configureBgp,
   addBgpNeighbor,
-  removeBgpNeighbor
+  removeBgpNeighbor,
+  getEvpnConfig,
+  setEvpnNeighbor
 } from '@/services/routingConfig';
+import { describeError } from '@/services/eapiErrors';
+import { isAbortError } from '@/services/apiClient';
 
 const RoutingTab = ({ switchData }) => {
   const { toast } = useToast();
   const [activeTab, setActiveTab] = useState('static');
   const [staticRoutes, setStaticRoutes] = useState([]);
   const [bgpConfig, setBgpConfig] = useState(null);
+  const [evpnConfig, setEvpnConfig] = useState(null);
   const [isLoadingRoutes, setIsLoadingRoutes] = useState(false);
   const [isLoadingBgp, setIsLoadingBgp] = useState(false);
   const [error, setError] = useState(null);
@@ -43,12 +48,14 @@ const RoutingTab = ({ switchData }) => {
       const routes = await getStaticRoutes(switchData.id);
       setStaticRoutes(routes);
     } catch (err) {
+      // Cancelled because the panel was closed
+      if (isAbortError(err)) return;
       console.error('Error fetching static routes:', err);
       setError(err.message || 'Failed to fetch static routes');
       toast({
         variant: 'destructive',
         title: 'Error Loading Routes',
-        description: err.message || 'Failed to fetch static routes'
+        description: describeError(err, 'Failed to fetch static routes')
       });
     } finally {
       setIsLoadingRoutes(false);
@@ -62,16 +69,24 @@ const RoutingTab = ({ switchData }) => {
     setIsLoadingBgp(true);
 
     try {
-      const config = await getBgpConfig(switchData.id);
+      const [config, evpn] = await Promise.all([
+        getBgpConfig(switchData.id),
+        // EVPN details are optional; BGP is still shown when they cannot be read
+        getEvpnConfig(switchData.id).catch(err => {
+          console.error('Error fetching EVPN config:', err);
+          return null;
+        })
+      ]);
       setBgpConfig(config);
+      setEvpnConfig(evpn);
     } catch (err) {
       console.error('Error fetching BGP config:', err);
-      // Don't show toast for BGP not configured errors
-      if (!err.message?.includes('not enabled')) {
+      // Don't show toast for BGP not configured errors or for a panel closed mid-request
+      if (!err.message?.includes('not enabled') && !isAbortError(err)) {
         toast({
           variant: 'destructive',
           title: 'Error Loading BGP Configuration',
-          description: err.message || 'Failed to fetch BGP configuration'
+          description: describeError(err, 'Failed to fetch BGP configuration')
         });
       }
     } finally {
@@ -84,7 +99,6 @@ const RoutingTab = ({ switchData }) => {
     if (!switchData?.id) return;
 
     await addStaticRoute(switchData.id, prefix, nextHop, adminDistance);
-    await fetchStaticRoutes(); // Refresh routes after adding
   };
 
   // Handle deleting a static route
@@ -92,7 +106,6 @@ const RoutingTab = ({ switchData }) => {
     if (!switchData?.id) return;
 
     await deleteStaticRoute(switchData.id, prefix, nextHop);
-    await fetchStaticRoutes(); // Refresh routes after deleting
   };
 
   // Handle configuring BGP
@@ -100,7 +113,6 @@ const RoutingTab = ({ switchData }) => {
     if (!switchData?.id) return;
 
     await configureBgp(switchData.id, asn, routerId);
-    await fetchBgpConfig(); // Refresh BGP config after changes
   };
 
   // Handle adding a BGP neighbor
@@ -108,15 +120,20 @@ const RoutingTab = ({ switchData }) => {
     if (!switchData?.id || !bgpConfig?.asn) return;
 
     await addBgpNeighbor(switchData.id, bgpConfig.asn, ip, remoteAsn);
-    await fetchBgpConfig(); // Refresh BGP config after changes
   };
 
   // Handle removing a BGP neighbor
-  const handleRemoveBgpNeighbor = async (neighborIp) => {
+  const handleRemoveBgpNeighbor = async (neighborIp, vrf) => {
     if (!switchData?.id || !bgpConfig?.asn) return;
 
-    await removeBgpNeighbor(switchData.id, bgpConfig.asn, neighborIp);
-    await fetchBgpConfig(); // Refresh BGP config after changes
+    await removeBgpNeighbor(switchData.id, bgpConfig.asn, neighborIp, vrf);
+  };
+
+  // Handle activating or deactivating EVPN for a BGP neighbor
+  const handleSetEvpnNeighbor = async (neighbor, activate) => {
+    if (!switchData?.id || !bgpConfig?.asn) return;
+
+    await setEvpnNeighbor(switchData.id, bgpConfig.asn, neighbor, activate);
   };
   return (
     <Card className="bg-slate-800/30 border-gray-700">
@@ -153,11 +170,13 @@ const RoutingTab = ({ switchData }) => {
                 <BgpSection 
                   switchData={switchData}
                   bgpConfig={bgpConfig}
+                  evpnConfig={evpnConfig}
                   isLoading={isLoadingBgp}
                   onRefresh={fetchBgpConfig}
                   onConfigureBgp={handleConfigureBgp}
                   onAddNeighbor={handleAddBgpNeighbor}
                   onRemoveNeighbor={handleRemoveBgpNeighbor}
+                  onSetEvpnNeighbor={handleSetEvpnNeighbor}
                 />
               </TabsContent>
             </div>
@@ -1,65 +1,178 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
-import { Input } from '@/components/ui/input';
-import { Shield, Eye, Plus } from 'lucide-react';
+import { Shield, RefreshCw, HelpCircle, Info } from 'lucide-react';
+import { useToast } from '@/components/ui/use-toast';
+import { getAccessLists } from '@/services/aclConfig';
+import { getAaaConfig } from '@/services/aaaConfig';
+import { getUserAccounts } from '@/services/userConfig';
+import { describeError } from '@/services/eapiErrors';
+import AclSection from './AclSection';
+import AaaSection from './AaaSection';
+import UsersSection from './UsersSection';
+
+const SecurityTab = ({ switchData }) => {
+  const { toast } = useToast();
+  const [accessLists, setAccessLists] = useState([]);
+  const [aaaConfig, setAaaConfig] = useState(null);
+  const [userAccounts, setUserAccounts] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Interfaces an ACL can be applied to, from the switch's interface status
+  const interfaceNames = Object.keys(switchData?.interfaces || {}).sort((a, b) =>
+    a.localeCompare(b, undefined, { numeric: true })
+  );
+
+  // Load ACLs, AAA settings and user accounts when the component mounts or switch changes
+  useEffect(() => {
+    loadSecurityData();
+  }, [switchData?.id]);
+
+  const loadSecurityData = async () => {
+    if (!switchData?.id) {
+      setError('No switch selected');
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const [lists, aaa, accounts] = await Promise.all([
+        getAccessLists(switchData.id),
+        // AAA settings and accounts are optional; ACLs are still shown when they cannot be read
+        getAaaConfig(switchData.id).catch(err => {
+          console.error('Error fetching AAA configuration:', err);
+          return null;
+        }),
+        getUserAccounts(switchData.id).catch(err => {
+          console.error('Error fetching user accounts:', err);
+          return null;
+        })
+      ]);
+      setAccessLists(lists);
+      setAaaConfig(aaa);
+      setUserAccounts(accounts);
+    } catch (err) {
+      console.error('Failed to load security details:', err);
+      setError('Failed to load access lists. Please try refreshing.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Refresh security data
+  const handleRefresh = async () => {
+    setIsRefreshing(true);
+
+    try {
+      await loadSecurityData();
+      toast({
+        title: 'Security Refreshed! ✅',
+        description: `Security data for ${switchData.hostname} has been updated.`
+      });
+    } finally {
+      setIsRefreshing(false);
+    }
+  };
+
+  /**
+   * Queue a change and report the outcome
+   * @param {Function} change - Calls the service function that queues the change
+   * @param {string} summary - What the change does, for the toast
+   * @returns {Promise<boolean>} - True if the change was queued
+   */
+  const queueSecurityChange = async (change, summary) => {
+    if (!switchData?.id) return false;
+
+    try {
+      await change();
+      toast({
+        title: 'Change Queued',
+        description: `${summary} will be pushed with the next Apply.`
+      });
+      return true;
+    } catch (err) {
+      toast({
+        variant: 'destructive',
+        title: 'Change Failed',
+        description: describeError(err, `Failed to queue: ${summary}.`)
+      });
+      return false;
+    }
+  };
 
-const SecurityTab = ({ handleFeatureClick }) => {
   return (
     <Card className="bg-slate-800/30 border-gray-700">
       <CardHeader>
-        <CardTitle className="text-white flex items-center space-x-2">
-          <Shield className="h-5 w-5 text-red-400" />
-          <span>Security Configuration</span>
-        </CardTitle>
+        <div className="flex items-center justify-between">
+          <CardTitle className="text-white flex items-center space-x-2">
+            <Shield className="h-5 w-5 text-red-400" />
+            <span>Security Configuration</span>
+          </CardTitle>
+          <Button
+            onClick={handleRefresh}
+            size="sm"
+            variant="outline"
+            className="border-red-500/30 text-red-400"
+            disabled={isRefreshing || loading}
+          >
+            <RefreshCw className={`h-4 w-4 mr-2 ${isRefreshing ? 'animate-spin' : ''}`} />
+            Refresh
+          </Button>
+        </div>
       </CardHeader>
       <CardContent className="space-y-6">
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-          <div className="space-y-4">
-            <h4 className="text-lg font-semibold text-white">Access Control Lists</h4>
-            <div className="space-y-3">
-              <div className="p-3 rounded-lg bg-slate-700/50 border border-gray-600">
-                <div className="flex items-center justify-between">
-                  <span className="text-white">MANAGEMENT-ACL</span>
-                  <Button 
-                    onClick={() => handleFeatureClick('Edit ACL')}
-                    variant="ghost" 
-                    size="sm"
-                  >
-                    <Eye className="h-4 w-4" />
-                  </Button>
-                </div>
-              </div>
-            </div>
-            <Button onClick={() => handleFeatureClick('Add ACL')} variant="outline" className="w-full">
-              <Plus className="h-4 w-4 mr-2" />
-              Add ACL
+        {loading ? (
+          // Loading state
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {[1, 2].map(i => (
+              <div key={i} className="h-48 rounded-lg bg-slate-700/30 animate-pulse border border-gray-700"></div>
+            ))}
+          </div>
+        ) : error ? (
+          // Error state
+          <div className="p-8 text-center rounded-lg border border-red-500/20 bg-red-500/10">
+            <HelpCircle className="mx-auto h-10 w-10 text-red-400 mb-3" />
+            <p className="text-red-200">{error}</p>
+            <Button onClick={handleRefresh} className="mt-4">
+              <RefreshCw className="h-4 w-4 mr-2" />
+              Try Again
             </Button>
           </div>
-          
-          <div className="space-y-4">
-            <h4 className="text-lg font-semibold text-white">Authentication</h4>
-            <div className="space-y-3">
-              <div>
-                <label className="text-sm text-gray-400">RADIUS Server</label>
-                <Input 
-                  placeholder="192.168.1.100" 
-                  className="mt-1 bg-slate-800 border-gray-600"
-                  onClick={() => handleFeatureClick('RADIUS Server')}
-                />
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <AclSection
+              switchId={switchData.id}
+              accessLists={accessLists}
+              interfaceNames={interfaceNames}
+              onChange={queueSecurityChange}
+            />
+            {aaaConfig ? (
+              <AaaSection switchId={switchData.id} aaaConfig={aaaConfig} onChange={queueSecurityChange} />
+            ) : (
+              <div className="p-4 rounded-lg bg-slate-800/50 border border-gray-700 text-center text-gray-400 self-start">
+                <Info className="h-6 w-6 mx-auto mb-2" />
+                <p>AAA settings could not be read from this switch.</p>
               </div>
-              <div>
-                <label className="text-sm text-gray-400">Shared Secret</label>
-                <Input 
-                  type="password"
-                  placeholder="Enter shared secret" 
-                  className="mt-1 bg-slate-800 border-gray-600"
-                  onClick={() => handleFeatureClick('RADIUS Secret')}
-                />
+            )}
+          </div>
+        )}
+        {!loading && !error && (
+          <div className="pt-6 border-t border-gray-700">
+            {userAccounts ? (
+              <UsersSection switchId={switchData.id} userAccounts={userAccounts} onChange={queueSecurityChange} />
+            ) : (
+              <div className="p-4 rounded-lg bg-slate-800/50 border border-gray-700 text-center text-gray-400">
+                <Info className="h-6 w-6 mx-auto mb-2" />
+                <p>User accounts could not be read from this switch.</p>
               </div>
-            </div>
+            )}
           </div>
-        </div>
+        )}
       </CardContent>
     </Card>
   );
@@ -12,6 +12,7 @@ import {
   DialogFooter,
   DialogTrigger
 } from '@/components/ui/dialog';
+import { describeError } from '@/services/eapiErrors';
 
 const StaticRoutesSection = ({ switchData, staticRoutes, isLoading, onRefresh, onAddRoute, onDeleteRoute }) => {
   const { toast } = useToast();
@@ -37,14 +38,14 @@ const StaticRoutesSection = ({ switchData, staticRoutes, isLoading, onRefresh, o
       setShowAddDialog(false);
       
       toast({
-        title: 'Static Route Added',
-        description: `Added route to ${newRoute.prefix} via ${newRoute.nextHop}`,
+        title: 'Static Route Queued',
+        description: `Route to ${newRoute.prefix} via ${newRoute.nextHop} will be added with the next Apply`,
       });
     } catch (error) {
       toast({
         variant: 'destructive',
         title: 'Failed to Add Route',
-        description: error.message || 'An error occurred while adding the route',
+        description: describeError(error, 'An error occurred while adding the route'),
       });
     }
   };
@@ -58,14 +59,14 @@ const StaticRoutesSection = ({ switchData, staticRoutes, isLoading, onRefresh, o
       setDeleteConfirmRoute(null);
       
       toast({
-        title: 'Static Route Deleted',
-        description: `Removed route to ${deleteConfirmRoute.prefix}`,
+        title: 'Static Route Removal Queued',
+        description: `Route to ${deleteConfirmRoute.prefix} will be removed with the next Apply`,
       });
     } catch (error) {
       toast({
         variant: 'destructive',
         title: 'Failed to Delete Route',
-        description: error.message || 'An error occurred while deleting the route',
+        description: describeError(error, 'An error occurred while deleting the route'),
       });
     }
   };
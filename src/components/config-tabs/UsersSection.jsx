@@ -0,0 +1,391 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Plus, Trash2, Pencil, KeyRound, CheckSquare, Square } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogFooter
+} from '@/components/ui/dialog';
+import {
+  setUserAccount,
+  removeUserAccount,
+  setUserSshKey,
+  setRole,
+  removeRole,
+  validateRoleRule,
+  formatRoleRule
+} from '@/services/userConfig';
+
+// Select value for accounts without a role; parentheses cannot appear in role names
+const NO_ROLE = '(default)';
+
+const EMPTY_USER = { username: '', privilege: '1', role: NO_ROLE, password: '', confirmPassword: '', nopassword: false };
+
+/**
+ * Shorten an SSH public key for display
+ * @param {string} key - Key in OpenSSH form
+ * @returns {string} - Key type, the end of the key data and the comment
+ */
+const summarizeSshKey = (key) => {
+  const [type, data = '', ...comment] = key.split(' ');
+  return `${type} …${data.slice(-12)}${comment.length > 0 ? ` ${comment.join(' ')}` : ''}`;
+};
+
+const UsersSection = ({ switchId, userAccounts, onChange }) => {
+  const [userDialog, setUserDialog] = useState(null);
+  const [userSettings, setUserSettings] = useState(EMPTY_USER);
+  const [sshKeyUser, setSshKeyUser] = useState(null);
+  const [sshKey, setSshKey] = useState('');
+  const [roleDialog, setRoleDialog] = useState(null);
+  const [roleSettings, setRoleSettings] = useState({ name: '', rules: '' });
+
+  const { users, roles } = userAccounts;
+  const passwordMismatch = userSettings.password !== userSettings.confirmPassword;
+
+  // Problems with each rule line of the role being edited, by line number
+  const ruleProblems = roleSettings.rules.split('\n')
+    .map((line, index) => ({ line: index + 1, problem: line.trim() ? validateRoleRule(line) : null }))
+    .filter(({ problem }) => problem);
+
+  const openUserDialog = (existing) => {
+    setUserSettings(existing
+      ? {
+          ...EMPTY_USER,
+          username: existing.username,
+          privilege: String(existing.privilege ?? 1),
+          role: existing.role || NO_ROLE,
+          nopassword: existing.nopassword
+        }
+      : EMPTY_USER);
+    setUserDialog({ existing });
+  };
+
+  const handleSaveUser = async (e) => {
+    e.preventDefault();
+
+    const settings = { ...userSettings, role: userSettings.role === NO_ROLE ? '' : userSettings.role };
+    const queued = await onChange(
+      () => setUserAccount(switchId, settings, userDialog.existing),
+      `${userDialog.existing ? 'Updating' : 'Adding'} user ${userSettings.username.trim()}`
+    );
+    if (queued) {
+      setUserDialog(null);
+    }
+  };
+
+  const openSshKeyDialog = (user) => {
+    setSshKey(user.sshKey || '');
+    setSshKeyUser(user);
+  };
+
+  const handleSaveSshKey = async (e) => {
+    e.preventDefault();
+
+    const queued = await onChange(
+      () => setUserSshKey(switchId, sshKeyUser.username, sshKey),
+      sshKey.trim() ? `Setting the SSH key of ${sshKeyUser.username}` : `Removing the SSH key of ${sshKeyUser.username}`
+    );
+    if (queued) {
+      setSshKeyUser(null);
+    }
+  };
+
+  const openRoleDialog = (existing) => {
+    setRoleSettings(existing
+      ? { name: existing.name, rules: existing.rules.map(formatRoleRule).join('\n') }
+      : { name: '', rules: 'permit mode exec command show.*\ndeny command .*' });
+    setRoleDialog({ existing });
+  };
+
+  const handleSaveRole = async (e) => {
+    e.preventDefault();
+
+    const queued = await onChange(
+      () => setRole(switchId, roleSettings.name.trim(), roleSettings.rules.split('\n')),
+      `Setting role ${roleSettings.name.trim()}`
+    );
+    if (queued) {
+      setRoleDialog(null);
+    }
+  };
+
+  const describePassword = (user) => {
+    if (user.hasPassword) return <Badge variant="outline" className="border-gray-500 text-gray-300">password ••••••••</Badge>;
+    if (user.nopassword) return <Badge className="bg-yellow-500/20 text-yellow-400 border-yellow-500/30">no password</Badge>;
+    return null;
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div className="space-y-3">
+        <div className="flex justify-between items-center">
+          <h4 className="text-lg font-semibold text-white">Local Users</h4>
+          <Button variant="outline" size="sm" onClick={() => openUserDialog(null)}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add User
+          </Button>
+        </div>
+        {users.length === 0 && (
+          <p className="text-sm text-gray-400">No local user accounts are configured.</p>
+        )}
+        {users.map(user => (
+          <div
+            key={user.username}
+            className="p-3 rounded-lg bg-slate-700/50 border border-gray-600 flex justify-between items-center"
+          >
+            <div className="space-y-1">
+              <div className="flex items-center flex-wrap gap-2">
+                <span className="text-white font-mono">{user.username}</span>
+                {user.privilege !== null && (
+                  <Badge variant="outline" className="border-gray-500 text-gray-300">privilege {user.privilege}</Badge>
+                )}
+                {user.role && (
+                  <Badge className="bg-blue-500/20 text-blue-400 border-blue-500/30">{user.role}</Badge>
+                )}
+                {describePassword(user)}
+              </div>
+              {user.sshKey && (
+                <div className="text-xs text-gray-400 font-mono">{summarizeSshKey(user.sshKey)}</div>
+              )}
+            </div>
+            <div className="flex items-center space-x-1">
+              <Button variant="ghost" size="sm" onClick={() => openSshKeyDialog(user)}>
+                <KeyRound className="h-4 w-4" />
+              </Button>
+              <Button variant="ghost" size="sm" onClick={() => openUserDialog(user)}>
+                <Pencil className="h-4 w-4" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="sm"
+                className="text-red-400 hover:text-red-300 hover:bg-red-900/20"
+                onClick={() => onChange(() => removeUserAccount(switchId, user.username), `Removing user ${user.username}`)}
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="space-y-3">
+        <div className="flex justify-between items-center">
+          <h4 className="text-lg font-semibold text-white">Roles</h4>
+          <Button variant="outline" size="sm" onClick={() => openRoleDialog(null)}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add Role
+          </Button>
+        </div>
+        {roles.map(role => {
+          const usedBy = users.filter(user => user.role === role.name).length;
+          return (
+            <div key={role.name} className="p-3 rounded-lg bg-slate-700/50 border border-gray-600">
+              <div className="flex justify-between items-center">
+                <div className="flex items-center gap-2">
+                  <span className="text-white">{role.name}</span>
+                  {role.builtin && <Badge variant="outline" className="border-gray-500 text-gray-400">built-in</Badge>}
+                  <span className="text-sm text-gray-400">{usedBy} {usedBy === 1 ? 'user' : 'users'}</span>
+                </div>
+                {!role.builtin && (
+                  <div className="flex items-center space-x-1">
+                    <Button variant="ghost" size="sm" onClick={() => openRoleDialog(role)}>
+                      <Pencil className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      className="text-red-400 hover:text-red-300 hover:bg-red-900/20"
+                      disabled={usedBy > 0}
+                      onClick={() => onChange(() => removeRole(switchId, role.name), `Removing role ${role.name}`)}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </div>
+                )}
+              </div>
+              {role.rules.length > 0 && (
+                <div className="mt-2 text-xs text-gray-400 font-mono space-y-0.5">
+                  {role.rules.map(rule => (
+                    <div key={formatRoleRule(rule)} className={rule.action === 'deny' ? 'text-red-300' : ''}>
+                      {formatRoleRule(rule)}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <Dialog open={!!userDialog} onOpenChange={(open) => !open && setUserDialog(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{userDialog?.existing ? `Edit User ${userDialog.existing.username}` : 'Add User'}</DialogTitle>
+          </DialogHeader>
+          <form onSubmit={handleSaveUser} className="space-y-4 mt-4">
+            <div className="grid grid-cols-3 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="userName">Username</Label>
+                <Input
+                  id="userName"
+                  value={userSettings.username}
+                  onChange={(e) => setUserSettings(prev => ({ ...prev, username: e.target.value }))}
+                  disabled={!!userDialog?.existing}
+                  required
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="userPrivilege">Privilege</Label>
+                <Input
+                  id="userPrivilege"
+                  type="number"
+                  min="0"
+                  max="15"
+                  value={userSettings.privilege}
+                  onChange={(e) => setUserSettings(prev => ({ ...prev, privilege: e.target.value }))}
+                  required
+                />
+              </div>
+              <div className="space-y-2">
+                <Label>Role</Label>
+                <Select value={userSettings.role} onValueChange={(value) => setUserSettings(prev => ({ ...prev, role: value }))}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={NO_ROLE}>Default role</SelectItem>
+                    {roles.map(role => (
+                      <SelectItem key={role.name} value={role.name}>{role.name}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+            <button
+              type="button"
+              className="flex items-center text-sm text-gray-300"
+              onClick={() => setUserSettings(prev => ({ ...prev, nopassword: !prev.nopassword }))}
+            >
+              {userSettings.nopassword ? (
+                <CheckSquare className="h-4 w-4 mr-2 text-blue-400" />
+              ) : (
+                <Square className="h-4 w-4 mr-2" />
+              )}
+              Allow login without a password (SSH key only)
+            </button>
+            {!userSettings.nopassword && (
+              <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <Label htmlFor="userPassword">Password</Label>
+                  <Input
+                    id="userPassword"
+                    type="password"
+                    autoComplete="new-password"
+                    placeholder={userDialog?.existing?.hasPassword ? '•••••••• (leave empty to keep)' : ''}
+                    value={userSettings.password}
+                    onChange={(e) => setUserSettings(prev => ({ ...prev, password: e.target.value }))}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="userConfirmPassword">Confirm Password</Label>
+                  <Input
+                    id="userConfirmPassword"
+                    type="password"
+                    autoComplete="new-password"
+                    value={userSettings.confirmPassword}
+                    onChange={(e) => setUserSettings(prev => ({ ...prev, confirmPassword: e.target.value }))}
+                  />
+                </div>
+              </div>
+            )}
+            {!userSettings.nopassword && passwordMismatch && userSettings.confirmPassword && (
+              <p className="text-sm text-red-400">Passwords do not match</p>
+            )}
+            <p className="text-xs text-gray-400">
+              Passwords are hashed with SHA-512 before they are queued; the switch never receives them in clear text.
+            </p>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setUserDialog(null)}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={!userSettings.nopassword && passwordMismatch}>Save</Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!sshKeyUser} onOpenChange={(open) => !open && setSshKeyUser(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>SSH Key of {sshKeyUser?.username}</DialogTitle>
+          </DialogHeader>
+          <form onSubmit={handleSaveSshKey} className="space-y-4 mt-4">
+            <div className="space-y-2">
+              <Label htmlFor="userSshKey">Public Key (empty to remove)</Label>
+              <Textarea
+                id="userSshKey"
+                className="font-mono text-xs h-32"
+                placeholder="ssh-ed25519 AAAA... user@host"
+                value={sshKey}
+                onChange={(e) => setSshKey(e.target.value)}
+              />
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setSshKeyUser(null)}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={!sshKey.trim() && !sshKeyUser?.sshKey}>Save</Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!roleDialog} onOpenChange={(open) => !open && setRoleDialog(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{roleDialog?.existing ? `Edit Role ${roleDialog.existing.name}` : 'Add Role'}</DialogTitle>
+          </DialogHeader>
+          <form onSubmit={handleSaveRole} className="space-y-4 mt-4">
+            <div className="space-y-2">
+              <Label htmlFor="roleName">Name</Label>
+              <Input
+                id="roleName"
+                value={roleSettings.name}
+                onChange={(e) => setRoleSettings(prev => ({ ...prev, name: e.target.value }))}
+                disabled={!!roleDialog?.existing}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="roleRules">Rules, one per line: [sequence] permit|deny [mode &lt;mode&gt;] command &lt;regex&gt;</Label>
+              <Textarea
+                id="roleRules"
+                className="font-mono text-xs h-40"
+                value={roleSettings.rules}
+                onChange={(e) => setRoleSettings(prev => ({ ...prev, rules: e.target.value }))}
+              />
+              {ruleProblems.map(({ line, problem }) => (
+                <p key={line} className="text-sm text-red-400">Line {line}: {problem}</p>
+              ))}
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setRoleDialog(null)}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={ruleProblems.length > 0 || !roleSettings.rules.trim()}>Save</Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default UsersSection;
@@ -6,6 +6,7 @@ import { Layers, Plus, Trash2, RefreshCw, Save, HelpCircle } from 'lucide-react'
 import { useToast } from '@/components/ui/use-toast';
 import { getVlans, createVlan, deleteVlan, renameVlan } from '@/services/vlanConfig';
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter, DialogTrigger } from '@/components/ui/dialog';
+import { describeError } from '@/services/eapiErrors';
 
 const VlansTab = ({ switchData }) => {
   const { toast } = useToast();
@@ -68,7 +69,7 @@ const VlansTab = ({ switchData }) => {
       toast({
         variant: 'destructive',
         title: 'Refresh Failed',
-        description: err.message || 'Failed to refresh VLAN data.'
+        description: describeError(err, 'Failed to refresh VLAN data.')
       });
     } finally {
       setIsRefreshing(false);
@@ -107,18 +108,15 @@ const VlansTab = ({ switchData }) => {
       }));
 
       toast({
-        title: 'VLAN Updated! ✅',
-        description: `VLAN ${vlanId} has been renamed to ${vlanChanges.name}.`
+        title: 'Change Queued',
+        description: `Renaming VLAN ${vlanId} to ${vlanChanges.name} will be pushed with the next Apply.`
       });
-
-      // Refresh to get the latest data
-      await loadVlanData();
     } catch (err) {
       console.error(`Error saving VLAN ${vlanId}:`, err);
       toast({
         variant: 'destructive',
         title: 'Save Failed',
-        description: err.message || `Failed to update VLAN ${vlanId}.`
+        description: describeError(err, `Failed to update VLAN ${vlanId}.`)
       });
     }
   };
@@ -131,18 +129,15 @@ const VlansTab = ({ switchData }) => {
       await deleteVlan(switchData.id, vlanId);
 
       toast({
-        title: 'VLAN Deleted! ✅',
-        description: `VLAN ${vlanId} has been removed.`
+        title: 'Change Queued',
+        description: `Deleting VLAN ${vlanId} will be pushed with the next Apply.`
       });
-
-      // Refresh to get the latest data
-      await loadVlanData();
     } catch (err) {
       console.error(`Error deleting VLAN ${vlanId}:`, err);
       toast({
         variant: 'destructive',
         title: 'Delete Failed',
-        description: err.message || `Failed to delete VLAN ${vlanId}.`
+        description: describeError(err, `Failed to delete VLAN ${vlanId}.`)
       });
     }
   };
@@ -165,22 +160,19 @@ const VlansTab = ({ switchData }) => {
       await createVlan(switchData.id, parseInt(newVlan.id), newVlan.name);
 
       toast({
-        title: 'VLAN Created! ✅',
-        description: `VLAN ${newVlan.id}${newVlan.name ? ` (${newVlan.name})` : ''} has been created.`
+        title: 'Change Queued',
+        description: `Creating VLAN ${newVlan.id}${newVlan.name ? ` (${newVlan.name})` : ''} will be pushed with the next Apply.`
       });
 
       // Reset the form
       setNewVlan({ id: '', name: '' });
       setIsAddDialogOpen(false);
-
-      // Refresh to get the latest data
-      await loadVlanData();
     } catch (err) {
       console.error('Error creating VLAN:', err);
       toast({
         variant: 'destructive',
         title: 'Create Failed',
-        description: err.message || 'Failed to create new VLAN.'
+        description: describeError(err, 'Failed to create new VLAN.')
       });
     }
   };
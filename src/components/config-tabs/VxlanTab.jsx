@@ -1,74 +1,488 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
 import { Input } from '@/components/ui/input';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
-import { Globe, Eye, Plus } from 'lucide-react';
+import { Globe, Plus, Trash2, RefreshCw, Save, HelpCircle } from 'lucide-react';
+import { useToast } from '@/components/ui/use-toast';
+import {
+  DEFAULT_VXLAN_UDP_PORT,
+  getVxlanConfig,
+  setVtepSourceInterface,
+  setVxlanUdpPort,
+  mapVlanToVni,
+  unmapVlanVni,
+  mapVrfToVni,
+  unmapVrfVni,
+  setFloodList
+} from '@/services/vxlanConfig';
+import { getEvpnConfig, getEvpnRoutes, configureEvpnVlan, removeEvpnVlan } from '@/services/routingConfig';
+import { describeError } from '@/services/eapiErrors';
+import EvpnSection from './EvpnSection';
+
+/**
+ * Split a list of VTEP addresses typed by the user
+ * @param {string} text - Addresses separated by spaces or commas
+ * @returns {Array} - Addresses
+ */
+const parseVtepList = (text) => text.split(/[\s,]+/).filter(Boolean);
+
+const VxlanTab = ({ switchData }) => {
+  const { toast } = useToast();
+  const [vxlan, setVxlan] = useState(null);
+  const [evpn, setEvpn] = useState({ config: null, routes: null });
+  const [loading, setLoading] = useState(true);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [error, setError] = useState(null);
+  const [sourceInterface, setSourceInterface] = useState('');
+  const [udpPort, setUdpPort] = useState(String(DEFAULT_VXLAN_UDP_PORT));
+  const [newVlanVni, setNewVlanVni] = useState({ vlan: '', vni: '' });
+  const [newVrfVni, setNewVrfVni] = useState({ vrf: '', vni: '' });
+  const [floodList, setFloodListText] = useState('');
+  const [vlanFloodLists, setVlanFloodLists] = useState({});
+  const [newVlanFloodList, setNewVlanFloodList] = useState({ vlan: '', vteps: '' });
+
+  // Load VXLAN details when the component mounts or switch changes
+  useEffect(() => {
+    loadVxlanData();
+  }, [switchData?.id]);
+
+  // Load VXLAN data from the switch and reset the edit fields to it
+  const loadVxlanData = async () => {
+    if (!switchData?.id) {
+      setError('No switch selected');
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const [config, evpnData] = await Promise.all([
+        getVxlanConfig(switchData.id),
+        // EVPN details are optional; static VXLAN is still shown when they cannot be read
+        Promise.all([getEvpnConfig(switchData.id), getEvpnRoutes(switchData.id)]).catch(err => {
+          console.error('Error fetching EVPN details:', err);
+          return [null, null];
+        })
+      ]);
+      setVxlan(config);
+      setEvpn({ config: evpnData[0], routes: evpnData[1] });
+      setSourceInterface(config.sourceInterface || '');
+      setUdpPort(String(config.udpPort));
+      setFloodListText(config.floodList.join(' '));
+      setVlanFloodLists(Object.fromEntries(config.vlanFloodLists.map(list => [list.vlan, list.vteps.join(' ')])));
+    } catch (err) {
+      console.error('Failed to load VXLAN details:', err);
+      setError('Failed to load VXLAN details. Please try refreshing.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Refresh VXLAN data
+  const handleRefresh = async () => {
+    setIsRefreshing(true);
+
+    try {
+      await loadVxlanData();
+      toast({
+        title: 'VXLAN Refreshed! ✅',
+        description: `VXLAN data for ${switchData.hostname} has been updated.`
+      });
+    } finally {
+      setIsRefreshing(false);
+    }
+  };
+
+  /**
+   * Queue a change and report the outcome
+   * @param {Function} change - Calls the service function that queues the change
+   * @param {string} summary - What the change does, for the toast
+   * @returns {Promise<boolean>} - True if the change was queued
+   */
+  const queueVxlanChange = async (change, summary) => {
+    if (!switchData?.id) return false;
+
+    try {
+      await change();
+      toast({
+        title: 'Change Queued',
+        description: `${summary} will be pushed with the next Apply.`
+      });
+      return true;
+    } catch (err) {
+      toast({
+        variant: 'destructive',
+        title: 'Change Failed',
+        description: describeError(err, `Failed to queue: ${summary}.`)
+      });
+      return false;
+    }
+  };
+
+  const handleSaveSource = () => queueVxlanChange(
+    () => setVtepSourceInterface(switchData.id, sourceInterface),
+    `Setting the VTEP source to ${sourceInterface}`
+  );
+
+  const handleSaveUdpPort = () => queueVxlanChange(
+    () => setVxlanUdpPort(switchData.id, udpPort),
+    `Setting the VXLAN UDP port to ${udpPort}`
+  );
+
+  const handleAddVlanVni = async () => {
+    const queued = await queueVxlanChange(
+      () => mapVlanToVni(switchData.id, newVlanVni.vlan, newVlanVni.vni),
+      `Mapping VLAN ${newVlanVni.vlan} to VNI ${newVlanVni.vni}`
+    );
+    if (queued) {
+      setNewVlanVni({ vlan: '', vni: '' });
+    }
+  };
+
+  const handleAddVrfVni = async () => {
+    const queued = await queueVxlanChange(
+      () => mapVrfToVni(switchData.id, newVrfVni.vrf, newVrfVni.vni),
+      `Mapping VRF ${newVrfVni.vrf} to VNI ${newVrfVni.vni}`
+    );
+    if (queued) {
+      setNewVrfVni({ vrf: '', vni: '' });
+    }
+  };
+
+  const handleSaveFloodList = () => queueVxlanChange(
+    () => setFloodList(switchData.id, parseVtepList(floodList)),
+    parseVtepList(floodList).length > 0 ? 'Replacing the default flood list' : 'Removing the default flood list'
+  );
+
+  const handleSaveVlanFloodList = (vlan, text) => queueVxlanChange(
+    () => setFloodList(switchData.id, parseVtepList(text), vlan),
+    parseVtepList(text).length > 0 ? `Replacing the flood list of VLAN ${vlan}` : `Removing the flood list of VLAN ${vlan}`
+  );
+
+  const handleAddVlanFloodList = async () => {
+    const queued = await handleSaveVlanFloodList(parseInt(newVlanFloodList.vlan), newVlanFloodList.vteps);
+    if (queued) {
+      setNewVlanFloodList({ vlan: '', vteps: '' });
+    }
+  };
+
+  // EVPN changes go under the local BGP process, so they need its ASN
+  const handleConfigureEvpnVlan = async (vlan, rd, importTargets, exportTargets) => {
+    if (!switchData?.id || !evpn.config?.asn) return;
+
+    await configureEvpnVlan(switchData.id, evpn.config.asn, vlan, rd, importTargets, exportTargets);
+  };
+
+  const handleRemoveEvpnVlan = async (vlan) => {
+    if (!switchData?.id || !evpn.config?.asn) return;
+
+    await removeEvpnVlan(switchData.id, evpn.config.asn, vlan);
+  };
+
+  const renderVtepSettings = () => (
+    <div className="space-y-4">
+      <h4 className="text-lg font-semibold text-white">VTEP Configuration</h4>
+      <div className="space-y-3">
+        <div>
+          <label className="text-sm text-gray-400">Source Interface</label>
+          <div className="flex gap-2 mt-1">
+            <Select value={sourceInterface} onValueChange={setSourceInterface}>
+              <SelectTrigger className="bg-slate-800 border-gray-600">
+                <SelectValue placeholder={vxlan.loopbacks.length > 0 ? 'Select interface' : 'No loopback interfaces'} />
+              </SelectTrigger>
+              <SelectContent>
+                {vxlan.loopbacks.map(loopback => (
+                  <SelectItem key={loopback.name} value={loopback.name}>
+                    {loopback.name}{loopback.address ? ` (${loopback.address})` : ''}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button
+              size="sm"
+              onClick={handleSaveSource}
+              disabled={!sourceInterface || sourceInterface === vxlan.sourceInterface}
+              className="bg-green-600 hover:bg-green-700 text-white h-10"
+            >
+              <Save className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+        <div>
+          <label className="text-sm text-gray-400">UDP Port</label>
+          <div className="flex gap-2 mt-1">
+            <Input
+              type="number"
+              min="1024"
+              max="65535"
+              value={udpPort}
+              onChange={(e) => setUdpPort(e.target.value)}
+              className="bg-slate-800 border-gray-600 text-white"
+            />
+            <Button
+              size="sm"
+              onClick={handleSaveUdpPort}
+              disabled={!vxlan.configured || parseInt(udpPort) === vxlan.udpPort}
+              className="bg-green-600 hover:bg-green-700 text-white h-10"
+            >
+              <Save className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+        {vxlan.configured && (
+          <div className="text-sm text-gray-400 space-y-1">
+            <p>Source address: <span className="text-white">{vxlan.sourceIp || 'none'}</span></p>
+            {vxlan.replicationMode && (
+              <p>Replication: <span className="text-white">{vxlan.replicationMode}</span></p>
+            )}
+          </div>
+        )}
+      </div>
+
+      <h4 className="text-lg font-semibold text-white pt-2">Remote VTEPs</h4>
+      {vxlan.remoteVteps.length === 0 ? (
+        <p className="text-sm text-gray-400">No remote VTEPs known.</p>
+      ) : (
+        <div className="flex flex-wrap gap-2">
+          {vxlan.remoteVteps.map(vtep => (
+            <Badge key={vtep.address} variant="outline" className="border-cyan-500/30 text-cyan-300" title={vtep.learnedVia || undefined}>
+              {vtep.address}
+            </Badge>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
+  const renderVniMappings = () => (
+    <div className="space-y-4">
+      <h4 className="text-lg font-semibold text-white">VLAN to VNI Mappings</h4>
+      <div className="space-y-2">
+        {vxlan.vlanVnis.length === 0 && <p className="text-sm text-gray-400">No VLANs mapped.</p>}
+        {vxlan.vlanVnis.map(mapping => (
+          <div key={mapping.vni} className="p-3 rounded-lg bg-slate-700/50 border border-gray-600">
+            <div className="flex items-center justify-between">
+              <div>
+                <span className="text-white">VLAN {mapping.vlan} → VNI {mapping.vni}</span>
+                <p className="text-xs text-gray-400">
+                  {mapping.source}
+                  {mapping.interfaces.length > 0 && ` · ${mapping.interfaces.join(', ')}`}
+                </p>
+              </div>
+              {mapping.source === 'static' && (
+                <Button
+                  onClick={() => queueVxlanChange(
+                    () => unmapVlanVni(switchData.id, mapping.vlan),
+                    `Removing the VNI mapping of VLAN ${mapping.vlan}`
+                  )}
+                  variant="ghost"
+                  size="sm"
+                  className="text-red-400 hover:text-red-300"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              )}
+            </div>
+          </div>
+        ))}
+        <div className="flex gap-2">
+          <Input
+            type="number"
+            placeholder="VLAN"
+            value={newVlanVni.vlan}
+            onChange={(e) => setNewVlanVni({ ...newVlanVni, vlan: e.target.value })}
+            className="bg-slate-800 border-gray-600 text-white"
+          />
+          <Input
+            type="number"
+            placeholder="VNI"
+            value={newVlanVni.vni}
+            onChange={(e) => setNewVlanVni({ ...newVlanVni, vni: e.target.value })}
+            className="bg-slate-800 border-gray-600 text-white"
+          />
+          <Button onClick={handleAddVlanVni} variant="outline" disabled={!newVlanVni.vlan || !newVlanVni.vni}>
+            <Plus className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+
+      <h4 className="text-lg font-semibold text-white pt-2">VRF to VNI Mappings</h4>
+      <div className="space-y-2">
+        {vxlan.vrfVnis.length === 0 && <p className="text-sm text-gray-400">No VRFs mapped.</p>}
+        {vxlan.vrfVnis.map(mapping => (
+          <div key={mapping.vrf} className="p-3 rounded-lg bg-slate-700/50 border border-gray-600">
+            <div className="flex items-center justify-between">
+              <span className="text-white">VRF {mapping.vrf} → VNI {mapping.vni}</span>
+              <Button
+                onClick={() => queueVxlanChange(
+                  () => unmapVrfVni(switchData.id, mapping.vrf),
+                  `Removing the VNI mapping of VRF ${mapping.vrf}`
+                )}
+                variant="ghost"
+                size="sm"
+                className="text-red-400 hover:text-red-300"
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          </div>
+        ))}
+        <div className="flex gap-2">
+          <Input
+            placeholder="VRF"
+            value={newVrfVni.vrf}
+            onChange={(e) => setNewVrfVni({ ...newVrfVni, vrf: e.target.value })}
+            className="bg-slate-800 border-gray-600 text-white"
+          />
+          <Input
+            type="number"
+            placeholder="VNI"
+            value={newVrfVni.vni}
+            onChange={(e) => setNewVrfVni({ ...newVrfVni, vni: e.target.value })}
+            className="bg-slate-800 border-gray-600 text-white"
+          />
+          <Button onClick={handleAddVrfVni} variant="outline" disabled={!newVrfVni.vrf || !newVrfVni.vni}>
+            <Plus className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+
+  const renderFloodLists = () => (
+    <div className="space-y-3">
+      <div>
+        <h4 className="text-lg font-semibold text-white">Static Flood Lists</h4>
+        <p className="text-sm text-gray-400">
+          Remote VTEPs that receive broadcast, unknown unicast and multicast traffic, separated by spaces. A VLAN list replaces the default list for that VLAN.
+        </p>
+      </div>
+      <div className="flex gap-2 items-center">
+        <span className="text-sm text-gray-400 w-20 shrink-0">Default</span>
+        <Input
+          value={floodList}
+          onChange={(e) => setFloodListText(e.target.value)}
+          placeholder="10.255.1.12 10.255.1.13"
+          className="bg-slate-800 border-gray-600 text-white"
+        />
+        <Button
+          size="sm"
+          onClick={handleSaveFloodList}
+          disabled={parseVtepList(floodList).join(' ') === vxlan.floodList.join(' ')}
+          className="bg-green-600 hover:bg-green-700 text-white h-10"
+        >
+          <Save className="h-4 w-4" />
+        </Button>
+      </div>
+      {vxlan.vlanFloodLists.map(list => (
+        <div key={list.vlan} className="flex gap-2 items-center">
+          <span className="text-sm text-gray-400 w-20 shrink-0">VLAN {list.vlan}</span>
+          <Input
+            value={vlanFloodLists[list.vlan] ?? ''}
+            onChange={(e) => setVlanFloodLists(current => ({ ...current, [list.vlan]: e.target.value }))}
+            className="bg-slate-800 border-gray-600 text-white"
+          />
+          <Button
+            size="sm"
+            onClick={() => handleSaveVlanFloodList(list.vlan, vlanFloodLists[list.vlan] ?? '')}
+            disabled={parseVtepList(vlanFloodLists[list.vlan] ?? '').join(' ') === list.vteps.join(' ')}
+            className="bg-green-600 hover:bg-green-700 text-white h-10"
+          >
+            <Save className="h-4 w-4" />
+          </Button>
+        </div>
+      ))}
+      <div className="flex gap-2 items-center">
+        <Input
+          type="number"
+          placeholder="VLAN"
+          value={newVlanFloodList.vlan}
+          onChange={(e) => setNewVlanFloodList({ ...newVlanFloodList, vlan: e.target.value })}
+          className="bg-slate-800 border-gray-600 text-white w-20 shrink-0"
+        />
+        <Input
+          placeholder="VTEP addresses"
+          value={newVlanFloodList.vteps}
+          onChange={(e) => setNewVlanFloodList({ ...newVlanFloodList, vteps: e.target.value })}
+          className="bg-slate-800 border-gray-600 text-white"
+        />
+        <Button
+          onClick={handleAddVlanFloodList}
+          variant="outline"
+          disabled={!newVlanFloodList.vlan || parseVtepList(newVlanFloodList.vteps).length === 0}
+        >
+          <Plus className="h-4 w-4" />
+        </Button>
+      </div>
+    </div>
+  );
 
-const VxlanTab = ({ handleFeatureClick }) => {
   return (
     <Card className="bg-slate-800/30 border-gray-700">
       <CardHeader>
-        <CardTitle className="text-white flex items-center space-x-2">
-          <Globe className="h-5 w-5 text-cyan-400" />
-          <span>VXLAN Configuration</span>
-        </CardTitle>
+        <div className="flex items-center justify-between">
+          <CardTitle className="text-white flex items-center space-x-2">
+            <Globe className="h-5 w-5 text-cyan-400" />
+            <span>VXLAN Configuration</span>
+          </CardTitle>
+          <Button
+            onClick={handleRefresh}
+            size="sm"
+            variant="outline"
+            className="border-cyan-500/30 text-cyan-400"
+            disabled={isRefreshing || loading}
+          >
+            <RefreshCw className={`h-4 w-4 mr-2 ${isRefreshing ? 'animate-spin' : ''}`} />
+            Refresh
+          </Button>
+        </div>
       </CardHeader>
       <CardContent className="space-y-6">
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-          <div className="space-y-4">
-            <h4 className="text-lg font-semibold text-white">VTEP Configuration</h4>
-            <div className="space-y-3">
-              <div>
-                <label className="text-sm text-gray-400">Source Interface</label>
-                <Select onValueChange={() => handleFeatureClick('VTEP Source Interface')}>
-                  <SelectTrigger className="mt-1 bg-slate-800 border-gray-600">
-                    <SelectValue placeholder="Select interface" />
-                  </SelectTrigger>
-                  <SelectContent>
-                    <SelectItem value="loopback0">Loopback0</SelectItem>
-                    <SelectItem value="loopback1">Loopback1</SelectItem>
-                  </SelectContent>
-                </Select>
-              </div>
-              <div>
-                <label className="text-sm text-gray-400">UDP Port</label>
-                <Input 
-                  placeholder="4789" 
-                  className="mt-1 bg-slate-800 border-gray-600"
-                  onClick={() => handleFeatureClick('VXLAN UDP Port')}
-                />
-              </div>
-            </div>
+        {loading ? (
+          // Loading state
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {[1, 2].map(i => (
+              <div key={i} className="h-48 rounded-lg bg-slate-700/30 animate-pulse border border-gray-700"></div>
+            ))}
           </div>
-          
-          <div className="space-y-4">
-            <h4 className="text-lg font-semibold text-white">VNI Mappings</h4>
-            <div className="space-y-3">
-              {[
-                { vni: 10010, vlan: 10 },
-                { vni: 10020, vlan: 20 }
-              ].map((mapping) => (
-                <div key={mapping.vni} className="p-3 rounded-lg bg-slate-700/50 border border-gray-600">
-                  <div className="flex items-center justify-between">
-                    <span className="text-white">VNI {mapping.vni} → VLAN {mapping.vlan}</span>
-                    <Button 
-                      onClick={() => handleFeatureClick('Edit VNI Mapping')}
-                      variant="ghost" 
-                      size="sm"
-                    >
-                      <Eye className="h-4 w-4" />
-                    </Button>
-                  </div>
-                </div>
-              ))}
-            </div>
-            <Button onClick={() => handleFeatureClick('Add VNI Mapping')} variant="outline" className="w-full">
-              <Plus className="h-4 w-4 mr-2" />
-              Add VNI Mapping
+        ) : error ? (
+          // Error state
+          <div className="p-8 text-center rounded-lg border border-red-500/20 bg-red-500/10">
+            <HelpCircle className="mx-auto h-10 w-10 text-red-400 mb-3" />
+            <p className="text-red-200">{error}</p>
+            <Button onClick={handleRefresh} className="mt-4">
+              <RefreshCw className="h-4 w-4 mr-2" />
+              Try Again
             </Button>
           </div>
-        </div>
+        ) : !vxlan.configured ? (
+          // No Vxlan1 yet; setting the source interface creates it
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {renderVtepSettings()}
+            <div className="p-6 rounded-lg border border-gray-700/30 bg-gray-800/20 text-gray-400 text-sm">
+              Vxlan1 is not configured on this switch. Choose a loopback as VTEP source and apply it to create the interface; VNI mappings and flood lists can be added afterwards.
+            </div>
+          </div>
+        ) : (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              {renderVtepSettings()}
+              {renderVniMappings()}
+            </div>
+            {renderFloodLists()}
+            <EvpnSection
+              evpnConfig={evpn.config}
+              evpnRoutes={evpn.routes}
+              vlanVnis={vxlan.vlanVnis}
+              onConfigureVlan={handleConfigureEvpnVlan}
+              onRemoveVlan={handleRemoveEvpnVlan}
+            />
+          </>
+        )}
       </CardContent>
     </Card>
   );
@@ -0,0 +1,131 @@
+/**
+ * Line Diff
+ * Compares two texts line by line and renders the result as a unified diff
+ */
+
+/**
+ * Compute the shortest edit script between two arrays of lines (Myers' algorithm)
+ * @param {Array} a - Old lines
+ * @param {Array} b - New lines
+ * @returns {Array} - Operations `{ type, line }` where type is ' ', '-' or '+'
+ */
+const diffSequences = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Array(2 * max + 3).fill(0);
+  // Snapshot of v[-d-1..d+1] before each step, used to walk the path back
+  const trace = [];
+
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  const ops = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const snapshot = trace[d];
+    const at = (k) => snapshot[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: ' ', line: a[--x] });
+      y--;
+    }
+
+    if (x === prevX) {
+      ops.push({ type: '+', line: b[--y] });
+    } else {
+      ops.push({ type: '-', line: a[--x] });
+    }
+  }
+
+  while (x > 0 && y > 0) {
+    ops.push({ type: ' ', line: a[--x] });
+    y--;
+  }
+
+  return ops.reverse();
+};
+
+/**
+ * Diff two texts line by line
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @param {Object} [options] - Diff options
+ * @param {string} [options.oldLabel='a'] - Name shown for the original text
+ * @param {string} [options.newLabel='b'] - Name shown for the changed text
+ * @param {number} [options.context=3] - Unchanged lines shown around each change
+ * @returns {string} - Unified diff, empty if the texts are identical
+ */
+export const diffLines = (oldText, newText, { oldLabel = 'a', newLabel = 'b', context = 3 } = {}) => {
+  const ops = diffSequences(oldText.split('\n'), newText.split('\n'));
+
+  // Line numbers of each operation in the old and new text
+  let oldLine = 0;
+  let newLine = 0;
+  const numbered = ops.map(op => {
+    const entry = { ...op, oldLine, newLine };
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+    return entry;
+  });
+
+  const changed = numbered.map((op, index) => (op.type === ' ' ? -1 : index)).filter(index => index >= 0);
+
+  if (changed.length === 0) {
+    return '';
+  }
+
+  // Group changes whose context overlaps into one hunk
+  const hunks = [];
+  changed.forEach(index => {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= context * 2 + 1) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  });
+
+  const lines = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+
+  hunks.forEach(({ start, end }) => {
+    const slice = numbered.slice(Math.max(0, start - context), Math.min(numbered.length, end + context + 1));
+    const oldCount = slice.filter(op => op.type !== '+').length;
+    const newCount = slice.filter(op => op.type !== '-').length;
+    const oldStart = oldCount ? slice[0].oldLine + 1 : slice[0].oldLine;
+    const newStart = newCount ? slice[0].newLine + 1 : slice[0].newLine;
+
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    slice.forEach(op => lines.push(`${op.type}${op.line}`));
+  });
+
+  return lines.join('\n');
+};
@@ -0,0 +1,46 @@
+/**
+ * Units
+ * Formats measured values for display
+ */
+
+/**
+ * Format a bit rate with a decimal unit prefix
+ * @param {number} bps - Bits per second
+ * @returns {string} - Rate such as `12.5 Mbps`
+ */
+export const formatBitRate = (bps) => {
+  const units = ['bps', 'Kbps', 'Mbps', 'Gbps', 'Tbps'];
+  let value = bps || 0;
+  let unit = 0;
+
+  while (value >= 1000 && unit < units.length - 1) {
+    value /= 1000;
+    unit++;
+  }
+
+  return `${unit === 0 ? Math.round(value) : value.toFixed(1)} ${units[unit]}`;
+};
+
+/**
+ * Format a clock time of a sample
+ * @param {number} timestamp - Time in milliseconds
+ * @returns {string} - Local time as hours and minutes
+ */
+export const formatSampleTime = (timestamp) => {
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+};
+
+/**
+ * Format a packet or error rate with a decimal unit prefix
+ * @param {number} perSecond - Events per second
+ * @param {string} [unit='pps'] - Unit name appended to the prefix
+ * @returns {string} - Rate such as `1.2 Kpps`
+ */
+export const formatPacketRate = (perSecond, unit = 'pps') => {
+  const value = perSecond || 0;
+
+  if (value >= 1000000) return `${(value / 1000000).toFixed(1)} M${unit}`;
+  if (value >= 1000) return `${(value / 1000).toFixed(1)} K${unit}`;
+  if (value > 0 && value < 10) return `${value.toFixed(value < 1 ? 2 : 1)} ${unit}`;
+  return `${Math.round(value)} ${unit}`;
+};
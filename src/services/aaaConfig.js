@@ -0,0 +1,455 @@
+/**
+ * AAA Configuration Service
+ * Handles retrieving and configuring RADIUS and TACACS+ servers, AAA server groups and the
+ * authentication, authorization and accounting method lists of Arista EOS switches
+ */
+
+import { executeCommands } from './connectionManager';
+import { queueChange } from './changeQueue';
+import { EapiCommandError } from './eapiErrors';
+
+// Server protocols with their configuration keywords and default ports
+export const AAA_PROTOCOLS = {
+  radius: { label: 'RADIUS', keyword: 'radius-server', group: 'radius', ports: { authPort: 1812, acctPort: 1813 } },
+  tacacs: { label: 'TACACS+', keyword: 'tacacs-server', group: 'tacacs+', ports: { port: 49 } }
+};
+
+// Default method lists that can be edited, with the methods each accepts
+// Accounting lists also take the record type (`start-stop`) before the methods.
+export const AAA_METHOD_LISTS = {
+  'authentication-login': { label: 'Login authentication', command: 'aaa authentication login default', methods: ['local', 'none'] },
+  'authentication-enable': { label: 'Enable authentication', command: 'aaa authentication enable default', methods: ['local', 'none'] },
+  'authorization-exec': { label: 'Exec authorization', command: 'aaa authorization exec default', methods: ['local', 'none'] },
+  'authorization-commands': { label: 'Command authorization', command: 'aaa authorization commands all default', methods: ['local', 'none'] },
+  'accounting-exec': { label: 'Exec accounting', command: 'aaa accounting exec default', record: 'start-stop', methods: ['logging'] },
+  'accounting-commands': { label: 'Command accounting', command: 'aaa accounting commands all default', record: 'start-stop', methods: ['logging'] }
+};
+
+// Sections of the running-config holding AAA settings
+const AAA_CONFIG_COMMAND = 'show running-config section aaa|radius-server|tacacs-server';
+
+/**
+ * Get the AAA servers, groups and method lists of a switch with the reachability of each server
+ * Shared secrets are never returned in clear; servers only report whether one is set.
+ * @param {string} switchId - ID of the switch
+ * @returns {Promise<Object>} - Promise resolving to `{ servers, groups, methodLists, globalKeys }`
+ */
+export const getAaaConfig = async (switchId) => {
+  try {
+    if (!switchId) {
+      throw new Error('No switch ID provided');
+    }
+
+    // Server counters come last so the configuration can still be shown without them
+    let results;
+    try {
+      results = await executeCommands(switchId, [AAA_CONFIG_COMMAND, 'show radius', 'show tacacs']);
+    } catch (error) {
+      if (error instanceof EapiCommandError && error.commandIndex > 0) {
+        results = error.partialResults;
+      } else {
+        throw error;
+      }
+    }
+
+    const [runningConfig, radiusStatus, tacacsStatus] = results;
+    const lines = Object.entries(runningConfig?.cmds || {});
+    const counters = [
+      ...parseServerCounters('radius', radiusStatus?.radiusServers),
+      ...parseServerCounters('tacacs', tacacsStatus?.tacacsServers)
+    ];
+
+    return {
+      servers: lines
+        .map(([line]) => parseServerLine(line))
+        .filter(Boolean)
+        .map(server => ({ ...server, ...describeReachability(counters.find(counter => serverKey(counter) === serverKey(server))) })),
+      groups: lines.map(([line, block]) => parseGroupBlock(line, block)).filter(Boolean),
+      methodLists: parseMethodLists(lines.map(([line]) => line)),
+      globalKeys: Object.fromEntries(Object.entries(AAA_PROTOCOLS).map(([protocol, { keyword }]) => [
+        protocol,
+        lines.some(([line]) => line.startsWith(`${keyword} key `))
+      ]))
+    };
+  } catch (error) {
+    console.error('Error getting AAA configuration:', error);
+    throw error;
+  }
+};
+
+/**
+ * Parse a `radius-server host` or `tacacs-server host` line
+ * @param {string} line - Running-config line
+ * @returns {Object|null} - Server settings, or null for other lines
+ */
+const parseServerLine = (line) => {
+  const protocol = Object.keys(AAA_PROTOCOLS).find(candidate => line.startsWith(`${AAA_PROTOCOLS[candidate].keyword} host `));
+  if (!protocol) return null;
+
+  const tokens = line.split(' ').slice(2);
+  const server = {
+    protocol,
+    host: tokens.shift(),
+    vrf: 'default',
+    ...AAA_PROTOCOLS[protocol].ports,
+    timeout: null,
+    retransmit: null,
+    singleConnection: false,
+    hasKey: false,
+    storedKey: null
+  };
+
+  while (tokens.length > 0) {
+    const token = tokens.shift();
+
+    if (token === 'vrf') server.vrf = tokens.shift();
+    else if (token === 'auth-port') server.authPort = parseInt(tokens.shift());
+    else if (token === 'acct-port') server.acctPort = parseInt(tokens.shift());
+    else if (token === 'port') server.port = parseInt(tokens.shift());
+    else if (token === 'timeout') server.timeout = parseInt(tokens.shift());
+    else if (token === 'retransmit') server.retransmit = parseInt(tokens.shift());
+    else if (token === 'single-connection') server.singleConnection = true;
+    else if (token === 'key') {
+      // The key is kept in its encrypted form so the server can be edited without re-entering it
+      const type = /^(0|7|8a)$/.test(tokens[0]) && tokens.length > 1 ? tokens.shift() : '0';
+      server.storedKey = { type, value: tokens.join(' ') };
+      server.hasKey = true;
+      break;
+    }
+  }
+
+  return server;
+};
+
+/**
+ * Parse an `aaa group server` block
+ * @param {string} line - Running-config line
+ * @param {Object} block - Nested configuration of the line
+ * @returns {Object|null} - `{ protocol, name, servers }`, or null for other lines
+ */
+const parseGroupBlock = (line, block) => {
+  const match = line.match(/^aaa group server (radius|tacacs\+) (\S+)$/);
+  if (!match) return null;
+
+  return {
+    protocol: match[1] === 'radius' ? 'radius' : 'tacacs',
+    name: match[2],
+    servers: Object.keys(block?.cmds || {})
+      .map(serverLine => serverLine.match(/^server (\S+)(?:.* vrf (\S+))?/))
+      .filter(Boolean)
+      .map(([, host, vrf]) => ({ host, vrf: vrf || 'default' }))
+  };
+};
+
+/**
+ * Read the editable default method lists
+ * @param {Array} lines - Top-level running-config lines
+ * @returns {Object} - Methods keyed like AAA_METHOD_LISTS, empty when the list is not configured
+ */
+const parseMethodLists = (lines) => {
+  return Object.fromEntries(Object.entries(AAA_METHOD_LISTS).map(([key, list]) => {
+    const line = lines.find(candidate => candidate.startsWith(`${list.command} `));
+    const tokens = line ? line.slice(list.command.length + 1).split(' ') : [];
+    if (list.record && tokens.length > 0) {
+      tokens.shift();
+    }
+
+    const methods = [];
+    while (tokens.length > 0) {
+      const token = tokens.shift();
+      methods.push(token === 'group' ? `group ${tokens.shift()}` : token);
+    }
+
+    return [key, methods];
+  }));
+};
+
+/**
+ * Read the request counters of `show radius` or `show tacacs`
+ * @param {string} protocol - radius or tacacs
+ * @param {Array} servers - Server entries of the command output
+ * @returns {Array} - `{ protocol, host, vrf, sent, received, failures }` per server
+ */
+const parseServerCounters = (protocol, servers) => {
+  return (servers || []).map(server => ({
+    protocol,
+    host: server.serverInfo?.hostname,
+    vrf: server.serverInfo?.vrf || 'default',
+    sent: server.requestsSent ?? server.messagesSent ?? 0,
+    received: server.responsesValid ?? server.messagesReceived ?? 0,
+    failures: (server.timeouts ?? 0) + (server.connectionErrors ?? 0) + (server.connectionFailures ?? 0)
+      + (server.connectionTimeouts ?? 0) + (server.receiveTimeouts ?? 0) + (server.dnsErrors ?? 0)
+  }));
+};
+
+/**
+ * Turn the counters of a server into a reachability status
+ * EOS keeps the counters since boot, so a server that answered before but fails now shows as degraded.
+ * @param {Object} counters - Counters from parseServerCounters, undefined when not reported
+ * @returns {Object} - `{ status, counters }` where status is reachable, degraded, unreachable or unknown
+ */
+const describeReachability = (counters) => {
+  if (!counters || counters.sent === 0) {
+    return { status: 'unknown', counters: counters || null };
+  }
+  if (counters.received === 0) {
+    return { status: 'unreachable', counters };
+  }
+  return { status: counters.failures > 0 ? 'degraded' : 'reachable', counters };
+};
+
+// Servers are identified by protocol, address and VRF
+const serverKey = (server) => `${server.protocol}|${server.host}|${server.vrf}`;
+
+/**
+ * Add a RADIUS or TACACS+ server, or change one that exists
+ * @param {string} switchId - ID of the switch
+ * @param {Object} settings - `{ protocol, host, vrf, authPort, acctPort, port, timeout, retransmit,
+ *   singleConnection, key }`; an empty key keeps the existing server's key or falls back to the global one
+ * @param {Object} [existing=null] - Server returned by getAaaConfig that is being edited
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const setAaaServer = async (switchId, settings, existing = null) => {
+  try {
+    const protocol = getProtocol(settings.protocol);
+    const host = (settings.host || '').trim();
+    const vrf = (settings.vrf || '').trim() || 'default';
+
+    if (!isValidHost(host)) {
+      throw new Error('Invalid server address. Use an IPv4 address or a host name.');
+    }
+    validateVrfName(vrf);
+
+    const options = { ...protocol.ports };
+    Object.keys(protocol.ports).forEach(option => {
+      if (settings[option] !== undefined && settings[option] !== '') {
+        options[option] = validateNumber(settings[option], 1, 65535, 'port');
+      }
+    });
+    const timeout = settings.timeout ? validateNumber(settings.timeout, 1, 1000, 'timeout') : null;
+    const retransmit = settings.protocol === 'radius' && settings.retransmit
+      ? validateNumber(settings.retransmit, 1, 100, 'retransmit count')
+      : null;
+
+    const key = (settings.key || '').trim();
+    if (/\s/.test(key)) {
+      throw new Error('Shared secret cannot contain spaces');
+    }
+    const storedKey = key ? { type: '0', value: key } : existing?.storedKey;
+
+    const server = { protocol: settings.protocol, host, vrf, ...options };
+    const line = [
+      buildServerIdentity(server, settings.protocol === 'tacacs' && settings.singleConnection ? ['single-connection'] : []),
+      timeout ? `timeout ${timeout}` : null,
+      retransmit ? `retransmit ${retransmit}` : null,
+      storedKey ? `key ${storedKey.type} ${storedKey.value}` : null
+    ].filter(Boolean).join(' ');
+
+    // A changed address, VRF or port is a different server on EOS, so the old one is removed
+    const commands = existing && buildServerIdentity(existing) !== buildServerIdentity(server)
+      ? [`no ${buildServerIdentity(existing)}`, line]
+      : [line];
+
+    return queueChange(
+      switchId,
+      `${existing ? 'Update' : 'Add'} ${protocol.label} server ${host}${vrf !== 'default' ? ` in VRF ${vrf}` : ''}`,
+      commands
+    );
+  } catch (error) {
+    console.error('Error setting AAA server:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a RADIUS or TACACS+ server
+ * @param {string} switchId - ID of the switch
+ * @param {Object} server - Server returned by getAaaConfig
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const removeAaaServer = async (switchId, server) => {
+  try {
+    const protocol = getProtocol(server.protocol);
+
+    return queueChange(switchId, `Remove ${protocol.label} server ${server.host}`, [`no ${buildServerIdentity(server)}`]);
+  } catch (error) {
+    console.error(`Error removing AAA server ${server.host}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Build the part of a server line that identifies it: host, VRF and non-default ports
+ * @param {Object} server - Server settings
+ * @param {Array} [flags=[]] - Keywords EOS expects right after the host, such as `single-connection`
+ * @returns {string} - e.g. `radius-server host 10.0.0.5 vrf MGMT auth-port 1645`
+ */
+const buildServerIdentity = (server, flags = []) => {
+  const protocol = AAA_PROTOCOLS[server.protocol];
+  const parts = [`${protocol.keyword} host ${server.host}`, ...flags];
+
+  if (server.vrf && server.vrf !== 'default') {
+    parts.push(`vrf ${server.vrf}`);
+  }
+  if (server.protocol === 'radius') {
+    if (server.authPort !== protocol.ports.authPort) parts.push(`auth-port ${server.authPort}`);
+    if (server.acctPort !== protocol.ports.acctPort) parts.push(`acct-port ${server.acctPort}`);
+  } else if (server.port !== protocol.ports.port) {
+    parts.push(`port ${server.port}`);
+  }
+
+  return parts.join(' ');
+};
+
+/**
+ * Create or replace an AAA server group
+ * @param {string} switchId - ID of the switch
+ * @param {string} protocolName - radius or tacacs
+ * @param {string} name - Group name
+ * @param {Array} servers - Members as `{ host, vrf }`, in the order they are tried
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const setServerGroup = async (switchId, protocolName, name, servers) => {
+  try {
+    const protocol = getProtocol(protocolName);
+    validateGroupName(name);
+
+    if (!Array.isArray(servers) || servers.length === 0) {
+      throw new Error('A server group needs at least one server');
+    }
+    servers.forEach(server => {
+      if (!isValidHost(server.host)) {
+        throw new Error(`Invalid server address: ${server.host}`);
+      }
+    });
+
+    return queueChange(switchId, `Set ${protocol.label} server group ${name}`, [
+      `no aaa group server ${protocol.group} ${name}`,
+      `aaa group server ${protocol.group} ${name}`,
+      ...servers.map(server => `server ${server.host}${server.vrf && server.vrf !== 'default' ? ` vrf ${server.vrf}` : ''}`)
+    ]);
+  } catch (error) {
+    console.error(`Error setting server group ${name}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Remove an AAA server group
+ * @param {string} switchId - ID of the switch
+ * @param {Object} group - Group returned by getAaaConfig
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const removeServerGroup = async (switchId, group) => {
+  try {
+    const protocol = getProtocol(group.protocol);
+
+    return queueChange(switchId, `Remove ${protocol.label} server group ${group.name}`, [
+      `no aaa group server ${protocol.group} ${group.name}`
+    ]);
+  } catch (error) {
+    console.error(`Error removing server group ${group.name}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Set the methods of a default method list
+ * @param {string} switchId - ID of the switch
+ * @param {string} listKey - Key of AAA_METHOD_LISTS
+ * @param {Array} methods - Methods in the order they are tried, e.g. `['group tacacs+', 'local']`;
+ *   empty removes the list so EOS falls back to its default
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const setMethodList = async (switchId, listKey, methods) => {
+  try {
+    const list = AAA_METHOD_LISTS[listKey];
+    if (!list) {
+      throw new Error(`Unknown method list: ${listKey}`);
+    }
+
+    methods.forEach(method => {
+      const group = method.match(/^group (\S+)$/);
+      if (group) {
+        validateGroupName(group[1]);
+      } else if (!list.methods.includes(method)) {
+        throw new Error(`${list.label} does not accept the method "${method}"`);
+      }
+    });
+    if (new Set(methods).size !== methods.length) {
+      throw new Error('Each method can only be listed once');
+    }
+
+    if (methods.length === 0) {
+      return queueChange(switchId, `Remove ${list.label.toLowerCase()} method list`, [`no ${list.command}`]);
+    }
+
+    return queueChange(switchId, `Set ${list.label.toLowerCase()} to ${methods.join(', ')}`, [
+      [list.command, list.record, ...methods].filter(Boolean).join(' ')
+    ]);
+  } catch (error) {
+    console.error(`Error setting method list ${listKey}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get a server protocol
+ * @param {string} protocol - radius or tacacs
+ * @returns {Object} - Entry of AAA_PROTOCOLS
+ */
+const getProtocol = (protocol) => {
+  if (!AAA_PROTOCOLS[protocol]) {
+    throw new Error(`Unknown AAA protocol: ${protocol}`);
+  }
+  return AAA_PROTOCOLS[protocol];
+};
+
+/**
+ * Check that a value is a whole number within a range
+ * @param {*} value - Value to check
+ * @param {number} min - Lowest allowed value
+ * @param {number} max - Highest allowed value
+ * @param {string} name - What the value is, for the error message
+ * @returns {number} - The value as a number
+ */
+const validateNumber = (value, min, max, name) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`Invalid ${name}. Must be between ${min}-${max}.`);
+  }
+  return number;
+};
+
+/**
+ * Check an AAA server group name
+ * The built-in groups `radius` and `tacacs+` are accepted as method list members.
+ * @param {string} name - Group name to validate
+ */
+const validateGroupName = (name) => {
+  if (!/^[A-Za-z0-9][A-Za-z0-9_.+-]{0,63}$/.test(name || '')) {
+    throw new Error('Invalid server group name. Use letters, digits and _ . + - only.');
+  }
+};
+
+/**
+ * Check a VRF name
+ * @param {string} vrf - VRF name to validate
+ */
+const validateVrfName = (vrf) => {
+  if (!/^[A-Za-z0-9_-]{1,100}$/.test(vrf)) {
+    throw new Error('Invalid VRF name');
+  }
+};
+
+/**
+ * Check if a string is an IPv4 address or a host name
+ * @param {string} host - Address to validate
+ * @returns {boolean} - True if valid
+ */
+const isValidHost = (host) => {
+  const ipRegex = /^(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
+  const hostnameRegex = /^(?=.{1,253}$)[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?(\.[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*$/;
+
+  return ipRegex.test(host || '') || (/[A-Za-z]/.test(host || '') && hostnameRegex.test(host));
+};
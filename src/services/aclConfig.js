@@ -0,0 +1,655 @@
+/**
+ * ACL Configuration Service
+ * Handles retrieving and configuring IPv4, IPv6 and MAC access control lists on Arista EOS
+ * switches, and where they are applied: interfaces, the control plane and management services
+ */
+
+import { executeCommands } from './connectionManager';
+import { queueChange } from './changeQueue';
+
+// Address families and the show command and configuration keyword of each
+export const ACL_FAMILIES = {
+  ip: { label: 'IPv4', command: 'show ip access-lists', keyword: 'ip' },
+  ipv6: { label: 'IPv6', command: 'show ipv6 access-lists', keyword: 'ipv6' },
+  mac: { label: 'MAC', command: 'show mac access-lists', keyword: 'mac' }
+};
+
+// Places other than interfaces an ACL can be applied to
+// `path` enters the configuration mode; `direction` says whether `in` is written after the name.
+export const ACL_APPLY_POINTS = {
+  'control-plane': { label: 'Control plane', path: ['system control-plane'], direction: true, families: ['ip', 'ipv6'] },
+  'management-ssh': { label: 'SSH', path: ['management ssh'], direction: true, families: ['ip', 'ipv6'] },
+  'management-api': { label: 'eAPI', path: ['management api http-commands'], direction: false, families: ['ip', 'ipv6'] }
+};
+
+// Gap left between entries by resequencing, so one entry always fits between two others
+const SEQUENCE_STEP = 10;
+
+// Highest sequence number EOS accepts
+const MAX_SEQUENCE = 4294967295;
+
+/**
+ * Get the ACLs of every family with their entries, hit counters and where they are applied
+ * @param {string} switchId - ID of the switch
+ * @returns {Promise<Array>} - Promise resolving to `{ family, name, standard, countersEnabled,
+ *   entries, bindings }` per ACL, sorted by family and name
+ */
+export const getAccessLists = async (switchId) => {
+  try {
+    if (!switchId) {
+      throw new Error('No switch ID provided');
+    }
+
+    const families = Object.keys(ACL_FAMILIES);
+    const results = await executeCommands(switchId, [
+      ...families.map(family => ACL_FAMILIES[family].command),
+      'show running-config section access-group'
+    ]);
+
+    const bindings = parseAccessGroups(results[families.length]);
+
+    return families.flatMap((family, index) => parseAclList(family, results[index]).map(acl => ({
+      ...acl,
+      bindings: bindings.filter(binding => binding.family === family && binding.name === acl.name)
+    })));
+  } catch (error) {
+    console.error('Error getting access lists:', error);
+    throw error;
+  }
+};
+
+/**
+ * Parse the JSON output of `show ip|ipv6|mac access-lists`
+ * EOS wraps IPv6 and MAC lists in their own key on some releases.
+ * @param {string} family - ACL family
+ * @param {Object} output - Command output
+ * @returns {Array} - Parsed ACLs sorted by name
+ */
+const parseAclList = (family, output) => {
+  const aclList = output?.aclList || output?.[`${family}AclList`]?.aclList || [];
+
+  return aclList.map(acl => ({
+    family,
+    name: acl.name,
+    standard: !!acl.standard,
+    readonly: !!acl.readonly,
+    countersEnabled: !!acl.countersEnabled,
+    entries: (acl.sequence || []).map(entry => ({
+      sequence: entry.sequenceNumber,
+      text: entry.text,
+      hits: entry.counterData?.packetCount ?? null,
+      lastHit: entry.counterData?.lastChangedTime ? entry.counterData.lastChangedTime * 1000 : null
+    })).sort((a, b) => a.sequence - b.sequence)
+  })).sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Find every `access-group` line in the structured running-config
+ * @param {Object} runningConfig - JSON output of `show running-config section access-group`
+ * @returns {Array} - `{ family, name, direction, target, path }` per applied ACL, where `path`
+ *   is the configuration mode the line lives in
+ */
+const parseAccessGroups = (runningConfig) => {
+  const bindings = [];
+
+  const visit = (cmds, path) => {
+    Object.entries(cmds || {}).forEach(([line, block]) => {
+      const match = line.match(/^(ip|ipv6|mac) access-group (\S+)(?: (in|out))?$/);
+
+      if (match) {
+        bindings.push({
+          family: match[1],
+          name: match[2],
+          direction: match[3] || 'in',
+          target: describeConfigPath(path),
+          path
+        });
+      } else if (block?.cmds) {
+        visit(block.cmds, [...path, line]);
+      }
+    });
+  };
+
+  visit(runningConfig?.cmds, []);
+  return bindings;
+};
+
+/**
+ * Describe a configuration mode for the user
+ * @param {Array} path - Configuration mode lines, e.g. `['management ssh', 'vrf MGMT']`
+ * @returns {string} - Interface name or apply point label
+ */
+const describeConfigPath = (path) => {
+  const [mode, ...rest] = path;
+  const point = Object.values(ACL_APPLY_POINTS).find(candidate => candidate.path[0] === mode);
+  const base = point ? point.label : mode.replace(/^interface /, '');
+
+  return [base, ...rest].join(' ');
+};
+
+/**
+ * Check one ACL rule before it is pushed
+ * Covers the permit/deny grammar of each family and remarks; the switch still has the last word
+ * on options this check does not know.
+ * @param {string} family - ACL family (ip, ipv6 or mac)
+ * @param {string} rule - Rule text without the sequence number
+ * @param {boolean} [standard=false] - True for a standard ACL, which only matches the source
+ * @returns {string|null} - Problem with the rule, or null if it looks valid
+ */
+export const validateAclRule = (family, rule, standard = false) => {
+  const tokens = String(rule || '').trim().split(/\s+/).filter(Boolean);
+
+  if (tokens.length === 0) {
+    return 'Rule is empty';
+  }
+  if (tokens[0] === 'remark') {
+    return tokens.length > 1 ? null : 'A remark needs text';
+  }
+  if (!['permit', 'deny'].includes(tokens[0])) {
+    return 'Rule must start with permit, deny or remark';
+  }
+
+  if (family === 'mac') {
+    return validateMacRule(tokens.slice(1));
+  }
+  return standard ? validateStandardRule(family, tokens.slice(1)) : validateIpRule(family, tokens.slice(1));
+};
+
+// Protocols accepted by name in IP rules
+const IP_PROTOCOLS = ['ip', 'tcp', 'udp', 'icmp', 'ospf', 'pim', 'vrrp', 'ahp', 'gre', 'igmp', 'sctp'];
+const IPV6_PROTOCOLS = ['ipv6', 'tcp', 'udp', 'icmpv6', 'ospf', 'pim', 'vrrp', 'sctp'];
+
+// Options allowed after the destination, with the number of values each takes
+const IP_OPTIONS = {
+  log: 0,
+  established: 0,
+  fragments: 0,
+  dscp: 1,
+  ttl: 2,
+  'hop-limit': 2,
+  tracked: 0,
+  nexthop_group: 1,
+  'nexthop-group': 1
+};
+
+/**
+ * Validate the body of an IPv4 or IPv6 permit/deny rule
+ * @param {string} family - ip or ipv6
+ * @param {Array} tokens - Tokens after permit/deny
+ * @returns {string|null} - Problem with the rule, or null
+ */
+const validateIpRule = (family, tokens) => {
+  const protocols = family === 'ip' ? IP_PROTOCOLS : IPV6_PROTOCOLS;
+  const protocol = tokens.shift();
+
+  if (!protocol || (!protocols.includes(protocol) && !isIntegerInRange(protocol, 0, 255))) {
+    return `Unknown protocol "${protocol || ''}". Use ${protocols.join(', ')} or a number`;
+  }
+
+  const hasPorts = ['tcp', 'udp', 'sctp'].includes(protocol);
+
+  for (const side of ['source', 'destination']) {
+    const problem = takeIpAddress(family, tokens, side) || (hasPorts ? takePortMatch(tokens) : null);
+    if (problem) return problem;
+  }
+
+  while (tokens.length > 0) {
+    const option = tokens.shift();
+
+    if (IP_OPTIONS[option] === undefined && !(['icmp', 'icmpv6'].includes(protocol) && /^[a-z][a-z0-9-]*$|^\d+$/.test(option))) {
+      return `Unknown option "${option}"`;
+    }
+    if (option === 'established' && protocol !== 'tcp') {
+      return 'established only applies to tcp rules';
+    }
+    if (tokens.length < (IP_OPTIONS[option] || 0)) {
+      return `${option} needs a value`;
+    }
+    tokens.splice(0, IP_OPTIONS[option] || 0);
+  }
+
+  return null;
+};
+
+/**
+ * Validate the body of a standard IPv4 or IPv6 permit/deny rule: a source and an optional log
+ * @param {string} family - ip or ipv6
+ * @param {Array} tokens - Tokens after permit/deny
+ * @returns {string|null} - Problem with the rule, or null
+ */
+const validateStandardRule = (family, tokens) => {
+  const problem = takeIpAddress(family, tokens, 'source');
+  if (problem) return problem;
+
+  const option = tokens.shift();
+  if (option !== undefined && option !== 'log') {
+    return `Unknown option "${option}". Standard ACLs only match the source and accept log`;
+  }
+  return tokens.length > 0 ? `Unexpected "${tokens.join(' ')}" after log` : null;
+};
+
+/**
+ * Take a source or destination address off the front of the tokens
+ * @param {string} family - ip or ipv6
+ * @param {Array} tokens - Remaining tokens, consumed in place
+ * @param {string} side - source or destination, for the message
+ * @returns {string|null} - Problem with the address, or null
+ */
+const takeIpAddress = (family, tokens, side) => {
+  const first = tokens.shift();
+  const isAddress = family === 'ip' ? isValidIpAddress : isValidIpv6Address;
+
+  if (first === 'any') {
+    return null;
+  }
+  if (first === 'host') {
+    return isAddress(tokens.shift()) ? null : `host needs a valid ${ACL_FAMILIES[family].label} ${side} address`;
+  }
+  if (first?.includes('/')) {
+    const [address, length] = first.split('/');
+    return isAddress(address) && isIntegerInRange(length, 0, family === 'ip' ? 32 : 128)
+      ? null
+      : `Invalid ${side} prefix "${first}"`;
+  }
+  // IPv4 also accepts an address followed by a wildcard mask
+  if (family === 'ip' && isValidIpAddress(first) && isValidIpAddress(tokens[0])) {
+    tokens.shift();
+    return null;
+  }
+
+  return `Invalid ${side} "${first || ''}". Use any, host <address> or a prefix`;
+};
+
+/**
+ * Take an optional port match (eq, neq, gt, lt, range) off the front of the tokens
+ * @param {Array} tokens - Remaining tokens, consumed in place
+ * @returns {string|null} - Problem with the ports, or null
+ */
+const takePortMatch = (tokens) => {
+  const operator = tokens[0];
+  const isPort = (value) => isIntegerInRange(value, 0, 65535) || /^[a-z][a-z0-9-]*$/.test(value || '');
+
+  if (['eq', 'neq', 'gt', 'lt'].includes(operator)) {
+    tokens.shift();
+    if (!isPort(tokens[0])) return `${operator} needs a port number or name`;
+    // eq and neq accept several ports
+    do {
+      tokens.shift();
+    } while (['eq', 'neq'].includes(operator) && isIntegerInRange(tokens[0], 0, 65535));
+    return null;
+  }
+
+  if (operator === 'range') {
+    tokens.shift();
+    const [low, high] = tokens.splice(0, 2);
+    if (!isPort(low) || !isPort(high)) return 'range needs two ports';
+    if (isIntegerInRange(low, 0, 65535) && isIntegerInRange(high, 0, 65535) && parseInt(low) > parseInt(high)) {
+      return 'range must go from the lower to the higher port';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Validate the body of a MAC permit/deny rule
+ * @param {Array} tokens - Tokens after permit/deny
+ * @returns {string|null} - Problem with the rule, or null
+ */
+const validateMacRule = (tokens) => {
+  for (const side of ['source', 'destination']) {
+    const first = tokens.shift();
+
+    if (first === 'any') continue;
+    if (first === 'host') {
+      if (!isValidMacAddress(tokens.shift())) return `host needs a valid ${side} MAC address`;
+      continue;
+    }
+    if (!isValidMacAddress(first) || !isValidMacAddress(tokens.shift())) {
+      return `Invalid ${side}. Use any, host <mac> or <mac> <mask> in xxxx.xxxx.xxxx form`;
+    }
+  }
+
+  const protocol = tokens[0];
+  if (protocol && ['arp', 'ip', 'ipv6', 'mpls', 'rarp', 'lldp'].includes(protocol)) {
+    tokens.shift();
+  } else if (protocol && /^(0x[0-9a-f]{1,4}|\d+)$/i.test(protocol)) {
+    tokens.shift();
+  }
+
+  while (tokens.length > 0) {
+    const option = tokens.shift();
+    if (option === 'log') continue;
+    if (option === 'vlan' && isIntegerInRange(tokens[0], 1, 4094)) {
+      tokens.splice(0, /^0x[0-9a-f]+$/i.test(tokens[1] || '') ? 2 : 1);
+      continue;
+    }
+    return `Unknown option "${option}"`;
+  }
+
+  return null;
+};
+
+/**
+ * Create an empty ACL
+ * @param {string} switchId - ID of the switch
+ * @param {string} family - ACL family (ip, ipv6 or mac)
+ * @param {string} name - ACL name
+ * @param {boolean} [standard=false] - True for a standard IPv4 or IPv6 ACL
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const createAccessList = async (switchId, family, name, standard = false) => {
+  try {
+    const command = getAclModeCommand({ family, name, standard });
+
+    return queueChange(
+      switchId,
+      `Create ${standard ? 'standard ' : ''}${ACL_FAMILIES[family].label} ACL ${name}`,
+      [command]
+    );
+  } catch (error) {
+    console.error(`Error creating ACL ${name}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Delete an ACL
+ * @param {string} switchId - ID of the switch
+ * @param {Object} acl - ACL returned by getAccessLists
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const deleteAccessList = async (switchId, acl) => {
+  try {
+    return queueChange(switchId, `Delete ${ACL_FAMILIES[acl.family].label} ACL ${acl.name}`, [
+      `no ${getAclModeCommand(acl)}`
+    ]);
+  } catch (error) {
+    console.error(`Error deleting ACL ${acl.name}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Add an entry to an ACL, or replace the entry with the same sequence number
+ * @param {string} switchId - ID of the switch
+ * @param {Object} acl - ACL returned by getAccessLists
+ * @param {number|null} sequence - Sequence number, null to append after the last entry
+ * @param {string} rule - Rule text without the sequence number
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const setAclEntry = async (switchId, acl, sequence, rule) => {
+  try {
+    const command = getAclModeCommand(acl);
+    const problem = validateAclRule(acl.family, rule, acl.standard);
+    if (problem) {
+      throw new Error(`Invalid rule: ${problem}`);
+    }
+
+    const lastSequence = acl.entries.length > 0 ? acl.entries[acl.entries.length - 1].sequence : 0;
+    const sanitizedSequence = sequence === null || sequence === '' ? lastSequence + SEQUENCE_STEP : parseInt(sequence);
+    if (!isIntegerInRange(sanitizedSequence, 1, MAX_SEQUENCE)) {
+      throw new Error(`Invalid sequence number. Must be between 1-${MAX_SEQUENCE}.`);
+    }
+
+    const text = rule.trim().replace(/\s+/g, ' ');
+    const replaces = acl.entries.some(entry => entry.sequence === sanitizedSequence);
+
+    return queueChange(
+      switchId,
+      `${replaces ? 'Replace' : 'Add'} entry ${sanitizedSequence} of ACL ${acl.name}: ${text}`,
+      [
+        command,
+        ...(replaces ? [`no ${sanitizedSequence}`] : []),
+        `${sanitizedSequence} ${text}`
+      ]
+    );
+  } catch (error) {
+    console.error(`Error setting entry of ACL ${acl.name}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Remove an entry from an ACL
+ * @param {string} switchId - ID of the switch
+ * @param {Object} acl - ACL returned by getAccessLists
+ * @param {number} sequence - Sequence number of the entry
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const removeAclEntry = async (switchId, acl, sequence) => {
+  try {
+    const command = getAclModeCommand(acl);
+
+    return queueChange(switchId, `Remove entry ${sequence} of ACL ${acl.name}`, [
+      command,
+      `no ${parseInt(sequence)}`
+    ]);
+  } catch (error) {
+    console.error(`Error removing entry of ACL ${acl.name}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Move an entry to another position in an ACL
+ * The list is resequenced first so there is a gap on both sides of every entry, then the entry
+ * is re-added in the gap next to its new neighbour and the list is resequenced again.
+ * @param {string} switchId - ID of the switch
+ * @param {Object} acl - ACL returned by getAccessLists
+ * @param {number} fromIndex - Current position of the entry
+ * @param {number} toIndex - New position of the entry
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const moveAclEntry = async (switchId, acl, fromIndex, toIndex) => {
+  try {
+    const command = getAclModeCommand(acl);
+    const entry = acl.entries[fromIndex];
+
+    if (!entry || toIndex < 0 || toIndex >= acl.entries.length || toIndex === fromIndex) {
+      throw new Error('Invalid entry position');
+    }
+
+    // Positions after `resequence 10 10`: entry i has sequence 10 * (i + 1)
+    const resequenced = (index) => SEQUENCE_STEP * (index + 1);
+    const halfStep = SEQUENCE_STEP / 2;
+    const target = toIndex < fromIndex ? resequenced(toIndex) - halfStep : resequenced(toIndex) + halfStep;
+
+    return queueChange(switchId, `Move entry ${entry.sequence} of ACL ${acl.name} to position ${toIndex + 1}`, [
+      command,
+      `resequence ${SEQUENCE_STEP} ${SEQUENCE_STEP}`,
+      `no ${resequenced(fromIndex)}`,
+      `${target} ${entry.text}`,
+      `resequence ${SEQUENCE_STEP} ${SEQUENCE_STEP}`
+    ]);
+  } catch (error) {
+    console.error(`Error moving entry of ACL ${acl.name}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Renumber the entries of an ACL from 10 in steps of 10
+ * @param {string} switchId - ID of the switch
+ * @param {Object} acl - ACL returned by getAccessLists
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const resequenceAccessList = async (switchId, acl) => {
+  try {
+    const command = getAclModeCommand(acl);
+
+    return queueChange(switchId, `Resequence ACL ${acl.name}`, [
+      command,
+      `resequence ${SEQUENCE_STEP} ${SEQUENCE_STEP}`
+    ]);
+  } catch (error) {
+    console.error(`Error resequencing ACL ${acl.name}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Turn per-entry hit counters of an ACL on or off
+ * @param {string} switchId - ID of the switch
+ * @param {Object} acl - ACL returned by getAccessLists
+ * @param {boolean} enabled - True to count hits
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const setAclCounters = async (switchId, acl, enabled) => {
+  try {
+    const command = getAclModeCommand(acl);
+
+    return queueChange(switchId, `${enabled ? 'Enable' : 'Disable'} hit counters of ACL ${acl.name}`, [
+      command,
+      `${enabled ? '' : 'no '}counters per-entry`
+    ]);
+  } catch (error) {
+    console.error(`Error changing counters of ACL ${acl.name}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Apply an ACL to an interface, the control plane or a management service
+ * @param {string} switchId - ID of the switch
+ * @param {Object} acl - ACL returned by getAccessLists
+ * @param {string} target - Interface name or a key of ACL_APPLY_POINTS
+ * @param {string} [direction='in'] - in or out; apply points other than interfaces only filter inbound
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const applyAccessList = async (switchId, acl, target, direction = 'in') => {
+  try {
+    const keyword = getFamilyKeyword(acl.family);
+    const point = ACL_APPLY_POINTS[target];
+
+    if (!['in', 'out'].includes(direction)) {
+      throw new Error('Direction must be in or out');
+    }
+
+    if (point) {
+      if (!point.families.includes(acl.family)) {
+        throw new Error(`${ACL_FAMILIES[acl.family].label} ACLs cannot be applied to ${point.label}`);
+      }
+
+      return queueChange(switchId, `Apply ACL ${acl.name} to ${point.label}`, [
+        ...point.path,
+        `${keyword} access-group ${acl.name}${point.direction ? ' in' : ''}`
+      ]);
+    }
+
+    if (!/^[A-Za-z][A-Za-z-]*[\d/.]+$/.test(target || '')) {
+      throw new Error('Choose an interface or apply point');
+    }
+
+    return queueChange(switchId, `Apply ACL ${acl.name} to ${target} (${direction})`, [
+      `interface ${target}`,
+      `${keyword} access-group ${acl.name} ${direction}`
+    ]);
+  } catch (error) {
+    console.error(`Error applying ACL ${acl.name}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Remove an ACL from a place it is applied to
+ * @param {string} switchId - ID of the switch
+ * @param {Object} binding - Entry of the `bindings` of an ACL returned by getAccessLists
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const unapplyAccessList = async (switchId, binding) => {
+  try {
+    const keyword = getFamilyKeyword(binding.family);
+    const point = Object.values(ACL_APPLY_POINTS).find(candidate => candidate.path[0] === binding.path[0]);
+    const writesDirection = point ? point.direction : true;
+
+    return queueChange(switchId, `Remove ACL ${binding.name} from ${binding.target}`, [
+      ...binding.path,
+      `no ${keyword} access-group ${binding.name}${writesDirection ? ` ${binding.direction}` : ''}`
+    ]);
+  } catch (error) {
+    console.error(`Error removing ACL ${binding.name}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Build the command that enters the configuration mode of an ACL
+ * @param {Object} acl - `{ family, name, standard }`, as returned by getAccessLists
+ * @returns {string} - e.g. `ip access-list standard MGMT`
+ */
+const getAclModeCommand = (acl) => {
+  const keyword = getFamilyKeyword(acl.family);
+  validateAclName(acl.name);
+
+  if (acl.standard && acl.family === 'mac') {
+    throw new Error('MAC ACLs cannot be standard');
+  }
+  return `${keyword} access-list ${acl.standard ? 'standard ' : ''}${acl.name}`;
+};
+
+/**
+ * Get the configuration keyword of an ACL family
+ * @param {string} family - ACL family
+ * @returns {string} - ip, ipv6 or mac
+ */
+const getFamilyKeyword = (family) => {
+  if (!ACL_FAMILIES[family]) {
+    throw new Error(`Unknown ACL family: ${family}`);
+  }
+  return ACL_FAMILIES[family].keyword;
+};
+
+/**
+ * Check an ACL name
+ * @param {string} name - ACL name to validate
+ */
+const validateAclName = (name) => {
+  if (!/^[A-Za-z0-9][A-Za-z0-9_.:-]{0,99}$/.test(name || '')) {
+    throw new Error('Invalid ACL name. Use letters, digits and _ . : - only.');
+  }
+};
+
+/**
+ * Check that a value is an integer within a range
+ * @param {*} value - Value to check
+ * @param {number} min - Lowest allowed value
+ * @param {number} max - Highest allowed value
+ * @returns {boolean} - True if the value is in range
+ */
+const isIntegerInRange = (value, min, max) => {
+  const number = Number(value);
+  return /^\d+$/.test(String(value)) && number >= min && number <= max;
+};
+
+/**
+ * Check if a string is a valid IP address
+ * @param {string} ip - IP address to validate
+ * @returns {boolean} - True if valid IP address
+ */
+const isValidIpAddress = (ip) => {
+  const ipRegex = /^(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
+  return ipRegex.test(ip);
+};
+
+/**
+ * Check if a string is a valid IPv6 address
+ * @param {string} ip - IPv6 address to validate
+ * @returns {boolean} - True if valid IPv6 address
+ */
+const isValidIpv6Address = (ip) => {
+  if (!/^[0-9a-fA-F:]+$/.test(ip || '') || (ip.match(/::/g) || []).length > 1) {
+    return false;
+  }
+
+  const groups = ip.split(':');
+  const compressed = ip.includes('::');
+  return groups.every(group => group.length <= 4) && (compressed ? groups.length <= 8 : groups.length === 8);
+};
+
+/**
+ * Check if a string is a MAC address in EOS dotted form
+ * @param {string} mac - MAC address to validate
+ * @returns {boolean} - True if valid
+ */
+const isValidMacAddress = (mac) => /^[0-9a-fA-F]{4}\.[0-9a-fA-F]{4}\.[0-9a-fA-F]{4}$/.test(mac || '');
@@ -0,0 +1,144 @@
+/**
+ * Alert Service
+ * Reads and changes alerts and alert rules through the API server, and keeps the open
+ * alerts of the fleet in memory for the dashboard
+ *
+ * The API server evaluates the rules itself; the dashboard only reloads what it raised.
+ */
+
+import { callApi } from './apiClient';
+
+// Milliseconds between two reloads of the open alerts
+const SYNC_INTERVAL_MS = 30 * 1000;
+
+let syncTimer = null;
+
+// Active and acknowledged alerts of every switch, newest first
+let openAlerts = [];
+
+// Listeners notified with the open alerts whenever they change
+const listeners = new Set();
+
+/**
+ * Notify listeners of the current open alerts
+ */
+const notifyListeners = () => {
+  listeners.forEach(listener => listener(openAlerts));
+};
+
+/**
+ * Subscribe to changes of the open alerts
+ * @param {Function} listener - Called with the open alerts after every change
+ * @returns {Function} - Function that removes the subscription
+ */
+export const subscribeToAlerts = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Get the open alerts held in memory
+ * @returns {Array} - Active and acknowledged alerts, newest first
+ */
+export const getOpenAlerts = () => openAlerts;
+
+/**
+ * Reload the open alerts of every switch from the API server
+ * @returns {Promise<Array>} - Promise resolving to the open alerts
+ */
+export const loadOpenAlerts = async () => {
+  try {
+    const { alerts } = await callApi('/alerts', { method: 'GET' });
+    openAlerts = alerts;
+    notifyListeners();
+    return openAlerts;
+  } catch (error) {
+    console.error('Error loading alerts:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the alert history of a switch
+ * @param {string} switchId - ID of the switch (inventory entry ID)
+ * @returns {Promise<Array>} - Promise resolving to its alerts, newest first
+ */
+export const getAlertHistory = async (switchId) => {
+  try {
+    const { alerts } = await callApi(`/alerts/${encodeURIComponent(switchId)}`, { method: 'GET' });
+    return alerts;
+  } catch (error) {
+    console.error('Error loading alert history:', error);
+    throw error;
+  }
+};
+
+/**
+ * Mark an active alert as seen; the API server records the logged-in user
+ * @param {Object} alert - Alert to acknowledge
+ * @returns {Promise<Object>} - Promise resolving to the updated alert
+ */
+export const acknowledgeAlert = async (alert) => {
+  try {
+    const { alert: updated } = await callApi(
+      `/alerts/${encodeURIComponent(alert.switchId)}/${encodeURIComponent(alert.id)}/acknowledge`
+    );
+
+    openAlerts = openAlerts.map(candidate => (candidate.id === updated.id ? updated : candidate));
+    notifyListeners();
+
+    return updated;
+  } catch (error) {
+    console.error('Error acknowledging alert:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the alert rules
+ * @returns {Promise<Array>} - Promise resolving to `{ id, name, enabled, severity, threshold, samples }` per rule
+ */
+export const getAlertRules = async () => {
+  try {
+    const { rules } = await callApi('/alerts/rules', { method: 'GET' });
+    return rules;
+  } catch (error) {
+    console.error('Error loading alert rules:', error);
+    throw error;
+  }
+};
+
+/**
+ * Change the settings of alert rules
+ * @param {Array} rules - `{ id, enabled, severity, threshold, samples }` of the rules to change
+ * @returns {Promise<Array>} - Promise resolving to all rules after the change
+ */
+export const saveAlertRules = async (rules) => {
+  try {
+    const { rules: saved } = await callApi('/alerts/rules', { method: 'PUT', body: { rules } });
+    return saved;
+  } catch (error) {
+    console.error('Error saving alert rules:', error);
+    throw error;
+  }
+};
+
+/**
+ * Load the open alerts now and reload them periodically
+ * Calling it again while running has no effect.
+ */
+export const startAlertSync = () => {
+  if (syncTimer) return;
+
+  const reload = () => loadOpenAlerts().catch(() => null);
+  reload();
+  syncTimer = setInterval(reload, SYNC_INTERVAL_MS);
+};
+
+/**
+ * Stop reloading the open alerts
+ */
+export const stopAlertSync = () => {
+  clearInterval(syncTimer);
+  syncTimer = null;
+};
@@ -0,0 +1,79 @@
+/**
+ * API Client
+ * Sends requests from the browser to the application's API server
+ */
+
+// Base URL of the API server
+export const API_BASE = import.meta.env.VITE_API_BASE || '/api';
+
+// Milliseconds before a request is given up; longer than the server's own eAPI timeout
+export const DEFAULT_TIMEOUT_MS = parseInt(import.meta.env.VITE_API_TIMEOUT_MS) || 30000;
+
+/**
+ * Check whether an error comes from a request cancelled by the caller
+ * @param {Error} error - Error to check
+ * @returns {boolean} - True if the request was aborted through its signal
+ */
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+/**
+ * Send a request to the API server
+ * @param {string} path - Path relative to the API base URL
+ * @param {Object} [options] - Request options
+ * @param {string} [options.method='POST'] - HTTP method
+ * @param {Object} [options.body] - JSON body to send
+ * @param {AbortSignal} [options.signal] - Signal that cancels the request
+ * @param {number} [options.timeoutMs=DEFAULT_TIMEOUT_MS] - Milliseconds before the request times out
+ * @returns {Promise<Object>} - Promise resolving to the parsed response body
+ */
+export const callApi = async (path, { method = 'POST', body, signal, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) => {
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const cancel = () => controller.abort();
+
+  if (signal?.aborted) {
+    controller.abort();
+  }
+  signal?.addEventListener('abort', cancel);
+
+  let response;
+  let data;
+
+  try {
+    response = await fetch(`${API_BASE}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: controller.signal
+    });
+
+    data = await response.json().catch(() => null);
+    // An abort while the body was read leaves no usable data
+    controller.signal.throwIfAborted();
+  } catch (error) {
+    if (timedOut) {
+      const timeoutError = new Error(`Request timed out after ${timeoutMs / 1000}s`);
+      timeoutError.name = 'TimeoutError';
+      throw timeoutError;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', cancel);
+  }
+
+  if (!response.ok) {
+    const error = new Error(data?.error?.message || `HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return data;
+};
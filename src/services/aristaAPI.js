@@ -1,145 +1,216 @@
 /**
  * Arista EOS API Service
- * Handles communication with Arista switches via eAPI
+ * Handles communication with Arista switches via eAPI, relayed through the API server
  */
 
+import { callApi, isAbortError, DEFAULT_TIMEOUT_MS } from './apiClient';
+import { EapiCommandError, createEapiCommandError } from './eapiErrors';
+import { normalizeCounters } from './counterRates';
+
+// Retries of a failed show-only batch, and the delay before the first one (doubled for each next)
+const SHOW_COMMAND_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+
 /**
- * Creates an authenticated API connection to an Arista switch
- * @param {string} ipAddress - IP address of the switch
- * @param {string} username - Username for authentication
- * @param {string} password - Password for authentication
- * @param {string} protocol - Protocol to use (http or https)
- * @returns {Object} - Connection object with auth headers and methods
+ * Check whether every command in a batch is a show command, which is safe to send twice
+ * @param {Array} commands - EOS commands, each a string or `{ cmd, revision, input }`
+ * @returns {boolean} - True if the batch only reads state
  */
-export const connectToSwitch = async (ipAddress, username, password, protocol = 'http') => {
-  const baseUrl = `${protocol}://${ipAddress}/command-api`;
-  
-  // Create headers for authentication
-  const headers = {
-    'Content-Type': 'application/json',
-  };
-  
-  // Test the connection with a simple command
-  try {
-    const response = await fetch(baseUrl, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify({
-        jsonrpc: '2.0',
-        method: 'runCmds',
-        params: {
-          version: 1,
-          cmds: ['show version'],
-          format: 'json',
+const isShowOnly = (commands) => {
+  return commands.every(command => {
+    const text = typeof command === 'string' ? command : command.cmd;
+    return text.trim().toLowerCase().startsWith('show');
+  });
+};
+
+/**
+ * Check whether a failed request may succeed when sent again
+ * Cancelled requests, EOS command errors and client errors (unknown session, locked vault) are final.
+ * @param {Error} error - Error of the failed attempt
+ * @returns {boolean} - True if the request is worth retrying
+ */
+const isRetryable = (error) => {
+  if (isAbortError(error) || error instanceof EapiCommandError) {
+    return false;
+  }
+
+  return error.status === undefined || error.status >= 500;
+};
+
+/**
+ * Wait before the next attempt, stopping early if the request is cancelled
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Signal that cancels the wait
+ * @returns {Promise} - Promise that resolves after the delay
+ */
+const waitForRetry = (ms, signal) => {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+};
+
+/**
+ * Run commands through a switch session and unwrap the eAPI result
+ * Show-only batches are retried with exponential backoff when the switch or the API server
+ * does not answer; batches that change configuration are sent once.
+ * @param {string} sessionId - ID of the session on the API server
+ * @param {Array} commands - EOS commands, each a string or `{ cmd, revision, input }`
+ * @param {Object} [options] - eAPI request options
+ * @param {string} [options.format='json'] - Output format (json or text)
+ * @param {boolean} [options.includeErrorDetail=false] - Ask the switch for detailed error information
+ * @param {AbortSignal} [options.signal] - Signal that cancels the request
+ * @param {number} [options.timeoutMs=DEFAULT_TIMEOUT_MS] - Milliseconds before an attempt times out
+ * @param {number} [options.retries] - Retries after a failed attempt, defaults to 2 for show-only batches
+ * @returns {Promise<Array>} - Promise resolving to the per-command results
+ * @throws {EapiCommandError} - If a command fails, with the results of the commands before it
+ */
+const runSessionCommands = async (sessionId, commands, options = {}) => {
+  const {
+    format = 'json',
+    includeErrorDetail = false,
+    signal,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    retries = isShowOnly(commands) ? SHOW_COMMAND_RETRIES : 0
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const data = await callApi(`/switches/${encodeURIComponent(sessionId)}/run`, {
+        body: {
+          cmds: commands,
+          format,
+          includeErrorDetail,
         },
-        id: 'EOS-API-1',
-        auth: { username, password }
-      })
-    });
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+        signal,
+        timeoutMs
+      });
+      
+      if (data.error) {
+        throw createEapiCommandError(data.error, commands);
+      }
+      
+      return data.result;
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
+      }
+
+      console.warn(`Retrying commands after attempt ${attempt + 1} failed:`, error.message);
+      await waitForRetry(RETRY_BASE_DELAY_MS * 2 ** attempt, signal);
     }
+  }
+};
+
+/**
+ * Build the connection object for a session opened on the API server
+ * @param {string} sessionId - ID of the session on the API server
+ * @returns {Object} - Connection object with command methods
+ */
+const createSessionConnection = (sessionId) => {
+  return {
+    sessionId,
     
-    const data = await response.json();
+    /**
+     * Execute commands on the switch
+     * A command is either a string or `{ cmd, revision }` to pin the JSON model revision it returns.
+     * @param {Array} commands - Array of EOS commands to execute
+     * @param {Object} [options] - Execution options
+     * @param {string} [options.format='json'] - Output format (json or text)
+     * @param {boolean} [options.includeErrorDetail=false] - Ask the switch for detailed error information
+     * @param {AbortSignal} [options.signal] - Signal that cancels the request
+     * @param {number} [options.timeoutMs] - Milliseconds before an attempt times out
+     * @param {number} [options.retries] - Retries after a failed attempt
+     * @returns {Promise} - Promise that resolves with command results
+     */
+    runCommands: async (commands, options = {}) => {
+      try {
+        return await runSessionCommands(sessionId, commands, options);
+      } catch (error) {
+        console.error("Error executing commands:", error);
+        throw error;
+      }
+    },
     
-    if (data.error) {
-      throw new Error(`API Error: ${data.error.message}`);
-    }
+    /**
+     * Get detailed information about the switch
+     * @param {Object} [options] - Request options, as for runCommands
+     * @returns {Promise} - Promise that resolves with switch information
+     */
+    getSwitchInfo: async (options = {}) => {
+      try {
+        return await runSessionCommands(sessionId, [
+          'show version',
+          'show hostname',
+          'show interfaces status',
+          'show ip interface brief',
+          'show system environment temperature',
+          'show system environment cooling',
+          'show processes top once',
+          'show interfaces counters',
+          'show interfaces counters errors',
+        ], options);
+      } catch (error) {
+        console.error("Error getting switch information:", error);
+        throw error;
+      }
+    },
     
-    // Return the connection with useful methods
-    return {
-      baseUrl,
-      headers,
-      auth: { username, password },
-      
-      /**
-       * Execute commands on the switch
-       * @param {Array} commands - Array of EOS commands to execute
-       * @returns {Promise} - Promise that resolves with command results
-       */
-      runCommands: async (commands) => {
-        try {
-          const cmdResponse = await fetch(baseUrl, {
-            method: 'POST',
-            headers,
-            body: JSON.stringify({
-              jsonrpc: '2.0',
-              method: 'runCmds',
-              params: {
-                version: 1,
-                cmds: commands,
-                format: 'json',
-              },
-              id: 'EOS-API-CMD',
-              auth: { username, password }
-            })
-          });
-          
-          if (!cmdResponse.ok) {
-            throw new Error(`HTTP error! status: ${cmdResponse.status}`);
-          }
-          
-          const cmdData = await cmdResponse.json();
-          
-          if (cmdData.error) {
-            throw new Error(`API Error: ${cmdData.error.message}`);
-          }
-          
-          return cmdData.result;
-        } catch (error) {
-          console.error("Error executing commands:", error);
-          throw error;
-        }
-      },
-      
-      /**
-       * Get detailed information about the switch
-       * @returns {Promise} - Promise that resolves with switch information
-       */
-      getSwitchInfo: async () => {
-        try {
-          const info = await fetch(baseUrl, {
-            method: 'POST',
-            headers,
-            body: JSON.stringify({
-              jsonrpc: '2.0',
-              method: 'runCmds',
-              params: {
-                version: 1,
-                cmds: [
-                  'show version',
-                  'show hostname',
-                  'show interfaces status',
-                  'show ip interface brief',
-                  'show system environment temperature',
-                  'show system environment cooling',
-                  'show processes top once',
-                ],
-                format: 'json',
-              },
-              id: 'EOS-API-INFO',
-              auth: { username, password }
-            })
-          });
-          
-          if (!info.ok) {
-            throw new Error(`HTTP error! status: ${info.status}`);
-          }
-          
-          const infoData = await info.json();
-          
-          if (infoData.error) {
-            throw new Error(`API Error: ${infoData.error.message}`);
-          }
-          
-          return infoData.result;
-        } catch (error) {
-          console.error("Error getting switch information:", error);
-          throw error;
-        }
+    /**
+     * Close the session on the API server
+     * @returns {Promise} - Promise that resolves once the session is closed
+     */
+    close: async () => {
+      try {
+        await callApi(`/switches/${encodeURIComponent(sessionId)}`, { method: 'DELETE' });
+      } catch (error) {
+        console.error("Error closing switch session:", error);
       }
-    };
+    }
+  };
+};
+
+/**
+ * Creates an API connection to an Arista switch through the API server
+ * @param {string} ipAddress - IP address of the switch
+ * @param {string} credentialRef - ID of the credential profile to log in with
+ * @param {string} protocol - Protocol to use (http or https)
+ * @returns {Object} - Connection object with command methods
+ */
+export const connectToSwitch = async (ipAddress, credentialRef, protocol = 'http') => {
+  try {
+    // The server tests the connection before handing back a session
+    const { id: sessionId } = await callApi('/switches', {
+      body: { ipAddress, credentialRef, protocol }
+    });
+    
+    return createSessionConnection(sessionId);
+  } catch (error) {
+    console.error("Connection error:", error);
+    throw error;
+  }
+};
+
+/**
+ * Creates an API connection to a switch from the inventory, using its credential profile
+ * @param {string} inventoryId - ID of the inventory entry
+ * @returns {Object} - Connection object with command methods
+ */
+export const connectToStoredSwitch = async (inventoryId) => {
+  try {
+    const { id: sessionId } = await callApi('/switches', {
+      body: { inventoryId }
+    });
+    
+    return createSessionConnection(sessionId);
   } catch (error) {
     console.error("Connection error:", error);
     throw error;
@@ -174,6 +245,12 @@ export const processSwitchData = (rawData) => {
   // Extract CPU usage from top processes (seventh command)
   const processesData = rawData[6];
   
+  // Extract traffic counters (eighth command)
+  const countersData = rawData[7];
+  
+  // Extract error counters (ninth command)
+  const errorCountersData = rawData[8];
+  
   // Count active interfaces
   const activeInterfaces = Object.values(interfacesData.interfaceStatuses || {}).filter(
     intf => intf.linkStatus === 'connected'
@@ -192,20 +269,25 @@ export const processSwitchData = (rawData) => {
   const memoryFree = processesData?.memFree || 0;
   const memoryUsage = Math.round(((memoryTotal - memoryFree) / memoryTotal) * 100);
   
-  // Get average temperature
-  let avgTemp = 0;
-  let tempCount = 0;
-  
-  if (temperatureData.sensors) {
-    Object.values(temperatureData.sensors).forEach(sensor => {
-      if (sensor.temperature && !isNaN(sensor.temperature)) {
-        avgTemp += sensor.temperature;
-        tempCount++;
-      }
-    });
-  }
+  // Collect temperature sensors with their overheat thresholds; EOS lists them in `tempSensors`,
+  // older releases in a `sensors` map
+  const temperatureSensors = [
+    ...(temperatureData.tempSensors || []).map(sensor => ({
+      name: sensor.name,
+      temperature: sensor.currentTemperature,
+      threshold: sensor.overheatThreshold || null
+    })),
+    ...Object.entries(temperatureData.sensors || {}).map(([name, sensor]) => ({
+      name,
+      temperature: sensor.temperature,
+      threshold: sensor.overheatThreshold || null
+    }))
+  ].filter(sensor => sensor.temperature && !isNaN(sensor.temperature));
   
-  const temperature = tempCount > 0 ? Math.round(avgTemp / tempCount) : 0;
+  // Get average temperature
+  const temperature = temperatureSensors.length > 0
+    ? Math.round(temperatureSensors.reduce((total, sensor) => total + sensor.temperature, 0) / temperatureSensors.length)
+    : 0;
   
   // Find management IP
   const managementIp = ipInterfaceData.interfaces.Management1?.interfaceAddress?.ipAddr?.address || '';
@@ -213,22 +295,30 @@ export const processSwitchData = (rawData) => {
   // Format uptime
   const uptime = formatUptime(versionData.uptime);
   
+  // Merge traffic and error counters into the standard counter format
+  const errorCounters = errorCountersData?.interfaceErrorCounters || {};
+  const interfaceCounters = {};
+  Object.entries(countersData?.interfaces || {}).forEach(([name, counters]) => {
+    interfaceCounters[name] = normalizeCounters({ ...counters, ...errorCounters[name] });
+  });
+  
   return {
     id: versionData.serialNumber || Math.random().toString(36).substring(7),
     hostname: hostnameData.hostname || 'Unknown',
     model: versionData.modelName || 'Unknown',
     ipAddress: managementIp,
-    status: 'online', // We assume online since we got data
     uptime,
     cpuUsage: Math.min(Math.round(cpuUsage), 100), // Cap at 100%
     memoryUsage,
     temperature,
+    temperatureSensors,
     activeInterfaces,
     totalInterfaces,
     version: versionData.version || 'Unknown',
     serialNumber: versionData.serialNumber || 'Unknown',
     systemMacAddress: versionData.systemMacAddress || 'Unknown',
-    interfaces: interfacesData.interfaceStatuses || {}
+    interfaces: interfacesData.interfaceStatuses || {},
+    interfaceCounters
   };
 };
 
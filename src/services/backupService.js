@@ -0,0 +1,73 @@
+/**
+ * Backup Service
+ * Takes running-config backups through the API server and reads their version history
+ */
+
+import { callApi } from './apiClient';
+
+/**
+ * Get the backup history and schedule of a switch
+ * @param {string} switchId - ID of the switch (inventory entry ID)
+ * @returns {Promise<Object>} - Promise resolving to `{ schedule, versions }`, versions newest first
+ */
+export const getBackups = async (switchId) => {
+  try {
+    return await callApi(`/backups/${encodeURIComponent(switchId)}`, { method: 'GET' });
+  } catch (error) {
+    console.error('Error loading backups:', error);
+    throw error;
+  }
+};
+
+/**
+ * Snapshot the running-config of a switch now
+ * @param {string} switchId - ID of the switch (inventory entry ID)
+ * @returns {Promise<Object>} - Promise resolving to the stored version's metadata
+ */
+export const takeBackup = async (switchId) => {
+  try {
+    const data = await callApi(`/backups/${encodeURIComponent(switchId)}`);
+    return data.version;
+  } catch (error) {
+    console.error('Error taking backup:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get one stored version including its config text
+ * @param {string} switchId - ID of the switch (inventory entry ID)
+ * @param {string} versionId - ID of the version
+ * @returns {Promise<Object>} - Promise resolving to the version
+ */
+export const getBackupVersion = async (switchId, versionId) => {
+  try {
+    const data = await callApi(
+      `/backups/${encodeURIComponent(switchId)}/versions/${encodeURIComponent(versionId)}`,
+      { method: 'GET' }
+    );
+    return data.version;
+  } catch (error) {
+    console.error(`Error loading backup ${versionId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Set how often a switch is backed up automatically
+ * @param {string} switchId - ID of the switch (inventory entry ID)
+ * @param {number} intervalMinutes - Minutes between scheduled backups, 0 to disable
+ * @returns {Promise<Object>} - Promise resolving to the updated schedule
+ */
+export const setBackupSchedule = async (switchId, intervalMinutes) => {
+  try {
+    const data = await callApi(`/backups/${encodeURIComponent(switchId)}/schedule`, {
+      method: 'PUT',
+      body: { intervalMinutes }
+    });
+    return data.schedule;
+  } catch (error) {
+    console.error('Error updating backup schedule:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,135 @@
+/**
+ * Change Queue Service
+ * Collects configuration edits per switch so they can be reviewed and applied together
+ */
+
+import { stageConfig } from './configSession';
+
+// Pending changes keyed by switch ID: [{ id, description, commands, createdAt }]
+const queues = new Map();
+
+// Listeners notified whenever a queue changes: { switchId, listener }
+const listeners = new Set();
+
+/**
+ * Notify subscribers of one switch that its queue changed
+ * @param {string} switchId - ID of the switch
+ */
+const notifyListeners = (switchId) => {
+  const changes = getPendingChanges(switchId);
+  listeners.forEach(subscription => {
+    if (subscription.switchId === switchId) {
+      subscription.listener(changes);
+    }
+  });
+};
+
+/**
+ * Subscribe to the pending changes of a switch
+ * @param {string} switchId - ID of the switch
+ * @param {Function} listener - Called with the switch's pending changes on every change
+ * @returns {Function} - Function that removes the subscription
+ */
+export const subscribeToChangeQueue = (switchId, listener) => {
+  const subscription = { switchId, listener };
+  listeners.add(subscription);
+  return () => listeners.delete(subscription);
+};
+
+/**
+ * Get the pending changes of a switch
+ * @param {string} switchId - ID of the switch
+ * @returns {Array} - Pending changes in the order they were queued
+ */
+export const getPendingChanges = (switchId) => {
+  return queues.get(switchId) || [];
+};
+
+/**
+ * Queue a configuration change for a switch
+ * @param {string} switchId - ID of the switch
+ * @param {string} description - Human readable summary of the change
+ * @param {Array} commands - Configuration commands, without `configure`/`end`
+ * @returns {Object} - The queued change
+ */
+export const queueChange = (switchId, description, commands) => {
+  if (!switchId) {
+    throw new Error('No switch ID provided');
+  }
+
+  if (!Array.isArray(commands) || commands.length === 0) {
+    throw new Error('Configuration commands must be provided as a non-empty array');
+  }
+
+  const change = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    description,
+    commands,
+    createdAt: new Date().toISOString()
+  };
+
+  queues.set(switchId, [...getPendingChanges(switchId), change]);
+  notifyListeners(switchId);
+  return change;
+};
+
+/**
+ * Remove one pending change
+ * @param {string} switchId - ID of the switch
+ * @param {string} changeId - ID of the queued change
+ */
+export const removePendingChange = (switchId, changeId) => {
+  queues.set(switchId, getPendingChanges(switchId).filter(change => change.id !== changeId));
+  notifyListeners(switchId);
+};
+
+/**
+ * Discard all pending changes of a switch
+ * @param {string} switchId - ID of the switch
+ */
+export const clearPendingChanges = (switchId) => {
+  queues.delete(switchId);
+  notifyListeners(switchId);
+};
+
+/**
+ * Stage every pending change of a switch in one configuration session
+ * Committing the returned session applies the whole queue atomically.
+ * @param {string} switchId - ID of the switch
+ * @returns {Promise<Object>} - Promise with the staged configuration session `{ sessionName, diff }`
+ */
+export const stagePendingChanges = async (switchId) => {
+  const changes = getPendingChanges(switchId);
+
+  if (changes.length === 0) {
+    throw new Error('There are no pending changes to apply');
+  }
+
+  try {
+    const stagedSession = await stageConfig(switchId, changes.map(change => change.commands));
+    return { ...stagedSession, changeIds: changes.map(change => change.id) };
+  } catch (error) {
+    console.error('Error staging pending changes:', error);
+    throw error;
+  }
+};
+
+/**
+ * Drop changes from the queue once the session holding them was committed
+ * Changes queued while the session was being reviewed are kept.
+ * @param {string} switchId - ID of the switch
+ * @param {Array} changeIds - IDs of the committed changes
+ */
+export const markChangesApplied = (switchId, changeIds) => {
+  queues.set(switchId, getPendingChanges(switchId).filter(change => !changeIds.includes(change.id)));
+  notifyListeners(switchId);
+};
+
+/**
+ * Hide shared secrets and passwords in a configuration command before it is displayed
+ * @param {string} command - Configuration command
+ * @returns {string} - Command with the value after `key`, `secret` or `password` masked
+ */
+export const maskSecrets = (command) => {
+  return command.replace(/(^|\s)(key|secret|password)((?:\s+(?:0|5|7|8a|sha512))?)\s+\S+/g, '$1$2$3 ********');
+};
@@ -4,6 +4,7 @@
  */
 
 import { executeCommands } from './connectionManager';
+import { queueChange } from './changeQueue';
 
 /**
  * Execute CLI command(s) on a switch
@@ -53,10 +54,11 @@ export const executeShowCommand = async (switchId, command) => {
 };
 
 /**
- * Execute a configuration command sequence
+ * Queue a configuration command sequence
+ * The commands are applied together with the switch's other pending changes.
  * @param {string} switchId - ID of the switch
  * @param {Array} configCommands - Configuration commands to execute
- * @returns {Promise<Object>} - Promise with command result
+ * @returns {Promise<Object>} - Promise with the queued change
  */
 export const executeConfigCommands = async (switchId, configCommands) => {
   try {
@@ -64,14 +66,7 @@ export const executeConfigCommands = async (switchId, configCommands) => {
       throw new Error('Configuration commands must be provided as a non-empty array');
     }
     
-    // Wrap commands in configure/end
-    const cmdArray = [
-      'configure',
-      ...configCommands,
-      'end'
-    ];
-    
-    return await executeCommands(switchId, cmdArray);
+    return queueChange(switchId, `CLI: ${configCommands.length} configuration command${configCommands.length === 1 ? '' : 's'}`, configCommands);
   } catch (error) {
     console.error('Error executing configuration commands:', error);
     throw error;
@@ -0,0 +1,223 @@
+/**
+ * Configuration Session Service
+ * Stages configuration changes in an EOS configuration session so they can be reviewed
+ * as a diff against running-config before being committed or aborted
+ */
+
+import { executeCommands } from './connectionManager';
+
+/**
+ * Generate a unique configuration session name
+ * @returns {string} - Session name
+ */
+const createSessionName = () => {
+  return `aem-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+};
+
+/**
+ * Format a number of seconds as the `hh:mm:ss` argument of `commit timer`
+ * @param {number} seconds - Timer length in seconds
+ * @returns {string} - Timer in hh:mm:ss form
+ */
+const formatCommitTimer = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return [hours, minutes, seconds % 60].map(part => String(part).padStart(2, '0')).join(':');
+};
+
+/**
+ * Get the pending changes of a configuration session as a unified diff
+ * @param {string} switchId - ID of the switch
+ * @param {string} sessionName - Name of the configuration session
+ * @returns {Promise<string>} - Promise with the diff against running-config
+ */
+export const getSessionDiff = async (switchId, sessionName) => {
+  try {
+    // The diff has no JSON model, so it is always fetched as text
+    const [result] = await executeCommands(
+      switchId,
+      [`show session-config named ${sessionName} diffs`],
+      { format: 'text' }
+    );
+    return result?.output || '';
+  } catch (error) {
+    console.error(`Error getting diff for session ${sessionName}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Stage configuration commands in a new configuration session
+ * Nothing reaches running-config until the session is committed.
+ * @param {string} switchId - ID of the switch
+ * @param {Array} configCommands - Configuration commands without `configure`/`end`, or an array of
+ *   command blocks that are each entered from the top level of configuration mode
+ * @returns {Promise<Object>} - Promise with the staged session `{ switchId, sessionName, commands, diff }`
+ */
+export const stageConfig = async (switchId, configCommands) => {
+  if (!Array.isArray(configCommands) || configCommands.length === 0) {
+    throw new Error('Configuration commands must be provided as a non-empty array');
+  }
+
+  const sessionName = createSessionName();
+  const blocks = configCommands.every(Array.isArray) ? configCommands : [configCommands];
+
+  try {
+    // Re-entering the session for every block keeps one block's sub-mode from swallowing the next
+    await executeCommands(
+      switchId,
+      blocks.flatMap(block => [`configure session ${sessionName}`, ...block, 'end'])
+    );
+    const diff = await getSessionDiff(switchId, sessionName);
+
+    return { switchId, sessionName, commands: blocks.flat(), diff };
+  } catch (error) {
+    console.error('Error staging configuration session:', error);
+
+    // Don't leave a half-staged session behind; EOS only allows a few pending sessions
+    await abortConfigSession(switchId, sessionName).catch(() => null);
+    throw error;
+  }
+};
+
+/**
+ * Turn a saved running-config into the commands that recreate it
+ * Comments and `end` are dropped, and banners become multi-line eAPI commands.
+ * @param {string} configText - Running-config text
+ * @returns {Array} - Configuration commands
+ */
+const parseConfigText = (configText) => {
+  const lines = configText.split('\n');
+  const commands = [];
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index].trim();
+
+    // `!!` lines are comments stored in the config itself and are kept
+    if (!line || line === 'end' || (line.startsWith('!') && !line.startsWith('!!'))) {
+      continue;
+    }
+
+    if (/^banner (login|motd)$/.test(line)) {
+      const body = [];
+      for (index++; index < lines.length && lines[index].trim() !== 'EOF'; index++) {
+        body.push(lines[index]);
+      }
+      commands.push({ cmd: line, input: body.join('\n') });
+      continue;
+    }
+
+    commands.push(line);
+  }
+
+  return commands;
+};
+
+/**
+ * Stage a complete configuration that replaces running-config (`configure replace` semantics)
+ * The session starts from a clean config, so anything missing from the text is removed on commit.
+ * @param {string} switchId - ID of the switch
+ * @param {string} configText - Full running-config text, e.g. a stored backup
+ * @returns {Promise<Object>} - Promise with the staged session `{ switchId, sessionName, commands, diff }`
+ */
+export const stageConfigReplace = async (switchId, configText) => {
+  const commands = parseConfigText(configText);
+
+  if (commands.length === 0) {
+    throw new Error('The configuration to restore is empty');
+  }
+
+  return stageConfig(switchId, ['rollback clean-config', ...commands]);
+};
+
+/**
+ * Commit a configuration session into running-config
+ * @param {string} switchId - ID of the switch
+ * @param {string} sessionName - Name of the configuration session
+ * @returns {Promise} - Promise with command result
+ */
+export const commitConfigSession = async (switchId, sessionName) => {
+  try {
+    return await executeCommands(switchId, [`configure session ${sessionName}`, 'commit']);
+  } catch (error) {
+    console.error(`Error committing session ${sessionName}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Commit a configuration session with a rollback timer (`commit timer hh:mm:ss`)
+ * The changes go into running-config right away, but EOS reverts them when the timer expires
+ * unless the session is confirmed with `confirmConfigSession` first. If the browser loses
+ * contact with the switch, the confirmation never arrives and the switch rolls back on its own.
+ * @param {string} switchId - ID of the switch
+ * @param {string} sessionName - Name of the configuration session
+ * @param {number} seconds - Seconds to wait for confirmation
+ * @returns {Promise<Object>} - Promise with `{ confirmBy }`, the local time the timer expires
+ */
+export const commitConfigSessionWithTimer = async (switchId, sessionName, seconds) => {
+  if (!Number.isInteger(seconds) || seconds <= 0 || seconds >= 24 * 3600) {
+    throw new Error('Commit timer must be between 1 second and 24 hours');
+  }
+
+  try {
+    await executeCommands(switchId, [
+      `configure session ${sessionName}`,
+      `commit timer ${formatCommitTimer(seconds)}`
+    ]);
+    return { confirmBy: Date.now() + seconds * 1000 };
+  } catch (error) {
+    console.error(`Error committing session ${sessionName} with timer:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Confirm a session committed with a timer, making its changes permanent
+ * @param {string} switchId - ID of the switch
+ * @param {string} sessionName - Name of the configuration session
+ * @returns {Promise} - Promise with command result
+ */
+export const confirmConfigSession = async (switchId, sessionName) => {
+  try {
+    return await executeCommands(switchId, [`configure session ${sessionName}`, 'commit']);
+  } catch (error) {
+    console.error(`Error confirming session ${sessionName}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Abort a configuration session, discarding its changes
+ * A session waiting for confirmation is rolled back immediately.
+ * @param {string} switchId - ID of the switch
+ * @param {string} sessionName - Name of the configuration session
+ * @returns {Promise} - Promise with command result
+ */
+export const abortConfigSession = async (switchId, sessionName) => {
+  try {
+    return await executeCommands(switchId, [`configure session ${sessionName}`, 'abort']);
+  } catch (error) {
+    console.error(`Error aborting session ${sessionName}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Save running-config to startup-config (`write memory`)
+ * @param {string} switchId - ID of the switch
+ * @returns {Promise<string>} - Promise with the switch's report of the copy
+ */
+export const saveRunningConfig = async (switchId) => {
+  try {
+    const [result] = await executeCommands(
+      switchId,
+      ['copy running-config startup-config'],
+      { format: 'text' }
+    );
+    return (result?.output || '').trim() || 'Copy completed successfully.';
+  } catch (error) {
+    console.error('Error saving running-config:', error);
+    throw error;
+  }
+};
@@ -1,42 +1,244 @@
 /**
  * Connection Manager Service
- * Manages connections to Arista switches and stores connection details
+ * Manages connections to the switches in the inventory and keeps their latest data
  */
 
-import { connectToSwitch, processSwitchData } from './aristaAPI';
+import { connectToSwitch, connectToStoredSwitch, processSwitchData } from './aristaAPI';
+import { getInventory, addInventoryEntry, removeInventoryEntry } from './inventoryService';
+import { isAbortError } from './apiClient';
+import { EapiCommandError } from './eapiErrors';
+import { assessPollSuccess, assessPollFailure, isReachable } from './switchHealth';
 
-// Store connections in memory for now
+// Switches keyed by inventory entry ID: { entry, connection, switchData }
 const connections = new Map();
 
+// Abort controllers of the command requests in flight, keyed by switch ID
+const pendingRequests = new Map();
+
+// Connects in flight, keyed by switch ID
+const pendingConnects = new Map();
+
+// Listeners notified whenever switch data changes
+const listeners = new Set();
+
+/**
+ * Notify subscribers that switch data changed
+ */
+const notifyListeners = () => {
+  const switches = getAllSwitchData();
+  listeners.forEach(listener => listener(switches));
+};
+
+/**
+ * Subscribe to switch data changes
+ * @param {Function} listener - Called with the array of all switch data on every change
+ * @returns {Function} - Function that removes the subscription
+ */
+export const subscribeToSwitches = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Build placeholder data for a switch that has not answered yet
+ * @param {Object} entry - Inventory entry
+ * @returns {Object} - Switch data in the standard format, with a `connecting` status
+ */
+const buildPlaceholderData = (entry) => ({
+  id: entry.id,
+  name: entry.name,
+  tags: entry.tags || [],
+  hostname: entry.name || entry.ipAddress,
+  model: 'Unknown',
+  ipAddress: entry.ipAddress,
+  status: 'connecting',
+  healthReasons: [],
+  lastSeen: null,
+  consecutiveFailures: 0,
+  lastError: null,
+  uptime: 'Unknown',
+  cpuUsage: 0,
+  memoryUsage: 0,
+  temperature: 0,
+  temperatureSensors: [],
+  activeInterfaces: 0,
+  totalInterfaces: 0,
+  version: 'Unknown',
+  serialNumber: 'Unknown',
+  systemMacAddress: 'Unknown',
+  interfaces: {},
+  interfaceCounters: {}
+});
+
 /**
- * Create a new connection to a switch
+ * Merge freshly polled switch data with its inventory entry and health
+ * @param {Object} entry - Inventory entry
+ * @param {Object} processedData - Data returned by processSwitchData
+ * @returns {Object} - Switch data keyed by the inventory entry ID
+ */
+const buildSwitchData = (entry, processedData) => ({
+  ...processedData,
+  ...assessPollSuccess(processedData),
+  id: entry.id,
+  name: entry.name,
+  tags: entry.tags || [],
+  ipAddress: processedData.ipAddress || entry.ipAddress
+});
+
+/**
+ * Load the inventory from the API server
+ * Switches not connected yet are listed with a `connecting` status.
+ * @returns {Promise<Array>} - Promise with all switch data
+ */
+export const loadInventory = async () => {
+  const entries = await getInventory();
+
+  entries.forEach(entry => {
+    const existing = connections.get(entry.id);
+
+    if (existing) {
+      connections.set(entry.id, { ...existing, entry });
+    } else {
+      connections.set(entry.id, {
+        entry,
+        connection: null,
+        switchData: buildPlaceholderData(entry)
+      });
+    }
+  });
+
+  notifyListeners();
+  return getAllSwitchData();
+};
+
+/**
+ * Connect to a switch from the inventory using its credential profile
+ * A connect already in flight for the switch is reused, so only one session is opened.
+ * @param {string} switchId - ID of the switch (inventory entry ID)
+ * @returns {Promise<Object>} - Promise with the updated switch data
+ */
+const connectStoredSwitch = (switchId) => {
+  if (pendingConnects.has(switchId)) {
+    return pendingConnects.get(switchId);
+  }
+
+  const pending = openStoredConnection(switchId).finally(() => pendingConnects.delete(switchId));
+  pendingConnects.set(switchId, pending);
+  return pending;
+};
+
+/**
+ * Open a session to a switch from the inventory and store it
+ * A switch removed while the session was opening has the new session closed instead.
+ * @param {string} switchId - ID of the switch (inventory entry ID)
+ * @returns {Promise<Object>} - Promise with the updated switch data
+ */
+const openStoredConnection = async (switchId) => {
+  const { entry } = connections.get(switchId);
+  let connection = null;
+
+  try {
+    connection = await connectToStoredSwitch(switchId);
+    const switchInfo = await connection.getSwitchInfo();
+
+    const conn = connections.get(switchId);
+    if (!conn) {
+      connection.close();
+      throw new Error(`Switch ${entry.ipAddress} was removed while connecting`);
+    }
+
+    // Only one session per switch is kept
+    if (conn.connection && conn.connection !== connection) {
+      conn.connection.close();
+    }
+
+    const switchData = buildSwitchData(conn.entry, processSwitchData(switchInfo));
+    connections.set(switchId, { ...conn, connection, switchData });
+    return switchData;
+  } catch (error) {
+    console.error(`Failed to connect to ${entry.ipAddress}:`, error);
+
+    const conn = connections.get(switchId);
+    if (conn) {
+      if (connection) {
+        connection.close();
+      }
+      connections.set(switchId, {
+        ...conn,
+        connection: null,
+        switchData: { ...conn.switchData, ...assessPollFailure(conn.switchData, error) }
+      });
+    }
+    throw error;
+  } finally {
+    notifyListeners();
+  }
+};
+
+/**
+ * Connect to every inventory switch that has no live connection
+ * Failures are recorded in the switch's health instead of rejecting.
+ * @returns {Promise<Array>} - Promise with all switch data once every attempt settled
+ */
+export const reconnectInventory = async () => {
+  const pending = Array.from(connections.values())
+    .filter(conn => !conn.connection)
+    .map(conn => connectStoredSwitch(conn.entry.id).catch(() => null));
+
+  await Promise.all(pending);
+  return getAllSwitchData();
+};
+
+/**
+ * Create a new connection to a switch and add it to the inventory
  * @param {string} ipAddress - IP address of the switch
- * @param {string} username - Username for authentication
- * @param {string} password - Password for authentication
+ * @param {string} credentialRef - ID of the credential profile to log in with
  * @param {string} protocol - Protocol to use (http or https)
+ * @param {Object} [details] - Inventory details
+ * @param {string} [details.name] - Display name (defaults to the switch hostname)
+ * @param {Array} [details.tags] - Tags used for grouping
  * @returns {Promise} - Promise with connection result
  */
-export const createConnection = async (ipAddress, username, password, protocol = 'http') => {
+export const createConnection = async (ipAddress, credentialRef, protocol = 'http', { name, tags = [] } = {}) => {
   try {
     // Connect to the switch
-    const connection = await connectToSwitch(ipAddress, username, password, protocol);
-    
+    const connection = await connectToSwitch(ipAddress, credentialRef, protocol);
+
     // Get detailed info for the switch
     const switchInfo = await connection.getSwitchInfo();
-    
+
     // Process the switch data into our standard format
     const processedData = processSwitchData(switchInfo);
-    
+
+    // Persist the switch so it is reconnected on the next load
+    let entry;
+    try {
+      entry = await addInventoryEntry({
+        ipAddress,
+        protocol,
+        name: name || processedData.hostname,
+        tags,
+        credentialRef
+      });
+    } catch (error) {
+      connection.close();
+      throw error;
+    }
+
+    const switchData = buildSwitchData(entry, processedData);
+
     // Store the connection for reuse
-    connections.set(processedData.id, {
+    connections.set(entry.id, {
+      entry,
       connection,
-      switchData: processedData,
-      credentials: { ipAddress, username, password, protocol }
+      switchData
     });
-    
+
+    notifyListeners();
+
     return {
       success: true,
-      switchData: processedData
+      switchData
     };
   } catch (error) {
     console.error('Failed to create connection:', error);
@@ -64,32 +266,68 @@ export const getAllSwitchData = () => {
   return Array.from(connections.values()).map(conn => conn.switchData);
 };
 
+/**
+ * Record a failed poll of a switch, keeping its last known data
+ * Once the switch counts as unreachable its session is dropped so the next refresh reconnects.
+ * @param {string} switchId - ID of the switch
+ * @param {Error} error - Error of the failed poll
+ * @returns {Object} - The switch data with its updated health
+ */
+const recordPollFailure = (switchId, error) => {
+  const conn = connections.get(switchId);
+  const switchData = { ...conn.switchData, ...assessPollFailure(conn.switchData, error) };
+  let { connection } = conn;
+
+  if (connection && !isReachable(switchData.status)) {
+    connection.close();
+    connection = null;
+  }
+
+  connections.set(switchId, { ...conn, connection, switchData });
+  notifyListeners();
+  return switchData;
+};
+
 /**
  * Refresh switch data for a specific connection
+ * Switches without a live connection are reconnected first. A switch that cannot be reached
+ * has the failure recorded in its health and its data returned instead of rejecting.
  * @param {string} switchId - ID of the switch
  * @returns {Promise} - Promise with updated switch data
  */
 export const refreshSwitchData = async (switchId) => {
   const conn = connections.get(switchId);
-  
+
   if (!conn) {
     throw new Error(`No connection found for switch ID: ${switchId}`);
   }
-  
+
+  if (!conn.connection) {
+    // A failed attempt already recorded the failure in the switch's health
+    return connectStoredSwitch(switchId).catch(() => connections.get(switchId)?.switchData ?? conn.switchData);
+  }
+
   try {
     const switchInfo = await conn.connection.getSwitchInfo();
-    const processedData = processSwitchData(switchInfo);
-    
+    const processedData = buildSwitchData(conn.entry, processSwitchData(switchInfo));
+
     // Update the stored data
     connections.set(switchId, {
       ...conn,
       switchData: processedData
     });
-    
+
+    notifyListeners();
     return processedData;
   } catch (error) {
     console.error('Failed to refresh switch data:', error);
-    throw error;
+
+    // The switch answered, so a failing command says nothing about its health
+    if (error instanceof EapiCommandError || isAbortError(error)) {
+      throw error;
+    }
+
+    return recordPollFailure(switchId, error);
   }
 };
 
@@ -99,39 +337,109 @@ export const refreshSwitchData = async (switchId) => {
  * @returns {boolean} - True if removed, false if not found
  */
 export const removeConnection = (switchId) => {
-  return connections.delete(switchId);
+  const conn = connections.get(switchId);
+
+  if (!conn) {
+    return false;
+  }
+
+  cancelPendingCommands(switchId);
+
+  // Release the session held by the API server
+  if (conn.connection) {
+    conn.connection.close();
+  }
+
+  connections.delete(switchId);
+  notifyListeners();
+  return true;
+};
+
+/**
+ * Remove a switch from the inventory and close its connection
+ * @param {string} switchId - ID of the switch
+ * @returns {Promise} - Promise that resolves once the switch is removed
+ */
+export const removeSwitch = async (switchId) => {
+  await removeInventoryEntry(switchId);
+  removeConnection(switchId);
 };
 
 /**
  * Execute commands on a switch
  * @param {string} switchId - ID of the switch
- * @param {Array} commands - Array of commands to execute
+ * @param {Array} commands - Array of commands to execute, each a string or `{ cmd, revision }`
+ * @param {Object} [options] - Execution options
+ * @param {string} [options.format='json'] - Output format (json or text)
+ * @param {boolean} [options.includeErrorDetail=false] - Ask the switch for detailed error information
+ * @param {AbortSignal} [options.signal] - Signal that cancels the request
+ * @param {number} [options.timeoutMs] - Milliseconds before an attempt times out
+ * @param {number} [options.retries] - Retries after a failed attempt, by default 2 for show commands only
  * @returns {Promise} - Promise with command results
  */
-export const executeCommands = async (switchId, commands) => {
+export const executeCommands = async (switchId, commands, options = {}) => {
   const conn = connections.get(switchId);
-  
+
   if (!conn) {
     throw new Error(`No connection found for switch ID: ${switchId}`);
   }
-  
+
+  if (!conn.connection) {
+    throw new Error(`${conn.switchData.hostname} is not connected`);
+  }
+
+  // Tracked so cancelPendingCommands can abort it, and still cancellable through the caller's signal
+  const controller = new AbortController();
+  const cancel = () => controller.abort();
+
+  if (options.signal?.aborted) {
+    controller.abort();
+  }
+  options.signal?.addEventListener('abort', cancel);
+
+  if (!pendingRequests.has(switchId)) {
+    pendingRequests.set(switchId, new Set());
+  }
+  pendingRequests.get(switchId).add(controller);
+
   try {
-    return await conn.connection.runCommands(commands);
+    return await conn.connection.runCommands(commands, { ...options, signal: controller.signal });
   } catch (error) {
     console.error('Failed to execute commands:', error);
     throw error;
+  } finally {
+    options.signal?.removeEventListener('abort', cancel);
+    pendingRequests.get(switchId)?.delete(controller);
+  }
+};
+
+/**
+ * Cancel every command request still running on a switch
+ * Used when the view that started them is closed; cancelled requests reject with an AbortError.
+ * @param {string} switchId - ID of the switch
+ */
+export const cancelPendingCommands = (switchId) => {
+  const controllers = pendingRequests.get(switchId);
+
+  if (controllers) {
+    controllers.forEach(controller => controller.abort());
+    pendingRequests.delete(switchId);
   }
 };
 
 /**
  * Refresh all connections
+ * Connected switches are refreshed; disconnected ones get a reconnection attempt.
  * @returns {Promise} - Promise with all updated switch data
  */
 export const refreshAllConnections = async () => {
-  const refreshPromises = Array.from(connections.keys()).map(id => refreshSwitchData(id));
-  
+  // One switch failing must not hold back the data of the others
+  const refreshPromises = Array.from(connections.values())
+    .filter(conn => conn.connection)
+    .map(conn => refreshSwitchData(conn.entry.id).catch(() => null));
+
   try {
-    await Promise.all(refreshPromises);
+    await Promise.all([...refreshPromises, reconnectInventory()]);
     return getAllSwitchData();
   } catch (error) {
     console.error('Failed to refresh all connections:', error);
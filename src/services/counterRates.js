@@ -0,0 +1,121 @@
+/**
+ * Counter Rates
+ * Turns two readings of interface counters into throughput, packet and error rates
+ *
+ * EOS counters only ever grow, except when they wrap or are reset. A 32-bit counter that
+ * drops from the top half of its range to a small value has wrapped and the delta is
+ * corrected; any other drop means the counters were cleared or the switch reloaded, and
+ * the interface gets no rate for that interval.
+ */
+
+// Largest value of a 32-bit counter
+const MAX_COUNTER_32 = 2 ** 32 - 1;
+
+// Counters compared between readings, with the rate each one produces
+const RATE_FIELDS = [
+  { counter: 'inputBytes', rate: 'inBps', scale: 8 },
+  { counter: 'outputBytes', rate: 'outBps', scale: 8 },
+  { counter: 'inputPackets', rate: 'inPps', scale: 1 },
+  { counter: 'outputPackets', rate: 'outPps', scale: 1 },
+  { counter: 'inputErrors', rate: 'inErrorsPerSec', scale: 1 },
+  { counter: 'outputErrors', rate: 'outErrorsPerSec', scale: 1 },
+  { counter: 'inputDiscards', rate: 'inDiscardsPerSec', scale: 1 },
+  { counter: 'outputDiscards', rate: 'outDiscardsPerSec', scale: 1 }
+];
+
+/**
+ * Convert EOS counters of one interface into the standard counter format
+ * Accepts the entries of `show interfaces` (`interfaceCounters`), `show interfaces counters`
+ * and `show interfaces counters errors`, or a merge of them.
+ * @param {Object} raw - Counters as returned by the switch
+ * @returns {Object} - `{ inputBytes, outputBytes, inputPackets, outputPackets, inputErrors, outputErrors, inputDiscards, outputDiscards }`
+ */
+export const normalizeCounters = (raw = {}) => ({
+  inputBytes: raw.inOctets || 0,
+  outputBytes: raw.outOctets || 0,
+  inputPackets: (raw.inUcastPkts || 0) + (raw.inMulticastPkts || 0) + (raw.inBroadcastPkts || 0),
+  outputPackets: (raw.outUcastPkts || 0) + (raw.outMulticastPkts || 0) + (raw.outBroadcastPkts || 0),
+  inputErrors: raw.totalInErrors ?? raw.inErrors ?? 0,
+  outputErrors: raw.totalOutErrors ?? raw.outErrors ?? 0,
+  inputDiscards: raw.inDiscards || 0,
+  outputDiscards: raw.outDiscards || 0
+});
+
+/**
+ * Compute how much a counter grew between two readings
+ * @param {number} before - Earlier value
+ * @param {number} after - Later value
+ * @returns {number|null} - Growth, corrected for a 32-bit wrap, or null if the counter was reset
+ */
+export const counterDelta = (before, after) => {
+  if (!Number.isFinite(before) || !Number.isFinite(after)) {
+    return null;
+  }
+
+  if (after >= before) {
+    return after - before;
+  }
+
+  if (before <= MAX_COUNTER_32 && before - after > MAX_COUNTER_32 / 2) {
+    return MAX_COUNTER_32 - before + after + 1;
+  }
+
+  return null;
+};
+
+/**
+ * Compute the rates of every interface between two counter readings
+ * Interfaces missing from either reading, or whose counters were reset, are left out.
+ * @param {Object} previous - Standard counters of the earlier reading, keyed by interface name
+ * @param {Object} current - Standard counters of the later reading, keyed by interface name
+ * @param {number} elapsedSeconds - Seconds between the two readings
+ * @returns {Object} - `{ inBps, outBps, inPps, outPps, inErrorsPerSec, outErrorsPerSec, inDiscardsPerSec, outDiscardsPerSec }` keyed by interface name
+ */
+export const computeCounterRates = (previous, current, elapsedSeconds) => {
+  const rates = {};
+
+  if (!(elapsedSeconds > 0)) {
+    return rates;
+  }
+
+  Object.entries(current).forEach(([name, counters]) => {
+    const before = previous[name];
+    if (!before) return;
+
+    const interfaceRates = {};
+    const wasReset = RATE_FIELDS.some(({ counter, rate, scale }) => {
+      const delta = counterDelta(before[counter], counters[counter]);
+      if (delta === null) return true;
+
+      // Bit rates are whole numbers; packet and error rates keep two decimals so rare errors still show
+      const perSecond = (delta * scale) / elapsedSeconds;
+      interfaceRates[rate] = scale === 8 ? Math.round(perSecond) : Math.round(perSecond * 100) / 100;
+      return false;
+    });
+
+    if (!wasReset) {
+      rates[name] = interfaceRates;
+    }
+  });
+
+  return rates;
+};
+
+/**
+ * Compute how busy an interface is in each direction
+ * @param {Object} rates - Rates of the interface with `inBps` and `outBps`
+ * @param {number} bandwidth - Interface bandwidth in bits per second
+ * @returns {Object|null} - `{ inPercent, outPercent }` rounded to one decimal, or null without a bandwidth
+ */
+export const computeUtilization = (rates, bandwidth) => {
+  if (!rates || !(bandwidth > 0)) {
+    return null;
+  }
+
+  const percent = (bps) => Math.min(100, Math.round((bps / bandwidth) * 1000) / 10);
+
+  return {
+    inPercent: percent(rates.inBps),
+    outPercent: percent(rates.outBps)
+  };
+};
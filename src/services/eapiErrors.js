@@ -0,0 +1,86 @@
+/**
+ * eAPI Errors
+ * Typed errors for failed eAPI command batches and helpers to describe them to the user
+ */
+
+// EOS reports the failing command as "CLI command <n> of <total> '<command>' failed: <reason>"
+const FAILED_COMMAND_PATTERN = /CLI command (\d+) of \d+ '(.*)' failed/;
+
+/**
+ * Error thrown when a command in an eAPI batch fails
+ * eAPI stops at the first failing command; the results of the commands before it are kept.
+ */
+export class EapiCommandError extends Error {
+  /**
+   * @param {Object} details - Error details
+   * @param {number} details.code - JSON-RPC error code
+   * @param {string} details.rpcMessage - JSON-RPC error message
+   * @param {number} details.commandIndex - Zero-based index of the failing command, -1 if unknown
+   * @param {string} details.command - Text of the failing command
+   * @param {Array} details.errors - EOS error lines of the failing command
+   * @param {Array} details.partialResults - Results of the commands that succeeded
+   */
+  constructor({ code, rpcMessage, commandIndex, command, errors, partialResults }) {
+    const reason = errors.length > 0 ? errors.join('; ') : rpcMessage;
+    super(command ? `'${command}' failed: ${reason}` : reason);
+
+    this.name = 'EapiCommandError';
+    this.code = code;
+    this.rpcMessage = rpcMessage;
+    this.commandIndex = commandIndex;
+    this.command = command;
+    this.errors = errors;
+    this.partialResults = partialResults;
+  }
+}
+
+/**
+ * Build an EapiCommandError from the JSON-RPC error of a runCmds response
+ * @param {Object} rpcError - The `error` member of the response (`{ code, message, data }`)
+ * @param {Array} commands - Commands sent in the request, strings or `{ cmd, revision, input }`
+ * @returns {EapiCommandError} - Typed error for the failing command
+ */
+export const createEapiCommandError = (rpcError, commands = []) => {
+  const { code, message = 'eAPI request failed', data } = rpcError;
+  const results = Array.isArray(data) ? data : [];
+
+  let commandIndex = results.findIndex(result => Array.isArray(result?.errors) && result.errors.length > 0);
+  const messageMatch = message.match(FAILED_COMMAND_PATTERN);
+
+  if (commandIndex === -1 && messageMatch) {
+    commandIndex = parseInt(messageMatch[1]) - 1;
+  }
+
+  const sent = commands[commandIndex];
+  const command = (typeof sent === 'string' ? sent : sent?.cmd) || messageMatch?.[2] || '';
+
+  return new EapiCommandError({
+    code,
+    rpcMessage: message,
+    commandIndex,
+    command,
+    errors: results[commandIndex]?.errors || [],
+    partialResults: commandIndex > 0 ? results.slice(0, commandIndex) : []
+  });
+};
+
+/**
+ * Describe an error for a toast, with the failing command for eAPI errors
+ * @param {Error} error - Error to describe
+ * @param {string} fallback - Text used when the error has no message
+ * @returns {string} - Description for the user
+ */
+export const describeError = (error, fallback) => {
+  if (!(error instanceof EapiCommandError)) {
+    return error?.message || fallback;
+  }
+
+  const position = error.commandIndex >= 0 ? `Command ${error.commandIndex + 1}` : 'A command';
+  const command = error.command ? ` '${error.command}'` : '';
+  const reason = error.errors.length > 0 ? error.errors.join('; ') : error.rpcMessage;
+  const succeeded = error.partialResults.length > 0
+    ? ` ${error.partialResults.length} earlier command${error.partialResults.length === 1 ? '' : 's'} succeeded.`
+    : '';
+
+  return `${position}${command} failed: ${reason} (eAPI error ${error.code}).${succeeded}`;
+};
@@ -0,0 +1,121 @@
+/**
+ * Fleet Runner Service
+ * Runs the same command set on many switches in parallel, with a limit on concurrent switches
+ */
+
+import { executeCommands, getConnection } from './connectionManager';
+import { stageConfig, commitConfigSession, abortConfigSession } from './configSession';
+
+// Switches worked on at the same time unless the caller asks otherwise
+export const DEFAULT_CONCURRENCY = 5;
+
+/**
+ * Run an async worker over items, never more than `limit` at a time
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of workers running at once
+ * @param {Function} worker - Async function called with each item
+ * @returns {Promise} - Promise that resolves once every item was processed
+ */
+const runWithConcurrency = async (items, limit, worker) => {
+  let next = 0;
+
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      await worker(items[next++]);
+    }
+  });
+
+  await Promise.all(lanes);
+};
+
+/**
+ * Run show commands on one switch and collect their text output
+ * @param {string} switchId - ID of the switch
+ * @param {Array} commands - Show commands
+ * @returns {Promise<string>} - Promise with the outputs, one block per command
+ */
+const runShowCommands = async (switchId, commands) => {
+  const results = await executeCommands(switchId, commands, { format: 'text' });
+  return results.map((result, index) => `${commands[index]}\n${result.output || ''}`).join('\n');
+};
+
+/**
+ * Push configuration commands to one switch through a configuration session
+ * @param {string} switchId - ID of the switch
+ * @param {Array} commands - Configuration commands, without `configure`/`end`
+ * @param {boolean} dryRun - Only report the diff and abort the session
+ * @returns {Promise<string>} - Promise with the session diff
+ */
+const runConfigCommands = async (switchId, commands, dryRun) => {
+  const { sessionName, diff } = await stageConfig(switchId, commands);
+
+  if (dryRun) {
+    await abortConfigSession(switchId, sessionName);
+  } else {
+    try {
+      await commitConfigSession(switchId, sessionName);
+    } catch (error) {
+      // A failed commit leaves the session pending; EOS only allows a few of them
+      await abortConfigSession(switchId, sessionName).catch(() => null);
+      throw error;
+    }
+  }
+
+  return diff || 'No changes against running-config.';
+};
+
+/**
+ * Run a command set on several switches
+ * Show commands return their text output; configuration commands are committed per switch in
+ * their own configuration session and return its diff. A failure on one switch never stops the others.
+ * @param {Array} switchIds - IDs of the target switches
+ * @param {Array} commands - Commands to run on every switch
+ * @param {Object} [options] - Run options
+ * @param {string} [options.mode='show'] - `show` or `config`
+ * @param {boolean} [options.dryRun=false] - For config mode, stage and report the diff without committing
+ * @param {number} [options.concurrency=DEFAULT_CONCURRENCY] - Switches worked on at the same time
+ * @param {Function} [options.onResult] - Called with each switch's result as soon as it finishes
+ * @returns {Promise<Array>} - Promise with `{ switchId, hostname, status, output, error, durationMs }`
+ *   per switch, in the order of `switchIds`
+ */
+export const runOnSwitches = async (switchIds, commands, options = {}) => {
+  const { mode = 'show', dryRun = false, concurrency = DEFAULT_CONCURRENCY, onResult } = options;
+
+  if (!Array.isArray(switchIds) || switchIds.length === 0) {
+    throw new Error('Select at least one switch');
+  }
+
+  if (!Array.isArray(commands) || commands.length === 0) {
+    throw new Error('No commands provided');
+  }
+
+  if (mode === 'show' && commands.some(command => !command.trim().toLowerCase().startsWith('show'))) {
+    throw new Error('Only show commands can be run in show mode');
+  }
+
+  const results = new Map();
+
+  await runWithConcurrency(switchIds, Math.max(1, concurrency), async (switchId) => {
+    const hostname = getConnection(switchId)?.switchData.hostname || switchId;
+    const startedAt = Date.now();
+    let result;
+
+    try {
+      const output = mode === 'config'
+        ? await runConfigCommands(switchId, commands, dryRun)
+        : await runShowCommands(switchId, commands);
+      result = { switchId, hostname, status: 'success', output, error: null };
+    } catch (error) {
+      result = { switchId, hostname, status: 'error', output: '', error: error.message || 'Command failed' };
+    }
+
+    result.durationMs = Date.now() - startedAt;
+    results.set(switchId, result);
+
+    if (onResult) {
+      onResult(result);
+    }
+  });
+
+  return switchIds.map(switchId => results.get(switchId));
+};
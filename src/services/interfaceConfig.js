@@ -4,6 +4,8 @@
  */
 
 import { executeCommands } from './connectionManager';
+import { queueChange } from './changeQueue';
+import { normalizeCounters } from './counterRates';
 
 /**
  * Get detailed information about all interfaces on a switch
@@ -82,14 +84,7 @@ export const processInterfaceData = (rawData) => {
       ipAddress: ipInfo.interfaceAddress?.ipAddr?.address || '',
       ipPrefixLength: ipInfo.interfaceAddress?.ipAddr?.maskLen || 0,
       mtu: baseData.mtu || 0,
-      counters: {
-        inputErrors: baseData.counters?.inputErrors || 0,
-        outputErrors: baseData.counters?.outputErrors || 0,
-        inputBytes: baseData.counters?.inOctets || 0,
-        outputBytes: baseData.counters?.outOctets || 0,
-        inputPackets: baseData.counters?.inUcastPkts || 0,
-        outputPackets: baseData.counters?.outUcastPkts || 0
-      }
+      counters: normalizeCounters(baseData.interfaceCounters)
     };
     
     processedInterfaces.push(interfaceObj);
@@ -106,27 +101,68 @@ export const processInterfaceData = (rawData) => {
   });
 };
 
+/**
+ * Sanitize an interface name to prevent command injection
+ * @param {string} interfaceName - Name of the interface
+ * @returns {string} - Sanitized interface name
+ */
+const sanitizeInterfaceName = (interfaceName) => interfaceName.replace(/[^a-zA-Z0-9\/]/g, '');
+
+/**
+ * Build the interface-mode commands that set a description
+ * @param {string} description - New description
+ * @returns {Array} - Configuration commands
+ */
+const buildDescriptionCommands = (description) => {
+  const sanitizedDescription = description.replace(/['"]/g, '');
+  return [`description ${sanitizedDescription}`];
+};
+
+/**
+ * Build the interface-mode commands that set the admin status
+ * @param {boolean} enabled - Whether the interface should be enabled
+ * @returns {Array} - Configuration commands
+ */
+const buildEnabledCommands = (enabled) => [enabled ? 'no shutdown' : 'shutdown'];
+
+/**
+ * Build the interface-mode commands that set the switching mode
+ * @param {string} mode - Mode (access, trunk, routed)
+ * @param {number} vlan - VLAN ID (for access mode)
+ * @returns {Array} - Configuration commands
+ */
+const buildModeCommands = (mode, vlan) => {
+  if (mode === 'routed') {
+    return ['no switchport'];
+  }
+  
+  const commands = ['switchport'];
+  
+  if (mode === 'access' && vlan) {
+    commands.push('switchport mode access');
+    commands.push(`switchport access vlan ${vlan}`);
+  } else if (mode === 'trunk') {
+    commands.push('switchport mode trunk');
+  }
+  
+  return commands;
+};
+
 /**
  * Update the description of an interface
  * @param {string} switchId - ID of the switch
  * @param {string} interfaceName - Name of the interface
  * @param {string} description - New description
- * @returns {Promise} - Promise with command result
+ * @returns {Promise<Object>} - Promise with the queued change
  */
 export const setInterfaceDescription = async (switchId, interfaceName, description) => {
   try {
-    // Sanitize input to prevent command injection
-    const sanitizedInterface = interfaceName.replace(/[^a-zA-Z0-9\/]/g, '');
-    const sanitizedDescription = description.replace(/['"]/g, '');
-    
     const commands = [
-      'configure',
-      `interface ${sanitizedInterface}`,
-      `description ${sanitizedDescription}`,
-      'end'
+      `interface ${sanitizeInterfaceName(interfaceName)}`,
+      ...buildDescriptionCommands(description)
     ];
     
-    return await executeCommands(switchId, commands);
+    return queueChange(switchId, `Set description of ${interfaceName}`, commands);
   } catch (error) {
     console.error(`Error setting description for ${interfaceName}:`, error);
     throw error;
@@ -138,20 +174,16 @@ export const setInterfaceDescription = async (switchId, interfaceName, descripti
  * @param {string} switchId - ID of the switch
  * @param {string} interfaceName - Name of the interface
  * @param {boolean} enabled - Whether the interface should be enabled
- * @returns {Promise} - Promise with command result
+ * @returns {Promise<Object>} - Promise with the queued change
  */
 export const setInterfaceEnabled = async (switchId, interfaceName, enabled) => {
   try {
-    const sanitizedInterface = interfaceName.replace(/[^a-zA-Z0-9\/]/g, '');
-    
     const commands = [
-      'configure',
-      `interface ${sanitizedInterface}`,
-      enabled ? 'no shutdown' : 'shutdown',
-      'end'
+      `interface ${sanitizeInterfaceName(interfaceName)}`,
+      ...buildEnabledCommands(enabled)
     ];
     
-    return await executeCommands(switchId, commands);
+    return queueChange(switchId, `${enabled ? 'Enable' : 'Disable'} ${interfaceName}`, commands);
   } catch (error) {
     console.error(`Error ${enabled ? 'enabling' : 'disabling'} ${interfaceName}:`, error);
     throw error;
@@ -164,35 +196,52 @@ export const setInterfaceEnabled = async (switchId, interfaceName, enabled) => {
  * @param {string} interfaceName - Name of the interface
  * @param {string} mode - Mode (access, trunk, routed)
  * @param {number} vlan - VLAN ID (for access mode)
- * @returns {Promise} - Promise with command result
+ * @returns {Promise<Object>} - Promise with the queued change
  */
 export const setInterfaceMode = async (switchId, interfaceName, mode, vlan = null) => {
   try {
-    const sanitizedInterface = interfaceName.replace(/[^a-zA-Z0-9\/]/g, '');
-    
     const commands = [
-      'configure',
-      `interface ${sanitizedInterface}`
+      `interface ${sanitizeInterfaceName(interfaceName)}`,
+      ...buildModeCommands(mode, vlan)
     ];
     
-    if (mode === 'routed') {
-      commands.push('no switchport');
-    } else {
-      commands.push('switchport');
-      
-      if (mode === 'access' && vlan) {
-        commands.push('switchport mode access');
-        commands.push(`switchport access vlan ${vlan}`);
-      } else if (mode === 'trunk') {
-        commands.push('switchport mode trunk');
-      }
+    return queueChange(switchId, `Set ${interfaceName} to ${mode} mode`, commands);
+  } catch (error) {
+    console.error(`Error setting mode for ${interfaceName}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Queue several changes to one interface as a single change
+ * @param {string} switchId - ID of the switch
+ * @param {string} interfaceName - Name of the interface
+ * @param {Object} changes - Changed settings; omitted fields are left untouched
+ * @param {string} [changes.description] - New description
+ * @param {string} [changes.mode] - Mode (access, trunk, routed)
+ * @param {number} [changes.vlan] - VLAN ID (for access mode)
+ * @param {boolean} [changes.enabled] - Whether the interface should be enabled
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const updateInterface = async (switchId, interfaceName, { description, mode, vlan = null, enabled }) => {
+  try {
+    const commands = [`interface ${sanitizeInterfaceName(interfaceName)}`];
+    
+    if (description !== undefined) {
+      commands.push(...buildDescriptionCommands(description));
     }
     
-    commands.push('end');
+    if (mode !== undefined) {
+      commands.push(...buildModeCommands(mode, vlan));
+    }
     
-    return await executeCommands(switchId, commands);
+    if (enabled !== undefined) {
+      commands.push(...buildEnabledCommands(enabled));
+    }
+    
+    return queueChange(switchId, `Update ${interfaceName}`, commands);
   } catch (error) {
-    console.error(`Error setting mode for ${interfaceName}:`, error);
+    console.error(`Error updating ${interfaceName}:`, error);
     throw error;
   }
 };
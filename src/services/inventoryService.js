@@ -0,0 +1,73 @@
+/**
+ * Inventory Service
+ * Reads and edits the persistent switch inventory kept by the API server
+ */
+
+import { callApi } from './apiClient';
+
+/**
+ * Get all switches in the inventory
+ * @returns {Promise<Array>} - Promise resolving to inventory entries
+ */
+export const getInventory = async () => {
+  try {
+    const data = await callApi('/inventory', { method: 'GET' });
+    return data.switches || [];
+  } catch (error) {
+    console.error('Error loading inventory:', error);
+    throw error;
+  }
+};
+
+/**
+ * Add a switch to the inventory
+ * @param {Object} entry - Switch details
+ * @param {string} entry.ipAddress - Address of the switch's eAPI endpoint
+ * @param {string} entry.protocol - Protocol to use (http or https)
+ * @param {string} entry.name - Display name
+ * @param {Array} entry.tags - Tags used for grouping
+ * @param {string} entry.credentialRef - ID of the credential profile used to log in
+ * @returns {Promise<Object>} - Promise resolving to the created inventory entry
+ */
+export const addInventoryEntry = async (entry) => {
+  try {
+    const data = await callApi('/inventory', { body: entry });
+    return data.switch;
+  } catch (error) {
+    console.error('Error adding inventory entry:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a switch in the inventory
+ * @param {string} entryId - ID of the inventory entry
+ * @param {Object} changes - Fields to change (ipAddress, protocol, name, tags, credentialRef)
+ * @returns {Promise<Object>} - Promise resolving to the updated inventory entry
+ */
+export const updateInventoryEntry = async (entryId, changes) => {
+  try {
+    const data = await callApi(`/inventory/${encodeURIComponent(entryId)}`, {
+      method: 'PUT',
+      body: changes
+    });
+    return data.switch;
+  } catch (error) {
+    console.error('Error updating inventory entry:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a switch from the inventory
+ * @param {string} entryId - ID of the inventory entry
+ * @returns {Promise} - Promise that resolves once removed
+ */
+export const removeInventoryEntry = async (entryId) => {
+  try {
+    await callApi(`/inventory/${encodeURIComponent(entryId)}`, { method: 'DELETE' });
+  } catch (error) {
+    console.error('Error removing inventory entry:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,230 @@
+/**
+ * Metrics Store
+ * Keeps a rolling history of CPU, memory, temperature and interface rates for every switch
+ *
+ * A sample is taken each time a switch answers a poll. Interface rates are computed from the
+ * difference between the counters of two consecutive polls (see counterRates). When persistence is turned
+ * on, samples are also sent to the API server so history outlives the browser tab.
+ */
+
+import { callApi } from './apiClient';
+import { subscribeToSwitches } from './connectionManager';
+import { computeCounterRates, computeUtilization } from './counterRates';
+
+// Milliseconds of samples kept in memory per switch
+export const MEMORY_WINDOW_MS = 60 * 60 * 1000;
+
+// Browser storage key of the persistence setting
+const PERSIST_KEY = 'aem-metrics-persist';
+
+// Samples keyed by switch ID, oldest first
+const samplesBySwitch = new Map();
+
+// Counters and time of the last poll used for a sample, keyed by switch ID
+const lastPolls = new Map();
+
+// Listeners notified with (switchId, samples) when a switch gets a new sample
+const listeners = new Set();
+
+let unsubscribeFromSwitches = null;
+
+/**
+ * Check whether samples are sent to the API server
+ * @returns {boolean} - True if persistence is on
+ */
+export const isPersistenceEnabled = () => localStorage.getItem(PERSIST_KEY) === '1';
+
+/**
+ * Turn sending samples to the API server on or off
+ * @param {boolean} enabled - Whether to persist samples
+ */
+export const setPersistenceEnabled = (enabled) => {
+  localStorage.setItem(PERSIST_KEY, enabled ? '1' : '0');
+};
+
+/**
+ * Compute the rates of every interface between two polls, with utilization where the
+ * interface bandwidth is known
+ * @param {Object} previous - Counters of the earlier poll, keyed by interface name
+ * @param {Object} switchData - Switch data of the later poll
+ * @param {number} elapsedSeconds - Seconds between the two polls
+ * @returns {Object} - Rates keyed by interface name
+ */
+const computeSampleRates = (previous, switchData, elapsedSeconds) => {
+  const rates = computeCounterRates(previous, switchData.interfaceCounters || {}, elapsedSeconds);
+
+  Object.entries(rates).forEach(([name, interfaceRates]) => {
+    const utilization = computeUtilization(interfaceRates, switchData.interfaces?.[name]?.bandwidth);
+    if (utilization) {
+      rates[name] = { ...interfaceRates, ...utilization };
+    }
+  });
+
+  return rates;
+};
+
+/**
+ * Send a sample to the API server, without failing the caller
+ * @param {string} switchId - ID of the switch
+ * @param {Object} sample - Sample to store
+ */
+const persistSample = (switchId, sample) => {
+  callApi(`/metrics/${encodeURIComponent(switchId)}`, { body: { samples: [sample] } })
+    .catch(error => console.error('Error persisting metrics sample:', error));
+};
+
+/**
+ * Take a sample from freshly polled switch data
+ * @param {Object} switchData - Switch data with `lastSeen` set by the poll
+ */
+const recordSample = (switchData) => {
+  const { id, lastSeen, interfaceCounters = {} } = switchData;
+  const previous = lastPolls.get(id);
+
+  const sample = {
+    timestamp: lastSeen,
+    cpuUsage: switchData.cpuUsage,
+    memoryUsage: switchData.memoryUsage,
+    temperature: switchData.temperature,
+    interfaces: previous
+      ? computeSampleRates(previous.counters, switchData, (lastSeen - previous.timestamp) / 1000)
+      : {}
+  };
+
+  lastPolls.set(id, { timestamp: lastSeen, counters: interfaceCounters });
+
+  const cutoff = lastSeen - MEMORY_WINDOW_MS;
+  const samples = [...(samplesBySwitch.get(id) || []), sample].filter(s => s.timestamp > cutoff);
+  samplesBySwitch.set(id, samples);
+
+  if (isPersistenceEnabled()) {
+    persistSample(id, sample);
+  }
+
+  listeners.forEach(listener => listener(id, samples));
+};
+
+/**
+ * Sample switches that answered a poll since their last sample and forget removed ones
+ * @param {Array} switches - All switch data
+ */
+const handleSwitchData = (switches) => {
+  const ids = new Set(switches.map(sw => sw.id));
+
+  switches.forEach(sw => {
+    if (sw.lastSeen && sw.lastSeen !== lastPolls.get(sw.id)?.timestamp) {
+      recordSample(sw);
+    }
+  });
+
+  [...samplesBySwitch.keys()].forEach(switchId => {
+    if (!ids.has(switchId)) {
+      samplesBySwitch.delete(switchId);
+      lastPolls.delete(switchId);
+    }
+  });
+};
+
+/**
+ * Start sampling every switch each time it is polled
+ * Calling it again while recording has no effect.
+ */
+export const startMetricsRecording = () => {
+  if (!unsubscribeFromSwitches) {
+    unsubscribeFromSwitches = subscribeToSwitches(handleSwitchData);
+  }
+};
+
+/**
+ * Stop sampling; samples already taken are kept
+ */
+export const stopMetricsRecording = () => {
+  if (unsubscribeFromSwitches) {
+    unsubscribeFromSwitches();
+    unsubscribeFromSwitches = null;
+  }
+};
+
+/**
+ * Get the samples of a switch held in memory
+ * @param {string} switchId - ID of the switch
+ * @returns {Array} - Samples oldest first
+ */
+export const getSamples = (switchId) => {
+  return samplesBySwitch.get(switchId) || [];
+};
+
+/**
+ * Subscribe to new samples of one switch
+ * @param {string} switchId - ID of the switch
+ * @param {Function} listener - Called with the switch's samples after each new one
+ * @returns {Function} - Function that removes the subscription
+ */
+export const subscribeToMetrics = (switchId, listener) => {
+  const handler = (sampledId, samples) => {
+    if (sampledId === switchId) {
+      listener(samples);
+    }
+  };
+
+  listeners.add(handler);
+  return () => listeners.delete(handler);
+};
+
+/**
+ * Subscribe to new samples of every switch
+ * @param {Function} listener - Called with (switchId, samples) after each new sample
+ * @returns {Function} - Function that removes the subscription
+ */
+export const subscribeToAllMetrics = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Get the busiest interfaces across the fleet, by their latest combined in and out rate
+ * @param {number} [limit=10] - Number of interfaces to return
+ * @returns {Array} - `{ switchId, name, timestamp, ...rates }` busiest first
+ */
+export const getTopTalkers = (limit = 10) => {
+  const talkers = [];
+
+  samplesBySwitch.forEach((samples, switchId) => {
+    const latest = samples[samples.length - 1];
+    Object.entries(latest?.interfaces || {}).forEach(([name, rates]) => {
+      talkers.push({ switchId, name, timestamp: latest.timestamp, ...rates });
+    });
+  });
+
+  return talkers
+    .sort((a, b) => (b.inBps + b.outBps) - (a.inBps + a.outBps))
+    .slice(0, limit);
+};
+
+/**
+ * Get the history of a switch over a time range
+ * Samples stored on the API server are merged in when persistence is on and the range
+ * reaches further back than memory holds.
+ * @param {string} switchId - ID of the switch
+ * @param {number} rangeMs - Milliseconds of history wanted, counting back from now
+ * @returns {Promise<Array>} - Promise resolving to the samples, oldest first
+ */
+export const getHistory = async (switchId, rangeMs) => {
+  const since = Date.now() - rangeMs;
+  const inMemory = getSamples(switchId).filter(sample => sample.timestamp > since);
+
+  if (!isPersistenceEnabled() || rangeMs <= MEMORY_WINDOW_MS) {
+    return inMemory;
+  }
+
+  try {
+    const { samples } = await callApi(`/metrics/${encodeURIComponent(switchId)}?since=${since}`, { method: 'GET' });
+    const known = new Set(inMemory.map(sample => sample.timestamp));
+
+    return [...samples.filter(sample => !known.has(sample.timestamp)), ...inMemory]
+      .sort((a, b) => a.timestamp - b.timestamp);
+  } catch (error) {
+    console.error('Error loading metrics history:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,88 @@
+/**
+ * Notification Service
+ * Manages the channels alert notifications are sent through: generic webhooks, Slack
+ * incoming webhooks and SMTP email
+ */
+
+import { callApi } from './apiClient';
+
+// Placeholders accepted in channel message templates
+export const TEMPLATE_FIELDS = [
+  'event', 'switchName', 'subject', 'message', 'severity', 'state', 'rule', 'raisedAt', 'time', 'acknowledgedBy'
+];
+
+/**
+ * Get the notification channels
+ * @returns {Promise<Array>} - Promise resolving to the channels with their delivery `status`
+ */
+export const getNotificationChannels = async () => {
+  try {
+    const { channels } = await callApi('/notifications/channels', { method: 'GET' });
+    return channels;
+  } catch (error) {
+    console.error('Error loading notification channels:', error);
+    throw error;
+  }
+};
+
+/**
+ * Add a notification channel
+ * @param {Object} channel - `{ name, type, enabled, ruleIds, notifyResolved, rateLimit, template, config }`
+ * @returns {Promise<Object>} - Promise resolving to the stored channel
+ */
+export const createNotificationChannel = async (channel) => {
+  try {
+    const { channel: created } = await callApi('/notifications/channels', { body: channel });
+    return created;
+  } catch (error) {
+    console.error('Error adding notification channel:', error);
+    throw error;
+  }
+};
+
+/**
+ * Change a notification channel
+ * @param {string} channelId - ID of the channel
+ * @param {Object} changes - Settings to change
+ * @returns {Promise<Object>} - Promise resolving to the updated channel
+ */
+export const updateNotificationChannel = async (channelId, changes) => {
+  try {
+    const { channel } = await callApi(`/notifications/channels/${encodeURIComponent(channelId)}`, {
+      method: 'PUT',
+      body: changes
+    });
+    return channel;
+  } catch (error) {
+    console.error('Error updating notification channel:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a notification channel
+ * @param {string} channelId - ID of the channel
+ * @returns {Promise<void>}
+ */
+export const removeNotificationChannel = async (channelId) => {
+  try {
+    await callApi(`/notifications/channels/${encodeURIComponent(channelId)}`, { method: 'DELETE' });
+  } catch (error) {
+    console.error('Error removing notification channel:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send a sample alert through a channel
+ * @param {string} channelId - ID of the channel
+ * @returns {Promise<void>} - Resolves once the channel accepted the message
+ */
+export const testNotificationChannel = async (channelId) => {
+  try {
+    await callApi(`/notifications/channels/${encodeURIComponent(channelId)}/test`, { body: {} });
+  } catch (error) {
+    console.error('Error testing notification channel:', error);
+    throw error;
+  }
+};
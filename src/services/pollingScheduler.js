@@ -0,0 +1,228 @@
+/**
+ * Polling Scheduler
+ * Refreshes every switch in the background on its own interval so the dashboard stays current
+ *
+ * Polls are spread with jitter, never more than MAX_CONCURRENT_POLLS run at once, and polling
+ * pauses while the browser tab is hidden. Views subscribe to hear about completed polls.
+ */
+
+import { getAllSwitchData, refreshSwitchData, subscribeToSwitches } from './connectionManager';
+
+// Seconds between polls of a switch unless set otherwise for that switch
+export const DEFAULT_POLL_INTERVAL_SECONDS = 60;
+
+// Poll interval choices offered to the user; 0 turns polling off for the switch
+export const POLL_INTERVAL_OPTIONS = [0, 15, 30, 60, 300, 900];
+
+// Switches polled at the same time
+export const MAX_CONCURRENT_POLLS = 3;
+
+// Share of the interval by which each poll is moved earlier or later
+const JITTER_RATIO = 0.2;
+
+// Browser storage key of the per-switch poll intervals
+const POLL_INTERVALS_KEY = 'aem-poll-intervals';
+
+// Poll timers keyed by switch ID
+const timers = new Map();
+
+// Switch IDs waiting for a free poll slot, in order, and those being polled
+const queue = [];
+const running = new Set();
+
+// Listeners notified after each completed poll
+const listeners = new Set();
+
+let isStarted = false;
+let unsubscribeFromSwitches = null;
+
+/**
+ * Read the per-switch poll intervals from browser storage
+ * @returns {Object} - Seconds keyed by switch ID
+ */
+const loadIntervals = () => {
+  try {
+    return JSON.parse(localStorage.getItem(POLL_INTERVALS_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Get how often a switch is polled
+ * @param {string} switchId - ID of the switch
+ * @returns {number} - Seconds between polls, 0 if polling is off for the switch
+ */
+export const getPollInterval = (switchId) => {
+  const interval = loadIntervals()[switchId];
+  return interval === undefined ? DEFAULT_POLL_INTERVAL_SECONDS : interval;
+};
+
+/**
+ * Set how often a switch is polled and reschedule it
+ * @param {string} switchId - ID of the switch
+ * @param {number} seconds - Seconds between polls, 0 to stop polling the switch
+ */
+export const setPollInterval = (switchId, seconds) => {
+  const intervals = loadIntervals();
+  intervals[switchId] = seconds;
+  localStorage.setItem(POLL_INTERVALS_KEY, JSON.stringify(intervals));
+
+  if (isStarted) {
+    schedulePoll(switchId);
+  }
+};
+
+/**
+ * Subscribe to completed polls
+ * @param {Function} listener - Called with `(switchId, switchData)` after each poll
+ * @returns {Function} - Function that removes the subscription
+ */
+export const subscribeToPolls = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Subscribe to completed polls of one switch
+ * @param {string} switchId - ID of the switch
+ * @param {Function} listener - Called with the switch data after each poll of that switch
+ * @returns {Function} - Function that removes the subscription
+ */
+export const subscribeToSwitchPolls = (switchId, listener) => {
+  return subscribeToPolls((polledId, switchData) => {
+    if (polledId === switchId) {
+      listener(switchData);
+    }
+  });
+};
+
+/**
+ * Check whether polls are held back because the page is not visible
+ * @returns {boolean} - True while the browser tab is hidden
+ */
+export const isPollingPaused = () => typeof document !== 'undefined' && document.hidden;
+
+/**
+ * Start the next queued polls while slots are free
+ */
+const drainQueue = () => {
+  while (queue.length > 0 && running.size < MAX_CONCURRENT_POLLS && !isPollingPaused()) {
+    const switchId = queue.shift();
+    running.add(switchId);
+
+    refreshSwitchData(switchId)
+      .then(switchData => listeners.forEach(listener => listener(switchId, switchData)))
+      .catch(error => console.error(`Background poll of ${switchId} failed:`, error))
+      .finally(() => {
+        running.delete(switchId);
+        if (isStarted) {
+          schedulePoll(switchId);
+        }
+        drainQueue();
+      });
+  }
+};
+
+/**
+ * Queue a switch for polling unless it is already waiting or being polled
+ * @param {string} switchId - ID of the switch
+ */
+const enqueuePoll = (switchId) => {
+  timers.delete(switchId);
+
+  if (!queue.includes(switchId) && !running.has(switchId)) {
+    queue.push(switchId);
+  }
+
+  drainQueue();
+};
+
+/**
+ * Set the timer for the next poll of a switch, replacing any pending one
+ * @param {string} switchId - ID of the switch
+ * @param {number} [delayMs] - Delay to use instead of the switch's jittered interval
+ */
+const schedulePoll = (switchId, delayMs) => {
+  clearTimeout(timers.get(switchId));
+  timers.delete(switchId);
+
+  const intervalSeconds = getPollInterval(switchId);
+  if (!intervalSeconds || isPollingPaused()) {
+    return;
+  }
+
+  const intervalMs = intervalSeconds * 1000;
+  const jitterMs = (Math.random() * 2 - 1) * JITTER_RATIO * intervalMs;
+  timers.set(switchId, setTimeout(() => enqueuePoll(switchId), delayMs ?? intervalMs + jitterMs));
+};
+
+/**
+ * Schedule switches added to the inventory and forget removed ones
+ * @param {Array} switches - All switch data
+ */
+const syncSwitches = (switches) => {
+  const ids = new Set(switches.map(sw => sw.id));
+
+  switches.forEach(sw => {
+    if (!timers.has(sw.id) && !queue.includes(sw.id) && !running.has(sw.id)) {
+      schedulePoll(sw.id);
+    }
+  });
+
+  timers.forEach((timer, switchId) => {
+    if (!ids.has(switchId)) {
+      clearTimeout(timer);
+      timers.delete(switchId);
+    }
+  });
+
+  for (let i = queue.length - 1; i >= 0; i--) {
+    if (!ids.has(queue[i])) {
+      queue.splice(i, 1);
+    }
+  }
+};
+
+/**
+ * Hold polls while the tab is hidden and catch up, spread over a few seconds, once it is shown
+ */
+const handleVisibilityChange = () => {
+  if (isPollingPaused()) {
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+    return;
+  }
+
+  getAllSwitchData().forEach(sw => schedulePoll(sw.id, Math.random() * 5000));
+  drainQueue();
+};
+
+/**
+ * Start polling every switch in the inventory
+ * Calling it again while polling is running has no effect.
+ */
+export const startPolling = () => {
+  if (isStarted) return;
+
+  isStarted = true;
+  unsubscribeFromSwitches = subscribeToSwitches(syncSwitches);
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  syncSwitches(getAllSwitchData());
+};
+
+/**
+ * Stop polling; polls already running finish but are not rescheduled
+ */
+export const stopPolling = () => {
+  if (!isStarted) return;
+
+  isStarted = false;
+  unsubscribeFromSwitches();
+  unsubscribeFromSwitches = null;
+  document.removeEventListener('visibilitychange', handleVisibilityChange);
+
+  timers.forEach(timer => clearTimeout(timer));
+  timers.clear();
+  queue.length = 0;
+};
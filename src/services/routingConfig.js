@@ -4,6 +4,8 @@
  */
 
 import { executeCommands } from './connectionManager';
+import { queueChange } from './changeQueue';
+import { EapiCommandError } from './eapiErrors';
 
 /**
  * Fetch static routes from the switch
@@ -16,8 +18,8 @@ export const getStaticRoutes = async (switchId) => {
       throw new Error('No switch ID provided');
     }
     
-    // Get the static routes from the switch
-    const result = await executeCommands(switchId, ['show ip route static']);
+    // Get the static routes from the switch as text for the route parser
+    const result = await executeCommands(switchId, ['show ip route static'], { format: 'text' });
     
     // Process the result to extract static routes
     if (result && result[0] && result[0].output) {
@@ -66,7 +68,7 @@ const parseStaticRoutes = (output) => {
  * @param {string} prefix - Network prefix with mask (e.g. 10.0.0.0/24)
  * @param {string} nextHop - Next hop IP address
  * @param {number} [adminDistance=1] - Administrative distance
- * @returns {Promise<Object>} - Promise resolving to command result
+ * @returns {Promise<Object>} - Promise with the queued change
  */
 export const addStaticRoute = async (switchId, prefix, nextHop, adminDistance = 1) => {
   try {
@@ -89,9 +91,7 @@ export const addStaticRoute = async (switchId, prefix, nextHop, adminDistance =
     }
     
     const command = `ip route ${prefix} ${nextHop} ${adminDistance !== 1 ? adminDistance : ''}`.trim();
-    const result = await executeCommands(switchId, ['configure', command, 'end']);
-    
-    return result;
+    return queueChange(switchId, `Add static route ${prefix} via ${nextHop}`, [command]);
   } catch (error) {
     console.error('Error adding static route:', error);
     throw error;
@@ -103,7 +103,7 @@ export const addStaticRoute = async (switchId, prefix, nextHop, adminDistance =
  * @param {string} switchId - ID of the switch
  * @param {string} prefix - Network prefix with mask
  * @param {string} nextHop - Next hop IP address
- * @returns {Promise<Object>} - Promise resolving to command result
+ * @returns {Promise<Object>} - Promise with the queued change
  */
 export const deleteStaticRoute = async (switchId, prefix, nextHop) => {
   try {
@@ -112,59 +112,153 @@ export const deleteStaticRoute = async (switchId, prefix, nextHop) => {
     }
     
     const command = `no ip route ${prefix} ${nextHop}`;
-    const result = await executeCommands(switchId, ['configure', command, 'end']);
-    
-    return result;
+    return queueChange(switchId, `Delete static route ${prefix} via ${nextHop}`, [command]);
   } catch (error) {
     console.error('Error deleting static route:', error);
     throw error;
   }
 };
 
+// BGP data returned when BGP is not configured
+const emptyBgpConfig = () => ({ enabled: false, asn: null, routerId: null, neighbors: [], vrfs: [] });
+
 /**
  * Fetch BGP configuration from the switch
+ * Reads the structured `show ip bgp summary vrf all` output; `format: 'text'` falls back to
+ * parsing the CLI text of the default VRF.
  * @param {string} switchId - ID of the switch
- * @returns {Promise<Object>} - Promise resolving to BGP configuration
+ * @param {Object} [options] - Fetch options
+ * @param {string} [options.format='json'] - Output format to request (json or text)
+ * @returns {Promise<Object>} - Promise resolving to BGP configuration `{ enabled, asn, routerId,
+ *   neighbors, vrfs }`, where `neighbors` holds the peers of every VRF
  */
-export const getBgpConfig = async (switchId) => {
+export const getBgpConfig = async (switchId, { format = 'json' } = {}) => {
   try {
     if (!switchId) {
       throw new Error('No switch ID provided');
     }
-    
-    // Get the BGP configuration summary from the switch
-    const result = await executeCommands(switchId, ['show ip bgp summary']);
-    
-    if (result && result[0] && result[0].output) {
-      const output = result[0].output;
-      
-      // Parse the BGP configuration
-      const bgpConfig = parseBgpSummary(output);
-      
-      // If there's a valid AS number, get the BGP neighbors
-      if (bgpConfig.asn) {
-        const neighborsResult = await executeCommands(switchId, ['show ip bgp neighbors']);
-        if (neighborsResult && neighborsResult[0] && neighborsResult[0].output) {
-          bgpConfig.neighbors = parseBgpNeighbors(neighborsResult[0].output);
-        }
-      }
-      
-      return bgpConfig;
+
+    if (format === 'text') {
+      return await getBgpConfigFromText(switchId);
     }
-    
-    return { enabled: false, asn: null, routerId: null, neighbors: [] };
+
+    const [summary] = await executeCommands(switchId, ['show ip bgp summary vrf all']);
+    return parseBgpSummaryJson(summary);
   } catch (error) {
     console.error('Error fetching BGP configuration:', error);
     // If BGP is not configured, return default structure
-    if (error.message && error.message.includes('not enabled')) {
-      return { enabled: false, asn: null, routerId: null, neighbors: [] };
+    if (error.message && (error.message.includes('not enabled') || error.message.includes('BGP inactive'))) {
+      return emptyBgpConfig();
     }
     throw error;
   }
 };
 
 /**
- * Parse BGP summary output
+ * Format the time since a BGP peer last changed state
+ * @param {number} upDownTime - Epoch time in seconds of the last state change
+ * @returns {string} - Duration such as `1d02h` or `00:05:12`, or `never`
+ */
+const formatBgpUptime = (upDownTime) => {
+  if (!upDownTime) {
+    return 'never';
+  }
+
+  const seconds = Math.max(0, Math.floor(Date.now() / 1000 - upDownTime));
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+
+  if (days > 0) {
+    return `${days}d${String(hours).padStart(2, '0')}h`;
+  }
+
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return [hours, minutes, seconds % 60].map(part => String(part).padStart(2, '0')).join(':');
+};
+
+/**
+ * Read an AS number that EOS reports as a string
+ * @param {string|number} asn - AS number, possibly in asdot notation
+ * @returns {number|string|null} - Numeric ASN, the asdot string, or null if missing
+ */
+const parseAsn = (asn) => {
+  if (asn === undefined || asn === null || asn === '') {
+    return null;
+  }
+
+  return /^\d+$/.test(String(asn)) ? parseInt(asn) : String(asn);
+};
+
+/**
+ * Parse the JSON output of `show ip bgp summary vrf all`
+ * @param {Object} summary - Command output with a `vrfs` map
+ * @returns {Object} - Parsed BGP configuration
+ */
+const parseBgpSummaryJson = (summary) => {
+  const vrfs = Object.entries(summary?.vrfs || {}).map(([name, vrf]) => ({
+    name,
+    asn: parseAsn(vrf.asn),
+    routerId: vrf.routerId || null,
+    neighbors: Object.entries(vrf.peers || {}).map(([ip, peer]) => ({
+      ip,
+      vrf: name,
+      remoteAsn: parseAsn(peer.asn),
+      description: peer.description || '',
+      state: peer.peerState || 'Unknown',
+      uptime: formatBgpUptime(peer.upDownTime),
+      prefixesReceived: peer.prefixReceived || 0,
+      prefixesAccepted: peer.prefixAccepted || 0
+    }))
+  }));
+
+  if (vrfs.length === 0) {
+    return emptyBgpConfig();
+  }
+
+  // The process-wide ASN and router ID come from the default VRF when it is present
+  const primary = vrfs.find(vrf => vrf.name === 'default') || vrfs[0];
+
+  return {
+    enabled: true,
+    asn: primary.asn,
+    routerId: primary.routerId,
+    neighbors: vrfs.flatMap(vrf => vrf.neighbors),
+    vrfs
+  };
+};
+
+/**
+ * Fetch BGP configuration of the default VRF by parsing CLI text output
+ * @param {string} switchId - ID of the switch
+ * @returns {Promise<Object>} - Promise resolving to BGP configuration
+ */
+const getBgpConfigFromText = async (switchId) => {
+  const result = await executeCommands(switchId, ['show ip bgp summary'], { format: 'text' });
+
+  if (!result?.[0]?.output) {
+    return emptyBgpConfig();
+  }
+
+  const bgpConfig = parseBgpSummary(result[0].output);
+
+  // If there's a valid AS number, get the BGP neighbors
+  if (bgpConfig.asn) {
+    const neighborsResult = await executeCommands(switchId, ['show ip bgp neighbors'], { format: 'text' });
+    if (neighborsResult?.[0]?.output) {
+      bgpConfig.neighbors = parseBgpNeighbors(neighborsResult[0].output);
+    }
+  }
+
+  bgpConfig.neighbors = bgpConfig.neighbors.map(neighbor => ({ ...neighbor, vrf: 'default' }));
+  bgpConfig.vrfs = bgpConfig.enabled
+    ? [{ name: 'default', asn: bgpConfig.asn, routerId: bgpConfig.routerId, neighbors: bgpConfig.neighbors }]
+    : [];
+
+  return bgpConfig;
+};
+
+/**
+ * Parse BGP summary text output
  * @param {string} output - Output from 'show ip bgp summary' command
  * @returns {Object} - Parsed BGP configuration
  */
@@ -205,7 +299,7 @@ const parseBgpSummary = (output) => {
 };
 
 /**
- * Parse BGP neighbors output for detailed information
+ * Parse BGP neighbors text output for detailed information
  * @param {string} output - Output from 'show ip bgp neighbors' command
  * @returns {Array} - Array of neighbor objects with detailed information
  */
@@ -264,7 +358,7 @@ const parseBgpNeighbors = (output) => {
  * @param {string} switchId - ID of the switch
  * @param {number} asn - Autonomous System Number
  * @param {string} routerId - Router ID (IP address format)
- * @returns {Promise<Object>} - Promise resolving to command result
+ * @returns {Promise<Object>} - Promise with the queued change
  */
 export const configureBgp = async (switchId, asn, routerId) => {
   try {
@@ -281,7 +375,6 @@ export const configureBgp = async (switchId, asn, routerId) => {
     }
     
     const commands = [
-      'configure',
       `router bgp ${asn}`
     ];
     
@@ -289,10 +382,7 @@ export const configureBgp = async (switchId, asn, routerId) => {
       commands.push(`router-id ${routerId}`);
     }
     
-    commands.push('end');
-    
-    const result = await executeCommands(switchId, commands);
-    return result;
+    return queueChange(switchId, `Configure BGP AS ${asn}`, commands);
   } catch (error) {
     console.error('Error configuring BGP:', error);
     throw error;
@@ -305,7 +395,7 @@ export const configureBgp = async (switchId, asn, routerId) => {
  * @param {number} asn - Local ASN
  * @param {string} neighborIp - Neighbor IP address
  * @param {number} remoteAsn - Remote AS number
- * @returns {Promise<Object>} - Promise resolving to command result
+ * @returns {Promise<Object>} - Promise with the queued change
  */
 export const addBgpNeighbor = async (switchId, asn, neighborIp, remoteAsn) => {
   try {
@@ -318,14 +408,11 @@ export const addBgpNeighbor = async (switchId, asn, neighborIp, remoteAsn) => {
     }
     
     const commands = [
-      'configure',
       `router bgp ${asn}`,
-      `neighbor ${neighborIp} remote-as ${remoteAsn}`,
-      'end'
+      `neighbor ${neighborIp} remote-as ${remoteAsn}`
     ];
     
-    const result = await executeCommands(switchId, commands);
-    return result;
+    return queueChange(switchId, `Add BGP neighbor ${neighborIp} (AS ${remoteAsn})`, commands);
   } catch (error) {
     console.error('Error adding BGP neighbor:', error);
     throw error;
@@ -337,29 +424,342 @@ export const addBgpNeighbor = async (switchId, asn, neighborIp, remoteAsn) => {
  * @param {string} switchId - ID of the switch
  * @param {number} asn - Local ASN
  * @param {string} neighborIp - Neighbor IP address to remove
- * @returns {Promise<Object>} - Promise resolving to command result
+ * @param {string} [vrf='default'] - VRF the neighbor belongs to
+ * @returns {Promise<Object>} - Promise with the queued change
  */
-export const removeBgpNeighbor = async (switchId, asn, neighborIp) => {
+export const removeBgpNeighbor = async (switchId, asn, neighborIp, vrf = 'default') => {
   try {
     if (!switchId || !asn || !neighborIp) {
       throw new Error('Switch ID, ASN, and neighbor IP are required');
     }
     
     const commands = [
-      'configure',
       `router bgp ${asn}`,
-      `no neighbor ${neighborIp}`,
-      'end'
+      ...(vrf !== 'default' ? [`vrf ${vrf}`] : []),
+      `no neighbor ${neighborIp}`
     ];
     
-    const result = await executeCommands(switchId, commands);
-    return result;
+    const vrfSuffix = vrf !== 'default' ? ` in VRF ${vrf}` : '';
+    return queueChange(switchId, `Remove BGP neighbor ${neighborIp}${vrfSuffix}`, commands);
   } catch (error) {
     console.error('Error removing BGP neighbor:', error);
     throw error;
   }
 };
 
+// EVPN NLRI types shown in the route tables, keyed by the nlriType EOS reports
+export const EVPN_ROUTE_TYPES = {
+  'mac-ip': { type: 2, label: 'MAC/IP' },
+  imet: { type: 3, label: 'Inclusive multicast' },
+  'ip-prefix': { type: 5, label: 'IP prefix' }
+};
+
+/**
+ * Fetch the EVPN settings of the BGP process and the state of EVPN peers
+ * VLAN blocks and activated neighbors only appear in running-config, so they are read from
+ * its structured form.
+ * @param {string} switchId - ID of the switch
+ * @returns {Promise<Object>} - Promise resolving to `{ asn, activatedNeighbors, vlans, peers }`
+ */
+export const getEvpnConfig = async (switchId) => {
+  try {
+    if (!switchId) {
+      throw new Error('No switch ID provided');
+    }
+
+    let results;
+    try {
+      results = await executeCommands(switchId, ['show running-config section router bgp', 'show bgp evpn summary']);
+    } catch (error) {
+      // EVPN summary fails while BGP is not running; the configuration is still worth showing
+      if (error instanceof EapiCommandError && error.commandIndex === 1) {
+        results = [error.partialResults[0], null];
+      } else {
+        throw error;
+      }
+    }
+
+    const [runningConfig, summary] = results;
+    return {
+      ...parseEvpnRunningConfig(runningConfig),
+      peers: summary ? parseBgpSummaryJson(summary).neighbors.filter(peer => peer.vrf === 'default') : []
+    };
+  } catch (error) {
+    console.error('Error fetching EVPN configuration:', error);
+    throw error;
+  }
+};
+
+/**
+ * Parse the EVPN parts of the structured `router bgp` running-config
+ * @param {Object} runningConfig - JSON output of `show running-config section router bgp`
+ * @returns {Object} - `{ asn, activatedNeighbors, vlans }`
+ */
+const parseEvpnRunningConfig = (runningConfig) => {
+  const [routerKey] = Object.keys(runningConfig?.cmds || {}).filter(key => key.startsWith('router bgp '));
+
+  if (!routerKey) {
+    return { asn: null, activatedNeighbors: [], vlans: [] };
+  }
+
+  const router = runningConfig.cmds[routerKey]?.cmds || {};
+  const evpnFamily = router['address-family evpn']?.cmds || {};
+
+  const activatedNeighbors = Object.keys(evpnFamily)
+    .map(line => line.match(/^neighbor (\S+) activate$/)?.[1])
+    .filter(Boolean);
+
+  const vlans = Object.entries(router)
+    .filter(([key]) => /^vlan \d+$/.test(key))
+    .map(([key, block]) => {
+      const lines = Object.keys(block?.cmds || {});
+      const targets = (direction) => lines
+        .map(line => line.match(new RegExp(`^route-target (?:both|${direction}) (\\S+)$`))?.[1])
+        .filter(Boolean);
+
+      return {
+        vlan: parseInt(key.slice('vlan '.length)),
+        rd: lines.map(line => line.match(/^rd (\S+)$/)?.[1]).find(Boolean) || null,
+        importTargets: targets('import'),
+        exportTargets: targets('export'),
+        redistributeLearned: lines.includes('redistribute learned')
+      };
+    })
+    .sort((a, b) => a.vlan - b.vlan);
+
+  return { asn: parseAsn(routerKey.slice('router bgp '.length)), activatedNeighbors, vlans };
+};
+
+/**
+ * Fetch the EVPN routes of the switch, split by route type
+ * @param {string} switchId - ID of the switch
+ * @returns {Promise<Object>} - Promise resolving to arrays of routes keyed by nlriType
+ *   (`mac-ip`, `imet`, `ip-prefix`)
+ */
+export const getEvpnRoutes = async (switchId) => {
+  try {
+    if (!switchId) {
+      throw new Error('No switch ID provided');
+    }
+
+    const [output] = await executeCommands(switchId, ['show bgp evpn']);
+    return parseEvpnRoutes(output);
+  } catch (error) {
+    console.error('Error fetching EVPN routes:', error);
+    throw error;
+  }
+};
+
+/**
+ * Parse the JSON output of `show bgp evpn`
+ * Each route keeps its best path; route targets and the VNI come from its extended communities.
+ * @param {Object} output - Command output with an `evpnRoutes` map
+ * @returns {Object} - Routes keyed by nlriType
+ */
+const parseEvpnRoutes = (output) => {
+  const routes = Object.fromEntries(Object.keys(EVPN_ROUTE_TYPES).map(type => [type, []]));
+
+  Object.entries(output?.evpnRoutes || {}).forEach(([key, route]) => {
+    const detail = route.routeKeyDetail || {};
+    if (!routes[detail.nlriType]) return;
+
+    const paths = route.evpnRoutePaths || [];
+    const best = paths.find(path => path.routeType?.active) || paths[0] || {};
+    const communities = best.routeDetail?.extCommunities || [];
+
+    routes[detail.nlriType].push({
+      key,
+      rd: detail.rd || '',
+      mac: detail.mac || null,
+      ip: detail.ip || detail.ipGenAddr || null,
+      prefix: detail.ipGenPrefix || null,
+      nextHop: best.nextHop || '',
+      asPath: best.asPath || '',
+      routeTargets: communities.filter(community => community.startsWith('Route-Target-')).map(community => community.replace(/^Route-Target-\w+:/, '')),
+      valid: best.routeType?.valid !== false,
+      best: !!best.routeType?.active,
+      paths: paths.length
+    });
+  });
+
+  return routes;
+};
+
+/**
+ * Activate or deactivate the EVPN address family for a BGP neighbor or peer group
+ * Activating also turns on `send-community extended`, without which route targets never reach
+ * the peer; deactivating leaves it alone since other address families may rely on it.
+ * @param {string} switchId - ID of the switch
+ * @param {number} asn - Local ASN
+ * @param {string} neighbor - Neighbor IP address or peer group name
+ * @param {boolean} [activate=true] - False to deactivate
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const setEvpnNeighbor = async (switchId, asn, neighbor, activate = true) => {
+  try {
+    if (!switchId || !asn || !neighbor) {
+      throw new Error('Switch ID, ASN, and neighbor are required');
+    }
+
+    if (!isValidAsn(asn)) {
+      throw new Error('Invalid ASN. Must be between 1 and 4294967295');
+    }
+
+    if (!isValidIpAddress(neighbor) && !/^[A-Za-z][A-Za-z0-9_-]*$/.test(neighbor)) {
+      throw new Error('Neighbor must be an IP address or a peer group name');
+    }
+
+    const commands = [
+      `router bgp ${asn}`,
+      ...(activate ? [`neighbor ${neighbor} send-community extended`] : []),
+      'address-family evpn',
+      `${activate ? '' : 'no '}neighbor ${neighbor} activate`
+    ];
+
+    return queueChange(switchId, `${activate ? 'Activate' : 'Deactivate'} EVPN for BGP neighbor ${neighbor}`, commands);
+  } catch (error) {
+    console.error('Error changing EVPN neighbor:', error);
+    throw error;
+  }
+};
+
+/**
+ * Add or replace the EVPN `vlan` block of a VLAN under `router bgp`
+ * Targets in both lists are written as `route-target both`. Learned MAC addresses are
+ * redistributed so the VLAN advertises type 2 routes.
+ * @param {string} switchId - ID of the switch
+ * @param {number} asn - Local ASN
+ * @param {number} vlanId - VLAN ID (1-4094)
+ * @param {string} rd - Route distinguisher (ASN:nn, IP:nn or auto)
+ * @param {Array} importTargets - Route targets to import
+ * @param {Array} [exportTargets=importTargets] - Route targets to export
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const configureEvpnVlan = async (switchId, asn, vlanId, rd, importTargets, exportTargets = importTargets) => {
+  try {
+    if (!switchId || !asn) {
+      throw new Error('Switch ID and ASN are required');
+    }
+
+    if (!isValidAsn(asn)) {
+      throw new Error('Invalid ASN. Must be between 1 and 4294967295');
+    }
+
+    const sanitizedVlan = parseVlanId(vlanId);
+    if (!sanitizedVlan) {
+      throw new Error('Invalid VLAN ID. Must be between 1-4094.');
+    }
+
+    if (!Array.isArray(importTargets) || !Array.isArray(exportTargets)) {
+      throw new Error('Route targets must be lists');
+    }
+
+    if (rd !== 'auto' && !isValidCommunityValue(rd)) {
+      throw new Error('Invalid route distinguisher. Expected ASN:nn, IP:nn or auto');
+    }
+
+    const invalidTarget = [...importTargets, ...exportTargets].find(target => !isValidCommunityValue(target));
+    if (invalidTarget) {
+      throw new Error(`Invalid route target: ${invalidTarget}. Expected ASN:nn or IP:nn`);
+    }
+
+    if (importTargets.length === 0 && exportTargets.length === 0) {
+      throw new Error('At least one route target is required');
+    }
+
+    const both = importTargets.filter(target => exportTargets.includes(target));
+    const commands = [
+      `router bgp ${asn}`,
+      // Start from an empty block so removed targets do not linger
+      `no vlan ${sanitizedVlan}`,
+      `vlan ${sanitizedVlan}`,
+      `rd ${rd}`,
+      ...both.map(target => `route-target both ${target}`),
+      ...importTargets.filter(target => !both.includes(target)).map(target => `route-target import ${target}`),
+      ...exportTargets.filter(target => !both.includes(target)).map(target => `route-target export ${target}`),
+      'redistribute learned'
+    ];
+
+    return queueChange(switchId, `Configure EVPN for VLAN ${sanitizedVlan} (RD ${rd})`, commands);
+  } catch (error) {
+    console.error('Error configuring EVPN VLAN:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove the EVPN `vlan` block of a VLAN
+ * @param {string} switchId - ID of the switch
+ * @param {number} asn - Local ASN
+ * @param {number} vlanId - VLAN ID (1-4094)
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const removeEvpnVlan = async (switchId, asn, vlanId) => {
+  try {
+    if (!switchId || !asn || !vlanId) {
+      throw new Error('Switch ID, ASN, and VLAN ID are required');
+    }
+
+    if (!isValidAsn(asn)) {
+      throw new Error('Invalid ASN. Must be between 1 and 4294967295');
+    }
+
+    const sanitizedVlan = parseVlanId(vlanId);
+    if (!sanitizedVlan) {
+      throw new Error('Invalid VLAN ID. Must be between 1-4094.');
+    }
+
+    return queueChange(switchId, `Remove EVPN for VLAN ${sanitizedVlan}`, [
+      `router bgp ${asn}`,
+      `no vlan ${sanitizedVlan}`
+    ]);
+  } catch (error) {
+    console.error('Error removing EVPN VLAN:', error);
+    throw error;
+  }
+};
+
+/**
+ * Read a VLAN ID given as a number or a string of digits
+ * @param {number|string} vlanId - VLAN ID to validate
+ * @returns {number|null} - The VLAN ID, or null if it is not between 1-4094
+ */
+const parseVlanId = (vlanId) => {
+  const value = String(vlanId ?? '').trim();
+  if (!/^\d+$/.test(value)) return null;
+
+  const vlan = Number(value);
+  return vlan >= 1 && vlan <= 4094 ? vlan : null;
+};
+
+/**
+ * Check if a string is a route distinguisher or route target value (ASN:nn or IP:nn)
+ * @param {string} value - Value to validate
+ * @returns {boolean} - True if valid
+ */
+const isValidCommunityValue = (value) => {
+  if (typeof value !== 'string') return false;
+
+  const match = value.match(/^([\d.]+):(\d+)$/);
+  return !!match && Number(match[2]) <= 4294967295 && (isValidAsn(match[1]) || isValidIpAddress(match[1]));
+};
+
+/**
+ * Check if a value is a BGP ASN, as a plain number or in asdot form
+ * @param {number|string} asn - ASN to validate, e.g. 65001 or "1.10"
+ * @returns {boolean} - True if valid ASN
+ */
+const isValidAsn = (asn) => {
+  const value = String(asn ?? '');
+
+  if (/^\d+$/.test(value)) {
+    return Number(value) >= 1 && Number(value) <= 4294967295;
+  }
+
+  const asdot = value.match(/^(\d+)\.(\d+)$/);
+  return !!asdot && Number(asdot[1]) <= 65535 && Number(asdot[2]) <= 65535 && Number(asdot[1]) + Number(asdot[2]) > 0;
+};
+
 /**
  * Check if a string is a valid IP address
  * @param {string} ip - IP address to validate
@@ -0,0 +1,103 @@
+/**
+ * Switch Health Service
+ * Derives the health state of a switch from its latest metrics and the outcome of each poll
+ *
+ * States: `online` (answering, within thresholds), `degraded` (answering but over a threshold,
+ * or a poll just failed), `unreachable` (not answering) and `auth-failed` (credentials rejected).
+ * Switches not polled yet are `connecting`.
+ */
+
+// Metric values at or above which an answering switch is reported as degraded
+export const HEALTH_THRESHOLDS = {
+  cpuUsage: 85,
+  temperature: 70
+};
+
+// Consecutive failed polls before a switch that was answering counts as unreachable
+export const FAILURES_BEFORE_UNREACHABLE = 2;
+
+/**
+ * Check whether a health state means the switch answers requests
+ * @param {string} status - Health state
+ * @returns {boolean} - True for online and degraded switches
+ */
+export const isReachable = (status) => status === 'online' || status === 'degraded';
+
+/**
+ * List the metrics of a switch that are over their threshold
+ * @param {Object} switchData - Switch data with `cpuUsage` and `temperature`
+ * @returns {Array} - Human-readable reasons, empty if every metric is within its threshold
+ */
+export const getThresholdWarnings = (switchData) => {
+  const warnings = [];
+
+  if (switchData.cpuUsage >= HEALTH_THRESHOLDS.cpuUsage) {
+    warnings.push(`CPU at ${switchData.cpuUsage}% (threshold ${HEALTH_THRESHOLDS.cpuUsage}%)`);
+  }
+
+  if (switchData.temperature >= HEALTH_THRESHOLDS.temperature) {
+    warnings.push(`Temperature at ${switchData.temperature}°C (threshold ${HEALTH_THRESHOLDS.temperature}°C)`);
+  }
+
+  return warnings;
+};
+
+/**
+ * Health fields of a switch that just answered a poll
+ * @param {Object} switchData - Freshly polled switch data
+ * @returns {Object} - `{ status, healthReasons, lastSeen, consecutiveFailures, lastError }`
+ */
+export const assessPollSuccess = (switchData) => {
+  const healthReasons = getThresholdWarnings(switchData);
+
+  return {
+    status: healthReasons.length > 0 ? 'degraded' : 'online',
+    healthReasons,
+    lastSeen: Date.now(),
+    consecutiveFailures: 0,
+    lastError: null
+  };
+};
+
+/**
+ * Health fields of a switch whose poll or connection attempt failed
+ * A switch that was answering is degraded for its first missed polls before it is called unreachable.
+ * @param {Object} switchData - Switch data before the failure
+ * @param {Error} error - Error of the failed attempt; status 401 means the credentials were rejected
+ * @returns {Object} - `{ status, healthReasons, lastSeen, consecutiveFailures, lastError }`
+ */
+export const assessPollFailure = (switchData, error) => {
+  const consecutiveFailures = (switchData.consecutiveFailures || 0) + 1;
+  const lastError = error?.message || 'Unknown error';
+
+  let status = 'unreachable';
+  if (error?.status === 401) {
+    status = 'auth-failed';
+  } else if (isReachable(switchData.status) && consecutiveFailures < FAILURES_BEFORE_UNREACHABLE) {
+    status = 'degraded';
+  }
+
+  return {
+    status,
+    healthReasons: [`${consecutiveFailures} failed ${consecutiveFailures === 1 ? 'poll' : 'polls'}: ${lastError}`],
+    lastSeen: switchData.lastSeen || null,
+    consecutiveFailures,
+    lastError
+  };
+};
+
+/**
+ * Format how long ago a switch last answered
+ * @param {number|null} lastSeen - Timestamp in milliseconds, null if it never answered
+ * @returns {string} - Relative time such as `3m ago`, or `never`
+ */
+export const formatLastSeen = (lastSeen) => {
+  if (!lastSeen) return 'never';
+
+  const seconds = Math.max(0, Math.round((Date.now() - lastSeen) / 1000));
+
+  if (seconds < 60) return 'just now';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  return `${Math.floor(seconds / 86400)}d ago`;
+};
@@ -16,8 +16,8 @@ export const getLldpNeighbors = async (switchId) => {
       throw new Error('No switch ID provided');
     }
     
-    // Get LLDP neighbors data from the switch
-    const result = await executeCommands(switchId, ['show lldp neighbors detail']);
+    // Get LLDP neighbors data from the switch as text for the section parser
+    const result = await executeCommands(switchId, ['show lldp neighbors detail'], { format: 'text' });
     
     if (result && result[0] && result[0].output) {
       const neighbors = parseLldpNeighbors(result[0].output);
@@ -87,8 +87,8 @@ export const getInterfaceStatus = async (switchId) => {
       throw new Error('No switch ID provided');
     }
     
-    // Get interface status data from the switch
-    const result = await executeCommands(switchId, ['show interfaces status']);
+    // Get interface status data from the switch as text for the column parser
+    const result = await executeCommands(switchId, ['show interfaces status'], { format: 'text' });
     
     if (result && result[0] && result[0].output) {
       const interfaces = parseInterfaceStatus(result[0].output);
@@ -173,7 +173,7 @@ export const buildNetworkTopology = async (switches) => {
         id: switchData.id,
         name: switchData.hostname || `Switch-${switchData.id}`,
         type: 'switch',
-        status: 'online',
+        status: switchData.status || 'online',
         model: switchData.model || '',
         ipAddress: switchData.ipAddress || '',
         // We'll calculate position later
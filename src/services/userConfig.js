@@ -0,0 +1,355 @@
+/**
+ * User Account Configuration Service
+ * Handles retrieving and configuring local user accounts, their SSH keys and custom roles on
+ * Arista EOS switches
+ *
+ * Passwords are hashed with SHA-512 crypt by the API server before they are queued, so only
+ * `secret sha512 <hash>` is ever sent to a switch.
+ */
+
+import { executeCommands } from './connectionManager';
+import { queueChange } from './changeQueue';
+import { callApi } from './apiClient';
+
+// Roles every EOS switch has; they cannot be changed or removed
+export const BUILTIN_ROLES = ['network-admin', 'network-operator'];
+
+// SSH public key types EOS accepts
+const SSH_KEY_TYPES = ['ssh-rsa', 'ssh-ed25519', 'ecdsa-sha2-nistp256', 'ecdsa-sha2-nistp384', 'ecdsa-sha2-nistp521'];
+
+// Gap between role rules numbered by setRole
+const RULE_STEP = 10;
+
+/**
+ * Get the local user accounts and roles of a switch
+ * Password hashes are kept on the accounts so they can be edited without a new password, but
+ * only `hasPassword` is meant for display.
+ * @param {string} switchId - ID of the switch
+ * @returns {Promise<Object>} - Promise resolving to `{ users, roles }`
+ */
+export const getUserAccounts = async (switchId) => {
+  try {
+    if (!switchId) {
+      throw new Error('No switch ID provided');
+    }
+
+    const [runningConfig, accounts] = await executeCommands(switchId, [
+      'show running-config section username|role',
+      'show users accounts'
+    ]);
+
+    const lines = Object.entries(runningConfig?.cmds || {});
+    const configured = new Map();
+
+    lines.forEach(([line]) => {
+      const match = line.match(/^username (\S+) (.*)$/);
+      if (!match) return;
+
+      const user = configured.get(match[1]) || emptyUser(match[1]);
+      configured.set(match[1], { ...user, ...parseUsernameLine(match[2], user) });
+    });
+
+    // Accounts reported by the switch but missing from the running-config are still listed
+    Object.entries(accounts?.users || {}).forEach(([username, account]) => {
+      const user = configured.get(username) || emptyUser(username);
+      configured.set(username, {
+        ...user,
+        privilege: user.privilege ?? account.privLevel ?? account.userPrivilege ?? null,
+        role: user.role || account.role || null
+      });
+    });
+
+    const customRoles = lines
+      .filter(([line]) => /^role \S+$/.test(line))
+      .map(([line, block]) => ({
+        name: line.slice('role '.length),
+        builtin: false,
+        rules: Object.keys(block?.cmds || {}).map(parseRoleRule).filter(Boolean)
+      }));
+
+    return {
+      users: [...configured.values()].sort((a, b) => a.username.localeCompare(b.username)),
+      roles: [
+        ...BUILTIN_ROLES.map(name => ({ name, builtin: true, rules: [] })),
+        ...customRoles.sort((a, b) => a.name.localeCompare(b.name))
+      ]
+    };
+  } catch (error) {
+    console.error('Error getting user accounts:', error);
+    throw error;
+  }
+};
+
+// Account data before any of its lines are read
+const emptyUser = (username) => ({
+  username,
+  privilege: null,
+  role: null,
+  hasPassword: false,
+  nopassword: false,
+  storedSecret: null,
+  sshKey: null
+});
+
+/**
+ * Parse the part of a `username` line after the name
+ * @param {string} rest - e.g. `privilege 15 role network-admin secret sha512 $6$...` or `ssh-key ssh-ed25519 AAAA...`
+ * @param {Object} user - Account data read so far
+ * @returns {Object} - Account fields set by the line
+ */
+const parseUsernameLine = (rest, user) => {
+  const sshKey = rest.match(/^(?:ssh-key|sshkey) (.+)$/);
+  if (sshKey) {
+    return { sshKey: sshKey[1] };
+  }
+
+  const fields = {};
+  const tokens = rest.split(' ');
+
+  while (tokens.length > 0) {
+    const token = tokens.shift();
+
+    if (token === 'privilege') fields.privilege = parseInt(tokens.shift());
+    else if (token === 'role') fields.role = tokens.shift();
+    else if (token === 'nopassword') fields.nopassword = true;
+    else if (token === 'secret') {
+      const type = /^(0|5|sha512)$/.test(tokens[0]) && tokens.length > 1 ? tokens.shift() : '0';
+      fields.storedSecret = { type, value: tokens.join(' ') };
+      fields.hasPassword = true;
+      break;
+    }
+  }
+
+  return { privilege: user.privilege, role: user.role, ...fields };
+};
+
+/**
+ * Parse a rule of a role block
+ * @param {string} line - e.g. `10 permit mode exec command show.*`
+ * @returns {Object|null} - `{ sequence, action, mode, command }`, or null if not a rule
+ */
+const parseRoleRule = (line) => {
+  const match = line.match(/^(?:(\d+) )?(permit|deny)(?: mode (\S+))? command (.+)$/);
+  if (!match) return null;
+
+  return {
+    sequence: match[1] ? parseInt(match[1]) : null,
+    action: match[2],
+    mode: match[3] || null,
+    command: match[4]
+  };
+};
+
+/**
+ * Check a role rule before it is pushed
+ * @param {string} text - Rule in EOS form, with or without a sequence number
+ * @returns {string|null} - Problem with the rule, or null if it looks valid
+ */
+export const validateRoleRule = (text) => {
+  const rule = parseRoleRule(String(text || '').trim().replace(/\s+/g, ' '));
+
+  if (!rule) {
+    return 'Use [sequence] permit|deny [mode <mode>] command <regex>';
+  }
+  if (rule.sequence !== null && (rule.sequence < 1 || rule.sequence > 256)) {
+    return 'Sequence number must be between 1-256';
+  }
+
+  try {
+    new RegExp(rule.command);
+  } catch (error) {
+    return `Invalid command pattern "${rule.command}"`;
+  }
+
+  return null;
+};
+
+/**
+ * Hash a password on the API server
+ * @param {string} password - Cleartext password
+ * @returns {Promise<string>} - Promise resolving to the SHA-512 crypt hash
+ */
+const hashPassword = async (password) => {
+  const { hash } = await callApi('/switches/secret-hash', { body: { secret: password } });
+  return hash;
+};
+
+/**
+ * Add a local user account, or change one that exists
+ * @param {string} switchId - ID of the switch
+ * @param {Object} settings - `{ username, privilege, role, password, nopassword }`; an empty password
+ *   keeps the existing account's password
+ * @param {Object} [existing=null] - Account returned by getUserAccounts that is being edited
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const setUserAccount = async (switchId, settings, existing = null) => {
+  try {
+    const username = (settings.username || '').trim();
+    validateUsername(username);
+
+    const privilege = Number(settings.privilege);
+    if (!Number.isInteger(privilege) || privilege < 0 || privilege > 15) {
+      throw new Error('Invalid privilege level. Must be between 0-15.');
+    }
+
+    const role = (settings.role || '').trim();
+    if (role) {
+      validateRoleName(role);
+    }
+
+    let credential;
+    if (settings.nopassword) {
+      credential = 'nopassword';
+    } else if (settings.password) {
+      credential = `secret sha512 ${await hashPassword(settings.password)}`;
+    } else if (existing?.storedSecret) {
+      credential = `secret ${existing.storedSecret.type} ${existing.storedSecret.value}`;
+    } else {
+      throw new Error('Enter a password or allow login without one');
+    }
+
+    return queueChange(switchId, `${existing ? 'Update' : 'Add'} user ${username}`, [
+      [`username ${username}`, `privilege ${privilege}`, role ? `role ${role}` : null, credential].filter(Boolean).join(' ')
+    ]);
+  } catch (error) {
+    console.error('Error setting user account:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a local user account
+ * @param {string} switchId - ID of the switch
+ * @param {string} username - Name of the account
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const removeUserAccount = async (switchId, username) => {
+  try {
+    validateUsername(username);
+
+    return queueChange(switchId, `Remove user ${username}`, [`no username ${username}`]);
+  } catch (error) {
+    console.error(`Error removing user ${username}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Set or remove the SSH public key of a user account
+ * @param {string} switchId - ID of the switch
+ * @param {string} username - Name of the account
+ * @param {string} key - Public key in OpenSSH form, empty to remove the key
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const setUserSshKey = async (switchId, username, key) => {
+  try {
+    validateUsername(username);
+    const sshKey = (key || '').trim().replace(/\s+/g, ' ');
+
+    if (!sshKey) {
+      return queueChange(switchId, `Remove SSH key of user ${username}`, [`no username ${username} ssh-key`]);
+    }
+
+    const [type, data] = sshKey.split(' ');
+    if (!SSH_KEY_TYPES.includes(type) || !/^[A-Za-z0-9+/]+={0,2}$/.test(data || '')) {
+      throw new Error(`Invalid SSH public key. Paste one line starting with ${SSH_KEY_TYPES.join(', ')}.`);
+    }
+
+    return queueChange(switchId, `Set SSH key of user ${username}`, [`username ${username} ssh-key ${sshKey}`]);
+  } catch (error) {
+    console.error(`Error setting SSH key of user ${username}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Create or replace a custom role
+ * Rules without a sequence number are numbered after the previous rule.
+ * @param {string} switchId - ID of the switch
+ * @param {string} name - Role name
+ * @param {Array} rules - Rules in EOS form, e.g. `['permit mode exec command show.*', 'deny command .*']`
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const setRole = async (switchId, name, rules) => {
+  try {
+    validateRoleName(name);
+    if (BUILTIN_ROLES.includes(name)) {
+      throw new Error(`${name} is a built-in role and cannot be changed`);
+    }
+
+    let lastSequence = 0;
+    const lines = rules.map(text => text.trim().replace(/\s+/g, ' ')).filter(Boolean).map((text, index) => {
+      const problem = validateRoleRule(text);
+      if (problem) {
+        throw new Error(`Rule ${index + 1}: ${problem}`);
+      }
+
+      const rule = parseRoleRule(text);
+      const sequence = rule.sequence ?? lastSequence + RULE_STEP;
+      if (sequence <= lastSequence) {
+        throw new Error(`Rule ${index + 1}: sequence numbers must increase`);
+      }
+      lastSequence = sequence;
+
+      return formatRoleRule({ ...rule, sequence });
+    });
+
+    if (lines.length === 0) {
+      throw new Error('A role needs at least one rule');
+    }
+
+    return queueChange(switchId, `Set role ${name}`, [`no role ${name}`, `role ${name}`, ...lines]);
+  } catch (error) {
+    console.error(`Error setting role ${name}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a custom role
+ * @param {string} switchId - ID of the switch
+ * @param {string} name - Role name
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const removeRole = async (switchId, name) => {
+  try {
+    validateRoleName(name);
+    if (BUILTIN_ROLES.includes(name)) {
+      throw new Error(`${name} is a built-in role and cannot be removed`);
+    }
+
+    return queueChange(switchId, `Remove role ${name}`, [`no role ${name}`]);
+  } catch (error) {
+    console.error(`Error removing role ${name}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Format a role rule in EOS form
+ * @param {Object} rule - Rule returned by getUserAccounts
+ * @returns {string} - e.g. `10 permit mode exec command show.*`
+ */
+export const formatRoleRule = (rule) => {
+  return [rule.sequence, rule.action, rule.mode ? `mode ${rule.mode}` : null, 'command', rule.command].filter(Boolean).join(' ');
+};
+
+/**
+ * Check a username
+ * @param {string} username - Username to validate
+ */
+const validateUsername = (username) => {
+  if (!/^[A-Za-z0-9_][A-Za-z0-9_.@-]{0,63}$/.test(username || '')) {
+    throw new Error('Invalid username. Use letters, digits and _ . @ - only.');
+  }
+};
+
+/**
+ * Check a role name
+ * @param {string} name - Role name to validate
+ */
+const validateRoleName = (name) => {
+  if (!/^[A-Za-z0-9][A-Za-z0-9_-]{0,99}$/.test(name || '')) {
+    throw new Error('Invalid role name. Use letters, digits, _ and - only.');
+  }
+};
@@ -0,0 +1,125 @@
+/**
+ * Vault Service
+ * Unlocks the API server's credential vault and manages named credential profiles
+ */
+
+import { callApi } from './apiClient';
+
+/**
+ * Get the vault status
+ * @returns {Promise<Object>} - Promise resolving to `{ initialized, unlocked }`
+ */
+export const getVaultStatus = async () => {
+  try {
+    return await callApi('/vault', { method: 'GET' });
+  } catch (error) {
+    console.error('Error getting vault status:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create the vault with a master passphrase; it is left unlocked
+ * @param {string} passphrase - Master passphrase
+ * @returns {Promise<Object>} - Promise resolving to the vault status
+ */
+export const createVault = async (passphrase) => {
+  try {
+    return await callApi('/vault', { body: { passphrase } });
+  } catch (error) {
+    console.error('Error creating vault:', error);
+    throw error;
+  }
+};
+
+/**
+ * Unlock the vault
+ * @param {string} passphrase - Master passphrase
+ * @returns {Promise<Object>} - Promise resolving to the vault status
+ */
+export const unlockVault = async (passphrase) => {
+  try {
+    return await callApi('/vault/unlock', { body: { passphrase } });
+  } catch (error) {
+    console.error('Error unlocking vault:', error);
+    throw error;
+  }
+};
+
+/**
+ * Lock the vault
+ * @returns {Promise<Object>} - Promise resolving to the vault status
+ */
+export const lockVault = async () => {
+  try {
+    return await callApi('/vault/lock');
+  } catch (error) {
+    console.error('Error locking vault:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get all credential profiles
+ * @returns {Promise<Array>} - Promise resolving to profiles `{ id, name, username }` (never passwords)
+ */
+export const getCredentialProfiles = async () => {
+  try {
+    const data = await callApi('/credentials', { method: 'GET' });
+    return data.profiles || [];
+  } catch (error) {
+    console.error('Error loading credential profiles:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a credential profile
+ * @param {Object} profile - Profile details
+ * @param {string} profile.name - Unique profile name (e.g. "lab-admin")
+ * @param {string} profile.username - Username for authentication
+ * @param {string} profile.password - Password for authentication
+ * @returns {Promise<Object>} - Promise resolving to the created profile
+ */
+export const createCredentialProfile = async (profile) => {
+  try {
+    const data = await callApi('/credentials', { body: profile });
+    return data.profile;
+  } catch (error) {
+    console.error('Error creating credential profile:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a credential profile
+ * @param {string} profileId - ID of the profile
+ * @param {Object} changes - Fields to change (name, username, password)
+ * @returns {Promise<Object>} - Promise resolving to the updated profile
+ */
+export const updateCredentialProfile = async (profileId, changes) => {
+  try {
+    const data = await callApi(`/credentials/${encodeURIComponent(profileId)}`, {
+      method: 'PUT',
+      body: changes
+    });
+    return data.profile;
+  } catch (error) {
+    console.error('Error updating credential profile:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a credential profile
+ * @param {string} profileId - ID of the profile
+ * @returns {Promise} - Promise that resolves once removed
+ */
+export const removeCredentialProfile = async (profileId) => {
+  try {
+    await callApi(`/credentials/${encodeURIComponent(profileId)}`, { method: 'DELETE' });
+  } catch (error) {
+    console.error('Error removing credential profile:', error);
+    throw error;
+  }
+};
@@ -4,6 +4,7 @@
  */
 
 import { executeCommands } from './connectionManager';
+import { queueChange } from './changeQueue';
 
 /**
  * Get all VLANs configured on a switch
@@ -52,7 +53,7 @@ export const processVlanData = (rawData) => {
  * @param {string} switchId - ID of the switch
  * @param {number} vlanId - VLAN ID (1-4094)
  * @param {string} vlanName - VLAN name
- * @returns {Promise} - Promise with command result
+ * @returns {Promise<Object>} - Promise with the queued change
  */
 export const createVlan = async (switchId, vlanId, vlanName) => {
   // Validate inputs
@@ -66,13 +67,11 @@ export const createVlan = async (switchId, vlanId, vlanName) => {
     const sanitizedName = vlanName.replace(/['"]/g, '');
     
     const commands = [
-      'configure',
       `vlan ${sanitizedVlanId}`,
-      sanitizedName ? `name ${sanitizedName}` : '',
-      'end'
+      sanitizedName ? `name ${sanitizedName}` : ''
     ].filter(Boolean); // Remove empty commands
     
-    return await executeCommands(switchId, commands);
+    return queueChange(switchId, `Create VLAN ${sanitizedVlanId}${sanitizedName ? ` (${sanitizedName})` : ''}`, commands);
   } catch (error) {
     console.error(`Error creating VLAN ${vlanId}:`, error);
     throw error;
@@ -83,7 +82,7 @@ export const createVlan = async (switchId, vlanId, vlanName) => {
  * Delete a VLAN
  * @param {string} switchId - ID of the switch
  * @param {number} vlanId - VLAN ID to delete
- * @returns {Promise} - Promise with command result
+ * @returns {Promise<Object>} - Promise with the queued change
  */
 export const deleteVlan = async (switchId, vlanId) => {
   // Validate input
@@ -94,12 +93,10 @@ export const deleteVlan = async (switchId, vlanId) => {
   try {
     const sanitizedVlanId = parseInt(vlanId);
     const commands = [
-      'configure',
-      `no vlan ${sanitizedVlanId}`,
-      'end'
+      `no vlan ${sanitizedVlanId}`
     ];
     
-    return await executeCommands(switchId, commands);
+    return queueChange(switchId, `Delete VLAN ${sanitizedVlanId}`, commands);
   } catch (error) {
     console.error(`Error deleting VLAN ${vlanId}:`, error);
     throw error;
@@ -111,7 +108,7 @@ export const deleteVlan = async (switchId, vlanId) => {
  * @param {string} switchId - ID of the switch
  * @param {number} vlanId - VLAN ID
  * @param {string} newName - New VLAN name
- * @returns {Promise} - Promise with command result
+ * @returns {Promise<Object>} - Promise with the queued change
  */
 export const renameVlan = async (switchId, vlanId, newName) => {
   try {
@@ -119,13 +116,11 @@ export const renameVlan = async (switchId, vlanId, newName) => {
     const sanitizedName = newName.replace(/['"]/g, '');
     
     const commands = [
-      'configure',
       `vlan ${sanitizedVlanId}`,
-      `name ${sanitizedName}`,
-      'end'
+      `name ${sanitizedName}`
     ];
     
-    return await executeCommands(switchId, commands);
+    return queueChange(switchId, `Rename VLAN ${sanitizedVlanId} to ${sanitizedName}`, commands);
   } catch (error) {
     console.error(`Error renaming VLAN ${vlanId}:`, error);
     throw error;
@@ -0,0 +1,411 @@
+/**
+ * VXLAN Configuration Service
+ * Handles retrieving and configuring the Vxlan1 interface of Arista EOS switches: the VTEP
+ * source interface, UDP port, VLAN and VRF to VNI mappings and static flood lists
+ */
+
+import { executeCommands } from './connectionManager';
+import { queueChange } from './changeQueue';
+import { EapiCommandError } from './eapiErrors';
+
+// EOS supports a single VXLAN tunnel interface
+const VXLAN_INTERFACE = 'Vxlan1';
+
+// IANA port used when none is configured
+export const DEFAULT_VXLAN_UDP_PORT = 4789;
+
+// Largest VXLAN network identifier (24 bits)
+const MAX_VNI = 16777215;
+
+/**
+ * Get the VXLAN configuration and the VTEPs known to a switch
+ * @param {string} switchId - ID of the switch
+ * @returns {Promise<Object>} - Promise resolving to `{ configured, sourceInterface, sourceIp,
+ *   udpPort, replicationMode, vlanVnis, vrfVnis, floodList, vlanFloodLists, remoteVteps, loopbacks }`
+ */
+export const getVxlanConfig = async (switchId) => {
+  try {
+    if (!switchId) {
+      throw new Error('No switch ID provided');
+    }
+
+    // Interface addresses come first so the loopbacks are known even without Vxlan1
+    const commands = [
+      'show ip interface brief',
+      'show interfaces vxlan 1',
+      `show running-config interfaces ${VXLAN_INTERFACE}`,
+      'show vxlan vni',
+      'show vxlan vtep'
+    ];
+
+    let results;
+    try {
+      results = await executeCommands(switchId, commands);
+    } catch (error) {
+      if (error instanceof EapiCommandError && error.commandIndex === 1) {
+        return { ...emptyVxlanConfig(), loopbacks: parseLoopbacks(error.partialResults[0]) };
+      }
+      throw error;
+    }
+
+    const [interfaceBrief, vxlanInterface, runningConfig, vniOutput, vtepOutput] = results;
+    return {
+      ...parseVxlanInterface(vxlanInterface, vniOutput),
+      ...parseFloodLists(runningConfig),
+      remoteVteps: parseRemoteVteps(vtepOutput),
+      loopbacks: parseLoopbacks(interfaceBrief)
+    };
+  } catch (error) {
+    console.error('Error getting VXLAN configuration:', error);
+    throw error;
+  }
+};
+
+// VXLAN data returned when Vxlan1 does not exist
+const emptyVxlanConfig = () => ({
+  configured: false,
+  sourceInterface: null,
+  sourceIp: null,
+  udpPort: DEFAULT_VXLAN_UDP_PORT,
+  replicationMode: null,
+  vlanVnis: [],
+  vrfVnis: [],
+  floodList: [],
+  vlanFloodLists: [],
+  remoteVteps: [],
+  loopbacks: []
+});
+
+/**
+ * Get the names of loopback interfaces with their addresses
+ * @param {Object} interfaceBrief - Output of `show ip interface brief`
+ * @returns {Array} - `{ name, address }` of each loopback, sorted by name
+ */
+const parseLoopbacks = (interfaceBrief) => {
+  return Object.entries(interfaceBrief?.interfaces || {})
+    .filter(([name]) => name.startsWith('Loopback'))
+    .map(([name, info]) => {
+      const address = info.interfaceAddress?.ipAddr;
+      return { name, address: address?.address && address.address !== '0.0.0.0' ? `${address.address}/${address.maskLen}` : null };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+};
+
+/**
+ * Parse the Vxlan1 interface and its VNI bindings
+ * `show interfaces vxlan 1` holds the configured mappings; `show vxlan vni` adds the member
+ * interfaces of each VNI and mappings learned from EVPN.
+ * @param {Object} vxlanInterface - Output of `show interfaces vxlan 1`
+ * @param {Object} vniOutput - Output of `show vxlan vni`
+ * @returns {Object} - Parsed VXLAN configuration
+ */
+const parseVxlanInterface = (vxlanInterface, vniOutput) => {
+  const vxlan = vxlanInterface?.interfaces?.[VXLAN_INTERFACE] || {};
+  const bindings = vniOutput?.vxlanIntfs?.[VXLAN_INTERFACE] || {};
+
+  const vlanVnis = Object.entries(vxlan.vlanToVniMap || {}).map(([vlan, mapping]) => {
+    const vni = typeof mapping === 'object' ? mapping.vni : mapping;
+    const binding = bindings.vniBindings?.[vni] || {};
+
+    return {
+      vlan: parseInt(vlan),
+      vni: parseInt(vni),
+      source: mapping.source || binding.source || 'static',
+      interfaces: Object.keys(binding.interfaces || {})
+    };
+  });
+
+  // VNIs bound through EVPN are listed by `show vxlan vni` only
+  Object.entries(bindings.vniBindings || {}).forEach(([vni, binding]) => {
+    if (!vlanVnis.some(mapping => mapping.vni === parseInt(vni))) {
+      vlanVnis.push({
+        vlan: binding.vlan,
+        vni: parseInt(vni),
+        source: binding.source || 'dynamic',
+        interfaces: Object.keys(binding.interfaces || {})
+      });
+    }
+  });
+
+  const vrfVnis = Object.entries(vxlan.vrfToVniMap || {}).map(([vrf, vni]) => ({ vrf, vni: parseInt(vni) }));
+
+  return {
+    configured: true,
+    sourceInterface: vxlan.srcIpIntf || null,
+    sourceIp: vxlan.srcIpAddr && vxlan.srcIpAddr !== '0.0.0.0' ? vxlan.srcIpAddr : null,
+    udpPort: vxlan.udpPort || DEFAULT_VXLAN_UDP_PORT,
+    replicationMode: vxlan.replicationMode || null,
+    vlanVnis: vlanVnis.sort((a, b) => a.vlan - b.vlan),
+    vrfVnis: vrfVnis.sort((a, b) => a.vni - b.vni)
+  };
+};
+
+/**
+ * Read the static flood lists from the running-config of Vxlan1
+ * The operational output merges the default list into every VLAN, so the configured lines are
+ * the only place the two can be told apart.
+ * @param {Object} runningConfig - JSON output of `show running-config interfaces Vxlan1`
+ * @returns {Object} - `{ floodList, vlanFloodLists }`, the VLAN lists sorted by VLAN
+ */
+const parseFloodLists = (runningConfig) => {
+  const lines = Object.keys(runningConfig?.cmds?.[`interface ${VXLAN_INTERFACE}`]?.cmds || {});
+  const floodList = [];
+  const vlanFloodLists = new Map();
+
+  lines.forEach(line => {
+    const defaultMatch = line.match(/^vxlan flood vtep (.+)$/);
+    const vlanMatch = line.match(/^vxlan vlan (\S+) flood vtep (.+)$/);
+
+    if (defaultMatch) {
+      floodList.push(...defaultMatch[1].split(/\s+/));
+    } else if (vlanMatch) {
+      expandVlanList(vlanMatch[1]).forEach(vlan => {
+        vlanFloodLists.set(vlan, [...(vlanFloodLists.get(vlan) || []), ...vlanMatch[2].split(/\s+/)]);
+      });
+    }
+  });
+
+  return {
+    floodList,
+    vlanFloodLists: [...vlanFloodLists.entries()]
+      .map(([vlan, vteps]) => ({ vlan, vteps }))
+      .sort((a, b) => a.vlan - b.vlan)
+  };
+};
+
+/**
+ * Expand a VLAN list such as `10,20-22` into VLAN IDs
+ * @param {string} list - Comma separated VLANs and ranges
+ * @returns {Array} - VLAN IDs
+ */
+const expandVlanList = (list) => {
+  return list.split(',').flatMap(part => {
+    const [start, end = start] = part.split('-').map(value => parseInt(value));
+    return Array.from({ length: Math.max(0, end - start + 1) }, (_, index) => start + index);
+  });
+};
+
+/**
+ * Parse the remote VTEPs known to the switch
+ * Older EOS releases list bare addresses; newer ones add how each VTEP was learned.
+ * @param {Object} vtepOutput - Output of `show vxlan vtep`
+ * @returns {Array} - `{ address, learnedVia }` of each VTEP
+ */
+const parseRemoteVteps = (vtepOutput) => {
+  const vteps = vtepOutput?.interfaces?.[VXLAN_INTERFACE]?.vteps || vtepOutput?.vteps || [];
+
+  return vteps.map(vtep => (typeof vtep === 'string'
+    ? { address: vtep, learnedVia: null }
+    : { address: vtep.vtep, learnedVia: vtep.learnedVia || null }));
+};
+
+/**
+ * Set the interface whose address VXLAN tunnels are sourced from
+ * Creates Vxlan1 if it does not exist yet.
+ * @param {string} switchId - ID of the switch
+ * @param {string} interfaceName - Loopback interface, e.g. Loopback1
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const setVtepSourceInterface = async (switchId, interfaceName) => {
+  try {
+    if (!/^Loopback\d+$/.test(interfaceName || '')) {
+      throw new Error('The VTEP source must be a loopback interface');
+    }
+
+    return queueChange(switchId, `Set VTEP source interface to ${interfaceName}`, [
+      `interface ${VXLAN_INTERFACE}`,
+      `vxlan source-interface ${interfaceName}`
+    ]);
+  } catch (error) {
+    console.error('Error setting VTEP source interface:', error);
+    throw error;
+  }
+};
+
+/**
+ * Set the UDP port of VXLAN tunnels
+ * @param {string} switchId - ID of the switch
+ * @param {number} port - UDP port (1024-65535)
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const setVxlanUdpPort = async (switchId, port) => {
+  try {
+    const sanitizedPort = parseInt(port);
+    if (isNaN(sanitizedPort) || sanitizedPort < 1024 || sanitizedPort > 65535) {
+      throw new Error('Invalid UDP port. Must be between 1024-65535.');
+    }
+
+    return queueChange(switchId, `Set VXLAN UDP port to ${sanitizedPort}`, [
+      `interface ${VXLAN_INTERFACE}`,
+      sanitizedPort === DEFAULT_VXLAN_UDP_PORT ? 'no vxlan udp-port' : `vxlan udp-port ${sanitizedPort}`
+    ]);
+  } catch (error) {
+    console.error('Error setting VXLAN UDP port:', error);
+    throw error;
+  }
+};
+
+/**
+ * Map a VLAN to a VNI
+ * @param {string} switchId - ID of the switch
+ * @param {number} vlanId - VLAN ID (1-4094)
+ * @param {number} vni - VNI (1-16777215)
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const mapVlanToVni = async (switchId, vlanId, vni) => {
+  try {
+    const sanitizedVlan = validateVlanId(vlanId);
+    const sanitizedVni = validateVni(vni);
+
+    return queueChange(switchId, `Map VLAN ${sanitizedVlan} to VNI ${sanitizedVni}`, [
+      `interface ${VXLAN_INTERFACE}`,
+      `vxlan vlan ${sanitizedVlan} vni ${sanitizedVni}`
+    ]);
+  } catch (error) {
+    console.error(`Error mapping VLAN ${vlanId} to VNI:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Remove the VNI mapping of a VLAN
+ * @param {string} switchId - ID of the switch
+ * @param {number} vlanId - VLAN ID
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const unmapVlanVni = async (switchId, vlanId) => {
+  try {
+    const sanitizedVlan = validateVlanId(vlanId);
+
+    return queueChange(switchId, `Remove VNI mapping of VLAN ${sanitizedVlan}`, [
+      `interface ${VXLAN_INTERFACE}`,
+      `no vxlan vlan ${sanitizedVlan} vni`
+    ]);
+  } catch (error) {
+    console.error(`Error removing VNI mapping of VLAN ${vlanId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Map a VRF to a layer 3 VNI
+ * @param {string} switchId - ID of the switch
+ * @param {string} vrf - VRF name
+ * @param {number} vni - VNI (1-16777215)
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const mapVrfToVni = async (switchId, vrf, vni) => {
+  try {
+    const sanitizedVrf = validateVrfName(vrf);
+    const sanitizedVni = validateVni(vni);
+
+    return queueChange(switchId, `Map VRF ${sanitizedVrf} to VNI ${sanitizedVni}`, [
+      `interface ${VXLAN_INTERFACE}`,
+      `vxlan vrf ${sanitizedVrf} vni ${sanitizedVni}`
+    ]);
+  } catch (error) {
+    console.error(`Error mapping VRF ${vrf} to VNI:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Remove the VNI mapping of a VRF
+ * @param {string} switchId - ID of the switch
+ * @param {string} vrf - VRF name
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const unmapVrfVni = async (switchId, vrf) => {
+  try {
+    const sanitizedVrf = validateVrfName(vrf);
+
+    return queueChange(switchId, `Remove VNI mapping of VRF ${sanitizedVrf}`, [
+      `interface ${VXLAN_INTERFACE}`,
+      `no vxlan vrf ${sanitizedVrf} vni`
+    ]);
+  } catch (error) {
+    console.error(`Error removing VNI mapping of VRF ${vrf}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Replace a static flood list used for head-end replication of BUM traffic
+ * An empty list removes it.
+ * @param {string} switchId - ID of the switch
+ * @param {Array} vteps - Remote VTEP addresses
+ * @param {number|null} [vlanId=null] - VLAN whose own flood list is set, null for the default list
+ * @returns {Promise<Object>} - Promise with the queued change
+ */
+export const setFloodList = async (switchId, vteps, vlanId = null) => {
+  try {
+    const invalid = vteps.find(vtep => !isValidIpAddress(vtep));
+    if (invalid) {
+      throw new Error(`Invalid VTEP address: ${invalid}`);
+    }
+
+    const scope = vlanId === null ? 'vxlan' : `vxlan vlan ${validateVlanId(vlanId)}`;
+    const label = vlanId === null ? 'default flood list' : `flood list of VLAN ${vlanId}`;
+    const uniqueVteps = [...new Set(vteps)];
+
+    return queueChange(
+      switchId,
+      uniqueVteps.length > 0 ? `Set ${label} to ${uniqueVteps.join(', ')}` : `Remove ${label}`,
+      [
+        `interface ${VXLAN_INTERFACE}`,
+        uniqueVteps.length > 0 ? `${scope} flood vtep ${uniqueVteps.join(' ')}` : `no ${scope} flood vtep`
+      ]
+    );
+  } catch (error) {
+    console.error('Error setting VXLAN flood list:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check a VLAN ID
+ * @param {number|string} vlanId - VLAN ID to validate
+ * @returns {number} - VLAN ID as a number
+ */
+const validateVlanId = (vlanId) => {
+  const sanitized = parseInt(vlanId);
+  if (isNaN(sanitized) || sanitized < 1 || sanitized > 4094) {
+    throw new Error('Invalid VLAN ID. Must be between 1-4094.');
+  }
+  return sanitized;
+};
+
+/**
+ * Check a VXLAN network identifier
+ * @param {number|string} vni - VNI to validate
+ * @returns {number} - VNI as a number
+ */
+const validateVni = (vni) => {
+  const sanitized = parseInt(vni);
+  if (isNaN(sanitized) || sanitized < 1 || sanitized > MAX_VNI) {
+    throw new Error(`Invalid VNI. Must be between 1-${MAX_VNI}.`);
+  }
+  return sanitized;
+};
+
+/**
+ * Check a VRF name
+ * @param {string} vrf - VRF name to validate
+ * @returns {string} - VRF name
+ */
+const validateVrfName = (vrf) => {
+  if (!/^[A-Za-z0-9_.:-]{1,100}$/.test(vrf || '') || vrf === 'default') {
+    throw new Error('Invalid VRF name. Use letters, digits and _ . : - only; the default VRF cannot be mapped.');
+  }
+  return vrf;
+};
+
+/**
+ * Check if a string is a valid IP address
+ * @param {string} ip - IP address to validate
+ * @returns {boolean} - True if valid IP address
+ */
+const isValidIpAddress = (ip) => {
+  const ipRegex = /^(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
+  return ipRegex.test(ip);
+};
@@ -19,7 +19,7 @@ if [[ $CONFIRM != "y" && $CONFIRM != "Y" ]]; then
 fi
 
 echo ""
-echo "⚙️ [1/4] Removing Nginx configuration..."
+echo "⚙️ [1/5] Removing Nginx configuration..."
 if [ -f /etc/nginx/sites-enabled/arista-manager ]; then
     rm -f /etc/nginx/sites-enabled/arista-manager
     echo "✓ Nginx site configuration removed."
@@ -35,7 +35,19 @@ else
 fi
 
 echo ""
-echo "🗂️ [2/4] Removing application files..."
+echo "🔌 [2/5] Removing API server service..."
+if [ -f /etc/systemd/system/arista-manager-api.service ]; then
+    systemctl disable --now arista-manager-api > /dev/null 2>&1 || true
+    rm -f /etc/arista-manager-api.env
+    rm -f /etc/systemd/system/arista-manager-api.service
+    systemctl daemon-reload
+    echo "✓ API server service removed."
+else
+    echo "⚠️ API server service not found (already removed)."
+fi
+
+echo ""
+echo "🗂️ [3/5] Removing application files..."
 APP_DIR="/var/www/arista-manager"
 if [ -d "$APP_DIR" ]; then
     rm -rf "$APP_DIR"
@@ -44,8 +56,14 @@ else
     echo "⚠️ Application directory not found (already removed)."
 fi
 
+DATA_DIR="/var/lib/arista-manager"
+if [ -d "$DATA_DIR" ]; then
+    rm -rf "$DATA_DIR"
+    echo "✓ Application data (switch inventory and credentials) removed."
+fi
+
 echo ""
-echo "🔄 [3/4] Restarting Nginx..."
+echo "🔄 [4/5] Restarting Nginx..."
 if systemctl is-active --quiet nginx; then
     systemctl restart nginx
     echo "✓ Nginx restarted."
@@ -54,7 +72,7 @@ else
 fi
 
 echo ""
-echo "🧹 [4/4] Cleaning up symbolic links..."
+echo "🧹 [5/5] Cleaning up symbolic links..."
 if [ -L "/usr/local/bin/node" ] && [ ! -e "/usr/local/bin/node" ]; then
     rm -f /usr/local/bin/node
     echo "✓ Node.js symbolic link removed."